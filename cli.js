@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line tool for generating fluid packs from a project JSON file.
+ * See `readProjectFile` in index.js for the project file format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    ValidationError, OUTPUT_FORMATS, readProjectFile, buildPackFiles, getPackNames, writePack, lintPackFiles,
+    bumpPackVersion, formatPackVersion, buildEnginePackFiles, ENGINE_PACK_FILE_NAME,
+    MINECRAFT_TARGETS, DEFAULT_MINECRAFT_TARGET,
+} = require('./index.js');
+
+const USAGE = `Usage: bedrock-fluids <project.json> [options]
+       bedrock-fluids --engine [options]
+
+Options:
+  -o, --out <path>       Output file (mcaddon) or folder (mcpack, folder).
+                         Defaults to the pack name in the current folder.
+  -f, --format <format>  ${OUTPUT_FORMATS.join(' | ')} (default: mcaddon)
+  -t, --target <version> Minecraft version to generate for, overriding the project's
+                         "targetVersion": ${Object.keys(MINECRAFT_TARGETS).join(' | ')}
+                         (default: ${DEFAULT_MINECRAFT_TARGET})
+  --bump                 Increase the pack version in the project file after writing,
+                         so the next build upgrades the installed pack.
+  --engine               Write the shared fluid engine pack, which projects with
+                         "runtime": "shared" require, instead of a project.
+  -h, --help             Show this message.`;
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {{projectPath?: string, out?: string, format: string, targetVersion?: string, help: boolean, bump: boolean, engine: boolean}}
+ * @throws {ValidationError} If an option is unknown or missing its value.
+ */
+function parseArgs(args) {
+    const options = { format: 'mcaddon', help: false, bump: false, engine: false };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const takeValue = () => {
+            if (i + 1 >= args.length) throw new ValidationError(`Option ${arg} requires a value.`);
+            return args[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-o' || arg === '--out') {
+            options.out = takeValue();
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = takeValue();
+        } else if (arg === '-t' || arg === '--target') {
+            options.targetVersion = takeValue();
+        } else if (arg === '--bump') {
+            options.bump = true;
+        } else if (arg === '--engine') {
+            options.engine = true;
+        } else if (arg.startsWith('-')) {
+            throw new ValidationError(`Unknown option ${arg}.`);
+        } else if (options.projectPath) {
+            throw new ValidationError(`Unexpected argument "${arg}".`);
+        } else {
+            options.projectPath = arg;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || (!options.projectPath && !options.engine)) {
+        console.log(USAGE);
+        return options.help ? 0 : 1;
+    }
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new ValidationError(`Unknown output format "${options.format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    }
+    if (options.engine && options.projectPath) {
+        throw new ValidationError('--engine does not take a project file.');
+    }
+
+    if (options.engine) {
+        const baseName = ENGINE_PACK_FILE_NAME.replace(/\.mcaddon$/, '');
+        const out = options.out || (options.format === 'mcaddon' ? ENGINE_PACK_FILE_NAME : baseName);
+        const files = buildEnginePackFiles({}, { targetVersion: options.targetVersion });
+        for (const writtenPath of await writePack(files, out, options.format, baseName)) {
+            console.log(`Wrote ${path.relative(process.cwd(), writtenPath) || writtenPath}`);
+        }
+        return 0;
+    }
+
+    const { project, assets } = readProjectFile(options.projectPath);
+    if (options.targetVersion) project.targetVersion = options.targetVersion;
+    const files = buildPackFiles(project, assets);
+
+    const issues = lintPackFiles(files);
+    for (const issue of issues) {
+        console.error(`${issue.severity === 'error' ? 'Error' : 'Warning'} (${issue.path}): ${issue.message}`);
+    }
+    if (issues.some(issue => issue.severity === 'error')) {
+        console.error('The pack was not written, as it would not load correctly in Minecraft.');
+        return 1;
+    }
+
+    const { displayName, fileName } = getPackNames(project.packName, project.fluids);
+    const baseName = displayName.replace(/\s/g, '_');
+    const out = options.out || (options.format === 'mcaddon' ? fileName : baseName);
+
+    const written = await writePack(files, out, options.format, baseName);
+    for (const writtenPath of written) {
+        console.log(`Wrote ${path.relative(process.cwd(), writtenPath) || writtenPath}`);
+    }
+
+    if (options.bump) {
+        const saved = JSON.parse(fs.readFileSync(options.projectPath, 'utf8'));
+        saved.packVersion = formatPackVersion(bumpPackVersion(project.packVersion));
+        fs.writeFileSync(options.projectPath, `${JSON.stringify(saved, null, 2)}\n`);
+        console.log(`Pack version is now ${saved.packVersion}`);
+    }
+    return 0;
+}
+
+main().then(
+    (code) => { process.exitCode = code; },
+    (error) => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    }
+);
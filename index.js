@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Node entry point for building fluid packs without the browser.
+ * It wraps the shared pack builder with what the browser normally provides:
+ * the runtime scripts and default pack icon are read from disk, and texture
+ * paths in a project file are resolved to buffers.
+ *
+ * @example
+ * const { buildFluidPack } = require('bedrock-fluids-api');
+ * const zip = buildFluidPack({ fluids: [config] }, { textures: [{ texture, bucketTexture }] });
+ * fs.writeFileSync('Acid_Addon.mcaddon', await zip.generateAsync({ type: 'nodebuffer' }));
+ */
+
+const fs = require('fs');
+const path = require('path');
+const builder = require('./js/pack_builder.js');
+const projectIo = require('./js/project_io.js');
+const importer = require('./js/pack_importer.js');
+const targets = require('./js/minecraft_targets.js');
+const linter = require('./js/pack_linter.js');
+const designer = require('./js/texture_designer.js');
+const textureTools = require('./js/texture_tools.js');
+const bucketTemplate = require('./js/bucket_template.js');
+const preview = require('./js/fluid_preview.js');
+
+const { ValidationError, RUNTIME_SCRIPT_FILES } = builder;
+
+/** The pack icon used when a project does not provide one. */
+const DEFAULT_PACK_ICON_PATH = path.join(__dirname, 'pack_icon.png');
+
+/** The texture properties a fluid may reference in a project file. */
+const TEXTURE_KEYS = ['texture', 'flowingTexture', 'bucketTexture'];
+
+/** The output formats supported by `writePack`. */
+const OUTPUT_FORMATS = ['mcaddon', 'mcpack', 'folder'];
+
+/**
+ * Reads the runtime scripts that ship in every behavior pack.
+ * @returns {Object.<string, string>} The scripts, keyed by their path in `RUNTIME_SCRIPT_FILES`.
+ */
+function loadRuntimeScripts() {
+    const scripts = {};
+    for (const filePath of RUNTIME_SCRIPT_FILES) {
+        scripts[filePath] = fs.readFileSync(path.join(__dirname, filePath), 'utf8');
+    }
+    return scripts;
+}
+
+/**
+ * Fills in the assets the caller did not provide and validates the project against them.
+ * Fluids with a `textureDesign` and no uploaded still texture get synthesized still and flowing textures,
+ * fluids without a bucket texture get one composited from their `bucketColor` or still texture, and fluids with
+ * a flowing texture get the diagonal one sheared from it.
+ * @param {object} project The pack configuration.
+ * @param {object} assets The assets supplied by the caller.
+ * @returns {object} The complete assets.
+ * @throws {ValidationError} If the project is invalid.
+ */
+function prepareAssets(project, assets) {
+    const complete = {
+        packIcon: assets.packIcon || fs.readFileSync(DEFAULT_PACK_ICON_PATH),
+        scripts: assets.scripts || loadRuntimeScripts(),
+        textures: assets.textures || [],
+        sounds: assets.sounds || [],
+    };
+    builder.validatePack(project.fluids, complete.textures, project, complete.sounds);
+    complete.textures = project.fluids.map((config, index) => {
+        const textures = { ...complete.textures[index] };
+        if (!textures.texture) {
+            const synthesized = designer.synthesizeDesignTextures(config.textureDesign);
+            textures.texture = synthesized.texture;
+            textures.flowingTexture = textures.flowingTexture || synthesized.flowingTexture;
+        }
+        if (!textures.bucketTexture) {
+            let source = { color: config.bucketColor };
+            if (!config.bucketColor) {
+                try {
+                    source = textureTools.decodePng(textures.texture);
+                } catch (e) {
+                    throw new ValidationError(`The still texture of ${config.id} could not be read to make its bucket icon: ${e.message}`);
+                }
+            }
+            // The icon matches the still texture's resolution, so the pack's textures stay consistent.
+            const resolution = textureTools.readPngSize(textures.texture)?.width;
+            const { width, height, pixels } = bucketTemplate.compositeBucketIcon(source, resolution);
+            textures.bucketTexture = textureTools.encodePng(width, height, pixels);
+        }
+        if (textures.flowingTexture && !textures.diagonalTexture) {
+            let flowing;
+            try {
+                flowing = textureTools.decodePng(textures.flowingTexture);
+            } catch (e) {
+                throw new ValidationError(`The flowing texture of ${config.id} could not be read to make its diagonal texture: ${e.message}`);
+            }
+            const { width, height, pixels } = textureTools.shearFlowingStrip(flowing);
+            textures.diagonalTexture = textureTools.encodePng(width, height, pixels);
+        }
+        return textures;
+    });
+    return complete;
+}
+
+/**
+ * Validates a project and generates the file map of its add-on.
+ * @param {object} project The pack configuration, as accepted by `normalizeProject`.
+ * @param {object} [assets] The pack icon, scripts and textures. Only the textures are required.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>} The files, keyed by their path inside the .mcaddon.
+ */
+function buildPackFiles(project, assets = {}) {
+    const normalized = builder.normalizeProject(project);
+    return builder.buildPackFiles(normalized, prepareAssets(normalized, assets));
+}
+
+/**
+ * Validates a project and zips its add-on.
+ * @param {object} project The pack configuration, as accepted by `normalizeProject`.
+ * @param {object} [assets] The pack icon, scripts and textures. Only the textures are required.
+ * @returns {JSZip} The populated zip, ready for `generateAsync`.
+ */
+function buildFluidPack(project, assets = {}) {
+    return builder.createPackZip(buildPackFiles(project, assets));
+}
+
+/**
+ * Generates the file map of the shared fluid engine pack, which packs with `runtime: 'shared'` require.
+ * @param {object} [assets] The pack icon and scripts. Both default to the ones in this repository.
+ * @param {{targetVersion?: string}} [options] The Minecraft release to generate for.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>} The files, keyed by their path inside the .mcaddon.
+ */
+function buildEnginePackFiles(assets = {}, options = {}) {
+    return builder.buildEnginePackFiles({
+        packIcon: assets.packIcon || fs.readFileSync(DEFAULT_PACK_ICON_PATH),
+        scripts: assets.scripts || loadRuntimeScripts(),
+    }, options);
+}
+
+/**
+ * Reads a project JSON file and the files it references.
+ * Each fluid may have a `textures` object mapping `texture`, `flowingTexture` and
+ * `bucketTexture` to file paths, a `customGeometry` object mapping fluid levels to `.geo.json` paths
+ * and sounds with a `file` path to an .ogg file, and the project may have a `packIcon` path.
+ * Relative paths are resolved against the project file's folder. Project files saved
+ * from the generator page embed the PNGs and sounds as data URLs instead, which are decoded.
+ *
+ * @param {string} projectPath The path to the project JSON file.
+ * @returns {{project: object, assets: object}}
+ * @throws {ValidationError} If the file or a custom model is not valid JSON, or a referenced file is missing.
+ */
+function readProjectFile(projectPath) {
+    const baseDir = path.dirname(path.resolve(projectPath));
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(projectPath, 'utf8'));
+    } catch (e) {
+        throw new ValidationError(`Could not read project file "${projectPath}": ${e.message}`);
+    }
+
+    let project;
+    try {
+        project = projectIo.migrateProject(parsed);
+    } catch (e) {
+        throw new ValidationError(e.message);
+    }
+    const readAsset = (filePath) => {
+        if (projectIo.isDataUrl(filePath)) {
+            return projectIo.dataUrlToBytes(filePath);
+        }
+        const resolved = path.resolve(baseDir, filePath);
+        if (!fs.existsSync(resolved)) {
+            throw new ValidationError(`File not found: ${resolved}`);
+        }
+        return fs.readFileSync(resolved);
+    };
+
+    const textures = project.fluids.map((config) => {
+        const fluidTextures = {};
+        for (const key of TEXTURE_KEYS) {
+            if (config.textures && config.textures[key]) {
+                fluidTextures[key] = readAsset(config.textures[key]);
+            }
+        }
+        return fluidTextures;
+    });
+
+    const sounds = project.fluids.map((config) => {
+        const fluidSounds = {};
+        for (const kind of Object.keys(config.sounds || {})) {
+            if (config.sounds[kind] && typeof config.sounds[kind].file === 'string') {
+                fluidSounds[kind] = readAsset(config.sounds[kind].file);
+            }
+        }
+        return fluidSounds;
+    });
+
+    const assets = { textures, sounds };
+    if (project.packIcon) {
+        assets.packIcon = readAsset(project.packIcon);
+    }
+    const { fluids: savedFluids, packIcon, schemaVersion, ...settings } = project;
+    const fluids = savedFluids.map(({ textures: texturePaths, ...config }) => {
+        // Custom models may be given as paths to .geo.json files.
+        if (config.customGeometry && typeof config.customGeometry === 'object') {
+            config.customGeometry = { ...config.customGeometry };
+            for (const level of Object.keys(config.customGeometry)) {
+                const modelPath = config.customGeometry[level];
+                if (typeof modelPath !== 'string') continue;
+                try {
+                    config.customGeometry[level] = JSON.parse(Buffer.from(readAsset(modelPath)).toString('utf8'));
+                } catch (e) {
+                    if (e instanceof ValidationError) throw e;
+                    throw new ValidationError(`Could not read the custom model "${modelPath}": ${e.message}`);
+                }
+            }
+        }
+        // Sound files were read into the assets above.
+        if (config.sounds && typeof config.sounds === 'object') {
+            config.sounds = projectIo.stripSoundFiles(config.sounds);
+        }
+        return config;
+    });
+    return { project: { ...settings, fluids }, assets };
+}
+
+/**
+ * Writes a file map to disk.
+ *  - `mcaddon` writes a single .mcaddon file to `outPath`.
+ *  - `mcpack` writes `<name>_BP.mcpack` and `<name>_RP.mcpack` into the `outPath` folder.
+ *  - `folder` writes the unpacked `BP/` and `RP/` folders into the `outPath` folder.
+ *
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map from `buildPackFiles`.
+ * @param {string} outPath The output file (mcaddon) or folder (mcpack, folder).
+ * @param {string} [format='mcaddon'] One of `OUTPUT_FORMATS`.
+ * @param {string} [baseName='Fluid_Pack'] The file name stem used for .mcpack files.
+ * @returns {Promise<string[]>} The paths that were written.
+ */
+async function writePack(files, outPath, format = 'mcaddon', baseName = 'Fluid_Pack') {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new ValidationError(`Unknown output format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}.`);
+    }
+
+    if (format === 'mcaddon') {
+        fs.mkdirSync(path.dirname(path.resolve(outPath)), { recursive: true });
+        const content = await builder.createPackZip(files).generateAsync({ type: 'nodebuffer' });
+        fs.writeFileSync(outPath, content);
+        return [outPath];
+    }
+
+    fs.mkdirSync(outPath, { recursive: true });
+
+    if (format === 'mcpack') {
+        const written = [];
+        for (const root of ['BP', 'RP']) {
+            const packPath = path.join(outPath, `${baseName}_${root}.mcpack`);
+            const content = await builder.createPackZip(files, root).generateAsync({ type: 'nodebuffer' });
+            fs.writeFileSync(packPath, content);
+            written.push(packPath);
+        }
+        return written;
+    }
+
+    for (const [filePath, content] of Object.entries(files)) {
+        const target = path.join(outPath, filePath);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, typeof content === 'string' ? content : Buffer.from(content));
+    }
+    return [path.join(outPath, 'BP'), path.join(outPath, 'RP')];
+}
+
+module.exports = {
+    ...builder,
+    ...projectIo,
+    ...importer,
+    ...targets,
+    ...linter,
+    ...designer,
+    ...textureTools,
+    ...bucketTemplate,
+    ...preview,
+    DEFAULT_PACK_ICON_PATH,
+    OUTPUT_FORMATS,
+    loadRuntimeScripts,
+    buildEnginePackFiles,
+    buildPackFiles,
+    buildFluidPack,
+    readProjectFile,
+    writePack,
+};
@@ -93,3 +93,7 @@ class BlockGenerator {
         return this.block;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BlockGenerator };
+}
@@ -18,9 +18,10 @@
  * @param {object} config - The configuration object for the fluid.
  * @param {string} config.id - The identifier of the fluid block (e.g., "lumstudio:liquid_bismuth").
  * @param {string} config.name - The human-readable name of the fluid (e.g., "Liquid Bismuth").
+ * @param {MinecraftTarget} target - The Minecraft release, which sets the format version and creative category style.
  * @returns {object} A complete and valid JSON object for the bucket item's behavior file.
  */
-function generateBucketItemJson(config) {
+function generateBucketItemJson(config, target) {
     const fluidId = config.id;
     const bucketId = `${fluidId}_bucket`;
     const fluidName = config.name;
@@ -30,19 +31,28 @@ function generateBucketItemJson(config) {
         "minecraft:max_stack_size": 1,
         "minecraft:icon": { "texture": bucketId.replace(/:/g, '_') },
         "minecraft:display_name": { "value": `Bucket of ${fluidName}` },
-        "minecraft:creative_category": { "parent": "itemGroup.name.bucket" },
         "minecraft:hand_equipped": true
     };
+    const description = { "identifier": bucketId };
+
+    // Newer formats replaced the creative category component with a menu category in the description.
+    if (target.itemMenuCategory) {
+        description["menu_category"] = { "category": "items", "group": "itemGroup.name.bucket" };
+    } else {
+        description["category"] = "Items";
+        components["minecraft:creative_category"] = { "parent": "itemGroup.name.bucket" };
+    }
 
     // Assemble the final JSON structure for the item's behavior file.
     return {
-        "format_version": "1.20.10",
+        "format_version": target.itemFormat,
         "minecraft:item": {
-            "description": {
-                "identifier": bucketId,
-                "category": "Items"
-            },
+            "description": description,
             "components": components
         }
     };
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { generateBucketItemJson };
+}
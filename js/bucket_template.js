@@ -0,0 +1,136 @@
+/**
+ * @fileoverview The bucket icon template, used to composite a bucket icon for fluids without an uploaded one.
+ * The template is two 16x16 masks: the empty bucket, and the region its liquid fills. The liquid is
+ * filled from the fluid's still texture or from a single color, and shaded by the liquid mask.
+ */
+
+/** The width and height of the bucket template, in pixels. */
+const BUCKET_ICON_SIZE = 16;
+
+/**
+ * The empty bucket. `o` is the outline, `h`, `m` and `d` are light, medium and dark metal,
+ * and `.` is transparent.
+ * @type {string[]}
+ */
+const BUCKET_BODY_MASK = [
+    '................',
+    '................',
+    '....oooooooo....',
+    '..oo........oo..',
+    '.o............o.',
+    '.o............o.',
+    '.oh..........do.',
+    '.ohm........ddo.',
+    '.ohhm......mddo.',
+    '.ohmmmmmmmmmddo.',
+    '..ohmmmmmmmddo..',
+    '..ohmmmmmmmddo..',
+    '..ohmmmmmmmddo..',
+    '...ohmmmmmddo...',
+    '....oooooooo....',
+    '................',
+];
+
+/**
+ * The liquid region. `1`, `2` and `3` are dark, medium and full brightness, so the surface
+ * looks lit from the upper left; `.` is not liquid.
+ * @type {string[]}
+ */
+const BUCKET_LIQUID_MASK = [
+    '................',
+    '................',
+    '................',
+    '....33333322....',
+    '..333332222211..',
+    '..333222222111..',
+    '...3322221111...',
+    '....32221111....',
+    '.....111111.....',
+    '................',
+    '................',
+    '................',
+    '................',
+    '................',
+    '................',
+    '................',
+];
+
+/**
+ * The colors of the bucket body mask.
+ * @type {Object.<string, number[]>}
+ */
+const BUCKET_BODY_COLORS = {
+    o: [44, 44, 44],
+    h: [222, 222, 222],
+    m: [165, 165, 165],
+    d: [110, 110, 110],
+};
+
+/**
+ * The brightness of each shade in the liquid mask.
+ * @type {Object.<string, number>}
+ */
+const BUCKET_LIQUID_SHADES = { 1: 0.7, 2: 0.85, 3: 1 };
+
+/**
+ * Composites a bucket icon.
+ * @param {{color: string}|{width: number, height: number, pixels: Uint8Array|Uint8ClampedArray}} source
+ *     A "#rrggbb" color, or the RGBA pixels of the still texture. Only the first frame of a strip is used.
+ * @param {number} [resolution=BUCKET_ICON_SIZE] The size of the icon. The template is scaled up to it,
+ *     so the icon can match HD fluid textures.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ */
+function compositeBucketIcon(source, resolution = BUCKET_ICON_SIZE) {
+    const templateScale = BUCKET_ICON_SIZE / resolution;
+    let sampleLiquid;
+    if (source.color) {
+        const value = parseInt(source.color.slice(1), 16);
+        const color = [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+        sampleLiquid = () => color;
+    } else {
+        // The texture is scaled to the icon, so the liquid shows the same pattern at any texture size.
+        const scale = source.width / resolution;
+        sampleLiquid = (x, y) => {
+            const offset = (Math.floor(y * scale) * source.width + Math.floor(x * scale)) * 4;
+            return [source.pixels[offset], source.pixels[offset + 1], source.pixels[offset + 2]];
+        };
+    }
+
+    const pixels = new Uint8ClampedArray(resolution * resolution * 4);
+    for (let y = 0; y < resolution; y++) {
+        for (let x = 0; x < resolution; x++) {
+            const templateX = Math.floor(x * templateScale);
+            const templateY = Math.floor(y * templateScale);
+            const body = BUCKET_BODY_COLORS[BUCKET_BODY_MASK[templateY][templateX]];
+            const shade = BUCKET_LIQUID_SHADES[BUCKET_LIQUID_MASK[templateY][templateX]];
+            let color;
+            if (shade !== undefined) {
+                color = sampleLiquid(x, y).map(channel => channel * shade);
+            } else if (body) {
+                color = body;
+            } else {
+                continue;
+            }
+            const offset = (y * resolution + x) * 4;
+            pixels.set([...color.map(Math.round), 255], offset);
+        }
+    }
+    return { width: resolution, height: resolution, pixels };
+}
+
+/**
+ * Draws a composited bucket icon on a canvas, resizing the canvas to fit. Only works in the browser.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @param {{color: string}|{width: number, height: number, pixels: Uint8Array|Uint8ClampedArray}} source See `compositeBucketIcon`.
+ * @param {number} [resolution=BUCKET_ICON_SIZE] The size of the icon.
+ */
+function drawBucketIcon(canvas, source, resolution = BUCKET_ICON_SIZE) {
+    const { width, height, pixels } = compositeBucketIcon(source, resolution);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUCKET_ICON_SIZE, BUCKET_BODY_MASK, BUCKET_LIQUID_MASK, compositeBucketIcon, drawBucketIcon };
+}
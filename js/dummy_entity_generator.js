@@ -138,3 +138,7 @@ function createDummyEntity(config) {
         render_controller: renderController
     };
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createDummyEntity };
+}
@@ -0,0 +1,453 @@
+/**
+ * @fileoverview A software renderer that previews a fluid before its pack is installed.
+ * It draws the geometry from `FluidGeometryGenerator.createGeometryForLevel` for a small arrangement
+ * of fluid blocks, with the block states the fluid engine would give them, the fluid's still and
+ * flowing textures, its light level and the alpha blending of `render_method: blend`.
+ * Everything is computed on the CPU, so the preview works without a GPU.
+ */
+
+/**
+ * The arrangements the preview can show.
+ *  - `spread`: a source block spreading across a floor, as in the game.
+ *  - `depths`: one block of each depth, to compare their shapes.
+ * @type {string[]}
+ */
+const PREVIEW_SCENES = ['spread', 'depths'];
+
+/** The spread distance of fluids that do not set one, which is also the depth of their source blocks. */
+const PREVIEW_SPREAD_DISTANCE = 7;
+
+/**
+ * The horizontal directions in the order of the fluid engine's `HORIZONTAL_DIRECTIONS`,
+ * which is also the order of the `invisible_*` block states.
+ */
+const PREVIEW_DIRECTIONS = [
+    { dx: 0, dz: -1, face: 'north' },
+    { dx: 1, dz: 0, face: 'east' },
+    { dx: 0, dz: 1, face: 'south' },
+    { dx: -1, dz: 0, face: 'west' },
+];
+
+/** The flow directions in clockwise order starting from north, as in the fluid engine's `FLOW_DIRECTIONS`. */
+const PREVIEW_FLOW_DIRECTIONS = ['n', 'ne', 'e', 'se', 's', 'sw', 'w', 'nw'];
+
+/** The rotation of a flow direction in quarter turns, as in the fluid engine's `flowDirectionToNumber`. */
+const PREVIEW_FLOW_ROTATIONS = { none: 0, s: 0, e: 1, n: 2, w: 3, se: 0, ne: 1, nw: 2, sw: 3 };
+
+/** The outward normal of each face of a cube. */
+const PREVIEW_FACE_NORMALS = {
+    up: [0, 1, 0], down: [0, -1, 0], north: [0, 0, -1], south: [0, 0, 1], east: [1, 0, 0], west: [-1, 0, 0],
+};
+
+/**
+ * @typedef {Object} PreviewCell
+ * @property {number} x The block's position.
+ * @property {number} y
+ * @property {number} z
+ * @property {number} depth The fluid depth, as in the `depth` block state.
+ * @property {number} level The geometry level (1-8) the depth is shown with, see `getFluidGeometryLevel`.
+ */
+
+/**
+ * Creates one of the preview arrangements.
+ * @param {string} name One of `PREVIEW_SCENES`.
+ * @param {number} [spreadDistance=PREVIEW_SPREAD_DISTANCE] How far the `spread` scene's source spreads.
+ * @param {number} [sourceDepth=spreadDistance] The depth of the fluid's source blocks, see `getSourceDepth`.
+ * @returns {{cells: PreviewCell[], floor: {minX: number, maxX: number, minZ: number, maxZ: number}}}
+ *     The fluid blocks, and the area of the floor they stand on.
+ * @throws {Error} If the scene is unknown.
+ */
+function createPreviewScene(name, spreadDistance = PREVIEW_SPREAD_DISTANCE, sourceDepth = spreadDistance) {
+    const getFluidGeometryLevel = resolveFluidGeometryLevel();
+    const cells = [];
+    if (name === 'spread') {
+        // Each block spreads to its neighbors one depth lower, over the spread distance.
+        const reach = spreadDistance - 1;
+        for (let x = -reach; x <= reach; x++) {
+            for (let z = -reach; z <= reach; z++) {
+                const distance = Math.abs(x) + Math.abs(z);
+                if (distance > reach) continue;
+                const depth = sourceDepth - distance;
+                cells.push({ x, y: 0, z, depth, level: getFluidGeometryLevel(depth, sourceDepth) });
+            }
+        }
+        return { cells, floor: { minX: -reach - 1, maxX: reach + 1, minZ: -reach - 1, maxZ: reach + 1 } };
+    }
+    if (name === 'depths') {
+        // Gaps between the blocks keep them from connecting to each other.
+        for (let depth = 1; depth <= 8; depth++) {
+            cells.push({ x: ((depth - 1) % 4) * 2, y: 0, z: Math.floor((depth - 1) / 4) * 2, depth, level: depth });
+        }
+        return { cells, floor: { minX: -1, maxX: 7, minZ: -1, maxZ: 3 } };
+    }
+    throw new Error(`Unknown preview scene "${name}". Use one of: ${PREVIEW_SCENES.join(', ')}.`);
+}
+
+/**
+ * @typedef {Object} PreviewBlockStates
+ * @property {string} direction The flow direction.
+ * @property {{north: number, east: number, south: number, west: number, up: number, down: number}} invisible
+ *     The `invisible_*` states.
+ * @property {string} slope The suffix of the tilted bones the block shows, a key of `SLOPED_SURFACE_TILTS`,
+ *     or an empty string where the top is level, as it always is on flat fluids.
+ */
+
+/**
+ * Works out the block states the fluid engine gives a fluid block, following `fluidUpdate`,
+ * `getHorizontalFlowPermutation` in refactored_scripts/fluids.js, and the tilt sloped fluids show for it.
+ * The preview scenes have no falling fluid.
+ * @param {PreviewCell} cell The block.
+ * @param {(x: number, y: number, z: number) => PreviewCell|undefined} getCell Looks up the fluid block at a position.
+ * @param {boolean} [sloped=false] Whether the fluid has a sloped surface.
+ * @returns {PreviewBlockStates}
+ */
+function getPreviewBlockStates(cell, getCell, sloped = false) {
+    const neighbors = PREVIEW_DIRECTIONS.map(({ dx, dz }) => getCell(cell.x + dx, cell.y, cell.z + dz));
+    const hasFluidBelow = Boolean(getCell(cell.x, cell.y - 1, cell.z));
+
+    // The fluid flows towards shallower neighbors, as in `getFlowDirection`. The floor around the fluid is open.
+    let flowX = 0, flowZ = 0;
+    neighbors.forEach((neighbor, i) => {
+        const drop = cell.depth - (neighbor ? neighbor.depth : 0);
+        flowX += PREVIEW_DIRECTIONS[i].dx * drop;
+        flowZ += PREVIEW_DIRECTIONS[i].dz * drop;
+    });
+    let direction = 'none';
+    if (flowX !== 0 || flowZ !== 0) {
+        direction = PREVIEW_FLOW_DIRECTIONS[(Math.round(Math.atan2(flowX, -flowZ) / (Math.PI / 4)) + 8) % 8];
+    }
+
+    // The block is rotated towards its flow, so each neighbor hides the face that ends up facing it.
+    const invisible = { up: 0, down: +hasFluidBelow };
+    const rotation = PREVIEW_FLOW_ROTATIONS[direction];
+    neighbors.forEach((neighbor, i) => {
+        invisible[PREVIEW_DIRECTIONS[(i + rotation) % 4].face] = neighbor && cell.depth < neighbor.depth ? 2 : 0;
+    });
+
+    // Sloped fluids tilt down the way they flow, see `getBoneVisibility` in js/generator.js.
+    let slope = '';
+    if (sloped && direction !== 'none') slope = direction.length === 2 ? 'sloped_diagonal' : 'sloped';
+    return { direction, invisible, slope };
+}
+
+/**
+ * Returns whether a bone is shown, following the `bone_visibility` that `getBlockJson` generates.
+ * Bones without a rule, like the source block's `north2`, are always shown.
+ * @param {string} bone The bone name.
+ * @param {number} level The fluid's geometry level.
+ * @param {PreviewBlockStates} states The block states.
+ * @returns {boolean}
+ */
+function isPreviewBoneVisible(bone, level, { invisible, slope }) {
+    // Sloped fluids have a copy of the top, side and half bones for each tilt, named after it.
+    const sloped = bone.match(/^((?:up|north|east|south|west)(?:_half)?)_(sloped(?:_diagonal)?)$/);
+    if (sloped) {
+        return slope === sloped[2] && isPreviewBoneVisible(sloped[1], level, { invisible, slope: '' });
+    }
+    // The level copies only show on level fluid.
+    if (/^(up|north|east|south|west)(_half)?$/.test(bone) && slope) return false;
+    if (bone in invisible) return invisible[bone] === 0;
+    const half = bone.match(/^(north|east|south|west)_half$/);
+    if (half && level > 1 && level < 8) return invisible[half[1]] === 1;
+    return true;
+}
+
+/**
+ * Turns the face of a zero-thickness cube into a quad in block space, which runs from 0 to 1 on every axis.
+ * The model's x axis points west, so it is mirrored. The quad starts at the corner where the face's
+ * UV starts, and `u` and `v` run along the texture's width and height.
+ * The cube's x and z rotations are applied; the fluid geometry does not rotate cubes about y.
+ * @param {{origin: number[], size: number[], pivot?: number[], rotation?: number[]}} cube The cube.
+ * @param {string} face The face.
+ * @returns {{origin: number[], u: number[], v: number[], normal: number[]}}
+ */
+function getPreviewFaceQuad(cube, face) {
+    const x0 = 0.5 - (cube.origin[0] + cube.size[0]) / 16, x1 = 0.5 - cube.origin[0] / 16;
+    const y0 = cube.origin[1] / 16, y1 = (cube.origin[1] + cube.size[1]) / 16;
+    const z0 = 0.5 + cube.origin[2] / 16, z1 = 0.5 + (cube.origin[2] + cube.size[2]) / 16;
+    const dx = x1 - x0, dy = y1 - y0, dz = z1 - z0;
+    const quad = {
+        up: { origin: [x0, y1, z0], u: [dx, 0, 0], v: [0, 0, dz] },
+        down: { origin: [x0, y0, z1], u: [dx, 0, 0], v: [0, 0, -dz] },
+        north: { origin: [x1, y1, z0], u: [-dx, 0, 0], v: [0, -dy, 0] },
+        south: { origin: [x0, y1, z1], u: [dx, 0, 0], v: [0, -dy, 0] },
+        east: { origin: [x1, y1, z1], u: [0, 0, -dz], v: [0, -dy, 0] },
+        west: { origin: [x0, y1, z0], u: [0, 0, dz], v: [0, -dy, 0] },
+    }[face];
+    quad.normal = PREVIEW_FACE_NORMALS[face];
+    if (!cube.rotation) return quad;
+
+    // Mirroring the x axis reverses the rotation about z, but not the one about x.
+    const [angleX, , angleZ] = cube.rotation.map(angle => angle * Math.PI / 180);
+    const rotate = ([x, y, z]) => {
+        [y, z] = [y * Math.cos(angleX) - z * Math.sin(angleX), y * Math.sin(angleX) + z * Math.cos(angleX)];
+        return [x * Math.cos(-angleZ) - y * Math.sin(-angleZ), x * Math.sin(-angleZ) + y * Math.cos(-angleZ), z];
+    };
+    const pivot = [0.5 - cube.pivot[0] / 16, cube.pivot[1] / 16, 0.5 + cube.pivot[2] / 16];
+    const origin = rotate(quad.origin.map((value, axis) => value - pivot[axis])).map((value, axis) => value + pivot[axis]);
+    return { origin, u: rotate(quad.u), v: rotate(quad.v), normal: rotate(quad.normal) };
+}
+
+/**
+ * Rotates a vector about the vertical axis, like the `minecraft:transformation` rotation of a block permutation.
+ * @param {number[]} vector The vector.
+ * @param {number} quarterTurns Counterclockwise quarter turns, seen from above.
+ * @returns {number[]}
+ */
+function rotatePreviewVector([x, y, z], quarterTurns) {
+    const angle = quarterTurns * Math.PI / 2;
+    const cos = Math.round(Math.cos(angle)), sin = Math.round(Math.sin(angle));
+    return [x * cos + z * sin, y, -x * sin + z * cos];
+}
+
+/**
+ * Converts a light level to a brightness, with the falloff of Minecraft's light levels.
+ * @param {number} light The light level (0-15).
+ * @returns {number} The brightness, from 0.05 to 1.
+ */
+function getPreviewBrightness(light) {
+    return Math.max(0.05, Math.pow(0.8, 15 - light));
+}
+
+/**
+ * Resolves `FluidGeometryGenerator`, which is a global in the browser and a module in Node.
+ * @returns {typeof FluidGeometryGenerator}
+ */
+function resolveFluidGeometryGenerator() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./geometry_generator.js').FluidGeometryGenerator;
+    }
+    return FluidGeometryGenerator;
+}
+
+/**
+ * Resolves `getFluidGeometryLevel`, which is a global in the browser and a module in Node.
+ * @returns {typeof getFluidGeometryLevel}
+ */
+function resolveFluidGeometryLevel() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./geometry_generator.js').getFluidGeometryLevel;
+    }
+    return getFluidGeometryLevel;
+}
+
+/**
+ * Resolves `shearFlowingStrip` from texture_tools.js, which is a global in the browser and a module in Node.
+ * @returns {typeof shearFlowingStrip}
+ */
+function resolveShearFlowingStrip() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./texture_tools.js').shearFlowingStrip;
+    }
+    return shearFlowingStrip;
+}
+
+/**
+ * Draws a textured parallelogram, blending it over the image by the texture's alpha.
+ * @param {{width: number, height: number, pixels: Uint8ClampedArray}} image The image to draw on.
+ * @param {number[]} corner The screen position of the parallelogram's UV origin, then its edges along the
+ *     texture's width and height, as `[x, y, ux, uy, vx, vy]`.
+ * @param {PreviewTexture} texture The texture.
+ * @param {number} frame The animation frame to draw.
+ * @param {number[]} uv The start and size of the texture area, in texels, as `[u, v, uSize, vSize]`.
+ * @param {number} brightness The brightness to draw at.
+ */
+function fillPreviewQuad({ width, height, pixels }, [px, py, ux, uy, vx, vy], texture, frame, [u0, v0, uSize, vSize], brightness) {
+    const determinant = ux * vy - uy * vx;
+    if (Math.abs(determinant) < 1e-6) return;
+    const left = Math.max(0, Math.floor(Math.min(px, px + ux, px + vx, px + ux + vx)));
+    const right = Math.min(width - 1, Math.ceil(Math.max(px, px + ux, px + vx, px + ux + vx)));
+    const top = Math.max(0, Math.floor(Math.min(py, py + uy, py + vy, py + uy + vy)));
+    const bottom = Math.min(height - 1, Math.ceil(Math.max(py, py + uy, py + vy, py + uy + vy)));
+
+    const size = texture.width, texels = texture.pixels, frameTop = frame * size;
+    for (let y = top; y <= bottom; y++) {
+        for (let x = left; x <= right; x++) {
+            // Invert the projection to find where in the quad this pixel is.
+            const dx = x + 0.5 - px, dy = y + 0.5 - py;
+            const s = (dx * vy - dy * vx) / determinant;
+            const t = (ux * dy - uy * dx) / determinant;
+            if (s < 0 || s >= 1 || t < 0 || t >= 1) continue;
+
+            const tx = Math.min(size - 1, Math.max(0, Math.floor(u0 + s * uSize)));
+            const ty = Math.min(size - 1, Math.max(0, Math.floor(v0 + t * vSize)));
+            const source = ((frameTop + ty) * size + tx) * 4;
+            const alpha = texels[source + 3] / 255;
+            const target = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[target + channel] = texels[source + channel] * brightness * alpha + pixels[target + channel] * (1 - alpha);
+            }
+        }
+    }
+}
+
+/**
+ * @typedef {Object} PreviewTexture
+ * @property {number} width The width of a frame, in pixels.
+ * @property {number} height The height of the whole strip, in pixels.
+ * @property {Uint8Array|Uint8ClampedArray} pixels The RGBA pixels.
+ */
+
+/**
+ * @typedef {Object} PreviewOptions
+ * @property {number} width The width of the image, in pixels.
+ * @property {number} height The height of the image, in pixels.
+ * @property {string} [scene='spread'] One of `PREVIEW_SCENES`.
+ * @property {string} [surface='flat'] The fluid's surface, one of `FLUID_SURFACES`.
+ * @property {number} [spreadDistance=7] How far the fluid spreads in the `spread` scene.
+ * @property {number} [sourceDepth] The depth of the fluid's source blocks. Defaults to the spread distance.
+ * @property {PreviewTexture} still The still texture, a single frame or a strip.
+ * @property {PreviewTexture} [flowing] The flowing texture. Defaults to the still texture.
+ * @property {PreviewTexture} [diagonal] The texture of fluid flowing diagonally. Defaults to the flowing texture
+ *     sheared by `shearFlowingStrip`, as in the pack.
+ * @property {number} [lightLevel=0] The fluid's light level.
+ * @property {number} [ambientLight=15] The light level of the surroundings.
+ * @property {number} [tick=0] The game tick to show the texture animations at.
+ * @property {number} [ticksPerFrame=2] The still texture's animation speed.
+ * @property {number} [flowingTicksPerFrame=1] The flowing texture's animation speed.
+ */
+
+/**
+ * Renders a preview of a fluid.
+ * The camera looks down at the scene from the south-east, and faces are one-sided, as in the game.
+ * @param {PreviewOptions} options The preview to render.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ */
+function renderFluidPreview(options) {
+    const {
+        width, height, scene = 'spread', surface = 'flat', spreadDistance = PREVIEW_SPREAD_DISTANCE,
+        sourceDepth = spreadDistance, still, flowing = still, lightLevel = 0, ambientLight = 15,
+        tick = 0, ticksPerFrame = 2, flowingTicksPerFrame = 1,
+    } = options;
+    const diagonal = options.diagonal || resolveShearFlowingStrip()(flowing);
+    const { cells, floor } = createPreviewScene(scene, spreadDistance, sourceDepth);
+    const cellMap = new Map(cells.map(cell => [`${cell.x},${cell.y},${cell.z}`, cell]));
+    const getCell = (x, y, z) => cellMap.get(`${x},${y},${z}`);
+
+    // Light spreads from the fluid, losing a level per block.
+    const getLight = (x, y, z) => cells.reduce((light, cell) =>
+        Math.max(light, lightLevel - Math.abs(cell.x - x) - Math.abs(cell.y - y) - Math.abs(cell.z - z)), ambientLight);
+
+    const frameOf = (texture, speed) => Math.floor(tick / speed) % Math.max(1, Math.floor(texture.height / texture.width));
+    const frames = {
+        still: frameOf(still, ticksPerFrame),
+        flowing: frameOf(flowing, flowingTicksPerFrame),
+        diagonal: frameOf(diagonal, flowingTicksPerFrame),
+    };
+    const textures = { still, flowing, diagonal };
+
+    // --- Collect the quads: the floor, then every visible face of every fluid block ---
+    const resolution = still.width;
+    const floorUv = { uv: [0, 0], uv_size: [resolution, resolution] };
+    const quads = [];
+    for (let x = floor.minX; x <= floor.maxX; x++) {
+        for (let z = floor.minZ; z <= floor.maxZ; z++) {
+            const shade = (x + z) % 2 === 0 ? 118 : 104;
+            quads.push({
+                origin: [x, 0, z], u: [1, 0, 0], v: [0, 0, 1], normal: [0, 1, 0], uv: floorUv,
+                texture: { width: 1, height: 1, pixels: new Uint8ClampedArray([shade, shade, shade + 6, 255]) },
+                frame: 0, brightness: getPreviewBrightness(getLight(x, 0, z)), floor: true,
+            });
+        }
+    }
+
+    const generator = new (resolveFluidGeometryGenerator())(resolution, surface);
+    const geometries = {};
+    const brightness = getPreviewBrightness(Math.max(lightLevel, ambientLight));
+    for (const cell of cells) {
+        const geometry = geometries[cell.level] || (geometries[cell.level] = generator.createGeometryForLevel(cell.level));
+        const states = getPreviewBlockStates(cell, getCell, surface === 'sloped');
+        const { direction } = states;
+        const rotation = PREVIEW_FLOW_ROTATIONS[direction];
+        // Only a source block that is not flowing has the still texture on top, as in `getBlockJson`.
+        let upTexture = direction.length === 2 ? 'diagonal' : 'flowing';
+        if (direction === 'none' && cell.level === 7) upTexture = 'still';
+
+        for (const bone of geometry.bones) {
+            if (!bone.cubes || !isPreviewBoneVisible(bone.name, cell.level, states)) continue;
+            for (const cube of bone.cubes) {
+                for (const face in cube.uv) {
+                    const quad = getPreviewFaceQuad(cube, face);
+                    const centered = [quad.origin[0] - 0.5, quad.origin[1], quad.origin[2] - 0.5];
+                    const [ox, oy, oz] = rotatePreviewVector(centered, rotation);
+                    quads.push({
+                        origin: [cell.x + 0.5 + ox, cell.y + oy, cell.z + 0.5 + oz],
+                        u: rotatePreviewVector(quad.u, rotation),
+                        v: rotatePreviewVector(quad.v, rotation),
+                        normal: rotatePreviewVector(quad.normal, rotation),
+                        uv: cube.uv[face],
+                        texture: face === 'up' ? textures[upTexture] : still,
+                        frame: face === 'up' ? frames[upTexture] : frames.still,
+                        brightness,
+                    });
+                }
+            }
+        }
+    }
+
+    // --- Project the quads with an orthographic camera ---
+    const yaw = Math.PI / 4, pitch = Math.PI / 5;
+    const forward = [-Math.cos(pitch) * Math.sin(yaw), -Math.sin(pitch), -Math.cos(pitch) * Math.cos(yaw)];
+    const right = [Math.cos(yaw), 0, -Math.sin(yaw)];
+    const up = [
+        right[1] * forward[2] - right[2] * forward[1],
+        right[2] * forward[0] - right[0] * forward[2],
+        right[0] * forward[1] - right[1] * forward[0],
+    ];
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+
+    const visible = quads.filter(quad => dot(quad.normal, forward) < 0);
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (const quad of visible) {
+        const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([s, t]) =>
+            [0, 1, 2].map(axis => quad.origin[axis] + s * quad.u[axis] + t * quad.v[axis]));
+        for (const corner of corners) {
+            const sx = dot(corner, right), sy = -dot(corner, up);
+            minX = Math.min(minX, sx); maxX = Math.max(maxX, sx);
+            minY = Math.min(minY, sy); maxY = Math.max(maxY, sy);
+        }
+        const center = [0, 1, 2].map(axis => quad.origin[axis] + (quad.u[axis] + quad.v[axis]) / 2);
+        quad.depth = dot(center, forward);
+    }
+    const margin = 8;
+    const scale = Math.min((width - 2 * margin) / (maxX - minX), (height - 2 * margin) / (maxY - minY));
+    const offsetX = (width - (maxX - minX) * scale) / 2 - minX * scale;
+    const offsetY = (height - (maxY - minY) * scale) / 2 - minY * scale;
+    const toScreen = (point) => [dot(point, right) * scale + offsetX, -dot(point, up) * scale + offsetY];
+
+    // --- Draw back to front, blending the translucent fluid over what is behind it ---
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    const sky = Math.round(40 * getPreviewBrightness(ambientLight)) + 16;
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels[i] = pixels[i + 1] = sky;
+        pixels[i + 2] = sky + 8;
+        pixels[i + 3] = 255;
+    }
+
+    visible.sort((a, b) => (b.floor === true) - (a.floor === true) || b.depth - a.depth);
+    const image = { width, height, pixels };
+    for (const quad of visible) {
+        const [px, py] = toScreen(quad.origin);
+        const [ux, uy] = toScreen(quad.u.map((value, axis) => value + quad.origin[axis]));
+        const [vx, vy] = toScreen(quad.v.map((value, axis) => value + quad.origin[axis]));
+        // UVs are in texture pixels at the geometry's resolution, and may run backwards.
+        const toTexels = value => value / resolution * quad.texture.width;
+        fillPreviewQuad(image, [px, py, ux - px, uy - py, vx - px, vy - py], quad.texture, quad.frame,
+            [...quad.uv.uv.map(toTexels), ...quad.uv.uv_size.map(toTexels)], quad.brightness);
+    }
+    return { width, height, pixels };
+}
+
+/**
+ * Draws a fluid preview on a canvas, at the canvas's size. Only works in the browser.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @param {PreviewOptions} options The preview to render. `width` and `height` are taken from the canvas.
+ */
+function drawFluidPreview(canvas, options) {
+    const { width, height, pixels } = renderFluidPreview({ ...options, width: canvas.width, height: canvas.height });
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PREVIEW_SCENES, createPreviewScene, getPreviewBlockStates, renderFluidPreview, drawFluidPreview };
+}
@@ -5,13 +5,14 @@
 class FogGenerator {
     /**
      * @param {string} identifier The identifier for the fog setting (e.g., 'lumstudio:custom_fog').
+     * @param {string} [formatVersion='1.16.100'] The format version of the fog file.
      */
-    constructor(identifier) {
+    constructor(identifier, formatVersion = "1.16.100") {
         if (!identifier) {
             throw new Error('Fog identifier is required.');
         }
         this.fog = {
-            "format_version": "1.16.100",
+            "format_version": formatVersion,
             "minecraft:fog_settings": {
                 "description": {
                     "identifier": identifier
@@ -41,6 +42,47 @@ class FogGenerator {
         return this;
     }
 
+    /**
+     * Sets a uniform volumetric fog density for a medium.
+     * @param {string} medium The medium for the fog (e.g., 'air', 'water').
+     * @param {number} maxDensity The density of the fog, from 0 (none) to 1 (opaque).
+     * @returns {FogGenerator} The current instance for chaining.
+     */
+    setVolumetricDensity(medium, maxDensity) {
+        this.getVolumetric().density = this.getVolumetric().density || {};
+        this.getVolumetric().density[medium] = {
+            "max_density": maxDensity,
+            "uniform": true
+        };
+        return this;
+    }
+
+    /**
+     * Sets how much light a medium scatters and absorbs for volumetric fog.
+     * @param {string} medium The medium (e.g., 'air', 'water').
+     * @param {number[]} scattering The red, green and blue scattering coefficients.
+     * @param {number[]} absorption The red, green and blue absorption coefficients.
+     * @returns {FogGenerator} The current instance for chaining.
+     */
+    setMediaCoefficients(medium, scattering, absorption) {
+        this.getVolumetric().media_coefficients = this.getVolumetric().media_coefficients || {};
+        this.getVolumetric().media_coefficients[medium] = {
+            "scattering": scattering,
+            "absorption": absorption
+        };
+        return this;
+    }
+
+    /**
+     * Returns the volumetric settings, adding them on first use so fogs without any stay as small as before.
+     * @returns {object}
+     */
+    getVolumetric() {
+        const settings = this.fog["minecraft:fog_settings"];
+        settings.volumetric = settings.volumetric || {};
+        return settings.volumetric;
+    }
+
     /**
      * Builds and returns the final fog JSON object.
      * @returns {object} The complete fog settings JSON.
@@ -49,3 +91,105 @@ class FogGenerator {
         return this.fog;
     }
 }
+
+/**
+ * The mediums a fluid's fog can set, in the order they are written, and which volumetric settings each supports.
+ * @type {Object.<string, {density: boolean, coefficients: boolean}>}
+ */
+const FOG_MEDIUMS = {
+    air: { density: true, coefficients: true },
+    weather: { density: true, coefficients: false },
+    water: { density: true, coefficients: true },
+    lava: { density: true, coefficients: false },
+    powder_snow: { density: false, coefficients: false },
+};
+
+/**
+ * How a medium's fog start and end are measured: in blocks (`fixed`) or as a fraction of the render distance (`render`).
+ * @type {string[]}
+ */
+const FOG_RENDER_DISTANCE_TYPES = ['fixed', 'render'];
+
+/**
+ * The fog settings of one medium.
+ * @typedef {object} FogMediumSettings
+ * @property {number} start The distance the fog starts at.
+ * @property {number} end The distance the fog is thickest at.
+ * @property {string} renderDistanceType One of `FOG_RENDER_DISTANCE_TYPES`.
+ * @property {number} [density] The volumetric density, from 0 to 1.
+ * @property {number|number[]} [scattering] The volumetric scattering coefficient, or one per color channel.
+ * @property {number|number[]} [absorption] The volumetric absorption coefficient, or one per color channel.
+ */
+
+/**
+ * The settings a medium starts with when a fluid's fog leaves some of them out.
+ * @type {FogMediumSettings}
+ */
+const DEFAULT_FOG_MEDIUM = { start: 0, end: 15, renderDistanceType: 'fixed' };
+
+/**
+ * The fog of a fluid without fog settings: a hard 15-block fog in the air and in weather.
+ * @type {Object.<string, FogMediumSettings>}
+ */
+const DEFAULT_FOG_SETTINGS = { air: DEFAULT_FOG_MEDIUM, weather: DEFAULT_FOG_MEDIUM };
+
+/**
+ * Creates the fog file of a fluid.
+ * @param {string} identifier The identifier of the fog.
+ * @param {string} color The hex color of the fog in every medium.
+ * @param {Object.<string, FogMediumSettings>} [settings=DEFAULT_FOG_SETTINGS] The settings of each medium the fog sets.
+ * @param {string} [formatVersion] The format version of the fog file.
+ * @returns {object} The fog settings JSON.
+ */
+function createFluidFog(identifier, color, settings = DEFAULT_FOG_SETTINGS, formatVersion) {
+    const toRgb = (coefficient = 0) => Array.isArray(coefficient) ? coefficient : [coefficient, coefficient, coefficient];
+    const generator = new FogGenerator(identifier, formatVersion);
+    for (const medium of Object.keys(FOG_MEDIUMS)) {
+        const mediumSettings = settings[medium];
+        if (!mediumSettings) continue;
+        generator.setDistance(medium, mediumSettings.start, mediumSettings.end, color, mediumSettings.renderDistanceType);
+        if (mediumSettings.density !== undefined) {
+            generator.setVolumetricDensity(medium, mediumSettings.density);
+        }
+        if (mediumSettings.scattering !== undefined || mediumSettings.absorption !== undefined) {
+            generator.setMediaCoefficients(medium, toRgb(mediumSettings.scattering), toRgb(mediumSettings.absorption));
+        }
+    }
+    return generator.build();
+}
+
+/**
+ * Reads the settings of each medium back from a fog file, undoing `createFluidFog`.
+ * Coefficients that are equal in every channel are read as a single number.
+ * @param {object} fogJson The fog settings JSON.
+ * @returns {Object.<string, FogMediumSettings>}
+ */
+function readFluidFogSettings(fogJson) {
+    const fogSettings = fogJson?.["minecraft:fog_settings"] || {};
+    const volumetric = fogSettings.volumetric || {};
+    const fromRgb = (rgb) => Array.isArray(rgb) && rgb.every(channel => channel === rgb[0]) ? rgb[0] : rgb;
+    const settings = {};
+    for (const [medium, distance] of Object.entries(fogSettings.distance || {})) {
+        const mediumSettings = {
+            start: distance.fog_start,
+            end: distance.fog_end,
+            renderDistanceType: distance.render_distance_type,
+        };
+        const density = volumetric.density?.[medium];
+        if (density) mediumSettings.density = density.max_density;
+        const coefficients = volumetric.media_coefficients?.[medium];
+        if (coefficients) {
+            mediumSettings.scattering = fromRgb(coefficients.scattering);
+            mediumSettings.absorption = fromRgb(coefficients.absorption);
+        }
+        settings[medium] = mediumSettings;
+    }
+    return settings;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FogGenerator, FOG_MEDIUMS, FOG_RENDER_DISTANCE_TYPES, DEFAULT_FOG_MEDIUM, DEFAULT_FOG_SETTINGS,
+        createFluidFog, readFluidFogSettings,
+    };
+}
@@ -1,43 +1,283 @@
 // --- CORE GENERATOR FUNCTIONS ---
 
 /**
- * Generates the content for the dynamic registry.js file.
- * @param {object} config The fluid configuration from the user.
- * @returns {string} The string content of the registry.js file.
+ * The namespace used for block states, the pickup entity and fogs when the user does not choose one.
+ * @type {string}
  */
-function getRegistryScript(config) {
-    const fluidId = config.id;
-    const registry = {
-        [fluidId]: {
-            damage: config.damage,
-            fog: config.fogColor.substring(1), 
-            buoyancy: config.buoyancy,
-            tick_delay: config.tickDelay,
-            boat: config.supportsBoats,
+const DEFAULT_NAMESPACE = 'lumstudio';
+
+/**
+ * The values of a fluid's `direction` state: the way the fluid moves, or `none` for still fluid.
+ * Must match `FLOW_DIRECTIONS` in refactored_scripts/fluids.js.
+ * @type {string[]}
+ */
+const FLOW_DIRECTIONS = ["none", "n", "ne", "e", "se", "s", "sw", "w", "nw"];
+
+/**
+ * How many quarter turns about the vertical axis each flow direction rotates a fluid block by.
+ * Unrotated, the flowing texture runs south and the diagonal one south-east, and each quarter turn
+ * turns them a quarter counterclockwise (seen from above). Must match `flowDirectionToNumber` in refactored_scripts/fluids.js.
+ * @type {Object.<string, number>}
+ */
+const FLOW_DIRECTION_QUARTER_TURNS = {
+    "none": 0,
+    "s": 0, "e": 1, "n": 2, "w": 3,
+    "se": 0, "ne": 1, "nw": 2, "sw": 3,
+};
+
+/**
+ * How far a fluid spreads when it does not set a `spreadDistance`: the depth of its source blocks, which spread down
+ * to depth 1, like vanilla water. Must match `DEFAULT_SPREAD_DISTANCE` in refactored_scripts/fluids.js.
+ * @type {number}
+ */
+const DEFAULT_SPREAD_DISTANCE = 7;
+
+/**
+ * The longest spread distance. The `depth` state holds one more value for falling fluid, and a block state
+ * can have at most 16 values.
+ * @type {number}
+ */
+const MAX_SPREAD_DISTANCE = 15;
+
+/**
+ * The farthest a fluid can look for drops to flow towards, in blocks. Vanilla water looks 4 blocks away.
+ * @type {number}
+ */
+const MAX_DROP_SEARCH_RADIUS = 8;
+
+/**
+ * How a fluid's source blocks renew: `none` never makes new sources, `infinite` makes one between two sources over
+ * solid ground or another source, like water, and `finite` keeps the fluid's total volume and lets it level out.
+ * @type {string[]}
+ */
+const FLUID_SOURCE_MODES = ['none', 'infinite', 'finite'];
+
+/**
+ * The dimensions a fluid can have its own flow rules in, as named by `Dimension.id`.
+ * @type {string[]}
+ */
+const FLUID_DIMENSIONS = ['minecraft:overworld', 'minecraft:nether', 'minecraft:the_end'];
+
+/**
+ * Returns the depth of a fluid's source blocks: its longest spread distance in any dimension.
+ * In dimensions where it spreads less, its flow stops at a higher depth. Must match `getSourceDepth`
+ * in refactored_scripts/fluids.js.
+ * @param {object} config The fluid configuration.
+ * @returns {number}
+ */
+function getSourceDepth(config) {
+    const spreads = Object.values(config.dimensions || {})
+        .map(rules => rules.spreadDistance)
+        .filter(spread => spread !== undefined);
+    return Math.max(config.spreadDistance ?? DEFAULT_SPREAD_DISTANCE, ...spreads);
+}
+
+/**
+ * The moments a fluid can play a sound at: filling a bucket from it, emptying a bucket into it, an entity entering it,
+ * a player swimming in it, and its ambient bubbling. Must match the sounds played in refactored_scripts/fluids.js.
+ * @type {string[]}
+ */
+const FLUID_SOUND_KINDS = ['fill', 'empty', 'enter', 'swim', 'ambient'];
+
+/**
+ * What a fluid does when one of its blocks meets another fluid: turn into a block (like lava into obsidian),
+ * refuse to flow into it, or flow into it and replace it. Must match `findInteraction` in refactored_scripts/fluids.js.
+ * @type {string[]}
+ */
+const FLUID_INTERACTION_ACTIONS = ['block', 'stop', 'consume'];
+
+/**
+ * Which of a fluid's blocks an interaction rule applies to: source blocks, flowing blocks, or both.
+ * @type {string[]}
+ */
+const FLUID_INTERACTION_FORMS = ['any', 'source', 'flow'];
+
+/**
+ * The events of a fluid block's sound set in RP/sounds.json, and the fluid sound each one plays: placing and breaking
+ * the block sound like emptying and filling a bucket, and entities falling into and moving through it like entering
+ * and swimming. The fluid engine plays the sounds at the moments it handles itself, like bucket use.
+ * @type {{block_sounds: Object.<string, string>, interactive_sounds: Object.<string, string>}}
+ */
+const FLUID_BLOCK_SOUND_EVENTS = {
+    block_sounds: { place: 'empty', break: 'fill' },
+    interactive_sounds: { fall: 'enter', step: 'swim' },
+};
+
+/**
+ * Returns the sound event a fluid plays for one of its sounds: the vanilla event it picked,
+ * or the event the generator defines for its uploaded .ogg file.
+ * @param {object} config The fluid configuration.
+ * @param {string} kind One of `FLUID_SOUND_KINDS`.
+ * @returns {string}
+ */
+function getSoundEventName(config, kind) {
+    return config.sounds[kind].event || `fluid.${config.id.replace(':', '_')}.${kind}`;
+}
+
+/**
+ * Returns the name of a fluid block's sound set, which RP/blocks.json assigns to the block.
+ * @param {object} config The fluid configuration.
+ * @returns {string}
+ */
+function getBlockSoundSetName(config) {
+    return `fluid.${config.id.replace(':', '_')}`;
+}
+
+/**
+ * Creates a fluid block's sound sets for RP/sounds.json from its sounds, see `FLUID_BLOCK_SOUND_EVENTS`.
+ * @param {object} config The fluid configuration.
+ * @returns {{block_sounds?: object, interactive_sounds?: object}} The block and interactive sound sets, each left out
+ *     when the fluid has none of its sounds.
+ */
+function getBlockSoundSets(config) {
+    const soundSets = {};
+    for (const [group, events] of Object.entries(FLUID_BLOCK_SOUND_EVENTS)) {
+        const soundSet = { events: {} };
+        for (const [event, kind] of Object.entries(events)) {
+            if (!config.sounds?.[kind]) continue;
+            const { volume = 1, pitch = 1 } = config.sounds[kind];
+            soundSet.events[event] = { sound: getSoundEventName(config, kind), volume, pitch };
         }
+        if (Object.keys(soundSet.events).length > 0) soundSets[group] = soundSet;
+    }
+    return soundSets;
+}
+
+/**
+ * Returns the name of a fluid's fog file, which the runtime turns into the fog ID `<namespace>:<name>_fog`.
+ * Fluids with the default fog share one fog per color; a fluid with its own `fog` settings gets its own fog.
+ * @param {object} config The fluid configuration.
+ * @returns {string} The fog color without the `#`, followed by the fluid's ID when it has fog settings.
+ */
+function getFogName(config) {
+    const hexColor = config.fogColor.substring(1);
+    return config.fog ? `${hexColor}_${config.id.replace(':', '_')}` : hexColor;
+}
+
+/**
+ * Creates a fluid's entry in the FluidRegistry of the runtime scripts.
+ * @param {object} config The fluid configuration.
+ * @returns {object} The registry entry.
+ */
+function getRegistryEntry(config) {
+    const entry = {
+        damage: config.damage,
+        fog: getFogName(config),
+        buoyancy: config.buoyancy,
+        tick_delay: config.tickDelay,
+        boat: config.supportsBoats,
     };
 
     if (config.burnsEntities) {
-        registry[fluidId].burnTime = 5; // Default burn time of 5 seconds
+        entry.burnTime = 5; // Default burn time of 5 seconds
     }
 
     if (config.effect && config.effect !== "") {
-        registry[fluidId].effect = config.effect;
+        entry.effect = config.effect;
+    }
+
+    if (config.sounds) {
+        entry.sounds = {};
+        for (const kind of FLUID_SOUND_KINDS) {
+            if (!config.sounds[kind]) continue;
+            const { volume = 1, pitch = 1 } = config.sounds[kind];
+            entry.sounds[kind] = { id: getSoundEventName(config, kind), volume, pitch };
+        }
+    }
+
+    if (config.interactions && config.interactions.length > 0) {
+        entry.interactions = config.interactions;
     }
 
-    return `export const FluidRegistry = ${JSON.stringify(registry, null, 2)};`;
+    if (config.spreadDistance !== undefined && config.spreadDistance !== DEFAULT_SPREAD_DISTANCE) {
+        entry.spread = config.spreadDistance;
+    }
+
+    // Tells the engine to spread only towards the nearest drop within this many blocks, like vanilla water.
+    if (config.dropSearchRadius > 0) {
+        entry.drop_search = config.dropSearchRadius;
+    }
+
+    if (config.sourceMode && config.sourceMode !== 'none') {
+        entry.source_mode = config.sourceMode;
+    }
+
+    if (config.dimensions) {
+        entry.dimensions = {};
+        for (const dimension of Object.keys(config.dimensions)) {
+            const { spreadDistance, tickDelay, evaporates } = config.dimensions[dimension];
+            entry.dimensions[dimension] = {
+                ...(spreadDistance !== undefined && { spread: spreadDistance }),
+                ...(tickDelay !== undefined && { tick_delay: tickDelay }),
+                ...(evaporates && { evaporate: true }),
+            };
+        }
+    }
+
+    return entry;
+}
+
+/**
+ * Generates the content for the dynamic registry.js file.
+ * @param {object|object[]} configs The fluid configuration(s) from the user. Every fluid gets its own registry entry.
+ * @param {string} [namespace=DEFAULT_NAMESPACE] The pack namespace, exported for the runtime scripts.
+ * @param {string} [packUuid] The UUID of the behavior pack, exported for the runtime scripts to tell the entities
+ *     they spawn from those of other packs.
+ * @returns {string} The string content of the registry.js file.
+ */
+function getRegistryScript(configs, namespace = DEFAULT_NAMESPACE, packUuid = '') {
+    const fluids = Array.isArray(configs) ? configs : [configs];
+    const registry = {};
+    for (const config of fluids) {
+        registry[config.id] = getRegistryEntry(config);
+    }
+
+    return `export const FLUID_NAMESPACE = ${JSON.stringify(namespace)};\n` +
+        `export const PACK_UUID = ${JSON.stringify(packUuid)};\n\n` +
+        `export const FluidRegistry = ${JSON.stringify(registry, null, 2)};`;
 }
 
-function getManifestJson(packName, packDesc, type, rpUuid) {
-    const headerUuid = uuid.v4();
+/**
+ * The UUIDv5 namespace used to derive manifest UUIDs from a pack seed.
+ * This must never change, or every regenerated pack would install as a brand-new pack.
+ * @type {string}
+ */
+const MANIFEST_UUID_NAMESPACE = 'de20bee3-0035-498e-8d93-80353fd28f84';
+
+/**
+ * Creates the manifest for the behavior or resource pack.
+ *
+ * With a seed, every UUID is derived from it with UUIDv5, so regenerating the same project
+ * produces the same UUIDs and Minecraft upgrades the installed pack instead of adding a copy.
+ * Without a seed, random UUIDs are used.
+ *
+ * @param {string} packName The pack name shown in Minecraft.
+ * @param {string} packDesc The pack description shown in Minecraft.
+ * @param {'resources'|'behaviors'} type Which pack the manifest is for.
+ * @param {string} [rpUuid] The resource pack's header UUID, which the behavior pack depends on.
+ * @param {object} [options]
+ * @param {string} [options.seed] The seed to derive the UUIDs from.
+ * @param {number[]} [options.version=[1, 0, 0]] The pack version, used for the header, modules and RP dependency.
+ * @param {MinecraftTarget} options.target The Minecraft release, which sets the engine and script module versions.
+ * @param {string} [options.entry='scripts/main.js'] The behavior pack's script entry point.
+ * @param {Array<{uuid: string, version: number[]}>} [options.dependencies] Other packs the behavior pack requires.
+ * @returns {object}
+ */
+function getManifestJson(packName, packDesc, type, rpUuid, options) {
+    // The uuid library is a global in the browser and a module in Node.
+    const { v4, v5 } = typeof uuid !== 'undefined' ? uuid : require('uuid');
+    const makeUuid = (part) => options.seed ? v5(`${options.seed}/${type}/${part}`, MANIFEST_UUID_NAMESPACE) : v4();
+    const version = options.version || [1, 0, 0];
+
+    const headerUuid = makeUuid('header');
     const base = {
         format_version: 2,
         header: {
             name: packName,
             description: packDesc,
             uuid: headerUuid,
-            version: [1, 0, 0],
-            min_engine_version: [1, 20, 60]
+            version: version,
+            min_engine_version: options.target.minEngineVersion
         },
         modules: []
     };
@@ -46,54 +286,120 @@ function getManifestJson(packName, packDesc, type, rpUuid) {
         base.modules.push({
             description: "Resources",
             type: "resources",
-            uuid: uuid.v4(),
-            version: [1, 0, 0]
+            uuid: makeUuid('resources'),
+            version: version
         });
     } else { // Behavior Pack
         base.modules.push({
             description: "Data",
             type: "data",
-            uuid: uuid.v4(),
-            version: [1, 0, 0]
+            uuid: makeUuid('data'),
+            version: version
         });
         base.modules.push({
             description: "Scripts",
             type: "script",
             language: "javascript",
-            uuid: uuid.v4(),
-            version: [1, 0, 0],
-            entry: "scripts/main.js"
+            uuid: makeUuid('script'),
+            version: version,
+            entry: options.entry || "scripts/main.js"
         });
         base.dependencies = [
             {
                 "module_name": "@minecraft/server",
-                "version": "2.0.0"
+                "version": options.target.serverModule
             },
             {
                 "module_name": "@minecraft/server-ui",
-                "version": "2.0.0"
+                "version": options.target.serverUiModule
             },
             {
                 "uuid": rpUuid,
-                "version": [1, 0, 0]
-            }
+                "version": version
+            },
+            ...(options.dependencies || [])
         ];
     }
     return base;
 }
 
+/**
+ * Resolves `getFluidGeometryIdentifier`, `getFluidGeometryLevel` and `getCustomGeometryIdentifier`, which are
+ * globals in the browser and a module in Node.
+ * @returns {{getFluidGeometryIdentifier: Function, getFluidGeometryLevel: Function, getCustomGeometryIdentifier: Function}}
+ */
+function resolveGeometryIdentifiers() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./geometry_generator.js');
+    }
+    return { getFluidGeometryIdentifier, getFluidGeometryLevel, getCustomGeometryIdentifier };
+}
+
+/**
+ * Creates the `bone_visibility` of a fluid block, which shows and hides the bones of its geometry by its block states.
+ * Its keys are the bones every fluid geometry, generated or custom, must define.
+ * @param {number} level The fluid's geometry level (1-8), see `getFluidGeometryLevel`.
+ * @param {string} [surface='flat'] One of `FLUID_SURFACES`.
+ * @param {string} [namespace=DEFAULT_NAMESPACE] The namespace of the block states.
+ * @returns {Object.<string, string>} The Molang condition of each bone.
+ */
+function getBoneVisibility(level, surface = 'flat', namespace = DEFAULT_NAMESPACE) {
+    const state = (name) => `${namespace}:${name}`;
+    const boneVisibility = {
+        "up": `q.block_state('${state("invisible_up")}') == 0`,
+        "down": `q.block_state('${state("invisible_down")}') == 0`,
+        "north": `q.block_state('${state("invisible_north")}') == 0`,
+        "east": `q.block_state('${state("invisible_east")}') == 0`,
+        "west": `q.block_state('${state("invisible_west")}') == 0`,
+        "south": `q.block_state('${state("invisible_south")}') == 0`
+    };
+
+    // The "half" bones only exist on fluid levels 2-7, so only add visibility rules for them then.
+    if (level > 1 && level < 8) {
+        boneVisibility["north_half"] = `q.block_state('${state("invisible_north")}') == 1`;
+        boneVisibility["east_half"] = `q.block_state('${state("invisible_east")}') == 1`;
+        boneVisibility["west_half"] = `q.block_state('${state("invisible_west")}') == 1`;
+        boneVisibility["south_half"] = `q.block_state('${state("invisible_south")}') == 1`;
+    }
+
+    // A sloped surface tilts down the way the fluid flows, so flowing blocks show the top and side bones that fall
+    // to the south or, for diagonal flows, to the south-east; the block is rotated towards its flow. Still blocks
+    // and falling ones, which are full, keep the regular bones. The suffixes match `SLOPED_SURFACE_TILTS`.
+    if (surface === 'sloped') {
+        const direction = `q.block_state('${state("direction")}')`;
+        const isLevel = `(${direction} == 'none' || q.block_state('${state("invisible_up")}') == 1)`;
+        const isDiagonal = FLOW_DIRECTIONS.filter(dir => dir.length === 2).map(dir => `${direction} == '${dir}'`).join(' || ');
+        const levelBones = Object.keys(boneVisibility).filter(bone => bone !== "down");
+        for (const bone of levelBones) {
+            boneVisibility[`${bone}_sloped`] = `${boneVisibility[bone]} && !${isLevel} && !(${isDiagonal})`;
+            boneVisibility[`${bone}_sloped_diagonal`] = `${boneVisibility[bone]} && !${isLevel} && (${isDiagonal})`;
+            boneVisibility[bone] = `${boneVisibility[bone]} && ${isLevel}`;
+        }
+    }
+    return boneVisibility;
+}
+
 /**
  * Creates the JSON for the fluid's block definition file based on the whatever.json template.
  * @param {object} config The fluid configuration from the frontend.
+ * @param {string} namespace The namespace of the block states.
+ * @param {MinecraftTarget} target The Minecraft release, which sets the format version.
+ * @param {number} [resolution=16] The width of the fluid's texture frames, which selects the geometry.
  * @returns {object}
  */
-function getBlockJson(config) {
+function getBlockJson(config, namespace, target, resolution = 16) {
+    const { getFluidGeometryIdentifier, getFluidGeometryLevel, getCustomGeometryIdentifier } = resolveGeometryIdentifiers();
+    const sourceDepth = getSourceDepth(config);
+    // One depth for each step of the spread, plus one for falling fluid.
+    const depths = Array.from({ length: sourceDepth + 1 }, (_, i) => i + 1);
     const fluidId = config.id;
+    const state = (name) => `${namespace}:${name}`;
     const textureName = fluidId.replace(':', '_');
     const flowingTexture = `flowing_${textureName}`;
+    const diagonalTexture = `flowing_diagonal_${textureName}`;
 
     const template = {
-      "format_version": "1.21.40",
+      "format_version": target.blockFormat,
       "minecraft:block": {
         "description": {
           "identifier": fluidId,
@@ -101,14 +407,14 @@ function getBlockJson(config) {
             "category": "none"
           },
           "states": {
-            "lumstudio:invisible_east": [0,1,2],
-            "lumstudio:invisible_west": [0,1,2],
-            "lumstudio:invisible_north": [0,1,2],
-            "lumstudio:invisible_south": [0,1,2],
-            "lumstudio:invisible_up": [0,1],
-            "lumstudio:invisible_down": [0,1],
-            "lumstudio:depth": [1, 2, 3, 4, 5, 6, 7, 8],
-            "lumstudio:direction": ["none","s","n","e","w","ns","ne","se","sw"]
+            [state("invisible_east")]: [0,1,2],
+            [state("invisible_west")]: [0,1,2],
+            [state("invisible_north")]: [0,1,2],
+            [state("invisible_south")]: [0,1,2],
+            [state("invisible_up")]: [0,1],
+            [state("invisible_down")]: [0,1],
+            [state("depth")]: depths,
+            [state("direction")]: FLOW_DIRECTIONS
           }
         },
         "components": {
@@ -136,44 +442,20 @@ function getBlockJson(config) {
         template["minecraft:block"].components["minecraft:light_emission"] = config.lightLevel;
     }
 
-    const directions = ["none", "s", "n", "e", "w", "ns", "ne", "se", "sw"];
-    const rotations = {
-        "e": [0, 90, 0],
-        "s": [0, 180, 0],
-        "w": [0, -90, 0],
-        "ne": [0, 180, 0],
-        "se": [0, 90, 0],
-        "nw": [0, -90, 0]
-    };
-
-    for (let depth = 1; depth <= 8; depth++) {
-        for (const dir of directions) {
-            const geoLevel = depth === 8 ? 8 : depth;
-            const upTexture = (dir === "none" && depth === 7) ? textureName : flowingTexture;
-
-            const boneVisibility = {
-                "up": "q.block_state('lumstudio:invisible_up') == 0",
-                "down": "q.block_state('lumstudio:invisible_down') == 0",
-                "north": "q.block_state('lumstudio:invisible_north') == 0",
-                "east": "q.block_state('lumstudio:invisible_east') == 0",
-                "west": "q.block_state('lumstudio:invisible_west') == 0",
-                "south": "q.block_state('lumstudio:invisible_south') == 0"
-            };
-
-            // The "half" bones only exist on fluid levels 2-7, so only add visibility rules for them then.
-            if (depth > 1 && depth < 8) {
-                boneVisibility["north_half"] = "q.block_state('lumstudio:invisible_north') == 1";
-                boneVisibility["east_half"] = "q.block_state('lumstudio:invisible_east') == 1";
-                boneVisibility["west_half"] = "q.block_state('lumstudio:invisible_west') == 1";
-                boneVisibility["south_half"] = "q.block_state('lumstudio:invisible_south') == 1";
-            }
+    for (const depth of depths) {
+        for (const dir of FLOW_DIRECTIONS) {
+            const geoLevel = getFluidGeometryLevel(depth, sourceDepth);
+            let upTexture = dir.length === 2 ? diagonalTexture : flowingTexture;
+            if (dir === "none" && depth === sourceDepth) upTexture = textureName;
 
             const permutation = {
-                "condition": `q.block_state('lumstudio:depth') == ${depth} && q.block_state('lumstudio:direction') == '${dir}'`,
+                "condition": `q.block_state('${state("depth")}') == ${depth} && q.block_state('${state("direction")}') == '${dir}'`,
                 "components": {
                     "minecraft:geometry": {
-                        "identifier": `geometry.fluid.${geoLevel}`,
-                        "bone_visibility": boneVisibility
+                        "identifier": config.customGeometry?.[geoLevel]
+                            ? getCustomGeometryIdentifier(fluidId, geoLevel)
+                            : getFluidGeometryIdentifier(geoLevel, resolution, config.surface),
+                        "bone_visibility": getBoneVisibility(geoLevel, config.surface, namespace)
                     },
                     "minecraft:material_instances": {
                         "*": {
@@ -192,8 +474,9 @@ function getBlockJson(config) {
                 }
             };
 
-            if (rotations[dir]) {
-                permutation.components["minecraft:transformation"] = { "rotation": rotations[dir] };
+            const quarterTurns = FLOW_DIRECTION_QUARTER_TURNS[dir];
+            if (quarterTurns) {
+                permutation.components["minecraft:transformation"] = { "rotation": [0, quarterTurns === 3 ? -90 : quarterTurns * 90, 0] };
             }
             
             template["minecraft:block"].permutations.push(permutation);
@@ -202,3 +485,13 @@ function getBlockJson(config) {
 
     return template;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_NAMESPACE, MANIFEST_UUID_NAMESPACE, FLOW_DIRECTIONS, FLOW_DIRECTION_QUARTER_TURNS, FLUID_SOUND_KINDS, FLUID_BLOCK_SOUND_EVENTS,
+        FLUID_INTERACTION_ACTIONS, FLUID_INTERACTION_FORMS,
+        DEFAULT_SPREAD_DISTANCE, MAX_SPREAD_DISTANCE, MAX_DROP_SEARCH_RADIUS, FLUID_SOURCE_MODES, FLUID_DIMENSIONS,
+        getSourceDepth, getSoundEventName, getBlockSoundSetName, getBlockSoundSets, getFogName, getRegistryEntry,
+        getRegistryScript, getManifestJson, getBoneVisibility, getBlockJson,
+    };
+}
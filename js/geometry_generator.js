@@ -3,8 +3,157 @@
  * This ensures UV maps are correct and provides a single source of truth for the fluid's visual shape.
  */
 
+/**
+ * The surfaces a fluid can have.
+ *  - `flat`: every depth has a level top, so spreading fluid forms steps.
+ *  - `sloped`: the top of flowing fluid tilts down the way it flows, approximating vanilla water. The tilt follows
+ *    the `direction` state, so it needs no block states of its own. Block models can only be built from rectangles,
+ *    so the top is one flat plane tilted by `SLOPE_DROP` rather than having its own height at every corner like water.
+ * @type {string[]}
+ */
+const FLUID_SURFACES = ['flat', 'sloped'];
+
+/** How many pixels a sloped surface drops from one side of the block to the other. */
+const SLOPE_DROP = 2;
+
+/**
+ * The tilted tops of sloped geometries, by the suffix of their bones, as the tilt along each axis: 0 lowers the
+ * east or south side and 1 is level. A flowing block is rotated towards its flow, so a top that falls to the south
+ * and one that falls to the south-east cover every direction. Must match `getBoneVisibility` in js/generator.js.
+ * @type {Object.<string, {x: number, z: number}>}
+ */
+const SLOPED_SURFACE_TILTS = {
+    sloped: { x: 1, z: 0 },
+    sloped_diagonal: { x: 0, z: 0 },
+};
+
+/**
+ * How many columns the side faces of a sloped surface are split into. Each column is as high as the tilted top's
+ * highest point above it, so the sides meet the top without gaps and rise above it by at most
+ * `SLOPE_DROP / SLOPED_SIDE_COLUMNS` pixels.
+ * @type {number}
+ */
+const SLOPED_SIDE_COLUMNS = 4;
+
+/**
+ * The sides of a fluid block, with the model coordinate fixed on each and the axis its faces run along.
+ * The model's x axis points west.
+ * @type {Object.<string, {axis: number, fixed: number, runs: number}>}
+ */
+const SIDE_FACES = {
+    north: { axis: 2, fixed: -8, runs: 0 },
+    south: { axis: 2, fixed: 8, runs: 0 },
+    east: { axis: 0, fixed: -8, runs: 2 },
+    west: { axis: 0, fixed: 8, runs: 2 },
+};
+
+/**
+ * Returns the height of a sloped top at a point of the block, in model coordinates.
+ * A tilt of 1 is level; 0 lowers the east or south side by half of `SLOPE_DROP` and raises the opposite side as much,
+ * and 2 does the reverse. Matches the rotation of the tilted `up_*` bones.
+ * @param {number} height The height of the level top.
+ * @param {number} slopeX The tilt along the x axis.
+ * @param {number} slopeZ The tilt along the z axis.
+ * @param {number} x The model x coordinate, from -8 (east) to 8 (west).
+ * @param {number} z The model z coordinate, from -8 (north) to 8 (south).
+ * @returns {number}
+ */
+function getSlopedSurfaceHeight(height, slopeX, slopeZ, x, z) {
+    return height + ((1 - slopeX) * x + (slopeZ - 1) * z) * SLOPE_DROP / 16;
+}
+
+/**
+ * Returns the name of the fluid geometry for a texture resolution and surface, which names both
+ * its model file and its identifiers. The default 16x flat geometry keeps the original name,
+ * so packs made before HD textures and slopes still match.
+ * @param {number} [resolution=16] The width of the fluid's texture frames, in pixels.
+ * @param {string} [surface='flat'] One of `FLUID_SURFACES`.
+ * @returns {string}
+ */
+function getFluidGeometryName(resolution = 16, surface = 'flat') {
+    return ['fluid', resolution !== 16 && resolution, surface !== 'flat' && surface].filter(Boolean).join('_');
+}
+
+/**
+ * Returns the identifier of the fluid geometry for a level, texture resolution and surface.
+ * @param {number} level The fluid level (1-8).
+ * @param {number} [resolution=16] The width of the fluid's texture frames, in pixels.
+ * @param {string} [surface='flat'] One of `FLUID_SURFACES`.
+ * @returns {string}
+ */
+function getFluidGeometryIdentifier(level, resolution = 16, surface = 'flat') {
+    return `geometry.${getFluidGeometryName(resolution, surface)}.${level}`;
+}
+
+/**
+ * Returns the geometry level (1-8) of a fluid depth: 7 for source blocks, 8 for falling fluid, and 1-6 for flowing
+ * fluid, scaled so that the flow gets as low as vanilla water's over the fluid's spread distance.
+ * With the default source depth of 7, each depth is its own level.
+ * @param {number} depth The value of the fluid's `depth` state, from 1 to one above the source depth.
+ * @param {number} sourceDepth The depth of the fluid's source blocks.
+ * @returns {number}
+ */
+function getFluidGeometryLevel(depth, sourceDepth) {
+    if (depth > sourceDepth) return 8;
+    if (depth === sourceDepth) return 7;
+    return Math.min(6, Math.ceil(depth * 7 / sourceDepth));
+}
+
+/**
+ * Returns the identifier a fluid's custom geometry for a level is renamed to in the pack.
+ * The model is written to `RP/models/blocks/<fluid>_<level>.geo.json`.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {number} level The fluid level (1-8).
+ * @returns {string}
+ */
+function getCustomGeometryIdentifier(fluidId, level) {
+    return `geometry.${fluidId.replace(':', '_')}.${level}`;
+}
+
+/**
+ * Turns an uploaded model (e.g. exported from Blockbench) into the model file for a fluid level.
+ * Only the model's first geometry is used, and it is renamed to `getCustomGeometryIdentifier`.
+ * @param {object} model The parsed `.geo.json`.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {number} level The fluid level (1-8).
+ * @returns {object}
+ */
+function createCustomGeometryModel(model, fluidId, level) {
+    const [geometry] = model["minecraft:geometry"];
+    return {
+        "format_version": model.format_version,
+        "minecraft:geometry": [{
+            ...geometry,
+            "description": { ...geometry.description, "identifier": getCustomGeometryIdentifier(fluidId, level) }
+        }]
+    };
+}
+
+/**
+ * Compares the bones of a fluid geometry with the bones its block's `bone_visibility` refers to.
+ * @param {object} geometry One entry of a model's `minecraft:geometry` list.
+ * @param {string[]} requiredBones The bones the `bone_visibility` refers to.
+ * @param {number} level The fluid level (1-8).
+ * @returns {{missing: string[], extra: string[]}} The required bones the geometry does not define, and the bones
+ *     it defines that are neither required nor part of the generated geometry, which are always shown.
+ */
+function findGeometryBoneMismatches(geometry, requiredBones, level) {
+    const bones = (Array.isArray(geometry.bones) ? geometry.bones : []).map(bone => bone?.name);
+    const generated = new FluidGeometryGenerator().createGeometryForLevel(level).bones.map(bone => bone.name);
+    return {
+        missing: requiredBones.filter(name => !bones.includes(name)),
+        extra: bones.filter(name => !requiredBones.includes(name) && !generated.includes(name)),
+    };
+}
+
 class FluidGeometryGenerator {
-    constructor() {
+    /**
+     * @param {number} [resolution=16] The width of the texture frames the UVs are laid out for, in pixels.
+     * @param {string} [surface='flat'] One of `FLUID_SURFACES`.
+     */
+    constructor(resolution = 16, surface = 'flat') {
+        this.resolution = resolution;
+        this.surface = surface;
         this.geometry = {
             "format_version": "1.12.0",
             "minecraft:geometry": []
@@ -17,13 +166,15 @@ class FluidGeometryGenerator {
      * @returns {object} The geometry description object for the specified level.
      */
     createGeometryForLevel(level) {
-        const identifier = `geometry.fluid.${level}`;
+        const identifier = getFluidGeometryIdentifier(level, this.resolution, this.surface);
         const height = level * 2; // Each level is 2 pixels high in a 16x16 texture space.
+        // The model is measured in 16ths of a block; its UVs are in texture pixels.
+        const uv = (value) => value * this.resolution / 16;
 
         const description = {
             "identifier": identifier,
-            "texture_width": 16,
-            "texture_height": 16,
+            "texture_width": this.resolution,
+            "texture_height": this.resolution,
             "visible_bounds_width": 3,
             "visible_bounds_height": 2.5,
             "visible_bounds_offset": [0, 0.75, 0]
@@ -32,12 +183,12 @@ class FluidGeometryGenerator {
         // All faces are generated with correct UV mapping based on the calculated height.
         const bones = [
             { "name": "fluid", "pivot": [0, 0, 0] },
-            { "name": "up", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, height, -8], "size": [16, 0, 16], "uv": {"up": {"uv": [16, 16], "uv_size": [-16, -16]}}}]},
-            { "name": "down", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [16, 0, 16], "uv": {"down": {"uv": [16, 16], "uv_size": [-16, -16]}}}]},
-            { "name": "north", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [16, height, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [16, height]}}}]},
-            { "name": "south", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, 8], "size": [16, height, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [16, height]}}}]},
-            { "name": "east", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [0, height, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [16, height]}}}]},
-            { "name": "west", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, 0, -8], "size": [0, height, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [16, height]}}}]}
+            { "name": "up", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, height, -8], "size": [16, 0, 16], "uv": {"up": {"uv": [uv(16), uv(16)], "uv_size": [uv(-16), uv(-16)]}}}]},
+            { "name": "down", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [16, 0, 16], "uv": {"down": {"uv": [uv(16), uv(16)], "uv_size": [uv(-16), uv(-16)]}}}]},
+            { "name": "north", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [16, height, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [uv(16), uv(height)]}}}]},
+            { "name": "south", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, 8], "size": [16, height, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [uv(16), uv(height)]}}}]},
+            { "name": "east", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 0, -8], "size": [0, height, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [uv(16), uv(height)]}}}]},
+            { "name": "west", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, 0, -8], "size": [0, height, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [uv(16), uv(height)]}}}]}
         ];
 
         // These special bones are for creating the "waterfall" connection effect to adjacent fluid blocks.
@@ -46,27 +197,84 @@ class FluidGeometryGenerator {
             const halfHeight = Math.floor(height / 2);
             const halfOriginY = height - halfHeight;
             bones.push(
-                { "name": "north_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, -8], "size": [16, halfHeight, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [16, halfHeight]}}}]},
-                { "name": "south_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, 8], "size": [16, halfHeight, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [16, halfHeight]}}}]},
-                { "name": "east_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, -8], "size": [0, halfHeight, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [16, halfHeight]}}}]},
-                { "name": "west_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, halfOriginY, -8], "size": [0, halfHeight, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [16, halfHeight]}}}]}
+                { "name": "north_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, -8], "size": [16, halfHeight, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [uv(16), uv(halfHeight)]}}}]},
+                { "name": "south_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, 8], "size": [16, halfHeight, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [uv(16), uv(halfHeight)]}}}]},
+                { "name": "east_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, halfOriginY, -8], "size": [0, halfHeight, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [uv(16), uv(halfHeight)]}}}]},
+                { "name": "west_half", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, halfOriginY, -8], "size": [0, halfHeight, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [uv(16), uv(halfHeight)]}}}]}
             );
         } else if (level === 8) {
             // For a full block (source), the connection point is different to handle falling sources.
              bones.push(
-                { "name": "north2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, -8], "size": [16, 5, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [16, 5]}}}]},
-                { "name": "south2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, 8], "size": [16, 5, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [16, 5]}}}]},
-                { "name": "east2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, -8], "size": [0, 5, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [16, 5]}}}]},
-                { "name": "west2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, 11, -8], "size": [0, 5, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [16, 5]}}}]}
+                { "name": "north2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, -8], "size": [16, 5, 0], "uv": {"north": {"uv": [0, 0], "uv_size": [uv(16), uv(5)]}}}]},
+                { "name": "south2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, 8], "size": [16, 5, 0], "uv": {"south": {"uv": [0, 0], "uv_size": [uv(16), uv(5)]}}}]},
+                { "name": "east2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [-8, 11, -8], "size": [0, 5, 16], "uv": {"east": {"uv": [0, 0], "uv_size": [uv(16), uv(5)]}}}]},
+                { "name": "west2", "parent": "fluid", "pivot": [0, 0, 0], "cubes": [{"origin": [8, 11, -8], "size": [0, 5, 16], "uv": {"west": {"uv": [0, 0], "uv_size": [uv(16), uv(5)]}}}]}
             );
         }
 
+        // Sloped surfaces have a tilted top for each of `SLOPED_SURFACE_TILTS`, named after it, which flowing blocks
+        // show instead of the level "up" bone. Each tilt also has its own sides, whose top edges follow the tilted top.
+        if (this.surface === 'sloped') {
+            const tilt = Math.round(Math.atan2(SLOPE_DROP, 16) * 180 / Math.PI * 1000) / 1000;
+            // A tilted top is stretched so that it still reaches the sides of the block.
+            const stretch = Math.round(Math.hypot(SLOPE_DROP, 16) * 1000) / 1000;
+            for (const [suffix, { x: slopeX, z: slopeZ }] of Object.entries(SLOPED_SURFACE_TILTS)) {
+                const sizeX = slopeX === 1 ? 16 : stretch;
+                const sizeZ = slopeZ === 1 ? 16 : stretch;
+                // Rotations are counterclockwise looking towards the pivot from the positive end of their axis.
+                bones.push({ "name": `up_${suffix}`, "parent": "fluid", "pivot": [0, height, 0], "cubes": [{"origin": [-sizeX / 2, height, -sizeZ / 2], "size": [sizeX, 0, sizeZ], "pivot": [0, height, 0], "rotation": [(1 - slopeZ) * tilt, 0, (1 - slopeX) * tilt], "uv": {"up": {"uv": [uv(16), uv(16)], "uv_size": [uv(-16), uv(-16)]}}}]});
+
+                const surfaceAt = (x, z) => getSlopedSurfaceHeight(height, slopeX, slopeZ, x, z);
+                for (const face in SIDE_FACES) {
+                    bones.push({ "name": `${face}_${suffix}`, "parent": "fluid", "pivot": [0, 0, 0], "cubes": this.createSlopedSideCubes(face, 0, surfaceAt) });
+                    if (level > 1 && level < 8) {
+                        bones.push({ "name": `${face}_half_${suffix}`, "parent": "fluid", "pivot": [0, 0, 0], "cubes": this.createSlopedSideCubes(face, height - Math.floor(height / 2), surfaceAt) });
+                    }
+                }
+            }
+        }
+
         return {
             description: description,
             bones: bones
         };
     }
 
+    /**
+     * Creates the cubes of a side face that reaches up to a sloped top. Cubes are rectangles, so a side whose top edge
+     * is tilted is split into `SLOPED_SIDE_COLUMNS` columns, each as high as the top's highest point above it.
+     * @param {string} face A key of `SIDE_FACES`.
+     * @param {number} bottom The height the face starts at.
+     * @param {(x: number, z: number) => number} surfaceAt The height of the top at a point, see `getSlopedSurfaceHeight`.
+     * @returns {object[]}
+     */
+    createSlopedSideCubes(face, bottom, surfaceAt) {
+        const { axis, fixed, runs } = SIDE_FACES[face];
+        const uv = (value) => value * this.resolution / 16;
+        const topAt = (position) => {
+            const point = [0, 0, 0];
+            point[axis] = fixed;
+            point[runs] = position;
+            return surfaceAt(point[0], point[2]);
+        };
+        const columns = topAt(-8) === topAt(8) ? 1 : SLOPED_SIDE_COLUMNS;
+        const width = 16 / columns;
+
+        const cubes = [];
+        for (let column = 0; column < columns; column++) {
+            const start = -8 + column * width;
+            const top = Math.max(topAt(start), topAt(start + width));
+            if (top <= bottom) continue;
+            const origin = [0, bottom, 0];
+            const size = [0, top - bottom, 0];
+            origin[axis] = fixed;
+            origin[runs] = start;
+            size[runs] = width;
+            cubes.push({ "origin": origin, "size": size, "uv": { [face]: { "uv": [uv(start + 8), 0], "uv_size": [uv(width), uv(top - bottom)] } } });
+        }
+        return cubes;
+    }
+
     /**
      * Generates all 8 fluid level geometries and adds them to the main object.
      * @returns {FluidGeometryGenerator} The current instance for chaining.
@@ -86,3 +294,10 @@ class FluidGeometryGenerator {
         return this.geometry;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FLUID_SURFACES, SLOPE_DROP, SLOPED_SURFACE_TILTS, SLOPED_SIDE_COLUMNS, getFluidGeometryName, getFluidGeometryIdentifier, getFluidGeometryLevel,
+        getCustomGeometryIdentifier, createCustomGeometryModel, findGeometryBoneMismatches, FluidGeometryGenerator,
+    };
+}
@@ -1,9 +1,1189 @@
 // Note: This file is now a regular script, not a module.
 // It relies on the other JS files being loaded first in index.html.
 
+// --- Fluid List State ---
+
+/**
+ * The fluids that will be bundled into the generated pack.
+ * Each entry holds the validated config and the texture files picked for it.
+ * @type {Array<{config: object, files: {texture?: File, flowingTexture?: File, bucketTexture?: File}}>}
+ */
+const fluidList = [];
+
+/** The index in `fluidList` of the fluid currently loaded in the editor, or -1 for a new fluid. */
+let editingIndex = -1;
+
+const statusMessage = document.getElementById('statusMessage');
+
+const showError = (message) => {
+    statusMessage.textContent = `Error: ${message}`;
+    console.error(`Error: ${message}`);
+};
+
+/**
+ * Reads the pack-level settings, which apply to every fluid in the pack.
+ * @returns {{packName: string, packVersion: string, seed: string, namespace: string, runtime: string, targetVersion: string}}
+ */
+function readPackSettings() {
+    return {
+        packName: document.getElementById('packName').value,
+        packVersion: document.getElementById('packVersion').value,
+        seed: document.getElementById('packSeed').value,
+        namespace: document.getElementById('packNamespace').value,
+        runtime: document.getElementById('packRuntime').value,
+        targetVersion: document.getElementById('targetVersion').value,
+    };
+}
+
+/**
+ * Writes pack-level settings back into the form.
+ * @param {{packName?: string, packVersion?: string|number[], seed?: string, namespace?: string, runtime?: string, targetVersion?: string}} settings
+ *     The settings to show.
+ */
+function writePackSettings(settings) {
+    document.getElementById('packName').value = settings.packName || '';
+    document.getElementById('packVersion').value = formatPackVersion(parsePackVersion(settings.packVersion));
+    document.getElementById('packSeed').value = settings.seed || '';
+    document.getElementById('packNamespace').value = settings.namespace || '';
+    document.getElementById('packRuntime').value = settings.runtime || 'embedded';
+    document.getElementById('targetVersion').value = settings.targetVersion || DEFAULT_MINECRAFT_TARGET;
+}
+
+/**
+ * Fills the Minecraft version selector from `MINECRAFT_TARGETS`, newest first.
+ */
+function renderTargetOptions() {
+    const select = document.getElementById('targetVersion');
+    for (const version of Object.keys(MINECRAFT_TARGETS).reverse()) {
+        const option = document.createElement('option');
+        option.value = version;
+        option.textContent = MINECRAFT_TARGETS[version].label;
+        select.appendChild(option);
+    }
+    select.value = DEFAULT_MINECRAFT_TARGET;
+}
+
+/**
+ * Reads the texture designer fields.
+ * @returns {TextureDesign}
+ */
+function readTextureDesign() {
+    return {
+        baseColor: document.getElementById('designBaseColor').value,
+        highlightColor: document.getElementById('designHighlightColor').value,
+        noise: document.getElementById('designNoise').value,
+        frames: parseInt(document.getElementById('designFrames').value),
+        size: parseInt(document.getElementById('designSize').value),
+    };
+}
+
+/**
+ * Shows the first frame of the designed still and flowing textures, or hides the designer when it is off.
+ */
+function renderTextureDesigner() {
+    const enabled = document.getElementById('useTextureDesign').checked;
+    document.getElementById('textureDesigner').classList.toggle('d-none', !enabled);
+    if (!enabled) return;
+
+    let design;
+    try {
+        design = validateTextureDesign(readTextureDesign());
+    } catch (e) {
+        return;
+    }
+    const strip = document.createElement('canvas');
+    for (const [kind, canvasId] of [['still', 'designStillPreview'], ['flowing', 'designFlowingPreview']]) {
+        drawTextureDesign(strip, design, kind);
+        const preview = document.getElementById(canvasId);
+        preview.width = design.size;
+        preview.height = design.size;
+        preview.getContext('2d').drawImage(strip, 0, 0, design.size, design.size, 0, 0, design.size, design.size);
+    }
+}
+
+/**
+ * Encodes the contents of a canvas as a PNG.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function canvasToPng(canvas) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return blob.arrayBuffer();
+}
+
+/**
+ * Renders a texture design to a PNG with a canvas.
+ * @param {TextureDesign} design The design.
+ * @param {'still'|'flowing'} kind The texture to render.
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function renderTextureDesignPng(design, kind) {
+    const canvas = document.createElement('canvas');
+    drawTextureDesign(canvas, design, kind);
+    return canvasToPng(canvas);
+}
+
+/**
+ * Decodes an image to RGBA pixels with a canvas.
+ * @param {ArrayBuffer|Blob} data The image.
+ * @returns {Promise<{width: number, height: number, pixels: Uint8ClampedArray}>}
+ */
+async function readTexturePixels(data) {
+    const image = await createImageBitmap(data instanceof Blob ? data : new Blob([data], { type: 'image/png' }));
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    image.close();
+    return { width: canvas.width, height: canvas.height, pixels: context.getImageData(0, 0, canvas.width, canvas.height).data };
+}
+
+/**
+ * Makes the diagonal flowing texture of a fluid from its flowing texture, with a canvas.
+ * @param {ArrayBuffer|Blob} flowingTexture The flowing texture PNG.
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function renderDiagonalTexturePng(flowingTexture) {
+    const { width, height, pixels } = shearFlowingStrip(await readTexturePixels(flowingTexture));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+    return canvasToPng(canvas);
+}
+
+/**
+ * Composites a fluid's bucket icon onto a canvas from its bucket color or still texture,
+ * at the still texture's resolution.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @param {object} config The fluid config.
+ * @param {{width: number, height: number, pixels: Uint8ClampedArray}} still The still texture's pixels.
+ */
+function drawFluidBucketIcon(canvas, config, still) {
+    drawBucketIcon(canvas, config.bucketColor ? { color: config.bucketColor } : still, still.width);
+}
+
+/**
+ * Shows the bucket icon the fluid in the editor will get: the uploaded one, or the composited one.
+ */
+async function renderBucketPreview() {
+    const fillWithColor = document.getElementById('bucketSource').value === 'color';
+    document.getElementById('bucketColor').classList.toggle('d-none', !fillWithColor);
+
+    const preview = document.getElementById('bucketPreview');
+    const { config, files } = readFluidForm();
+    try {
+        if (files.bucketTexture) {
+            const { width, height, pixels } = await readTexturePixels(files.bucketTexture);
+            preview.width = width;
+            preview.height = height;
+            preview.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+        } else if (files.texture) {
+            drawFluidBucketIcon(preview, config, await readTexturePixels(files.texture));
+        } else if (config.textureDesign) {
+            drawFluidBucketIcon(preview, config, renderTextureDesign(validateTextureDesign(config.textureDesign), 'still'));
+        } else if (config.bucketColor) {
+            drawBucketIcon(preview, { color: config.bucketColor });
+        } else {
+            preview.getContext('2d').clearRect(0, 0, preview.width, preview.height);
+        }
+    } catch (e) {
+        // A half-entered design or an unreadable image leaves the preview empty until it is fixed.
+        preview.getContext('2d').clearRect(0, 0, preview.width, preview.height);
+    }
+}
+
+/**
+ * The decoded still, flowing and diagonal textures the preview shows, or undefined when the editor has none.
+ * @type {{still: PreviewTexture, flowing: PreviewTexture, diagonal: PreviewTexture}|undefined}
+ */
+let previewTextures;
+
+/** Counts texture loads for the preview, so a slow load cannot replace the result of a newer one. */
+let previewTextureLoads = 0;
+
+/** The game tick the preview was last drawn at. */
+let previewTick = -1;
+
+/**
+ * Decodes the textures of the fluid in the editor for the preview, the same way they are picked for the pack:
+ * an uploaded still texture, or else the texture design, a flowing texture derived from the still one
+ * when none is uploaded, and the diagonal texture sheared from the flowing one.
+ */
+async function loadPreviewTextures() {
+    const load = ++previewTextureLoads;
+    const { config, files } = readFluidForm();
+    let textures;
+    try {
+        const design = files.texture || !config.textureDesign ? undefined : validateTextureDesign(config.textureDesign);
+        if (files.texture || design) {
+            const still = design ? renderTextureDesign(design, 'still') : await readTexturePixels(files.texture);
+            let flowing;
+            if (files.flowingTexture) {
+                flowing = await readTexturePixels(files.flowingTexture);
+            } else if (design) {
+                flowing = renderTextureDesign(design, 'flowing');
+            } else {
+                flowing = await readTexturePixels(await deriveFlowingStrip(await files.texture.arrayBuffer()));
+            }
+            textures = { still, flowing, diagonal: shearFlowingStrip(flowing) };
+        }
+    } catch (e) {
+        // As with the bucket preview, the preview stays empty until the textures are fixed.
+    }
+    if (load === previewTextureLoads) {
+        previewTextures = textures;
+        previewTick = -1;
+    }
+}
+
+/**
+ * Draws the preview whenever a game tick has passed, so the textures animate at the speed they will in the game.
+ * @param {DOMHighResTimeStamp} time The time of the animation frame.
+ */
+function drawPreviewFrame(time) {
+    requestAnimationFrame(drawPreviewFrame);
+    // Minecraft runs at 20 ticks per second.
+    const tick = Math.floor(time / 50);
+    if (tick === previewTick) return;
+    previewTick = tick;
+
+    const canvas = document.getElementById('fluidPreview');
+    if (!previewTextures) {
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        return;
+    }
+    const { config } = readFluidForm();
+    // The form may hold a half-typed spread distance.
+    const spreadDistance = Math.min(MAX_SPREAD_DISTANCE, Math.max(1, config.spreadDistance || DEFAULT_SPREAD_DISTANCE));
+    const sourceDepth = Math.min(MAX_SPREAD_DISTANCE, getSourceDepth({ ...config, spreadDistance }) || spreadDistance);
+    drawFluidPreview(canvas, {
+        ...previewTextures,
+        scene: document.getElementById('previewScene').value,
+        surface: config.surface,
+        spreadDistance,
+        sourceDepth,
+        ambientLight: parseInt(document.getElementById('previewLight').value),
+        lightLevel: Math.min(15, Math.max(0, config.lightLevel || 0)),
+        tick,
+        ticksPerFrame: Math.max(1, config.ticksPerFrame || 1),
+        flowingTicksPerFrame: Math.max(1, config.flowingTicksPerFrame || 1),
+    });
+}
+
+/**
+ * The custom models of the fluid in the editor, as parsed `.geo.json` files keyed by fluid level.
+ * @type {Object.<string, object>}
+ */
+let customModels = {};
+
+/**
+ * Shows which depths of the fluid in the editor have custom models.
+ * @param {string} [message] A note about the model picked last, shown first.
+ */
+function renderCustomModelStatus(message) {
+    const levels = Object.keys(customModels).sort();
+    const summary = levels.length > 0
+        ? `Custom models replace the generated geometry of depth ${levels.join(', ')}.`
+        : 'Optional. A Blockbench .geo.json model replaces the generated geometry of the selected depth.';
+    document.getElementById('customModelStatus').textContent = message ? `${message} ${summary}` : summary;
+}
+
+/**
+ * Reads a picked .geo.json as the custom model of the selected depth. Models missing bones the fluid shows and
+ * hides are rejected, and bones the fluid does not control are pointed out.
+ */
+async function loadCustomModel() {
+    const input = document.getElementById('customModel');
+    const file = input.files[0];
+    if (!file) return;
+    const level = document.getElementById('customModelLevel').value;
+    const { config } = readFluidForm();
+    let model;
+    try {
+        model = JSON.parse(await file.text());
+        validateCustomGeometry({ ...config, customGeometry: { [level]: model } });
+    } catch (error) {
+        input.classList.add('is-invalid');
+        showError(error instanceof SyntaxError ? `${file.name} is not valid JSON.` : error.message);
+        return;
+    }
+    customModels[level] = model;
+    const required = Object.keys(getBoneVisibility(Number(level), config.surface));
+    const { extra } = findGeometryBoneMismatches(model['minecraft:geometry'][0], required, Number(level));
+    renderCustomModelStatus(extra.length > 0 ? `The bones ${extra.join(', ')} are not controlled by the fluid, so they are always shown.` : '');
+    // Clearing the picker lets the same file be picked again for another depth.
+    setFileInput('customModel');
+}
+
+/**
+ * The sounds of the fluid in the editor, keyed by kind. Sounds without a vanilla `event` play the picked .ogg file.
+ * @type {Object.<string, {event?: string, volume?: number, pitch?: number}>}
+ */
+let fluidSounds = {};
+
+/**
+ * The .ogg files picked for the sounds of the fluid in the editor, keyed by kind.
+ * @type {Object.<string, File>}
+ */
+let soundFiles = {};
+
+/**
+ * Shows the vanilla event field or the file picker for the picked sound source, and lists the fluid's sounds.
+ * @param {string} source `none`, `event` or `file`.
+ */
+function renderSoundFields(source) {
+    document.getElementById('soundEvent').classList.toggle('d-none', source !== 'event');
+    document.getElementById('soundFile').classList.toggle('d-none', source !== 'file');
+    for (const inputId of ['soundVolume', 'soundPitch']) {
+        document.getElementById(inputId).disabled = source === 'none';
+    }
+    const labels = FLUID_SOUND_KINDS.filter(kind => fluidSounds[kind]).map((kind) => {
+        const sound = fluidSounds[kind];
+        return `${kind} (${sound.event || (soundFiles[kind] ? soundFiles[kind].name : 'no file picked')})`;
+    });
+    document.getElementById('soundStatus').textContent = labels.length > 0
+        ? `Plays: ${labels.join(', ')}.`
+        : 'Optional. Without sounds, the fluid is silent.';
+}
+
+/**
+ * Shows the settings of the sound kind picked in the editor.
+ */
+function showSoundKind() {
+    const kind = document.getElementById('soundKind').value;
+    const sound = fluidSounds[kind];
+    const source = !sound ? 'none' : sound.event !== undefined ? 'event' : 'file';
+    document.getElementById('soundSource').value = source;
+    document.getElementById('soundEvent').value = sound?.event || '';
+    setFileInput('soundFile', soundFiles[kind]);
+    document.getElementById('soundVolume').value = sound?.volume ?? 1;
+    document.getElementById('soundPitch').value = sound?.pitch ?? 1;
+    renderSoundFields(source);
+}
+
+/**
+ * Stores the sound fields into the sound kind picked in the editor.
+ */
+function storeSound() {
+    const kind = document.getElementById('soundKind').value;
+    const source = document.getElementById('soundSource').value;
+    delete fluidSounds[kind];
+    delete soundFiles[kind];
+    if (source !== 'none') {
+        const sound = {};
+        if (source === 'event') {
+            sound.event = document.getElementById('soundEvent').value.trim();
+        } else if (document.getElementById('soundFile').files[0]) {
+            soundFiles[kind] = document.getElementById('soundFile').files[0];
+        }
+        // Volume and pitch are left out at their defaults of 1.
+        for (const [inputId, key] of [['soundVolume', 'volume'], ['soundPitch', 'pitch']]) {
+            const value = parseFloat(document.getElementById(inputId).value);
+            if (value !== 1) sound[key] = value;
+        }
+        fluidSounds[kind] = sound;
+    }
+    renderSoundFields(source);
+}
+
+/**
+ * Reads the picked .ogg files of a fluid.
+ * @param {Object.<string, File>} [files] The files, keyed by sound kind.
+ * @returns {Promise<Object.<string, ArrayBuffer>>}
+ */
+async function readSoundBuffers(files = {}) {
+    const buffers = {};
+    for (const kind in files) {
+        buffers[kind] = await files[kind].arrayBuffer();
+    }
+    return buffers;
+}
+
+/**
+ * The interaction rules of the fluid in the editor, in the order the fluid engine tries them.
+ * @type {Array<{fluid: string, when: string, action: string, block?: string}>}
+ */
+let fluidInteractions = [];
+
+/**
+ * The labels of the interaction rule choices in the editor.
+ * @type {{when: Object.<string, string>, action: Object.<string, string>}}
+ */
+const INTERACTION_LABELS = {
+    when: { any: 'Any Block', source: 'Source', flow: 'Flowing Block' },
+    action: { block: 'Turn Into a Block', stop: 'Refuse to Flow', consume: 'Flow Into It' },
+};
+
+/**
+ * Lists the interaction rules of the fluid in the editor as rows of fields, and offers vanilla water and lava
+ * and the other fluids in the pack as the fluids a rule can name.
+ */
+function renderInteractionRules() {
+    const rows = document.getElementById('interactionRules');
+    rows.replaceChildren();
+    fluidInteractions.forEach((rule, index) => {
+        const row = document.createElement('tr');
+        const cell = (field) => {
+            const td = document.createElement('td');
+            td.appendChild(field);
+            row.appendChild(td);
+            return field;
+        };
+        const select = (key, values) => {
+            const field = document.createElement('select');
+            field.className = 'form-select form-select-sm';
+            for (const value of values) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = INTERACTION_LABELS[key][value];
+                field.appendChild(option);
+            }
+            field.value = rule[key];
+            field.addEventListener('change', () => {
+                rule[key] = field.value;
+                renderInteractionRules();
+            });
+            return cell(field);
+        };
+        const text = (key, placeholder) => {
+            const field = document.createElement('input');
+            field.type = 'text';
+            field.className = 'form-control form-control-sm';
+            field.placeholder = placeholder;
+            field.value = rule[key] || '';
+            field.addEventListener('input', () => {
+                rule[key] = field.value.trim();
+            });
+            return cell(field);
+        };
+
+        text('fluid', 'e.g., minecraft:lava').setAttribute('list', 'interactionFluids');
+        select('when', FLUID_INTERACTION_FORMS);
+        select('action', FLUID_INTERACTION_ACTIONS);
+        text('block', 'e.g., minecraft:obsidian').disabled = rule.action !== 'block';
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-sm btn-outline-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            fluidInteractions.splice(index, 1);
+            renderInteractionRules();
+        });
+        cell(removeButton);
+        rows.appendChild(row);
+    });
+
+    const fluids = ['minecraft:water', 'minecraft:lava', '*', ...fluidList.map(entry => entry.config.id)];
+    document.getElementById('interactionFluids').replaceChildren(...fluids.map((id) => {
+        const option = document.createElement('option');
+        option.value = id;
+        return option;
+    }));
+}
+
+/**
+ * The per-dimension flow rules of the fluid in the editor, keyed by dimension.
+ * @type {Object.<string, {spreadDistance?: number, tickDelay?: number, evaporates?: boolean}>}
+ */
+let dimensionRules = {};
+
+/**
+ * Shows the rules of the dimension picked in the editor, and lists the dimensions that have rules.
+ */
+function showFlowDimension() {
+    const rules = dimensionRules[document.getElementById('flowDimension').value] || {};
+    document.getElementById('dimensionSpreadDistance').value = rules.spreadDistance ?? '';
+    document.getElementById('dimensionTickDelay').value = rules.tickDelay ?? '';
+    document.getElementById('dimensionEvaporates').checked = Boolean(rules.evaporates);
+    renderDimensionStatus();
+}
+
+/**
+ * Lists the dimensions the fluid in the editor has rules for.
+ */
+function renderDimensionStatus() {
+    const select = document.getElementById('flowDimension');
+    const labels = [...select.options].filter(option => dimensionRules[option.value]).map((option) => {
+        const rules = dimensionRules[option.value];
+        if (rules.evaporates) return `${option.textContent} (evaporates)`;
+        const parts = [
+            rules.spreadDistance !== undefined && `spreads ${rules.spreadDistance}`,
+            rules.tickDelay !== undefined && `tick delay ${rules.tickDelay}`,
+        ].filter(Boolean);
+        return `${option.textContent} (${parts.join(', ')})`;
+    });
+    document.getElementById('dimensionStatus').textContent = labels.length > 0
+        ? `Overrides: ${labels.join(', ')}.`
+        : 'Optional. Leave a field empty to use the fluid\'s own value in that dimension.';
+}
+
+/**
+ * Stores the rule fields into the dimension picked in the editor.
+ */
+function storeFlowDimension() {
+    const dimension = document.getElementById('flowDimension').value;
+    const rules = {};
+    for (const [inputId, key] of [['dimensionSpreadDistance', 'spreadDistance'], ['dimensionTickDelay', 'tickDelay']]) {
+        const value = document.getElementById(inputId).value;
+        if (value !== '') rules[key] = parseInt(value);
+    }
+    if (document.getElementById('dimensionEvaporates').checked) {
+        rules.evaporates = true;
+    }
+    if (Object.keys(rules).length > 0) {
+        dimensionRules[dimension] = rules;
+    } else {
+        delete dimensionRules[dimension];
+    }
+    renderDimensionStatus();
+}
+
+/**
+ * The fog settings of the fluid in the editor, keyed by medium. Air and weather always have settings.
+ * @type {Object.<string, FogMediumSettings>}
+ */
+let fogSettings = { ...DEFAULT_FOG_SETTINGS };
+
+/**
+ * Shows the fog settings of the medium picked in the editor. Air and weather always have a fog, and the volumetric
+ * fields are disabled for mediums that do not support them.
+ */
+function showFogMedium() {
+    const medium = document.getElementById('fogMedium').value;
+    const settings = fogSettings[medium];
+    const enabled = Boolean(settings);
+    const optional = !(medium in DEFAULT_FOG_SETTINGS);
+    document.getElementById('fogMediumEnabled').checked = enabled;
+    document.getElementById('fogMediumEnabled').disabled = !optional;
+    const { start, end, renderDistanceType } = settings || DEFAULT_FOG_MEDIUM;
+    document.getElementById('fogStart').value = start;
+    document.getElementById('fogEnd').value = end;
+    document.getElementById('fogRenderDistanceType').value = renderDistanceType;
+    for (const [inputId, key, supported] of [
+        ['fogDensity', 'density', FOG_MEDIUMS[medium].density],
+        ['fogScattering', 'scattering', FOG_MEDIUMS[medium].coefficients],
+        ['fogAbsorption', 'absorption', FOG_MEDIUMS[medium].coefficients],
+    ]) {
+        const value = settings?.[key];
+        document.getElementById(inputId).value = value === undefined ? '' : Array.isArray(value) ? value[0] : value;
+        document.getElementById(inputId).disabled = !enabled || !supported;
+    }
+    for (const inputId of ['fogStart', 'fogEnd', 'fogRenderDistanceType']) {
+        document.getElementById(inputId).disabled = !enabled;
+    }
+    renderFogPreview();
+}
+
+/**
+ * Stores the fog fields into the settings of the medium picked in the editor.
+ */
+function storeFogMedium() {
+    const medium = document.getElementById('fogMedium').value;
+    if (!document.getElementById('fogMediumEnabled').checked) {
+        delete fogSettings[medium];
+        showFogMedium();
+        return;
+    }
+    const settings = {
+        start: parseFloat(document.getElementById('fogStart').value),
+        end: parseFloat(document.getElementById('fogEnd').value),
+        renderDistanceType: document.getElementById('fogRenderDistanceType').value,
+    };
+    for (const [inputId, key] of [['fogDensity', 'density'], ['fogScattering', 'scattering'], ['fogAbsorption', 'absorption']]) {
+        const input = document.getElementById(inputId);
+        if (!input.disabled && input.value !== '') settings[key] = parseFloat(input.value);
+    }
+    const wasEnabled = Boolean(fogSettings[medium]);
+    fogSettings[medium] = settings;
+    if (wasEnabled) {
+        renderFogPreview();
+    } else {
+        showFogMedium();
+    }
+}
+
+/**
+ * Draws a row of alternating light and dark pillars fading into the fog of the medium picked in the editor,
+ * so fogs can be compared at a glance. Volumetric density thickens the fog the further it reaches.
+ */
+function renderFogPreview() {
+    const canvas = document.getElementById('fogPreview');
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(canvas.width, canvas.height);
+    const settings = fogSettings[document.getElementById('fogMedium').value];
+    // The canvas normalizes "#rgb" colors to "#rrggbb"; colors with transparency are shown gray.
+    context.fillStyle = '#777777';
+    context.fillStyle = document.getElementById('fogColor').value;
+    const fogColor = context.fillStyle.startsWith('#') ? parseDesignColor(context.fillStyle) : [119, 119, 119];
+    const render = settings?.renderDistanceType === 'render';
+    // Render distance fogs are shown across the whole render distance; block fogs a little past their end.
+    const range = render ? 1 : Math.max(16, Math.ceil((settings?.end || 0) * 1.25));
+    for (let x = 0; x < canvas.width; x++) {
+        const distance = (x + 0.5) / canvas.width * range;
+        let fog = 0;
+        if (settings) {
+            const { start, end, density } = settings;
+            fog = end > start ? Math.min(Math.max((distance - start) / (end - start), 0), 1) : Number(distance >= end);
+            if (density) fog = 1 - (1 - fog) * Math.exp(-density * (render ? distance * 16 : distance));
+        }
+        const pillar = Math.floor(distance / range * 16) % 2 === 0 ? 150 : 90;
+        for (let y = 0; y < canvas.height; y++) {
+            const shade = y < canvas.height / 3 ? 200 : pillar;
+            const offset = (y * canvas.width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                image.data[offset + channel] = Math.round(shade + (fogColor[channel] - shade) * fog);
+            }
+            image.data[offset + 3] = 255;
+        }
+    }
+    context.putImageData(image, 0, 0);
+    document.getElementById('fogPreviewScale').textContent = !settings
+        ? 'No fog in this medium.'
+        : render ? 'From you to the edge of the render distance.' : `From you to ${range} blocks away.`;
+}
+
+/**
+ * Reads the fluid editor fields into a config object and the selected texture and sound files.
+ * @returns {{config: object, files: {texture?: File, flowingTexture?: File, bucketTexture?: File, sounds: Object.<string, File>}}}
+ */
+function readFluidForm() {
+    const config = {
+        name: document.getElementById('fluidName').value,
+        id: document.getElementById('fluidID').value,
+        fogColor: document.getElementById('fogColor').value,
+        buoyancy: parseFloat(document.getElementById('buoyancy').value),
+        damage: parseInt(document.getElementById('damage').value),
+        lightLevel: parseInt(document.getElementById('lightLevel').value),
+        tickDelay: parseInt(document.getElementById('tickDelay').value),
+        spreadDistance: parseInt(document.getElementById('spreadDistance').value),
+        dropSearchRadius: parseInt(document.getElementById('dropSearchRadius').value),
+        sourceMode: document.getElementById('sourceMode').value,
+        effect: document.getElementById('effect').value,
+        burnsEntities: document.getElementById('burnsEntities').checked,
+        supportsBoats: document.getElementById('supportsBoats').checked,
+        ticksPerFrame: parseInt(document.getElementById('ticksPerFrame').value),
+        flowingTicksPerFrame: parseInt(document.getElementById('flowingTicksPerFrame').value),
+        surface: document.getElementById('surface').value,
+    };
+    if (document.getElementById('useTextureDesign').checked) {
+        config.textureDesign = readTextureDesign();
+    }
+    if (document.getElementById('bucketSource').value === 'color') {
+        config.bucketColor = document.getElementById('bucketColor').value;
+    }
+    if (Object.keys(customModels).length > 0) {
+        config.customGeometry = { ...customModels };
+    }
+    if (Object.keys(fluidSounds).length > 0) {
+        config.sounds = JSON.parse(JSON.stringify(fluidSounds));
+    }
+    if (fluidInteractions.length > 0) {
+        // The produced block only belongs to rules that turn the fluid into a block.
+        config.interactions = fluidInteractions.map(({ block, ...rule }) => rule.action === 'block' ? { ...rule, block } : rule);
+    }
+    if (Object.keys(dimensionRules).length > 0) {
+        config.dimensions = JSON.parse(JSON.stringify(dimensionRules));
+    }
+    // Fluids with the default fog leave the settings out, so they keep sharing a fog file by color.
+    const defaultFog = Object.keys(fogSettings).every(medium =>
+        medium in DEFAULT_FOG_SETTINGS && JSON.stringify(fogSettings[medium]) === JSON.stringify(DEFAULT_FOG_MEDIUM));
+    if (!defaultFog) {
+        config.fog = JSON.parse(JSON.stringify(fogSettings));
+    }
+    const files = {
+        texture: document.getElementById('texture').files[0],
+        flowingTexture: document.getElementById('flowingTexture').files[0],
+        bucketTexture: document.getElementById('bucketTexture').files[0],
+        sounds: { ...soundFiles },
+    };
+    return { config, files };
+}
+
+/**
+ * The names of the editor's texture inputs, and whether each may be an animated strip.
+ * @type {Object.<string, {label: string, allowStrip: boolean}>}
+ */
+const TEXTURE_INPUTS = {
+    texture: { label: 'The Still Fluid Texture', allowStrip: true },
+    flowingTexture: { label: 'The Flowing Fluid Texture', allowStrip: true },
+    bucketTexture: { label: 'The Bucket Texture', allowStrip: false },
+};
+
+/**
+ * Checks that a picked texture decodes and has a supported size.
+ * @param {File} file The picked file.
+ * @param {string} key The texture's key in `TEXTURE_INPUTS`.
+ * @throws {Error} If the texture cannot be used.
+ */
+async function inspectTextureFile(file, key) {
+    const { label, allowStrip } = TEXTURE_INPUTS[key];
+    inspectTexture(await file.arrayBuffer(), label, allowStrip);
+    try {
+        (await createImageBitmap(file)).close();
+    } catch (e) {
+        throw new Error(`${label} could not be decoded. Is the file damaged?`);
+    }
+}
+
+/**
+ * Validates and sanitizes a fluid entry read from the editor.
+ * The config's ID is normalized in place.
+ * @param {{config: object, files: object}} entry The entry to validate.
+ * @throws {Error} If the ID is malformed, a required texture or sound file is missing or a texture cannot be used.
+ */
+async function validateFluidEntry(entry) {
+    validateFluidConfig(entry.config);
+    if (!entry.files.texture && !entry.config.textureDesign) {
+        throw new Error('The Still Fluid Texture (or a texture design) is required.');
+    }
+    for (const kind of Object.keys(entry.config.sounds || {})) {
+        if (!entry.config.sounds[kind].event && !entry.files.sounds?.[kind]) {
+            throw new Error(`Pick an .ogg file or a vanilla sound for the ${kind} sound.`);
+        }
+    }
+    for (const key in TEXTURE_INPUTS) {
+        if (entry.files[key]) await inspectTextureFile(entry.files[key], key);
+    }
+}
+
+/**
+ * Replaces the files of a file input with the given file, or clears it.
+ * @param {string} inputId The ID of the file input.
+ * @param {File} [file] The file to select.
+ */
+function setFileInput(inputId, file) {
+    const transfer = new DataTransfer();
+    if (file) transfer.items.add(file);
+    document.getElementById(inputId).files = transfer.files;
+    document.getElementById(inputId).classList.remove('is-invalid');
+}
+
+/**
+ * Loads a fluid entry into the editor fields.
+ * @param {{config: object, files: object}} entry The entry to show.
+ */
+function writeFluidForm({ config, files = {} }) {
+    config = { ...FLUID_DEFAULTS, ...config };
+    document.getElementById('fluidName').value = config.name || '';
+    document.getElementById('fluidID').value = config.id || '';
+    document.getElementById('fogColor').value = config.fogColor;
+    document.getElementById('fogColor').dispatchEvent(new Event('input', { bubbles: true }));
+    document.getElementById('buoyancy').value = config.buoyancy;
+    document.getElementById('damage').value = config.damage;
+    document.getElementById('lightLevel').value = config.lightLevel;
+    document.getElementById('tickDelay').value = config.tickDelay;
+    document.getElementById('spreadDistance').value = config.spreadDistance;
+    document.getElementById('dropSearchRadius').value = config.dropSearchRadius;
+    document.getElementById('sourceMode').value = config.sourceMode;
+    dimensionRules = JSON.parse(JSON.stringify(config.dimensions || {}));
+    showFlowDimension();
+    document.getElementById('effect').value = config.effect;
+    document.getElementById('burnsEntities').checked = config.burnsEntities;
+    document.getElementById('supportsBoats').checked = config.supportsBoats;
+    document.getElementById('ticksPerFrame').value = config.ticksPerFrame;
+    document.getElementById('flowingTicksPerFrame').value = config.flowingTicksPerFrame;
+    document.getElementById('surface').value = config.surface;
+    fogSettings = JSON.parse(JSON.stringify({ ...DEFAULT_FOG_SETTINGS, ...config.fog }));
+    showFogMedium();
+    const design = { ...DEFAULT_TEXTURE_DESIGN, ...config.textureDesign };
+    document.getElementById('useTextureDesign').checked = Boolean(config.textureDesign);
+    for (const [inputId, key] of [['designBaseColor', 'baseColor'], ['designHighlightColor', 'highlightColor']]) {
+        document.getElementById(inputId).value = design[key];
+        document.getElementById(inputId).dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    document.getElementById('designNoise').value = design.noise;
+    document.getElementById('designFrames').value = design.frames;
+    document.getElementById('designSize').value = design.size;
+    renderTextureDesigner();
+    document.getElementById('bucketSource').value = config.bucketColor ? 'color' : 'texture';
+    if (config.bucketColor) {
+        document.getElementById('bucketColor').value = config.bucketColor;
+        document.getElementById('bucketColor').dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    setFileInput('texture', files.texture);
+    setFileInput('flowingTexture', files.flowingTexture);
+    setFileInput('bucketTexture', files.bucketTexture);
+    customModels = { ...config.customGeometry };
+    renderCustomModelStatus();
+    fluidSounds = JSON.parse(JSON.stringify(config.sounds || {}));
+    soundFiles = { ...files.sounds };
+    showSoundKind();
+    fluidInteractions = JSON.parse(JSON.stringify(config.interactions || []));
+    renderInteractionRules();
+    renderBucketPreview();
+    loadPreviewTextures();
+}
+
+/**
+ * Clears the name, ID and texture fields so a new fluid can be entered.
+ * Numeric properties are left as they are, as they make a reasonable starting point.
+ */
+function resetFluidForm() {
+    document.getElementById('fluidName').value = '';
+    document.getElementById('fluidID').value = '';
+    setFileInput('texture');
+    setFileInput('flowingTexture');
+    setFileInput('bucketTexture');
+    customModels = {};
+    renderCustomModelStatus();
+    fluidSounds = {};
+    soundFiles = {};
+    showSoundKind();
+    fluidInteractions = [];
+    renderInteractionRules();
+    renderBucketPreview();
+    loadPreviewTextures();
+}
+
+/**
+ * Switches the editor between adding a new fluid and editing an existing one.
+ * @param {number} index The index of the fluid being edited, or -1 for a new fluid.
+ */
+function setEditingIndex(index) {
+    editingIndex = index;
+    const isEditing = index !== -1;
+    document.getElementById('fluidEditorTitle').textContent = isEditing ? `Editing: ${fluidList[index].config.name}` : 'Fluid Properties';
+    document.getElementById('saveFluidButton').textContent = isEditing ? 'Update Fluid' : 'Add Fluid to Pack';
+    document.getElementById('cancelEditButton').classList.toggle('d-none', !isEditing);
+}
+
+/**
+ * Triggers a browser download of a blob.
+ * @param {Blob} blob The content to download.
+ * @param {string} fileName The suggested file name.
+ */
+function downloadBlob(blob, fileName) {
+    const a = document.createElement('a');
+    a.style.display = 'none';
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    URL.revokeObjectURL(a.href);
+    document.body.removeChild(a);
+}
+
+/**
+ * Re-renders the list of fluids in the pack, with edit and remove controls for each.
+ */
+function renderFluidList() {
+    const list = document.getElementById('fluidList');
+    list.replaceChildren();
+
+    fluidList.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'list-group-item d-flex justify-content-between align-items-center';
+        if (index === editingIndex) item.classList.add('active');
+
+        const label = document.createElement('span');
+        label.textContent = `${entry.config.name} (${entry.config.id})`;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'btn-group btn-group-sm';
+
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'btn btn-outline-light';
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => {
+            writeFluidForm(entry);
+            setEditingIndex(index);
+            renderFluidList();
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'btn btn-outline-danger';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            fluidList.splice(index, 1);
+            if (editingIndex === index) {
+                resetFluidForm();
+                setEditingIndex(-1);
+            } else if (editingIndex > index) {
+                setEditingIndex(editingIndex - 1);
+            }
+            renderFluidList();
+        });
+
+        buttons.append(editButton, removeButton);
+        item.append(label, buttons);
+        list.appendChild(item);
+    });
+
+    document.getElementById('fluidListEmpty').classList.toggle('d-none', fluidList.length > 0);
+}
+
+document.getElementById('saveFluidButton').addEventListener('click', async function () {
+    try {
+        const entry = readFluidForm();
+        await validateFluidEntry(entry);
+
+        const duplicateIndex = fluidList.findIndex(other => other.config.id === entry.config.id);
+        if (duplicateIndex !== -1 && duplicateIndex !== editingIndex) {
+            throw new Error(`A fluid with the ID "${entry.config.id}" is already in the pack.`);
+        }
+        // File names replace the colon with an underscore, as in `validatePack`.
+        const safeId = entry.config.id.replace(':', '_');
+        const clash = fluidList.find((other, index) => index !== editingIndex && other.config.id.replace(':', '_') === safeId);
+        if (clash) {
+            throw new Error(`The fluids "${clash.config.id}" and "${entry.config.id}" would both be saved as "${safeId}". Rename one of them.`);
+        }
+
+        if (editingIndex === -1) {
+            fluidList.push(entry);
+            statusMessage.textContent = `Added ${entry.config.name} to the pack.`;
+        } else {
+            fluidList[editingIndex] = entry;
+            statusMessage.textContent = `Updated ${entry.config.name}.`;
+        }
+
+        resetFluidForm();
+        setEditingIndex(-1);
+        renderFluidList();
+    } catch (error) {
+        showError(error.message);
+    }
+});
+
+document.getElementById('cancelEditButton').addEventListener('click', function () {
+    resetFluidForm();
+    setEditingIndex(-1);
+    renderFluidList();
+});
+
+document.getElementById('newSeedButton').addEventListener('click', function () {
+    document.getElementById('packSeed').value = uuid.v4();
+});
+
+// --- Project Save / Load ---
+
+/**
+ * The fluids a project consists of: the fluid list, or the fluid in the editor when the list is empty.
+ * Unlike generation, saving does not require the entries to be complete.
+ * @returns {Array<{config: object, files: object}>}
+ */
+function getProjectEntries() {
+    return fluidList.length > 0 ? fluidList : [readFluidForm()];
+}
+
+/**
+ * Replaces the whole form state with a loaded project.
+ * A single fluid is loaded into the editor; several fluids are loaded into the fluid list.
+ * @param {{packName: string, fluids: object[]}} project The project settings and fluid configs.
+ * @param {{packIcon?: Uint8Array, textures: object[], sounds?: object[]}} assets The decoded images and sounds, if any.
+ */
+function applyProject(project, assets) {
+    writePackSettings(project);
+    setFileInput('packIcon', assets.packIcon ? new File([assets.packIcon], 'pack_icon.png', { type: 'image/png' }) : undefined);
+
+    const entries = project.fluids.map((config, index) => {
+        const safeId = (config.id || 'fluid').replace(':', '_');
+        const files = {};
+        const textures = assets.textures[index] || {};
+        for (const key in textures) {
+            files[key] = new File([textures[key]], `${safeId}_${key}.png`, { type: 'image/png' });
+        }
+        const sounds = (assets.sounds && assets.sounds[index]) || {};
+        files.sounds = {};
+        for (const kind in sounds) {
+            files.sounds[kind] = new File([sounds[kind]], `${safeId}_${kind}.ogg`, { type: 'audio/ogg' });
+        }
+        return { config: { ...FLUID_DEFAULTS, ...config }, files };
+    });
+
+    fluidList.length = 0;
+    setEditingIndex(-1);
+    if (entries.length === 1) {
+        writeFluidForm(entries[0]);
+    } else {
+        resetFluidForm();
+        fluidList.push(...entries);
+    }
+    renderFluidList();
+}
+
+document.getElementById('saveProjectButton').addEventListener('click', async function () {
+    try {
+        const entries = getProjectEntries();
+        const textures = [];
+        const sounds = [];
+        for (const { files } of entries) {
+            const buffers = {};
+            for (const key in TEXTURE_INPUTS) {
+                if (files[key]) buffers[key] = await files[key].arrayBuffer();
+            }
+            textures.push(buffers);
+            sounds.push(await readSoundBuffers(files.sounds));
+        }
+        const packIconFile = document.getElementById('packIcon').files[0];
+        const packIcon = packIconFile ? await packIconFile.arrayBuffer() : undefined;
+
+        const project = { ...readPackSettings(), fluids: entries.map(entry => entry.config) };
+        const saved = serializeProject(project, { packIcon, textures, sounds });
+        const baseName = (project.packName.trim() || project.fluids[0].name.trim() || 'Fluid').replace(/\s/g, '_');
+        downloadBlob(new Blob([JSON.stringify(saved, null, 2)], { type: 'application/json' }), `${baseName}.fluidproject.json`);
+        statusMessage.textContent = 'Project saved.';
+    } catch (error) {
+        showError(error.message);
+    }
+});
+
+document.getElementById('loadProjectButton').addEventListener('click', function () {
+    document.getElementById('projectFile').click();
+});
+
+document.getElementById('projectFile').addEventListener('change', async function () {
+    const file = this.files[0];
+    if (!file) return;
+    try {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('The selected file is not a valid project file.');
+        }
+        const { project, assets } = extractProjectAssets(migrateProject(parsed));
+        applyProject(project, assets);
+        statusMessage.textContent = `Loaded project with ${project.fluids.length} fluid(s).`;
+    } catch (error) {
+        showError(error.message);
+    } finally {
+        this.value = '';
+    }
+});
+
+document.getElementById('shareProjectButton').addEventListener('click', async function () {
+    try {
+        const project = { ...readPackSettings(), fluids: getProjectEntries().map(entry => entry.config) };
+        history.replaceState(null, '', encodeProjectHash(project));
+        await navigator.clipboard.writeText(location.href);
+        statusMessage.textContent = 'Share link copied. Textures are not included in links.';
+    } catch (error) {
+        showError(error.message);
+    }
+});
+
+/**
+ * Shows the problems found while importing a pack, or hides the report when there are none.
+ * @param {Array<{severity: string, path: string, message: string}>} issues The import issues.
+ */
+function renderImportReport(issues) {
+    const report = document.getElementById('importReport');
+    const list = document.getElementById('importIssues');
+    list.replaceChildren();
+    for (const issue of issues) {
+        const item = document.createElement('li');
+        item.textContent = `${issue.severity === 'error' ? 'Error' : 'Warning'} (${issue.path}): ${issue.message}`;
+        list.appendChild(item);
+    }
+    report.classList.toggle('d-none', issues.length === 0);
+}
+
+/**
+ * Shows the issues the linter found in the generated pack, or hides the report when there are none.
+ * @param {LintIssue[]} issues The issues, errors first.
+ */
+function renderLintReport(issues) {
+    const report = document.getElementById('lintReport');
+    const hasErrors = issues.some(issue => issue.severity === 'error');
+    document.getElementById('lintSummary').textContent = hasErrors
+        ? 'The pack was not generated, as it would not load correctly in Minecraft:'
+        : 'The pack was generated, but check these warnings:';
+    report.classList.toggle('alert-danger', hasErrors);
+    report.classList.toggle('alert-warning', !hasErrors);
+
+    const list = document.getElementById('lintIssues');
+    list.replaceChildren();
+    for (const issue of issues) {
+        const item = document.createElement('li');
+        item.textContent = `${issue.severity === 'error' ? 'Error' : 'Warning'} (${issue.path}): ${issue.message}`;
+        list.appendChild(item);
+    }
+    report.classList.toggle('d-none', issues.length === 0);
+}
+
+document.getElementById('openPackButton').addEventListener('click', function () {
+    document.getElementById('packFile').click();
+});
+
+document.getElementById('packFile').addEventListener('change', async function () {
+    const file = this.files[0];
+    if (!file) return;
+    try {
+        statusMessage.textContent = 'Reading pack...';
+        const { project, assets, issues } = await importFluidPack(await file.arrayBuffer());
+        applyProject(project, assets);
+        renderImportReport(issues);
+        statusMessage.textContent = `Opened pack with ${project.fluids.length} fluid(s).`;
+    } catch (error) {
+        renderImportReport([]);
+        showError(error.message);
+    } finally {
+        this.value = '';
+    }
+});
+
+/**
+ * Loads a project shared through the URL hash, if there is one.
+ */
+function loadProjectFromHash() {
+    try {
+        const project = decodeProjectHash(location.hash);
+        if (!project) return;
+        const extracted = extractProjectAssets(project);
+        applyProject(extracted.project, extracted.assets);
+        statusMessage.textContent = 'Loaded shared project. Please select the textures for each fluid.';
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+/**
+ * Reads the pack icon the user picked, or fetches the default one.
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function loadPackIcon() {
+    const packIconFile = document.getElementById('packIcon').files[0];
+    if (packIconFile) {
+        return packIconFile.arrayBuffer();
+    }
+    const response = await fetch('pack_icon.png');
+    if (!response.ok) throw new Error('Could not load default pack icon.');
+    return response.arrayBuffer();
+}
+
+/**
+ * Fetches the runtime scripts that are shipped in the behavior packs.
+ * @returns {Promise<Object.<string, string>>} The scripts, keyed by their path in `RUNTIME_SCRIPT_FILES`.
+ */
+async function loadRuntimeScripts() {
+    const scripts = {};
+    for (const filePath of RUNTIME_SCRIPT_FILES) {
+        const response = await fetch(filePath);
+        if (!response.ok) throw new Error(`Failed to fetch script: ${filePath}`);
+        scripts[filePath] = await response.text();
+    }
+    return scripts;
+}
+
+document.getElementById('engineButton').addEventListener('click', async function () {
+    try {
+        const files = buildEnginePackFiles(
+            { packIcon: await loadPackIcon(), scripts: await loadRuntimeScripts() },
+            { targetVersion: document.getElementById('targetVersion').value },
+        );
+        downloadBlob(await createPackZip(files).generateAsync({ type: 'blob' }), ENGINE_PACK_FILE_NAME);
+    } catch (error) {
+        showError(error.message);
+    }
+});
+
 document.getElementById('generateButton').addEventListener('click', async function (e) {
     const generateButton = document.getElementById('generateButton');
-    const statusMessage = document.getElementById('statusMessage');
     const spinner = generateButton.querySelector('.spinner-border');
     const formElements = document.getElementById('fluidForm').elements;
 
@@ -24,176 +1204,78 @@ document.getElementById('generateButton').addEventListener('click', async functi
         }
     };
 
-    const showError = (message) => {
-        statusMessage.textContent = `Error: ${message}`;
-        console.error(`Error: ${message}`);
-    };
-
     setUiLoading(true);
     statusMessage.textContent = 'Reading user input...';
 
     try {
-        const config = {
-            name: document.getElementById('fluidName').value,
-            id: document.getElementById('fluidID').value,
-            fogColor: document.getElementById('fogColor').value,
-            buoyancy: parseFloat(document.getElementById('buoyancy').value),
-            damage: parseInt(document.getElementById('damage').value),
-            lightLevel: parseInt(document.getElementById('lightLevel').value),
-            tickDelay: parseInt(document.getElementById('tickDelay').value),
-            effect: document.getElementById('effect').value,
-            burnsEntities: document.getElementById('burnsEntities').checked,
-            supportsBoats: document.getElementById('supportsBoats').checked,
-        };
-
-        // --- Input Validation and Sanitization ---
-        statusMessage.textContent = 'Validating input...';
-        let sanitizedId = config.id.trim().toLowerCase();
-        const validIdRegex = /^[a-z0-9_]+:[a-z0-9_]+$/;
-
-        if (!sanitizedId.includes(':')) {
-            throw new Error('Fluid ID must include a namespace (e.g., "myaddon:my_fluid").');
-        }
-        if (!validIdRegex.test(sanitizedId)) {
-            throw new Error('Fluid ID contains invalid characters. Use only lowercase letters, numbers, and underscores.');
+        // With an empty list, the fluid in the editor is generated on its own, as before.
+        let fluids = fluidList;
+        if (fluids.length === 0) {
+            statusMessage.textContent = 'Validating input...';
+            const entry = readFluidForm();
+            await validateFluidEntry(entry);
+            document.getElementById('fluidID').value = entry.config.id;
+            fluids = [entry];
         }
-        config.id = sanitizedId;
-        document.getElementById('fluidID').value = sanitizedId;
-
-        // --- Handle and Validate Texture File Inputs ---
-        const textureFile = document.getElementById('texture').files[0];
-        const flowingTextureFile = document.getElementById('flowingTexture').files[0];
-        const bucketTextureFile = document.getElementById('bucketTexture').files[0];
-        const packIconFile = document.getElementById('packIcon').files[0];
 
-        if (!textureFile || !bucketTextureFile) {
-            throw new Error('The Still Fluid Texture and Bucket Texture are required.');
-        }
-
-        const textureBuffer = await textureFile.arrayBuffer();
-        const bucketTextureBuffer = await bucketTextureFile.arrayBuffer();
-        
-        let flowingTextureBuffer;
-        if (flowingTextureFile) {
-            flowingTextureBuffer = await flowingTextureFile.arrayBuffer();
+        // --- Handle Texture File Inputs ---
+        const textureBuffers = [];
+        const soundBuffers = [];
+        for (const { config, files } of fluids) {
+            // Designed textures are only used when no still texture was uploaded.
+            const design = files.texture ? undefined : config.textureDesign;
+            const texture = design ? await renderTextureDesignPng(design, 'still') : await files.texture.arrayBuffer();
+            let flowingTexture;
+            if (files.flowingTexture) {
+                flowingTexture = await files.flowingTexture.arrayBuffer();
+            } else {
+                flowingTexture = design ? await renderTextureDesignPng(design, 'flowing') : await deriveFlowingStrip(texture);
+            }
+            const diagonalTexture = await renderDiagonalTexturePng(flowingTexture);
+            let bucketTexture;
+            if (files.bucketTexture) {
+                bucketTexture = await files.bucketTexture.arrayBuffer();
+            } else {
+                const canvas = document.createElement('canvas');
+                drawFluidBucketIcon(canvas, config, await readTexturePixels(texture));
+                bucketTexture = await canvasToPng(canvas);
+            }
+            textureBuffers.push({ texture, flowingTexture, diagonalTexture, bucketTexture });
+            soundBuffers.push(await readSoundBuffers(files.sounds));
         }
 
-        let packIconBuffer;
-        if (packIconFile) {
-            packIconBuffer = await packIconFile.arrayBuffer();
-        } else {
-            const response = await fetch('pack_icon.png');
-            if (!response.ok) throw new Error('Could not load default pack icon.');
-            packIconBuffer = await response.arrayBuffer();
-        }
+        const packIconBuffer = await loadPackIcon();
+        const scripts = await loadRuntimeScripts();
 
         statusMessage.textContent = 'Generating assets...';
 
-        const zip = new JSZip();
-        const safeId = config.id.replace(':', '_');
-        const packName = `${config.name} Fluid Pack`;
-        const packDesc = `A custom fluid pack for ${config.name}. Made with Bedrock Fluids API.`;
-
-        // --- Generate Core Assets ---
-        const blockJson = getBlockJson(config);
-        const bucketJson = generateBucketItemJson(config);
-        
-        const hexColor = config.fogColor.substring(1);
-        const fogIdentifier = `lumstudio:${hexColor}_fog`;
-        const fogJson = new FogGenerator(fogIdentifier)
-            .setDistance("air", 0.0, 15.0, config.fogColor)
-            .setDistance("weather", 0.0, 15.0, config.fogColor)
-            .build();
-        
-        const pickupEntityIdentifier = "lumstudio:fluid_pickup_entity";
-        const dummyFiles = createDummyEntity({ identifier: pickupEntityIdentifier });
-
-        dummyFiles.behavior["minecraft:entity"].components["minecraft:custom_hit_test"] = { "hitboxes": [ { "pivot": [0, 0.5, 0], "width": 1, "height": 1 } ] };
-        dummyFiles.behavior["minecraft:entity"].components["minecraft:type_family"] = { "family": ["inanimate", "fluid_pickup"] };
-        dummyFiles.behavior["minecraft:entity"].description.runtime_identifier = "minecraft:shulker";
-
-        const fluidGeoGenerator = new FluidGeometryGenerator();
-        const fluidGeoContent = fluidGeoGenerator.generateAll().build();
-
-        // --- Generate Manifests ---
-        const rpManifest = getManifestJson(packName, packDesc, "resources");
-        const bpManifest = getManifestJson(packName, packDesc, "behaviors", rpManifest.header.uuid);
-
-        // --- Behavior Pack (BP) ---
-        const bp = zip.folder('BP');
-        bp.file('pack_icon.png', packIconBuffer);
-        bp.file('manifest.json', JSON.stringify(bpManifest, null, 2));
-        bp.folder('blocks').file(`${safeId}.json`, JSON.stringify(blockJson, null, 2));
-        bp.folder('items').file(`${safeId}_bucket.json`, JSON.stringify(bucketJson, null, 2));
-        bp.folder('entities').file('fluid_pickup_entity.json', JSON.stringify(dummyFiles.behavior, null, 2));
-        
-        const scriptsFolder = bp.folder('scripts');
-        const scriptFiles = [
-            'refactored_scripts/main.js', 'refactored_scripts/fluids.js', 'refactored_scripts/BlockUpdate.js',
-            'refactored_scripts/queue.js', 'refactored_scripts/effects/index.js', 'refactored_scripts/effects/damage.js',
-            'refactored_scripts/effects/burn.js', 'refactored_scripts/effects/statusEffect.js', 'refactored_scripts/effects/boat.js',
-        ];
-        for (const filePath of scriptFiles) {
-            const response = await fetch(filePath);
-            if (!response.ok) throw new Error(`Failed to fetch script: ${filePath}`);
-            const content = await response.text();
-            const zipPath = filePath.replace('refactored_scripts/', '');
-            scriptsFolder.file(zipPath, content);
-        }
-        scriptsFolder.file('registry.js', getRegistryScript(config));
-
-        // --- Resource Pack (RP) ---
-        const rp = zip.folder('RP');
-        rp.file('pack_icon.png', packIconBuffer);
-        rp.file('manifest.json', JSON.stringify(rpManifest, null, 2));
-        rp.folder('fogs').file(`${hexColor}_fog.json`, JSON.stringify(fogJson, null, 2));
-        
-        const terrainTextureJson = {
-            resource_pack_name: "vanilla",
-            texture_name: "atlas.terrain",
-            padding: 8,
-            num_mip_levels: 4,
-            texture_data: { [safeId]: { textures: `textures/blocks/${safeId}` } }
+        const project = {
+            ...readPackSettings(),
+            fluids: fluids.map(fluid => fluid.config),
         };
-        if (flowingTextureBuffer) {
-            terrainTextureJson.texture_data[`flowing_${safeId}`] = { textures: `textures/blocks/flowing_${safeId}` };
-        } else {
-            terrainTextureJson.texture_data[`flowing_${safeId}`] = { textures: `textures/blocks/${safeId}` };
-        }
-        rp.folder('textures').file('terrain_texture.json', JSON.stringify(terrainTextureJson, null, 2));
+        validatePack(project.fluids, textureBuffers, project, soundBuffers);
+        const files = buildPackFiles(project, { packIcon: packIconBuffer, scripts, textures: textureBuffers, sounds: soundBuffers });
+        const { fileName } = getPackNames(project.packName, project.fluids);
 
-        const blocksRpJson = { "format_version": "1.21.40", [config.id]: { "sound": "bucket.fill_lava" } };
-        const itemTextureJson = {
-            resource_pack_name: "vanilla",
-            texture_name: "atlas.items",
-            texture_data: { [`${safeId}_bucket`]: { textures: `textures/items/${safeId}_bucket` } }
-        };
-        rp.folder('entity').file('fluid_pickup_entity.json', JSON.stringify(dummyFiles.resource, null, 2));
-        rp.folder('models/entity').file('dummy.json', JSON.stringify(dummyFiles.geometry, null, 2));
-        rp.folder('render_controllers').file('dummy.json', JSON.stringify(dummyFiles.render_controller, null, 2));
-        rp.file('blocks.json', JSON.stringify(blocksRpJson, null, 2));
-        rp.folder('textures').file('item_texture.json', JSON.stringify(itemTextureJson, null, 2));
-        rp.folder('models/blocks').file('fluid.geo.json', JSON.stringify(fluidGeoContent, null, 2));
-        
-        rp.folder('textures/blocks').file(`${safeId}.png`, textureBuffer);
-        if (flowingTextureBuffer) {
-            rp.folder('textures/blocks').file(`flowing_${safeId}.png`, flowingTextureBuffer);
-        }
-        rp.folder('textures/items').file(`${safeId}_bucket.png`, bucketTextureBuffer);
+        statusMessage.textContent = 'Checking the pack...';
+        const issues = lintPackFiles(files);
+        renderLintReport(issues);
+        if (issues.some(issue => issue.severity === 'error')) {
+            statusMessage.textContent = '';
+            return;
+        }
+        const zip = createPackZip(files);
 
         // --- Generate and Trigger Download ---
         statusMessage.textContent = 'Zipping files...';
         const blob = await zip.generateAsync({ type: 'blob' });
-        const filename = `${config.name.replace(/\s/g, '_')}_Addon.mcaddon`;
-        
-        const a = document.createElement('a');
-        a.style.display = 'none';
-        a.href = URL.createObjectURL(blob);
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        URL.revokeObjectURL(a.href);
-        document.body.removeChild(a);
+
+        downloadBlob(blob, fileName);
+
+        // The next generation must have a higher version for Minecraft to upgrade the installed pack.
+        if (document.getElementById('autoBumpVersion').checked) {
+            document.getElementById('packVersion').value = formatPackVersion(bumpPackVersion(project.packVersion));
+        }
 
         statusMessage.textContent = 'Generation complete! Check your downloads.';
 
@@ -202,4 +1284,65 @@ document.getElementById('generateButton').addEventListener('click', async functi
     } finally {
         setUiLoading(false);
     }
-});
\ No newline at end of file
+});
+
+for (const inputId of ['useTextureDesign', 'designBaseColor', 'designHighlightColor', 'designNoise', 'designFrames', 'designSize']) {
+    document.getElementById(inputId).addEventListener('input', renderTextureDesigner);
+    document.getElementById(inputId).addEventListener('input', renderBucketPreview);
+    document.getElementById(inputId).addEventListener('input', loadPreviewTextures);
+}
+for (const inputId of ['texture', 'bucketTexture']) {
+    document.getElementById(inputId).addEventListener('change', renderBucketPreview);
+}
+for (const inputId of ['texture', 'flowingTexture']) {
+    document.getElementById(inputId).addEventListener('change', loadPreviewTextures);
+}
+// Textures are checked as soon as they are picked, rather than when the fluid is added.
+for (const key in TEXTURE_INPUTS) {
+    const input = document.getElementById(key);
+    input.addEventListener('change', async function () {
+        input.classList.remove('is-invalid');
+        if (!input.files[0]) return;
+        try {
+            await inspectTextureFile(input.files[0], key);
+        } catch (error) {
+            input.classList.add('is-invalid');
+            showError(error.message);
+        }
+    });
+}
+for (const inputId of ['bucketSource', 'bucketColor']) {
+    document.getElementById(inputId).addEventListener('input', renderBucketPreview);
+}
+document.getElementById('fogMedium').addEventListener('change', showFogMedium);
+for (const inputId of ['fogMediumEnabled', 'fogRenderDistanceType', 'fogStart', 'fogEnd', 'fogDensity', 'fogScattering', 'fogAbsorption']) {
+    document.getElementById(inputId).addEventListener('input', storeFogMedium);
+}
+document.getElementById('fogColor').addEventListener('input', renderFogPreview);
+document.getElementById('customModel').addEventListener('change', loadCustomModel);
+document.getElementById('soundKind').addEventListener('change', showSoundKind);
+for (const inputId of ['soundSource', 'soundEvent', 'soundFile', 'soundVolume', 'soundPitch']) {
+    document.getElementById(inputId).addEventListener('input', storeSound);
+}
+document.getElementById('addInteraction').addEventListener('click', () => {
+    fluidInteractions.push({ fluid: '', when: 'any', action: 'stop' });
+    renderInteractionRules();
+});
+document.getElementById('flowDimension').addEventListener('change', showFlowDimension);
+for (const inputId of ['dimensionSpreadDistance', 'dimensionTickDelay', 'dimensionEvaporates']) {
+    document.getElementById(inputId).addEventListener('input', storeFlowDimension);
+}
+document.getElementById('clearCustomModels').addEventListener('click', () => {
+    customModels = {};
+    renderCustomModelStatus();
+});
+
+renderTargetOptions();
+renderFluidList();
+renderCustomModelStatus();
+showSoundKind();
+showFogMedium();
+showFlowDimension();
+renderInteractionRules();
+loadProjectFromHash();
+requestAnimationFrame(drawPreviewFrame);
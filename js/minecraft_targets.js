@@ -0,0 +1,76 @@
+/**
+ * @fileoverview The Minecraft releases a pack can be generated for.
+ * Every file format and script module version that differs between releases is looked up here,
+ * so supporting a new release only means adding an entry.
+ */
+
+/**
+ * @typedef {Object} MinecraftTarget
+ * @property {string} label The name shown in the target selector.
+ * @property {number[]} minEngineVersion The manifest's `min_engine_version`.
+ * @property {string} blockFormat The `format_version` of block files and RP/blocks.json.
+ * @property {string} itemFormat The `format_version` of item files.
+ * @property {boolean} itemMenuCategory Whether items use `menu_category` in their description
+ *     instead of the deprecated `minecraft:creative_category` component.
+ * @property {string} fogFormat The `format_version` of fog files.
+ * @property {string} serverModule The version of `@minecraft/server`.
+ * @property {string} serverUiModule The version of `@minecraft/server-ui`.
+ */
+
+/**
+ * The supported Minecraft releases, keyed by version.
+ * @type {Object.<string, MinecraftTarget>}
+ */
+const MINECRAFT_TARGETS = {
+    '1.20.60': {
+        label: 'Minecraft 1.20.60 - 1.21.30',
+        minEngineVersion: [1, 20, 60],
+        blockFormat: '1.20.60',
+        itemFormat: '1.20.10',
+        itemMenuCategory: false,
+        fogFormat: '1.16.100',
+        serverModule: '1.8.0',
+        serverUiModule: '1.1.0',
+    },
+    '1.21.40': {
+        label: 'Minecraft 1.21.40 - 1.21.80',
+        minEngineVersion: [1, 21, 40],
+        blockFormat: '1.21.40',
+        itemFormat: '1.21.40',
+        itemMenuCategory: true,
+        fogFormat: '1.16.100',
+        serverModule: '1.16.0',
+        serverUiModule: '1.3.0',
+    },
+    '1.21.90': {
+        label: 'Minecraft 1.21.90 and newer',
+        minEngineVersion: [1, 21, 90],
+        blockFormat: '1.21.40',
+        itemFormat: '1.21.90',
+        itemMenuCategory: true,
+        fogFormat: '1.16.100',
+        serverModule: '2.0.0',
+        serverUiModule: '2.0.0',
+    },
+};
+
+/** The release targeted when a project does not choose one. */
+const DEFAULT_MINECRAFT_TARGET = '1.21.90';
+
+/**
+ * Looks up a supported Minecraft release.
+ * @param {string} [version=DEFAULT_MINECRAFT_TARGET] A key of `MINECRAFT_TARGETS`.
+ * @returns {MinecraftTarget}
+ * @throws {Error} If the release is not supported.
+ */
+function getMinecraftTarget(version = DEFAULT_MINECRAFT_TARGET) {
+    const target = MINECRAFT_TARGETS[version];
+    if (!target) {
+        throw new Error(`Unsupported Minecraft version "${version}". Use one of: ${Object.keys(MINECRAFT_TARGETS).join(', ')}.`);
+    }
+    return target;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MINECRAFT_TARGETS, DEFAULT_MINECRAFT_TARGET, getMinecraftTarget };
+}
@@ -0,0 +1,938 @@
+/**
+ * @fileoverview Assembles a complete fluid add-on (BP + RP) from fluid configs and their assets.
+ * This file is loaded as a regular script by index.html and required as a CommonJS module by
+ * server.js, so the browser and the HTTP API produce identical packs.
+ */
+
+/**
+ * The fluid engine scripts, relative to the repository root.
+ * `registry.js` is not listed, as it is generated from the fluid configs.
+ * @type {string[]}
+ */
+const ENGINE_SCRIPT_FILES = [
+    'refactored_scripts/fluids.js', 'refactored_scripts/BlockUpdate.js',
+    'refactored_scripts/queue.js', 'refactored_scripts/compat.js', 'refactored_scripts/persistence.js', 'refactored_scripts/effects/index.js',
+    'refactored_scripts/effects/damage.js', 'refactored_scripts/effects/burn.js', 'refactored_scripts/effects/statusEffect.js',
+    'refactored_scripts/effects/boat.js',
+];
+
+/**
+ * The scripts shipped in each kind of behavior pack. The first file of each list is the pack's entry point.
+ *  - `embedded` packs run their own copy of the engine.
+ *  - `engine` is the shared fluid engine pack, which holds no fluids of its own.
+ *  - `shared` packs only register their fluids with the shared engine pack.
+ * @type {Object.<string, string[]>}
+ */
+const PACK_SCRIPT_FILES = {
+    embedded: ['refactored_scripts/main.js', ...ENGINE_SCRIPT_FILES],
+    engine: ['refactored_scripts/engine.js', 'refactored_scripts/engine_events.js', ...ENGINE_SCRIPT_FILES],
+    shared: ['refactored_scripts/register_fluids.js', 'refactored_scripts/engine_events.js'],
+};
+
+/**
+ * Every runtime script any pack may need. Callers load these and pass them to `buildPackFiles`.
+ * @type {string[]}
+ */
+const RUNTIME_SCRIPT_FILES = [...new Set(Object.values(PACK_SCRIPT_FILES).flat())];
+
+/**
+ * How a fluid pack runs its fluids: with its own copy of the engine, or through the shared engine pack.
+ * @type {string[]}
+ */
+const RUNTIME_MODES = ['embedded', 'shared'];
+
+/** The shared engine's namespace, which must match `ENGINE_NAMESPACE` in refactored_scripts/engine_events.js. */
+const ENGINE_NAMESPACE = 'fluid_engine';
+
+/**
+ * The longest script event message, which limits how big a fluid registered with the shared engine may be.
+ * See `encodeRegistration` in refactored_scripts/engine_events.js.
+ * @type {number}
+ */
+const MAX_REGISTRATION_LENGTH = 2048;
+
+/** The seed of the shared engine pack's UUIDs. Every generated engine pack is the same pack to Minecraft. */
+const ENGINE_PACK_SEED = 'bedrock-fluids/engine';
+
+/** The version of the shared engine pack. Bump it whenever the engine scripts change. */
+const ENGINE_PACK_VERSION = [1, 17, 0];
+
+/** The file name of the downloadable shared engine pack. */
+const ENGINE_PACK_FILE_NAME = 'Fluid_Engine.mcaddon';
+
+/**
+ * The values the generator form starts with, used for any property a config leaves out.
+ * @type {object}
+ */
+const FLUID_DEFAULTS = {
+    fogColor: '#777777',
+    buoyancy: 0.03,
+    damage: 0,
+    lightLevel: 0,
+    tickDelay: 5,
+    spreadDistance: 7,
+    dropSearchRadius: 0,
+    sourceMode: 'none',
+    effect: '',
+    burnsEntities: false,
+    supportsBoats: true,
+    ticksPerFrame: 2,
+    flowingTicksPerFrame: 1,
+    surface: 'flat',
+};
+
+/**
+ * The settings that belong to the pack rather than to a fluid.
+ * A single fluid config may carry these alongside its own properties.
+ * @type {string[]}
+ */
+const PACK_SETTING_KEYS = ['packName', 'packVersion', 'seed', 'namespace', 'runtime', 'targetVersion'];
+
+/** The version a pack starts at when the project does not set one. */
+const DEFAULT_PACK_VERSION = [1, 0, 0];
+
+/**
+ * Thrown when a fluid config or its assets are invalid.
+ * The message is meant to be shown to the user as-is.
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ValidationError';
+    }
+}
+
+/**
+ * Resolves the generator functions and JSZip, which are globals in the browser and modules in Node.
+ * @returns {object}
+ */
+function loadPackDependencies() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return {
+            JSZip: require('jszip'),
+            ...require('./generator.js'),
+            ...require('./fog_generator.js'),
+            ...require('./bucket_generator.js'),
+            ...require('./dummy_entity_generator.js'),
+            ...require('./geometry_generator.js'),
+            ...require('./minecraft_targets.js'),
+            ...require('./texture_tools.js'),
+            ...require('./texture_designer.js'),
+        };
+    }
+    return {
+        JSZip, DEFAULT_NAMESPACE, FLUID_SOUND_KINDS, FLUID_INTERACTION_ACTIONS, FLUID_INTERACTION_FORMS,
+        DEFAULT_SPREAD_DISTANCE, MAX_SPREAD_DISTANCE, MAX_DROP_SEARCH_RADIUS, FLUID_SOURCE_MODES, FLUID_DIMENSIONS,
+        getSourceDepth, getSoundEventName, getBlockSoundSetName, getBlockSoundSets, getFogName, getRegistryEntry,
+        getRegistryScript, getManifestJson,
+        getBoneVisibility, getBlockJson, FOG_MEDIUMS, FOG_RENDER_DISTANCE_TYPES, DEFAULT_FOG_MEDIUM, DEFAULT_FOG_SETTINGS, createFluidFog, readFluidFogSettings,
+        generateBucketItemJson, createDummyEntity, FLUID_SURFACES, getFluidGeometryName, getFluidGeometryLevel,
+        createCustomGeometryModel, findGeometryBoneMismatches, FluidGeometryGenerator,
+        MINECRAFT_TARGETS, DEFAULT_MINECRAFT_TARGET, getMinecraftTarget, readPngSize, inspectTexture, getFrameCount,
+        TEXTURE_NOISE_STYLES, TEXTURE_DESIGN_SIZES, MAX_TEXTURE_DESIGN_FRAMES, DEFAULT_TEXTURE_DESIGN,
+    };
+}
+
+/**
+ * Validates a fluid's custom geometry: an object mapping fluid levels (1-8) to parsed `.geo.json` models.
+ * Each model's first geometry must define every bone the block's `bone_visibility` refers to for its level.
+ * Extra bones are allowed; the pack linter warns about them, as they are always shown.
+ * @param {object} config The fluid configuration, with a valid `surface`.
+ * @throws {ValidationError} If a model is malformed or is missing bones.
+ */
+function validateCustomGeometry(config) {
+    const { getBoneVisibility, findGeometryBoneMismatches } = loadPackDependencies();
+    const models = config.customGeometry;
+    if (!models || typeof models !== 'object' || Array.isArray(models)) {
+        throw new ValidationError('Custom geometry must map fluid levels (1-8) to models.');
+    }
+    for (const level of Object.keys(models)) {
+        if (!/^[1-8]$/.test(level)) {
+            throw new ValidationError(`Custom geometry can only be given for fluid levels 1 to 8, not "${level}".`);
+        }
+        const geometry = models[level]?.['minecraft:geometry']?.[0];
+        if (!geometry || typeof geometry !== 'object' || !Array.isArray(geometry.bones)) {
+            throw new ValidationError(`The custom model for level ${level} of ${config.id} is not a geometry file with bones.`);
+        }
+        const required = Object.keys(getBoneVisibility(Number(level), config.surface));
+        const { missing } = findGeometryBoneMismatches(geometry, required, Number(level));
+        if (missing.length > 0) {
+            throw new ValidationError(`The custom model for level ${level} of ${config.id} is missing the bones ${missing.join(', ')}.`);
+        }
+    }
+}
+
+/**
+ * Validates a texture design and fills in the settings it leaves out.
+ * @param {object} design The design, see `TextureDesign`.
+ * @returns {TextureDesign} The complete design.
+ * @throws {ValidationError} If a setting is malformed.
+ */
+function validateTextureDesign(design) {
+    const {
+        TEXTURE_NOISE_STYLES, TEXTURE_DESIGN_SIZES, MAX_TEXTURE_DESIGN_FRAMES, DEFAULT_TEXTURE_DESIGN,
+    } = loadPackDependencies();
+    if (!design || typeof design !== 'object' || Array.isArray(design)) {
+        throw new ValidationError('The texture design must be an object.');
+    }
+    const complete = { ...DEFAULT_TEXTURE_DESIGN, ...design };
+    for (const key of ['baseColor', 'highlightColor']) {
+        if (typeof complete[key] !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(complete[key])) {
+            throw new ValidationError('Texture design colors must be hex colors (e.g., "#1f4fbf").');
+        }
+    }
+    if (!TEXTURE_NOISE_STYLES.includes(complete.noise)) {
+        throw new ValidationError(`Unknown texture noise "${complete.noise}". Use one of: ${TEXTURE_NOISE_STYLES.join(', ')}.`);
+    }
+    if (!Number.isInteger(complete.frames) || complete.frames < 1 || complete.frames > MAX_TEXTURE_DESIGN_FRAMES) {
+        throw new ValidationError(`Texture design frames must be a whole number from 1 to ${MAX_TEXTURE_DESIGN_FRAMES}.`);
+    }
+    if (!TEXTURE_DESIGN_SIZES.includes(complete.size)) {
+        throw new ValidationError(`Texture design size must be one of: ${TEXTURE_DESIGN_SIZES.join(', ')}.`);
+    }
+    return complete;
+}
+
+/**
+ * Validates a fluid's fog settings and fills in the settings they leave out.
+ * Air and weather always have a fog; the other mediums only when the settings name them.
+ * @param {object} fog The settings of each medium, see `FogMediumSettings`.
+ * @returns {Object.<string, FogMediumSettings>} The complete settings.
+ * @throws {ValidationError} If a medium is unknown or a setting is malformed.
+ */
+function validateFogSettings(fog) {
+    const { FOG_MEDIUMS, FOG_RENDER_DISTANCE_TYPES, DEFAULT_FOG_MEDIUM, DEFAULT_FOG_SETTINGS } = loadPackDependencies();
+    if (!fog || typeof fog !== 'object' || Array.isArray(fog)) {
+        throw new ValidationError('The fog settings must map mediums to their settings.');
+    }
+    const complete = { ...DEFAULT_FOG_SETTINGS };
+    for (const medium of Object.keys(fog)) {
+        const supports = FOG_MEDIUMS[medium];
+        if (!supports) {
+            throw new ValidationError(`Unknown fog medium "${medium}". Use one of: ${Object.keys(FOG_MEDIUMS).join(', ')}.`);
+        }
+        if (!fog[medium] || typeof fog[medium] !== 'object' || Array.isArray(fog[medium])) {
+            throw new ValidationError(`The ${medium} fog settings must be an object.`);
+        }
+        const settings = { ...DEFAULT_FOG_MEDIUM, ...fog[medium] };
+        if (!FOG_RENDER_DISTANCE_TYPES.includes(settings.renderDistanceType)) {
+            throw new ValidationError(`Unknown fog render distance type "${settings.renderDistanceType}". Use one of: ${FOG_RENDER_DISTANCE_TYPES.join(', ')}.`);
+        }
+        // Render distance fogs are measured in fractions of the render distance rather than in blocks.
+        const maxDistance = settings.renderDistanceType === 'render' ? 1 : Infinity;
+        if (![settings.start, settings.end].every(distance => Number.isFinite(distance) && distance >= 0 && distance <= maxDistance)
+            || settings.start > settings.end) {
+            throw new ValidationError(settings.renderDistanceType === 'render'
+                ? `The ${medium} fog start and end must be fractions of the render distance from 0 to 1, with the start before the end.`
+                : `The ${medium} fog start and end must be distances of at least 0 blocks, with the start before the end.`);
+        }
+        if (settings.density !== undefined) {
+            if (!supports.density) {
+                throw new ValidationError(`The ${medium} fog has no volumetric density.`);
+            }
+            if (!Number.isFinite(settings.density) || settings.density < 0 || settings.density > 1) {
+                throw new ValidationError(`The ${medium} fog density must be a number from 0 to 1.`);
+            }
+        }
+        for (const key of ['scattering', 'absorption']) {
+            if (settings[key] === undefined) continue;
+            if (!supports.coefficients) {
+                throw new ValidationError(`The ${medium} fog has no ${key} coefficients.`);
+            }
+            const channels = Array.isArray(settings[key]) ? settings[key] : [settings[key]];
+            if (![1, 3].includes(channels.length) || !channels.every(value => Number.isFinite(value) && value >= 0)) {
+                throw new ValidationError(`The ${medium} fog ${key} must be a number of at least 0, or one for each of red, green and blue.`);
+            }
+        }
+        complete[medium] = settings;
+    }
+    return complete;
+}
+
+/**
+ * Validates a fluid's sounds: an object mapping `FLUID_SOUND_KINDS` to a vanilla sound `event` or, without one, to
+ * the uploaded .ogg file of that kind, with an optional `volume` and `pitch`.
+ * @param {object} sounds The sounds of the fluid.
+ * @throws {ValidationError} If a kind is unknown or a sound is malformed.
+ */
+function validateFluidSounds(sounds) {
+    const { FLUID_SOUND_KINDS } = loadPackDependencies();
+    if (!sounds || typeof sounds !== 'object' || Array.isArray(sounds)) {
+        throw new ValidationError('The sounds must map sound kinds to their settings.');
+    }
+    for (const kind of Object.keys(sounds)) {
+        if (!FLUID_SOUND_KINDS.includes(kind)) {
+            throw new ValidationError(`Unknown sound "${kind}". Use one of: ${FLUID_SOUND_KINDS.join(', ')}.`);
+        }
+        const sound = sounds[kind];
+        if (!sound || typeof sound !== 'object' || Array.isArray(sound)) {
+            throw new ValidationError(`The ${kind} sound must be an object.`);
+        }
+        if (sound.event !== undefined && (typeof sound.event !== 'string' || !/^[a-z0-9_.]+$/.test(sound.event))) {
+            throw new ValidationError(`The ${kind} sound event must be a sound event name (e.g., "bucket.fill_lava").`);
+        }
+        for (const key of ['volume', 'pitch']) {
+            if (sound[key] !== undefined && (!Number.isFinite(sound[key]) || sound[key] <= 0)) {
+                throw new ValidationError(`The ${kind} sound ${key} must be a number above 0.`);
+            }
+        }
+    }
+}
+
+/**
+ * Validates a fluid's interaction rules: a list of `{ fluid, when, action, block }`, where `fluid` is another fluid's ID,
+ * `minecraft:water`, `minecraft:lava` or `*` for any fluid, `when` is one of `FLUID_INTERACTION_FORMS`, `action` is one
+ * of `FLUID_INTERACTION_ACTIONS`, and `block` is the block the `block` action turns the fluid into.
+ * @param {object[]} interactions The rules, in the order the fluid engine tries them.
+ * @param {string} fluidId The sanitized ID of the fluid the rules belong to.
+ * @returns {object[]} The rules with sanitized IDs and `when` filled in.
+ * @throws {ValidationError} If a rule is malformed.
+ */
+function validateFluidInteractions(interactions, fluidId) {
+    const { FLUID_INTERACTION_ACTIONS, FLUID_INTERACTION_FORMS } = loadPackDependencies();
+    if (!Array.isArray(interactions)) {
+        throw new ValidationError('The interactions must be a list of rules.');
+    }
+    const identifierRegex = /^[a-z0-9_]+:[a-z0-9_]+$/;
+    return interactions.map((rule, index) => {
+        const label = `Interaction ${index + 1}`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            throw new ValidationError(`${label} must be an object.`);
+        }
+        const fluid = typeof rule.fluid === 'string' ? rule.fluid.trim().toLowerCase() : '';
+        if (fluid !== '*' && !identifierRegex.test(fluid)) {
+            throw new ValidationError(`${label} must name a fluid ID (e.g., "minecraft:lava") or "*" for any fluid.`);
+        }
+        if (fluid === fluidId) {
+            throw new ValidationError(`${label} names the fluid itself.`);
+        }
+        const { when = 'any', action } = rule;
+        if (!FLUID_INTERACTION_FORMS.includes(when)) {
+            throw new ValidationError(`${label} has an unknown "when" "${when}". Use one of: ${FLUID_INTERACTION_FORMS.join(', ')}.`);
+        }
+        if (!FLUID_INTERACTION_ACTIONS.includes(action)) {
+            throw new ValidationError(`${label} has an unknown action "${action}". Use one of: ${FLUID_INTERACTION_ACTIONS.join(', ')}.`);
+        }
+        if (action !== 'block') {
+            return { fluid, when, action };
+        }
+        const block = typeof rule.block === 'string' ? rule.block.trim().toLowerCase() : '';
+        if (!identifierRegex.test(block)) {
+            throw new ValidationError(`${label} must name the block it produces (e.g., "minecraft:obsidian").`);
+        }
+        return { fluid, when, action, block };
+    });
+}
+
+/**
+ * Validates a fluid's per-dimension rules: an object mapping `FLUID_DIMENSIONS` to a `spreadDistance` and `tickDelay`
+ * that replace the fluid's own in that dimension, and `evaporates`, which keeps the fluid from existing there at all.
+ * @param {object} dimensions The rules of each dimension.
+ * @throws {ValidationError} If a dimension is unknown or a rule is malformed.
+ */
+function validateFluidDimensions(dimensions) {
+    const { FLUID_DIMENSIONS, MAX_SPREAD_DISTANCE } = loadPackDependencies();
+    if (!dimensions || typeof dimensions !== 'object' || Array.isArray(dimensions)) {
+        throw new ValidationError('The dimension rules must map dimensions to their rules.');
+    }
+    for (const dimension of Object.keys(dimensions)) {
+        if (!FLUID_DIMENSIONS.includes(dimension)) {
+            throw new ValidationError(`Unknown dimension "${dimension}". Use one of: ${FLUID_DIMENSIONS.join(', ')}.`);
+        }
+        const rules = dimensions[dimension];
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new ValidationError(`The ${dimension} rules must be an object.`);
+        }
+        const { spreadDistance, tickDelay, evaporates } = rules;
+        if (spreadDistance !== undefined && !(Number.isInteger(spreadDistance) && spreadDistance >= 1 && spreadDistance <= MAX_SPREAD_DISTANCE)) {
+            throw new ValidationError(`The ${dimension} spread distance must be a whole number from 1 to ${MAX_SPREAD_DISTANCE}.`);
+        }
+        if (tickDelay !== undefined && !(Number.isInteger(tickDelay) && tickDelay >= 1)) {
+            throw new ValidationError(`The ${dimension} tick delay must be a whole number of ticks, at least 1.`);
+        }
+        if (evaporates !== undefined && typeof evaporates !== 'boolean') {
+            throw new ValidationError(`The ${dimension} "evaporates" rule must be true or false.`);
+        }
+    }
+}
+
+/**
+ * Validates and sanitizes a single fluid config. The config's ID is normalized in place,
+ * and missing properties are filled in from `FLUID_DEFAULTS`.
+ * @param {object} config The fluid configuration.
+ * @throws {ValidationError} If the config is not an object, or the name, ID, fog color, fog settings, bucket color, animation speed, surface,
+ *     tick delay, spread distance, drop search radius, texture design, custom geometry, sounds, interactions or dimension rules are missing or malformed.
+ */
+function validateFluidConfig(config) {
+    const { FLUID_SURFACES, MAX_SPREAD_DISTANCE, MAX_DROP_SEARCH_RADIUS, FLUID_SOURCE_MODES } = loadPackDependencies();
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError('Each fluid must be a JSON object.');
+    }
+    for (const key in FLUID_DEFAULTS) {
+        if (config[key] === undefined || Number.isNaN(config[key])) {
+            config[key] = FLUID_DEFAULTS[key];
+        }
+    }
+
+    if (typeof config.name !== 'string' || !config.name.trim()) {
+        throw new ValidationError('Fluid Name is required.');
+    }
+    if (typeof config.id !== 'string') {
+        throw new ValidationError('Fluid ID is required.');
+    }
+
+    let sanitizedId = config.id.trim().toLowerCase();
+    const validIdRegex = /^[a-z0-9_]+:[a-z0-9_]+$/;
+
+    if (!sanitizedId.includes(':')) {
+        throw new ValidationError('Fluid ID must include a namespace (e.g., "myaddon:my_fluid").');
+    }
+    if (!validIdRegex.test(sanitizedId)) {
+        throw new ValidationError('Fluid ID contains invalid characters. Use only lowercase letters, numbers, and underscores.');
+    }
+    config.id = sanitizedId;
+
+    if (typeof config.fogColor !== 'string' || !/^#[0-9a-fA-F]{3,8}$/.test(config.fogColor)) {
+        throw new ValidationError('Fog Color must be a hex color (e.g., "#777777").');
+    }
+    if (config.fog !== undefined) {
+        config.fog = validateFogSettings(config.fog);
+    }
+    if (config.bucketColor !== undefined && (typeof config.bucketColor !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(config.bucketColor))) {
+        throw new ValidationError('Bucket Color must be a hex color (e.g., "#3f76e4").');
+    }
+    for (const key of ['ticksPerFrame', 'flowingTicksPerFrame']) {
+        if (!Number.isInteger(config[key]) || config[key] < 1) {
+            throw new ValidationError('Animation speeds must be whole numbers of ticks per frame, at least 1.');
+        }
+    }
+    if (!Number.isInteger(config.tickDelay) || config.tickDelay < 1) {
+        throw new ValidationError('Tick Delay must be a whole number of ticks, at least 1.');
+    }
+    if (!Number.isInteger(config.spreadDistance) || config.spreadDistance < 1 || config.spreadDistance > MAX_SPREAD_DISTANCE) {
+        throw new ValidationError(`Spread Distance must be a whole number from 1 to ${MAX_SPREAD_DISTANCE}.`);
+    }
+    if (!Number.isInteger(config.dropSearchRadius) || config.dropSearchRadius < 0 || config.dropSearchRadius > MAX_DROP_SEARCH_RADIUS) {
+        throw new ValidationError(`Drop Search Radius must be a whole number from 0 to ${MAX_DROP_SEARCH_RADIUS}.`);
+    }
+    if (!FLUID_SOURCE_MODES.includes(config.sourceMode)) {
+        throw new ValidationError(`Unknown source mode "${config.sourceMode}". Use one of: ${FLUID_SOURCE_MODES.join(', ')}.`);
+    }
+    if (!FLUID_SURFACES.includes(config.surface)) {
+        throw new ValidationError(`Unknown surface "${config.surface}". Use one of: ${FLUID_SURFACES.join(', ')}.`);
+    }
+    if (config.textureDesign !== undefined) {
+        config.textureDesign = validateTextureDesign(config.textureDesign);
+    }
+    if (config.customGeometry !== undefined) {
+        validateCustomGeometry(config);
+    }
+    if (config.sounds !== undefined) {
+        validateFluidSounds(config.sounds);
+    }
+    if (config.interactions !== undefined) {
+        config.interactions = validateFluidInteractions(config.interactions, config.id);
+    }
+    if (config.dimensions !== undefined) {
+        validateFluidDimensions(config.dimensions);
+    }
+}
+
+/**
+ * Parses a pack version given as "1.2.3" or [1, 2, 3].
+ * @param {string|number[]|undefined} value The version. Undefined yields `DEFAULT_PACK_VERSION`.
+ * @returns {number[]} The version as three non-negative integers.
+ * @throws {ValidationError} If the version is malformed.
+ */
+function parsePackVersion(value) {
+    if (value === undefined || value === '') return [...DEFAULT_PACK_VERSION];
+    const parts = typeof value === 'string' ? value.trim().split('.').map(Number) : value;
+    if (!Array.isArray(parts) || parts.length !== 3 || !parts.every(part => Number.isInteger(part) && part >= 0)) {
+        throw new ValidationError('Pack Version must be three whole numbers (e.g., "1.0.0").');
+    }
+    return parts;
+}
+
+/**
+ * Formats a pack version for display, e.g. [1, 2, 3] -> "1.2.3".
+ * @param {number[]} version The version.
+ * @returns {string}
+ */
+function formatPackVersion(version) {
+    return version.join('.');
+}
+
+/**
+ * Increases the patch number of a pack version, which is enough for Minecraft to treat it as an upgrade.
+ * @param {string|number[]} version The current version.
+ * @returns {number[]}
+ */
+function bumpPackVersion(version) {
+    const [major, minor, patch] = parsePackVersion(version);
+    return [major, minor, patch + 1];
+}
+
+/**
+ * Returns the seed the manifest UUIDs are derived from.
+ * Without an explicit seed it is derived from the fluid IDs, so the same set of fluids
+ * always regenerates into the same pack.
+ * @param {object} project The pack configuration.
+ * @returns {string}
+ */
+function getPackSeed(project) {
+    if (typeof project.seed === 'string' && project.seed.trim()) {
+        return project.seed.trim();
+    }
+    return `fluids:${project.fluids.map(config => config.id).sort().join(',')}`;
+}
+
+/**
+ * Returns the namespace for the pack's block states, pickup entity and fogs.
+ * @param {object} project The pack configuration.
+ * @returns {string} The trimmed `project.namespace`, or `DEFAULT_NAMESPACE` when it is empty.
+ */
+function getPackNamespace(project) {
+    if (typeof project.namespace === 'string' && project.namespace.trim()) {
+        return project.namespace.trim();
+    }
+    return loadPackDependencies().DEFAULT_NAMESPACE;
+}
+
+/**
+ * Returns the Minecraft release a pack is generated for.
+ * @param {object} project The pack configuration.
+ * @returns {MinecraftTarget} The release named by `project.targetVersion`, or the default release.
+ * @throws {ValidationError} If the release is not supported.
+ */
+function getPackTarget(project) {
+    const { getMinecraftTarget } = loadPackDependencies();
+    try {
+        return getMinecraftTarget(project.targetVersion || undefined);
+    } catch (e) {
+        throw new ValidationError(e.message);
+    }
+}
+
+/**
+ * Validates every fluid of a pack and the textures and sounds supplied for it.
+ * @param {object[]} configs The fluid configurations.
+ * @param {Array<{texture?: *, bucketTexture?: *}>} textures The textures for each fluid, in the same order.
+ * @param {object} [settings] The pack-level settings, such as `packVersion`, `seed`, `namespace`, `runtime` and `targetVersion`.
+ * @param {Array<Object.<string, *>>} [sounds] The uploaded .ogg files for each fluid, keyed by sound kind.
+ * @throws {ValidationError} If any fluid or setting is invalid, an ID is repeated, the still texture is missing,
+ *     a texture has an unsupported size, a sound without a vanilla event has no valid .ogg file, or a fluid of a
+ *     shared pack is too big to register with the engine.
+ */
+function validatePack(configs, textures, settings = {}, sounds = []) {
+    const { inspectTexture, getRegistryEntry } = loadPackDependencies();
+    parsePackVersion(settings.packVersion);
+    if (settings.seed !== undefined && typeof settings.seed !== 'string') {
+        throw new ValidationError('Pack Seed must be a string.');
+    }
+    if (settings.namespace !== undefined && typeof settings.namespace !== 'string') {
+        throw new ValidationError('Namespace must be a string.');
+    }
+    const namespace = getPackNamespace(settings);
+    if (!/^[a-z0-9_]+$/.test(namespace)) {
+        throw new ValidationError('Namespace contains invalid characters. Use only lowercase letters, numbers, and underscores.');
+    }
+    if (namespace === 'minecraft' || namespace === ENGINE_NAMESPACE) {
+        throw new ValidationError(`The "${namespace}" namespace is reserved. Choose one for your add-on (e.g., "myaddon").`);
+    }
+    if (settings.runtime !== undefined && !RUNTIME_MODES.includes(settings.runtime)) {
+        throw new ValidationError(`Unknown runtime "${settings.runtime}". Use one of: ${RUNTIME_MODES.join(', ')}.`);
+    }
+    getPackTarget(settings);
+
+    if (!Array.isArray(configs) || configs.length === 0) {
+        throw new ValidationError('At least one fluid is required.');
+    }
+
+    // File names replace the ID's colon with an underscore, so IDs like "ab_c:d" and "ab:c_d" would share files.
+    /** The ID of each fluid, by its file name. */
+    const seenIds = new Map();
+    configs.forEach((config, index) => {
+        validateFluidConfig(config);
+        const safeId = config.id.replace(':', '_');
+        if (seenIds.get(safeId) === config.id) {
+            throw new ValidationError(`A fluid with the ID "${config.id}" is already in the pack.`);
+        }
+        if (seenIds.has(safeId)) {
+            throw new ValidationError(`The fluids "${seenIds.get(safeId)}" and "${config.id}" would both be saved as "${safeId}". Rename one of them.`);
+        }
+        seenIds.set(safeId, config.id);
+
+        // Shared packs send each fluid to the engine in one script event. This must match `encodeRegistration`.
+        if (settings.runtime === 'shared') {
+            const registration = JSON.stringify({ id: config.id, data: { ...getRegistryEntry(config), namespace } });
+            if (registration.length > MAX_REGISTRATION_LENGTH) {
+                throw new ValidationError(`${config.id} is too big to register with the Shared Fluid Engine pack ` +
+                    `(${registration.length} of ${MAX_REGISTRATION_LENGTH} characters). Remove some interactions, sounds or dimension rules, or embed the engine.`);
+            }
+        }
+
+        // A texture design stands in for the still texture, and a missing bucket texture is composited
+        // from the still texture or bucket color. Both are rendered by the caller before building.
+        const fluidTextures = textures[index] || {};
+        if (!fluidTextures.texture && !config.textureDesign) {
+            throw new ValidationError(`The Still Fluid Texture (or a texture design) is required (${config.id}).`);
+        }
+        const labels = { texture: 'Still Fluid Texture', flowingTexture: 'Flowing Fluid Texture', bucketTexture: 'Bucket Texture' };
+        for (const key in labels) {
+            if (!fluidTextures[key]) continue;
+            try {
+                inspectTexture(fluidTextures[key], `The ${labels[key]} of ${config.id}`, key !== 'bucketTexture');
+            } catch (e) {
+                throw new ValidationError(e.message);
+            }
+        }
+
+        const fluidSounds = sounds[index] || {};
+        for (const kind of Object.keys(config.sounds || {})) {
+            if (config.sounds[kind].event) continue;
+            if (!fluidSounds[kind]) {
+                throw new ValidationError(`The ${kind} sound of ${config.id} needs a vanilla sound event or an .ogg file.`);
+            }
+            // Ogg files start with the "OggS" capture pattern.
+            const bytes = fluidSounds[kind] instanceof Uint8Array ? fluidSounds[kind] : new Uint8Array(fluidSounds[kind]);
+            if (String.fromCharCode(...bytes.subarray(0, 4)) !== 'OggS') {
+                throw new ValidationError(`The ${kind} sound of ${config.id} is not an .ogg file.`);
+            }
+        }
+    });
+}
+
+/**
+ * Accepts either a single fluid config or a `{ packName, fluids }` project and always returns the latter.
+ * Pack settings on a single fluid config (see `PACK_SETTING_KEYS`) are moved to the project.
+ * @param {object} input The parsed configuration.
+ * @returns {{packName?: string, fluids: object[]}}
+ * @throws {ValidationError} If the input is not an object, or its `fluids` is not a list of objects.
+ */
+function normalizeProject(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new ValidationError('The configuration must be a JSON object.');
+    }
+    if (input.fluids !== undefined) {
+        if (!Array.isArray(input.fluids)) {
+            throw new ValidationError('"fluids" must be a list of fluid configurations.');
+        }
+        if (input.fluids.some(config => !config || typeof config !== 'object' || Array.isArray(config))) {
+            throw new ValidationError('Each fluid must be a JSON object.');
+        }
+        return { ...input };
+    }
+    const project = { fluids: [input] };
+    for (const key of PACK_SETTING_KEYS) {
+        if (input[key] !== undefined) project[key] = input[key];
+    }
+    return project;
+}
+
+/**
+ * Builds the pack's display name and description from the optional user-chosen name and the fluids.
+ * @param {string|undefined} packName The name entered by the user, if any.
+ * @param {object[]} configs The fluid configurations.
+ * @returns {{displayName: string, packName: string, packDesc: string, fileName: string}}
+ */
+function getPackNames(packName, configs) {
+    const displayName = (packName || '').trim() || (configs.length === 1 ? configs[0].name : 'Custom Fluids');
+    const packDesc = configs.length === 1
+        ? `A custom fluid pack for ${configs[0].name}. Made with Bedrock Fluids API.`
+        : `A custom fluid pack for ${configs.map(config => config.name).join(', ')}. Made with Bedrock Fluids API.`;
+    const fileName = `${displayName.replace(/\s/g, '_')}_Addon.mcaddon`;
+    return { displayName, packName: `${displayName} Fluid Pack`, packDesc, fileName };
+}
+
+/**
+ * Adds the bucket pickup entity, which the engine spawns on fluid sources, to a file map.
+ * @param {Object.<string, *>} files The file map to add to.
+ * @param {string} namespace The namespace of the entity's identifier.
+ */
+function addPickupEntityFiles(files, namespace) {
+    const { createDummyEntity } = loadPackDependencies();
+    const json = (value) => JSON.stringify(value, null, 2);
+    const dummyFiles = createDummyEntity({ identifier: `${namespace}:fluid_pickup_entity` });
+
+    dummyFiles.behavior["minecraft:entity"].components["minecraft:custom_hit_test"] = { "hitboxes": [ { "pivot": [0, 0.5, 0], "width": 1, "height": 1 } ] };
+    dummyFiles.behavior["minecraft:entity"].components["minecraft:type_family"] = { "family": ["inanimate", "fluid_pickup"] };
+    dummyFiles.behavior["minecraft:entity"].description.runtime_identifier = "minecraft:shulker";
+
+    files['BP/entities/fluid_pickup_entity.json'] = json(dummyFiles.behavior);
+    files['RP/entity/fluid_pickup_entity.json'] = json(dummyFiles.resource);
+    files['RP/models/entity/dummy.json'] = json(dummyFiles.geometry);
+    files['RP/render_controllers/dummy.json'] = json(dummyFiles.render_controller);
+}
+
+/**
+ * Copies the scripts of one kind of behavior pack into a file map.
+ * @param {Object.<string, *>} files The file map to add to.
+ * @param {string} kind A key of `PACK_SCRIPT_FILES`.
+ * @param {Object.<string, string>} scripts The runtime scripts, keyed by their path in `RUNTIME_SCRIPT_FILES`.
+ * @returns {string} The entry point, relative to the behavior pack.
+ */
+function addScriptFiles(files, kind, scripts) {
+    const scriptFiles = PACK_SCRIPT_FILES[kind];
+    for (const filePath of scriptFiles) {
+        const content = scripts[filePath];
+        if (content === undefined) throw new Error(`Missing runtime script: ${filePath}`);
+        files[filePath.replace('refactored_scripts/', 'BP/scripts/')] = content;
+    }
+    return scriptFiles[0].replace('refactored_scripts/', 'scripts/');
+}
+
+/**
+ * Creates the manifests of the shared engine pack. Their UUIDs never change, so fluid packs can depend on it.
+ * @param {MinecraftTarget} target The Minecraft release the engine is generated for.
+ * @returns {{rp: object, bp: object}}
+ */
+function getEngineManifests(target) {
+    const { getManifestJson } = loadPackDependencies();
+    const name = 'Fluid Engine';
+    const desc = 'Runs the fluids of every fluid pack made with Bedrock Fluids API. Made with Bedrock Fluids API.';
+    const options = { seed: ENGINE_PACK_SEED, version: ENGINE_PACK_VERSION, entry: 'scripts/engine.js', target };
+    const rp = getManifestJson(name, desc, 'resources', undefined, options);
+    const bp = getManifestJson(name, desc, 'behaviors', rp.header.uuid, options);
+    return { rp, bp };
+}
+
+/**
+ * Generates the shared fluid engine pack, which fluid packs with `runtime: 'shared'` require.
+ * It is the same for every project, so it only needs to be installed once per world.
+ * @param {object} assets
+ * @param {ArrayBuffer|Uint8Array} assets.packIcon The pack icon PNG.
+ * @param {Object.<string, string>} assets.scripts The runtime scripts, keyed by their path in `RUNTIME_SCRIPT_FILES`.
+ * @param {object} [options]
+ * @param {string} [options.targetVersion] The Minecraft release to generate for, a key of `MINECRAFT_TARGETS`.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>} The file map, with the same layout as `buildPackFiles`.
+ * @throws {ValidationError} If the release is not supported.
+ */
+function buildEnginePackFiles(assets, options = {}) {
+    const { getRegistryScript } = loadPackDependencies();
+    const json = (value) => JSON.stringify(value, null, 2);
+    const { rp, bp } = getEngineManifests(getPackTarget(options));
+    const files = {};
+
+    files['BP/pack_icon.png'] = assets.packIcon;
+    files['BP/manifest.json'] = json(bp);
+    files['RP/pack_icon.png'] = assets.packIcon;
+    files['RP/manifest.json'] = json(rp);
+    addPickupEntityFiles(files, ENGINE_NAMESPACE);
+    addScriptFiles(files, 'engine', assets.scripts);
+    files['BP/scripts/registry.js'] = getRegistryScript([], ENGINE_NAMESPACE, bp.header.uuid);
+    return files;
+}
+
+/**
+ * Generates every file of the add-on, keyed by its path inside the .mcaddon.
+ * The BP and RP are the top-level `BP/` and `RP/` folders.
+ * Inputs are expected to have been checked with `validatePack` first.
+ *
+ * @param {object} project The pack configuration.
+ * @param {string} [project.packName] The user-chosen pack name.
+ * @param {string} [project.seed] The seed for the manifest UUIDs. Defaults to one derived from the fluid IDs.
+ * @param {string|number[]} [project.packVersion] The pack version. Defaults to `DEFAULT_PACK_VERSION`.
+ * @param {string} [project.namespace] The namespace for block states, the pickup entity and fogs. Defaults to `DEFAULT_NAMESPACE`.
+ * @param {string} [project.targetVersion] The Minecraft release to generate for. Defaults to `DEFAULT_MINECRAFT_TARGET`.
+ * @param {string} [project.runtime='embedded'] One of `RUNTIME_MODES`. Shared packs leave out the engine and the pickup
+ *     entity, and require the pack from `buildEnginePackFiles`.
+ * @param {object[]} project.fluids The fluid configurations.
+ * @param {object} assets The binary and text assets for the pack.
+ * @param {ArrayBuffer|Uint8Array} assets.packIcon The pack icon PNG.
+ * @param {Object.<string, string>} assets.scripts The runtime scripts, keyed by their path in `RUNTIME_SCRIPT_FILES`.
+ * @param {Array<{texture: *, flowingTexture?: *, diagonalTexture?: *, bucketTexture: *}>} assets.textures The PNGs for each
+ *     fluid, in the same order as `project.fluids`. Still and flowing textures may be vertical sprite strips, which are
+ *     animated at the fluid's `ticksPerFrame` and `flowingTicksPerFrame`. The diagonal texture is the flowing texture
+ *     made by `shearFlowingStrip`, shown on fluid flowing diagonally.
+ * @param {Array<Object.<string, *>>} [assets.sounds] The uploaded .ogg files for each fluid, keyed by sound kind, for the
+ *     sounds that have no vanilla `event`.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>} The file map. JSON and scripts are strings, images are binary.
+ */
+function buildPackFiles(project, assets) {
+    const {
+        getRegistryScript, getManifestJson, getBlockJson, getFogName, createFluidFog, getSoundEventName,
+        getBlockSoundSetName, getBlockSoundSets, generateBucketItemJson, getFluidGeometryName, createCustomGeometryModel, FluidGeometryGenerator, readPngSize, getFrameCount,
+    } = loadPackDependencies();
+
+    const configs = project.fluids;
+    const files = {};
+    const json = (value) => JSON.stringify(value, null, 2);
+    const { packName, packDesc } = getPackNames(project.packName, configs);
+    const namespace = getPackNamespace(project);
+    const isShared = project.runtime === 'shared';
+    const target = getPackTarget(project);
+
+    // --- Generate Shared Assets ---
+    // Fluids share the geometry of their texture resolution, whose UVs are laid out for it, and surface.
+    const resolutions = configs.map((config, index) => readPngSize(assets.textures[index].texture)?.width || 16);
+
+    // --- Generate Manifests ---
+    const manifestOptions = { seed: getPackSeed(project), version: parsePackVersion(project.packVersion), target };
+    if (isShared) {
+        const engineManifest = getEngineManifests(target).bp;
+        manifestOptions.entry = PACK_SCRIPT_FILES.shared[0].replace('refactored_scripts/', 'scripts/');
+        manifestOptions.dependencies = [{ uuid: engineManifest.header.uuid, version: engineManifest.header.version }];
+    }
+    const rpManifest = getManifestJson(packName, packDesc, "resources", undefined, manifestOptions);
+    const bpManifest = getManifestJson(packName, packDesc, "behaviors", rpManifest.header.uuid, manifestOptions);
+
+    // --- Behavior Pack (BP) ---
+    files['BP/pack_icon.png'] = assets.packIcon;
+    files['BP/manifest.json'] = json(bpManifest);
+    addScriptFiles(files, isShared ? 'shared' : 'embedded', assets.scripts);
+    files['BP/scripts/registry.js'] = getRegistryScript(configs, namespace, bpManifest.header.uuid);
+
+    // --- Resource Pack (RP) ---
+    files['RP/pack_icon.png'] = assets.packIcon;
+    files['RP/manifest.json'] = json(rpManifest);
+    configs.forEach((config, index) => {
+        // Custom models replace the generated geometry level by level.
+        const customLevels = Object.keys(config.customGeometry || {});
+        for (const level of customLevels) {
+            files[`RP/models/blocks/${config.id.replace(':', '_')}_${level}.geo.json`] =
+                json(createCustomGeometryModel(config.customGeometry[level], config.id, Number(level)));
+        }
+        const geometryPath = `RP/models/blocks/${getFluidGeometryName(resolutions[index], config.surface)}.geo.json`;
+        if (customLevels.length < 8 && !files[geometryPath]) {
+            files[geometryPath] = json(new FluidGeometryGenerator(resolutions[index], config.surface).generateAll().build());
+        }
+    });
+
+    const terrainTextureJson = {
+        resource_pack_name: "vanilla",
+        texture_name: "atlas.terrain",
+        padding: 8,
+        num_mip_levels: 4,
+        texture_data: {}
+    };
+    const itemTextureJson = {
+        resource_pack_name: "vanilla",
+        texture_name: "atlas.items",
+        texture_data: {}
+    };
+    const blocksRpJson = { "format_version": target.blockFormat };
+    const flipbookJson = [];
+    const soundDefinitions = {};
+    const soundsJson = { block_sounds: {}, interactive_sounds: { block_sounds: {} } };
+
+    // --- Per-Fluid Assets ---
+    configs.forEach((config, index) => {
+        const textures = assets.textures[index];
+        const safeId = config.id.replace(':', '_');
+
+        files[`BP/blocks/${safeId}.json`] = json(getBlockJson(config, namespace, target, resolutions[index]));
+        files[`BP/items/${safeId}_bucket.json`] = json(generateBucketItemJson(config, target));
+
+        // Fluids with the default fog and the same color share the fog file, as the runtime derives the fog ID from its name.
+        const fogName = getFogName(config);
+        const fogJson = createFluidFog(`${namespace}:${fogName}_fog`, config.fogColor, config.fog, target.fogFormat);
+        files[`RP/fogs/${fogName}_fog.json`] = json(fogJson);
+
+        // Without a flowing texture, flowing blocks show the still one, and without a diagonal one, the flowing one.
+        const stillPath = `textures/blocks/${safeId}`;
+        const flowingPath = textures.flowingTexture ? `textures/blocks/flowing_${safeId}` : stillPath;
+        const diagonalPath = textures.diagonalTexture ? `textures/blocks/flowing_diagonal_${safeId}` : flowingPath;
+        terrainTextureJson.texture_data[safeId] = { textures: stillPath };
+        terrainTextureJson.texture_data[`flowing_${safeId}`] = { textures: flowingPath };
+        terrainTextureJson.texture_data[`flowing_diagonal_${safeId}`] = { textures: diagonalPath };
+        if (getFrameCount(textures.texture) > 1) {
+            flipbookJson.push({ flipbook_texture: stillPath, atlas_tile: safeId, ticks_per_frame: config.ticksPerFrame });
+        }
+        if (getFrameCount(textures.flowingTexture || textures.texture) > 1) {
+            flipbookJson.push({ flipbook_texture: flowingPath, atlas_tile: `flowing_${safeId}`, ticks_per_frame: config.flowingTicksPerFrame });
+        }
+        if (getFrameCount(textures.diagonalTexture || textures.flowingTexture || textures.texture) > 1) {
+            flipbookJson.push({ flipbook_texture: diagonalPath, atlas_tile: `flowing_diagonal_${safeId}`, ticks_per_frame: config.flowingTicksPerFrame });
+        }
+        itemTextureJson.texture_data[`${safeId}_bucket`] = { textures: `textures/items/${safeId}_bucket` };
+
+        // The block's sound set plays the fluid's sounds; a fluid without them has no block sounds.
+        const soundSets = getBlockSoundSets(config);
+        if (Object.keys(soundSets).length > 0) {
+            const soundSetName = getBlockSoundSetName(config);
+            blocksRpJson[config.id] = { "sound": soundSetName };
+            if (soundSets.block_sounds) soundsJson.block_sounds[soundSetName] = soundSets.block_sounds;
+            if (soundSets.interactive_sounds) soundsJson.interactive_sounds.block_sounds[soundSetName] = soundSets.interactive_sounds;
+        }
+
+        files[`RP/textures/blocks/${safeId}.png`] = textures.texture;
+        if (textures.flowingTexture) {
+            files[`RP/textures/blocks/flowing_${safeId}.png`] = textures.flowingTexture;
+        }
+        if (textures.diagonalTexture) {
+            files[`RP/textures/blocks/flowing_diagonal_${safeId}.png`] = textures.diagonalTexture;
+        }
+        files[`RP/textures/items/${safeId}_bucket.png`] = textures.bucketTexture;
+
+        // Uploaded sounds get their own sound events; vanilla events are played as they are.
+        const sounds = (assets.sounds && assets.sounds[index]) || {};
+        for (const kind of Object.keys(config.sounds || {})) {
+            if (config.sounds[kind].event) continue;
+            const soundPath = `sounds/fluids/${safeId}/${kind}`;
+            soundDefinitions[getSoundEventName(config, kind)] = {
+                category: kind === 'enter' || kind === 'swim' ? 'player' : 'block',
+                sounds: [soundPath],
+            };
+            files[`RP/${soundPath}.ogg`] = sounds[kind];
+        }
+    });
+
+    files['RP/textures/terrain_texture.json'] = json(terrainTextureJson);
+    files['RP/textures/item_texture.json'] = json(itemTextureJson);
+    if (flipbookJson.length > 0) {
+        files['RP/textures/flipbook_textures.json'] = json(flipbookJson);
+    }
+    files['RP/blocks.json'] = json(blocksRpJson);
+    if (Object.keys(soundDefinitions).length > 0) {
+        files['RP/sounds/sound_definitions.json'] = json({ format_version: "1.14.0", sound_definitions: soundDefinitions });
+    }
+    if (Object.keys(soundsJson.block_sounds).length > 0 || Object.keys(soundsJson.interactive_sounds.block_sounds).length > 0) {
+        files['RP/sounds.json'] = json(soundsJson);
+    }
+
+    // With the shared runtime, the engine pack spawns its own pickup entity.
+    if (!isShared) {
+        addPickupEntityFiles(files, namespace);
+    }
+    return files;
+}
+
+/**
+ * Zips a file map. With a `root`, only the files under that folder are included,
+ * and the folder itself is stripped, which turns `BP/` or `RP/` into a standalone .mcpack.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map from `buildPackFiles`.
+ * @param {string} [root] The folder to extract, e.g. 'BP'.
+ * @returns {JSZip} The populated zip, ready for `generateAsync`.
+ */
+function createPackZip(files, root) {
+    const { JSZip } = loadPackDependencies();
+    const zip = new JSZip();
+    const prefix = root ? `${root}/` : '';
+    for (const [filePath, content] of Object.entries(files)) {
+        if (filePath.startsWith(prefix)) {
+            zip.file(filePath.slice(prefix.length), content);
+        }
+    }
+    return zip;
+}
+
+/**
+ * Assembles the complete add-on into a JSZip instance, with the BP and RP as top-level folders.
+ * Takes the same arguments as `buildPackFiles`.
+ * @param {object} project The pack configuration.
+ * @param {object} assets The binary and text assets for the pack.
+ * @returns {JSZip} The populated zip, ready for `generateAsync`.
+ */
+function buildFluidPack(project, assets) {
+    return createPackZip(buildPackFiles(project, assets));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RUNTIME_SCRIPT_FILES, PACK_SCRIPT_FILES, RUNTIME_MODES, ENGINE_NAMESPACE, MAX_REGISTRATION_LENGTH, ENGINE_PACK_VERSION, ENGINE_PACK_FILE_NAME,
+        FLUID_DEFAULTS, PACK_SETTING_KEYS, DEFAULT_PACK_VERSION, ValidationError, loadPackDependencies,
+        parsePackVersion, formatPackVersion, bumpPackVersion, getPackSeed, getPackNamespace, getPackTarget,
+        validateTextureDesign, validateFogSettings, validateCustomGeometry, validateFluidSounds, validateFluidInteractions, validateFluidDimensions, validateFluidConfig, validatePack, normalizeProject, getPackNames,
+        buildEnginePackFiles, buildPackFiles, createPackZip, buildFluidPack,
+    };
+}
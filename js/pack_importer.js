@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Reads an .mcaddon produced by this generator back into a project,
+ * so old packs can be edited and regenerated. Anything that cannot be recovered,
+ * or that no longer matches what the generator would emit, is reported as an issue
+ * rather than failing the whole import.
+ */
+
+/**
+ * @typedef {Object} ImportIssue
+ * @property {'error'|'warning'} severity Errors mean data was lost; warnings mean regenerating will change a file.
+ * @property {string} path The file inside the pack the issue is about.
+ * @property {string} message A description for the user.
+ */
+
+/**
+ * The registry properties the generator writes. Anything else was added by hand.
+ * @type {string[]}
+ */
+const KNOWN_REGISTRY_KEYS = ['damage', 'fog', 'buoyancy', 'tick_delay', 'boat', 'burnTime', 'effect', 'sounds', 'interactions', 'spread', 'dimensions', 'drop_search', 'source_mode'];
+
+/**
+ * Resolves the generator functions and JSZip through the pack builder.
+ * @returns {object}
+ */
+function loadImporterDependencies() {
+    if (typeof module !== 'undefined' && module.exports) {
+        const builder = require('./pack_builder.js');
+        return {
+            ...builder.loadPackDependencies(),
+            getPackSeed: builder.getPackSeed, getPackNamespace: builder.getPackNamespace,
+            getPackTarget: builder.getPackTarget, bumpPackVersion: builder.bumpPackVersion,
+            validateFogSettings: builder.validateFogSettings, validateFluidInteractions: builder.validateFluidInteractions,
+            validateFluidDimensions: builder.validateFluidDimensions,
+        };
+    }
+    return {
+        ...loadPackDependencies(), getPackSeed, getPackNamespace, getPackTarget, bumpPackVersion, validateFogSettings, validateFluidInteractions,
+        validateFluidDimensions,
+    };
+}
+
+/**
+ * Serializes a value with sorted object keys, so hand-reordered JSON still compares equal.
+ * @param {*} value The value to serialize.
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Parses the object literal of a generated `registry.js`.
+ * Generated files hold plain JSON; hand-written ones with unquoted keys, single quotes
+ * or trailing commas are also accepted.
+ * @param {string} source The content of registry.js.
+ * @returns {object} The FluidRegistry object.
+ * @throws {Error} If no registry object can be found or parsed.
+ */
+function parseRegistrySource(source) {
+    const match = /FluidRegistry\s*=\s*(\{[\s\S]*\})\s*;?\s*$/.exec(source.trim());
+    if (!match) {
+        throw new Error('No "FluidRegistry" export was found.');
+    }
+    try {
+        return JSON.parse(match[1]);
+    } catch (e) {
+        const lenient = match[1]
+            .replace(/\/\/[^\n]*/g, '')
+            .replace(/'([^'\\]*)'/g, '"$1"')
+            .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+            .replace(/,(\s*[}\]])/g, '$1');
+        return JSON.parse(lenient);
+    }
+}
+
+/**
+ * Reads the pack namespace exported by a generated `registry.js`.
+ * @param {string} source The content of registry.js.
+ * @returns {string|undefined} The namespace, or undefined for packs generated before it was configurable.
+ */
+function parseRegistryNamespace(source) {
+    const match = /FLUID_NAMESPACE\s*=\s*["']([^"']*)["']/.exec(source);
+    return match ? match[1] : undefined;
+}
+
+/**
+ * Converts a fluid ID to a readable name, e.g. "lum:liquid_bismuth" -> "Liquid Bismuth".
+ * @param {string} fluidId The fluid ID.
+ * @returns {string}
+ */
+function nameFromId(fluidId) {
+    return fluidId.split(':').pop().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Imports an .mcaddon produced by this generator.
+ * @param {ArrayBuffer|Uint8Array|Blob} data The .mcaddon file.
+ * @returns {Promise<{project: {packName: string, fluids: object[]}, assets: {packIcon?: Uint8Array, textures: object[], sounds: object[]}, issues: ImportIssue[]}>}
+ * @throws {Error} If the file is not a zip or has no fluid registry at all.
+ */
+async function importFluidPack(data) {
+    const {
+        JSZip, getBlockJson, generateBucketItemJson, FLUID_SOUND_KINDS, getSoundEventName, getFogName, createFluidFog, readFluidFogSettings, DEFAULT_FOG_SETTINGS,
+        getManifestJson, MINECRAFT_TARGETS, readPngSize, getPackSeed, getPackNamespace, getPackTarget, bumpPackVersion,
+        validateFogSettings, validateFluidInteractions, validateFluidDimensions, FLUID_SOURCE_MODES,
+    } = loadImporterDependencies();
+
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(data);
+    } catch (e) {
+        throw new Error('The selected file is not a valid .mcaddon (zip) file.');
+    }
+
+    /** @type {ImportIssue[]} */
+    const issues = [];
+    const addIssue = (severity, path, message) => issues.push({ severity, path, message });
+
+    // Packs are normally zipped with BP/ and RP/ at the root, but may have been re-zipped inside another folder.
+    const registryPath = Object.keys(zip.files).find(path => /(^|\/)scripts\/registry\.js$/.test(path));
+    if (!registryPath) {
+        throw new Error('No scripts/registry.js was found. Is this a pack made with the fluid generator?');
+    }
+    const bpRoot = registryPath.replace(/scripts\/registry\.js$/, '');
+    const rpRoot = bpRoot.replace(/BP\/$/, 'RP/');
+
+    const readText = async (path) => {
+        const file = zip.file(path);
+        return file ? file.async('string') : undefined;
+    };
+    const readBinary = async (path) => {
+        const file = zip.file(path);
+        return file ? file.async('uint8array') : undefined;
+    };
+    const readJson = async (path) => {
+        const text = await readText(path);
+        if (text === undefined) {
+            addIssue('error', path, 'File is missing.');
+            return undefined;
+        }
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            addIssue('error', path, `File is not valid JSON: ${e.message}`);
+            return undefined;
+        }
+    };
+
+    const registrySource = await readText(registryPath);
+    let registry;
+    try {
+        registry = parseRegistrySource(registrySource);
+    } catch (e) {
+        throw new Error(`Could not read the fluid registry: ${e.message}`);
+    }
+
+    const manifest = await readJson(`${bpRoot}manifest.json`);
+    const manifestName = manifest?.header?.name || '';
+    const project = { packName: manifestName.replace(/ Fluid Pack$/, ''), fluids: [] };
+    // Packs made before the namespace was configurable always used the default one.
+    const savedNamespace = parseRegistryNamespace(registrySource);
+    if (savedNamespace) project.namespace = savedNamespace;
+    const namespace = getPackNamespace(project);
+    if (zip.file(`${bpRoot}scripts/register_fluids.js`)) project.runtime = 'shared';
+
+    // The Minecraft release is recognized by the manifest's minimum engine version.
+    const minEngineVersion = manifest?.header?.min_engine_version;
+    const targetVersion = Object.keys(MINECRAFT_TARGETS)
+        .find(version => canonicalJson(MINECRAFT_TARGETS[version].minEngineVersion) === canonicalJson(minEngineVersion));
+    if (targetVersion) {
+        project.targetVersion = targetVersion;
+    } else if (manifest) {
+        addIssue('warning', `${bpRoot}manifest.json`, `The minimum engine version ${canonicalJson(minEngineVersion)} does not match a supported Minecraft version, so the newest one was selected.`);
+    }
+    const target = getPackTarget(project);
+    const assets = { textures: [], sounds: [] };
+
+    const packIcon = await readBinary(`${bpRoot}pack_icon.png`);
+    if (packIcon) assets.packIcon = packIcon;
+
+    // Animation speeds are only stored in the flipbook file, which packs without animated textures leave out.
+    const flipbookPath = `${rpRoot}textures/flipbook_textures.json`;
+    const flipbooks = zip.file(flipbookPath) ? await readJson(flipbookPath) : undefined;
+    const ticksPerFrame = {};
+    for (const flipbook of Array.isArray(flipbooks) ? flipbooks : []) {
+        if (Number.isInteger(flipbook?.ticks_per_frame)) ticksPerFrame[flipbook.atlas_tile] = flipbook.ticks_per_frame;
+    }
+
+    for (const fluidId of Object.keys(registry)) {
+        const entry = registry[fluidId] || {};
+        const safeId = fluidId.replace(':', '_');
+        // Fluids with their own fog settings have the fluid ID after the color in the fog name, see `getFogName`.
+        const fogMatch = typeof entry.fog === 'string' ? /^([0-9a-fA-F]{3,8})(_[a-z0-9_]+)?$/.exec(entry.fog) : null;
+
+        const config = {
+            name: nameFromId(fluidId),
+            id: fluidId,
+            fogColor: fogMatch ? `#${fogMatch[1]}` : '#777777',
+            buoyancy: typeof entry.buoyancy === 'number' ? entry.buoyancy : 0.03,
+            damage: typeof entry.damage === 'number' ? entry.damage : 0,
+            lightLevel: 0,
+            tickDelay: typeof entry.tick_delay === 'number' ? entry.tick_delay : 5,
+            spreadDistance: typeof entry.spread === 'number' ? entry.spread : 7,
+            dropSearchRadius: typeof entry.drop_search === 'number' ? entry.drop_search : 0,
+            effect: entry.effect || '',
+            burnsEntities: entry.burnTime > 0,
+            supportsBoats: entry.boat !== false,
+            ticksPerFrame: ticksPerFrame[safeId] || 2,
+            flowingTicksPerFrame: ticksPerFrame[`flowing_${safeId}`] || 1,
+            surface: 'flat',
+        };
+        for (const key of Object.keys(entry)) {
+            if (!KNOWN_REGISTRY_KEYS.includes(key)) {
+                addIssue('warning', registryPath, `${fluidId}: the registry property "${key}" is not supported by the generator and will be dropped.`);
+            }
+        }
+        if (entry.burnTime > 0 && entry.burnTime !== 5) {
+            addIssue('warning', registryPath, `${fluidId}: a burn time of ${entry.burnTime} seconds will be reset to the generator's 5 seconds.`);
+        }
+        if (entry.source_mode !== undefined) {
+            if (FLUID_SOURCE_MODES.includes(entry.source_mode)) {
+                config.sourceMode = entry.source_mode;
+            } else {
+                addIssue('warning', registryPath, `${fluidId}: the source mode "${entry.source_mode}" is not supported, so the fluid makes no new sources.`);
+            }
+        }
+        if (entry.dimensions !== undefined) {
+            try {
+                const dimensions = {};
+                for (const [dimension, rules] of Object.entries(entry.dimensions)) {
+                    dimensions[dimension] = {
+                        ...(rules?.spread !== undefined && { spreadDistance: rules.spread }),
+                        ...(rules?.tick_delay !== undefined && { tickDelay: rules.tick_delay }),
+                        ...(rules?.evaporate !== undefined && { evaporates: rules.evaporate }),
+                    };
+                }
+                validateFluidDimensions(dimensions);
+                config.dimensions = dimensions;
+            } catch (e) {
+                addIssue('warning', registryPath, `${fluidId}: the dimension rules could not be read (${e.message}) and were dropped.`);
+            }
+        }
+        if (typeof entry.fog === 'string' && !fogMatch) {
+            addIssue('warning', registryPath, `${fluidId}: fog "${entry.fog}" is not a hex color, so the default fog color was used.`);
+        }
+
+        // --- Bucket Item: recovers the display name ---
+        const bucketPath = `${bpRoot}items/${safeId}_bucket.json`;
+        const bucketJson = await readJson(bucketPath);
+        const displayName = bucketJson?.["minecraft:item"]?.components?.["minecraft:display_name"]?.value;
+        if (typeof displayName === 'string' && displayName.startsWith('Bucket of ')) {
+            config.name = displayName.slice('Bucket of '.length);
+        } else if (bucketJson) {
+            addIssue('warning', bucketPath, `${fluidId}: the bucket name could not be read, so the fluid was named "${config.name}".`);
+        }
+
+        // --- Block: recovers the light level and the surface ---
+        const blockPath = `${bpRoot}blocks/${safeId}.json`;
+        const blockJson = await readJson(blockPath);
+        const lightEmission = blockJson?.["minecraft:block"]?.components?.["minecraft:light_emission"];
+        if (typeof lightEmission === 'number') {
+            config.lightLevel = lightEmission;
+        }
+        // Sloped fluids show tilted bones, see `getBoneVisibility`.
+        const permutations = blockJson?.["minecraft:block"]?.permutations;
+        if (Array.isArray(permutations) && permutations.some(permutation => permutation?.components?.["minecraft:geometry"]?.bone_visibility?.up_sloped)) {
+            config.surface = 'sloped';
+        }
+
+        // --- Custom models: one file per level that replaces the generated geometry ---
+        for (let level = 1; level <= 8; level++) {
+            const modelPath = `${rpRoot}models/blocks/${safeId}_${level}.geo.json`;
+            if (!zip.file(modelPath)) continue;
+            const model = await readJson(modelPath);
+            if (model) {
+                config.customGeometry = { ...config.customGeometry, [level]: model };
+            }
+        }
+
+        // --- Compare against what the generator would emit now ---
+        // The block's geometry depends on the resolution of its still texture.
+        const stillTexture = await readBinary(`${rpRoot}textures/blocks/${safeId}.png`);
+        const resolution = (stillTexture && readPngSize(stillTexture)?.width) || 16;
+        if (blockJson && canonicalJson(blockJson) !== canonicalJson(getBlockJson(config, namespace, target, resolution))) {
+            addIssue('warning', blockPath, `${fluidId}: the block file does not match what the generator emits. Hand edits will be lost when regenerating.`);
+        }
+        if (bucketJson && canonicalJson(bucketJson) !== canonicalJson(generateBucketItemJson(config, target))) {
+            addIssue('warning', bucketPath, `${fluidId}: the bucket item does not match what the generator emits. Hand edits will be lost when regenerating.`);
+        }
+
+        // --- Fog: recovers the settings of each medium ---
+        const fogPath = `${rpRoot}fogs/${fogMatch ? entry.fog : config.fogColor.substring(1)}_fog.json`;
+        const fogJson = await readJson(fogPath);
+        if (fogJson) {
+            const settings = readFluidFogSettings(fogJson);
+            if (canonicalJson(settings) !== canonicalJson(DEFAULT_FOG_SETTINGS)) {
+                try {
+                    config.fog = validateFogSettings(settings);
+                } catch (e) {
+                    addIssue('warning', fogPath, `${fluidId}: the fog settings could not be read (${e.message}), so the default fog was used.`);
+                }
+            }
+            const expectedFog = createFluidFog(`${namespace}:${getFogName(config)}_fog`, config.fogColor, config.fog, target.fogFormat);
+            if (canonicalJson(fogJson) !== canonicalJson(expectedFog)) {
+                addIssue('warning', fogPath, `${fluidId}: the fog file does not match what the generator emits. Hand edits will be lost when regenerating.`);
+            }
+        }
+
+        // --- Textures ---
+        const textures = {};
+        textures.texture = stillTexture;
+        textures.flowingTexture = await readBinary(`${rpRoot}textures/blocks/flowing_${safeId}.png`);
+        textures.bucketTexture = await readBinary(`${rpRoot}textures/items/${safeId}_bucket.png`);
+        if (!textures.texture) {
+            addIssue('error', `${rpRoot}textures/blocks/${safeId}.png`, `${fluidId}: the still texture is missing and must be selected again.`);
+        }
+        if (!textures.bucketTexture) {
+            addIssue('warning', `${rpRoot}textures/items/${safeId}_bucket.png`, `${fluidId}: the bucket texture is missing, so one will be composited from the still texture.`);
+        }
+        for (const key of Object.keys(textures)) {
+            if (!textures[key]) delete textures[key];
+        }
+
+        // --- Sounds: vanilla events, or the .ogg files of the events the generator defined ---
+        const sounds = {};
+        for (const [kind, sound] of Object.entries(entry.sounds || {})) {
+            if (!FLUID_SOUND_KINDS.includes(kind) || typeof sound?.id !== 'string') {
+                addIssue('warning', registryPath, `${fluidId}: the sound "${kind}" is not supported by the generator and will be dropped.`);
+                continue;
+            }
+            const settings = {};
+            if (sound.id === getSoundEventName({ id: fluidId, sounds: { [kind]: {} } }, kind)) {
+                const soundPath = `${rpRoot}sounds/fluids/${safeId}/${kind}.ogg`;
+                sounds[kind] = await readBinary(soundPath);
+                if (!sounds[kind]) {
+                    delete sounds[kind];
+                    addIssue('warning', soundPath, `${fluidId}: the ${kind} sound is missing and must be selected again.`);
+                    continue;
+                }
+            } else {
+                settings.event = sound.id;
+            }
+            if (typeof sound.volume === 'number' && sound.volume !== 1) settings.volume = sound.volume;
+            if (typeof sound.pitch === 'number' && sound.pitch !== 1) settings.pitch = sound.pitch;
+            config.sounds = { ...config.sounds, [kind]: settings };
+        }
+
+        // --- Interactions with other fluids ---
+        if (entry.interactions !== undefined) {
+            try {
+                config.interactions = validateFluidInteractions(entry.interactions, fluidId);
+            } catch (e) {
+                addIssue('warning', registryPath, `${fluidId}: the interactions could not be read (${e.message}) and were dropped.`);
+            }
+        }
+
+        project.fluids.push(config);
+        assets.textures.push(textures);
+        assets.sounds.push(sounds);
+    }
+
+    if (project.fluids.length === 0) {
+        throw new Error('The fluid registry in this pack is empty.');
+    }
+
+    // --- Manifest: version and UUIDs ---
+    const headerVersion = manifest?.header?.version;
+    if (Array.isArray(headerVersion) && headerVersion.length === 3 && headerVersion.every(Number.isInteger)) {
+        // Start one version above the installed pack, so the next generation upgrades it.
+        project.packVersion = bumpPackVersion(headerVersion);
+    } else if (manifest) {
+        addIssue('warning', `${bpRoot}manifest.json`, 'The pack version could not be read, so it was reset to 1.0.0.');
+    }
+    if (manifest) {
+        const expected = getManifestJson('', '', 'behaviors', undefined, { seed: getPackSeed(project), target });
+        if (manifest.header?.uuid !== expected.header.uuid) {
+            addIssue('warning', `${bpRoot}manifest.json`, 'The pack UUIDs were not derived from its fluid IDs (packs made before deterministic UUIDs use random ones). Regenerating will install it as a separate pack, so remove the old one from your worlds.');
+        }
+    }
+
+    return { project, assets, issues };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseRegistrySource, parseRegistryNamespace, importFluidPack };
+}
@@ -0,0 +1,390 @@
+/**
+ * @fileoverview Checks an assembled pack before it is zipped, so broken packs are caught here
+ * instead of showing up as content log errors in game. Every JSON file is validated against the
+ * schemas in pack_schemas.js, and references between files (textures, geometries, manifests)
+ * are resolved against the file map.
+ */
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {'error'|'warning'} severity Errors break the pack in game; warnings may.
+ * @property {string} path The file inside the pack the issue is about.
+ * @property {string} message A description for the user.
+ */
+
+/** Identifiers longer than this are flagged, as they make commands and content logs hard to use. */
+const MAX_IDENTIFIER_LENGTH = 64;
+
+/** The most combinations of state values a block may have; Minecraft rejects blocks with more. */
+const MAX_BLOCK_STATE_COMBINATIONS = 65536;
+
+/**
+ * Thrown when a pack has lint errors. `issues` holds every issue found, including warnings.
+ */
+class PackLintError extends Error {
+    /**
+     * @param {LintIssue[]} issues The issues found.
+     */
+    constructor(issues) {
+        const errors = issues.filter(issue => issue.severity === 'error');
+        super(`The generated pack has ${errors.length} error(s): ${errors.map(issue => `${issue.path}: ${issue.message}`).join(' ')}`);
+        this.name = 'PackLintError';
+        this.issues = issues;
+    }
+}
+
+/**
+ * Resolves the schemas, the PNG reader and the geometry bone check, which are globals in the browser and modules in Node.
+ * @returns {{PACK_SCHEMAS: object, getSchemaKind: (path: string) => string|undefined, readPngSize: Function,
+ *     findGeometryBoneMismatches: Function}}
+ */
+function loadLinterDependencies() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return {
+            ...require('./pack_schemas.js'),
+            readPngSize: require('./texture_tools.js').readPngSize,
+            findGeometryBoneMismatches: require('./geometry_generator.js').findGeometryBoneMismatches,
+        };
+    }
+    return { PACK_SCHEMAS, getSchemaKind, readPngSize, findGeometryBoneMismatches };
+}
+
+/**
+ * Returns the JSON type name of a value, distinguishing arrays, integers and null.
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function jsonTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validates a value against a schema. Supports `type`, `enum`, `pattern`, `minLength`, `minimum`,
+ * `maximum`, `required`, `properties`, `additionalProperties`, `items`, `minItems` and `maxItems`.
+ * @param {*} value The value to validate.
+ * @param {object} schema The schema.
+ * @param {string} [pointer=''] The location of the value, used in messages.
+ * @returns {string[]} A message for each violation.
+ */
+function validateSchema(value, schema, pointer = '') {
+    const where = pointer || '(root)';
+    const type = jsonTypeOf(value);
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const matches = allowed.includes(type) || (type === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            return [`${where} must be ${allowed.join(' or ')}, but is ${type}.`];
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${where} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, but is ${JSON.stringify(value)}.`];
+    }
+
+    const errors = [];
+    if (type === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where} must not be empty.`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where} "${value}" does not match the expected format.`);
+        }
+    }
+    if (type === 'number' || type === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum}.`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum}.`);
+    }
+    if (type === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${where} must have at least ${schema.minItems} item(s).`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${where} must have at most ${schema.maxItems} item(s).`);
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${pointer}/${index}`)));
+        }
+    }
+    if (type === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) errors.push(`${where} is missing "${key}".`);
+        }
+        for (const key of Object.keys(value)) {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                errors.push(...validateSchema(value[key], propertySchema, `${pointer}/${key}`));
+            } else if (schema.additionalProperties) {
+                errors.push(...validateSchema(value[key], schema.additionalProperties, `${pointer}/${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Lists the texture paths of a `texture_data` entry, which may be a path, a list of paths or `{ path }` objects.
+ * @param {*} textures The entry's `textures` value.
+ * @returns {string[]}
+ */
+function getAtlasTexturePaths(textures) {
+    const list = Array.isArray(textures) ? textures : [textures];
+    return list.map(texture => (texture && typeof texture === 'object' ? texture.path : texture)).filter(path => typeof path === 'string');
+}
+
+/**
+ * Returns the geometry identifier a `minecraft:geometry` component refers to.
+ * @param {string|{identifier: string}|undefined} component The component.
+ * @returns {string|undefined}
+ */
+function getGeometryIdentifier(component) {
+    return typeof component === 'string' ? component : component?.identifier;
+}
+
+/**
+ * Lints an assembled pack.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map from `buildPackFiles`.
+ * @returns {LintIssue[]} Every issue found, errors first.
+ */
+function lintPackFiles(files) {
+    const { PACK_SCHEMAS, getSchemaKind, readPngSize, findGeometryBoneMismatches } = loadLinterDependencies();
+
+    /** @type {LintIssue[]} */
+    const issues = [];
+    const addIssue = (severity, path, message) => issues.push({ severity, path, message });
+
+    // --- Parse and validate every JSON file ---
+    /** @type {Object.<string, {kind: string|undefined, json: object}>} */
+    const parsed = {};
+    for (const [path, content] of Object.entries(files)) {
+        if (!path.endsWith('.json')) continue;
+        if (typeof content !== 'string') {
+            addIssue('error', path, 'JSON file is not text.');
+            continue;
+        }
+        let json;
+        try {
+            json = JSON.parse(content);
+        } catch (e) {
+            addIssue('error', path, `File is not valid JSON: ${e.message}`);
+            continue;
+        }
+        const kind = getSchemaKind(path);
+        parsed[path] = { kind, json };
+        if (kind) {
+            for (const message of validateSchema(json, PACK_SCHEMAS[kind])) {
+                addIssue('error', path, message);
+            }
+        }
+    }
+    const ofKind = (kind) => Object.entries(parsed).filter(([, file]) => file.kind === kind);
+
+    // --- Identifiers: reserved namespaces, length and duplicates ---
+    const definitions = [
+        ['block', json => json['minecraft:block']?.description?.identifier],
+        ['item', json => json['minecraft:item']?.description?.identifier],
+        ['entity', json => json['minecraft:entity']?.description?.identifier],
+        ['fog', json => json['minecraft:fog_settings']?.description?.identifier],
+    ];
+    for (const [kind, getIdentifier] of definitions) {
+        const seen = {};
+        for (const [path, { json }] of ofKind(kind)) {
+            const identifier = getIdentifier(json);
+            if (typeof identifier !== 'string') continue;
+            if (identifier.split(':')[0] === 'minecraft') {
+                addIssue('error', path, `"${identifier}" uses the reserved "minecraft" namespace.`);
+            }
+            if (identifier.length > MAX_IDENTIFIER_LENGTH) {
+                addIssue('warning', path, `"${identifier}" is ${identifier.length} characters long. Keep identifiers under ${MAX_IDENTIFIER_LENGTH} characters.`);
+            }
+            if (seen[identifier]) {
+                addIssue('error', path, `"${identifier}" is also defined in ${seen[identifier]}.`);
+            }
+            seen[identifier] = path;
+        }
+    }
+    for (const [path, { json }] of ofKind('block')) {
+        let combinations = 1;
+        for (const [state, values] of Object.entries(json['minecraft:block']?.description?.states || {})) {
+            if (state.split(':')[0] === 'minecraft') {
+                addIssue('error', path, `The block state "${state}" uses the reserved "minecraft" namespace.`);
+            }
+            if (Array.isArray(values)) combinations *= values.length;
+        }
+        if (combinations > MAX_BLOCK_STATE_COMBINATIONS) {
+            addIssue('error', path, `The block states have ${combinations} combinations, more than the ${MAX_BLOCK_STATE_COMBINATIONS} Minecraft allows.`);
+        }
+    }
+
+    // --- Texture atlases must point at PNGs in the pack ---
+    const atlasKeys = { 'atlas.terrain': new Set(), 'atlas.items': new Set() };
+    /** The width of each atlas texture's PNG, keyed by atlas key. */
+    const textureWidths = {};
+    for (const [path, { json }] of ofKind('textureAtlas')) {
+        const keys = atlasKeys[json.texture_name];
+        for (const [key, entry] of Object.entries(json.texture_data || {})) {
+            if (keys) keys.add(key);
+            const firstPath = getAtlasTexturePaths(entry?.textures)[0];
+            const size = firstPath && files[`RP/${firstPath}.png`] ? readPngSize(files[`RP/${firstPath}.png`]) : undefined;
+            if (size) textureWidths[key] = size.width;
+            for (const texturePath of getAtlasTexturePaths(entry?.textures)) {
+                if (!files[`RP/${texturePath}.png`] && !files[`RP/${texturePath}.tga`]) {
+                    addIssue('error', path, `The texture "${key}" points at "${texturePath}", but RP/${texturePath}.png is not in the pack.`);
+                }
+            }
+        }
+    }
+
+    // --- Flipbooks must animate terrain textures that exist ---
+    for (const [path, { json }] of ofKind('flipbook')) {
+        for (const flipbook of Array.isArray(json) ? json : []) {
+            if (typeof flipbook?.atlas_tile === 'string' && !atlasKeys['atlas.terrain'].has(flipbook.atlas_tile)) {
+                addIssue('error', path, `The flipbook for "${flipbook.atlas_tile}" animates a texture that is not defined in RP/textures/terrain_texture.json.`);
+            }
+            if (typeof flipbook?.flipbook_texture === 'string' && !files[`RP/${flipbook.flipbook_texture}.png`]) {
+                addIssue('error', path, `The flipbook for "${flipbook.atlas_tile}" points at "${flipbook.flipbook_texture}", but RP/${flipbook.flipbook_texture}.png is not in the pack.`);
+            }
+        }
+    }
+
+    // --- Sound definitions must point at sound files in the pack ---
+    for (const [path, { json }] of ofKind('soundDefinitions')) {
+        for (const [event, definition] of Object.entries(json.sound_definitions || {})) {
+            for (const sound of Array.isArray(definition?.sounds) ? definition.sounds : []) {
+                const soundPath = typeof sound === 'string' ? sound : sound?.name;
+                if (typeof soundPath === 'string' && !['ogg', 'fsb', 'wav'].some(extension => files[`RP/${soundPath}.${extension}`])) {
+                    addIssue('error', path, `The sound event "${event}" points at "${soundPath}", but RP/${soundPath}.ogg is not in the pack.`);
+                }
+            }
+        }
+    }
+
+    // --- Blocks and items must use textures from the atlases ---
+    for (const [path, { json }] of ofKind('block')) {
+        const block = json['minecraft:block'] || {};
+        const componentSets = [block.components, ...(block.permutations || []).map(permutation => permutation.components)];
+        const missing = new Set();
+        for (const components of componentSets) {
+            for (const instance of Object.values(components?.['minecraft:material_instances'] || {})) {
+                if (instance?.texture && !atlasKeys['atlas.terrain'].has(instance.texture)) missing.add(instance.texture);
+            }
+        }
+        for (const texture of missing) {
+            addIssue('error', path, `The texture "${texture}" is not defined in RP/textures/terrain_texture.json.`);
+        }
+    }
+    for (const [path, { json }] of ofKind('item')) {
+        const icon = json['minecraft:item']?.components?.['minecraft:icon'];
+        const iconTextures = typeof icon === 'string' ? [icon] : [icon?.texture, ...Object.values(icon?.textures || {})];
+        for (const texture of iconTextures.filter(Boolean)) {
+            if (!atlasKeys['atlas.items'].has(texture)) {
+                addIssue('error', path, `The icon "${texture}" is not defined in RP/textures/item_texture.json.`);
+            }
+        }
+    }
+
+    // --- A block and its bucket should share a texture resolution ---
+    const itemIcons = {};
+    for (const [, { json }] of ofKind('item')) {
+        const item = json['minecraft:item'];
+        const icon = item?.components?.['minecraft:icon'];
+        const texture = typeof icon === 'string' ? icon : icon?.texture;
+        if (item?.description?.identifier && texture) itemIcons[item.description.identifier] = texture;
+    }
+    for (const [path, { json }] of ofKind('block')) {
+        const block = json['minecraft:block'] || {};
+        const textures = new Set();
+        for (const components of [block.components, ...(block.permutations || []).map(permutation => permutation.components)]) {
+            for (const instance of Object.values(components?.['minecraft:material_instances'] || {})) {
+                if (instance?.texture) textures.add(instance.texture);
+            }
+        }
+        const bucketIcon = itemIcons[`${block.description?.identifier}_bucket`];
+        const sized = [...textures].concat(bucketIcon ? [bucketIcon] : []).filter(texture => textureWidths[texture]);
+        if (new Set(sized.map(texture => textureWidths[texture])).size > 1) {
+            const list = sized.map(texture => `${texture} ${textureWidths[texture]}px`).join(', ');
+            addIssue('warning', path, `The still, flowing and bucket textures have different resolutions (${list}). Use the same resolution for all of them.`);
+        }
+    }
+
+    // --- Geometries used by blocks and entities must be defined ---
+    const geometries = new Map();
+    for (const [path, { json }] of ofKind('geometry')) {
+        for (const geometry of json['minecraft:geometry'] || []) {
+            if (geometry?.description?.identifier) geometries.set(geometry.description.identifier, { path, geometry });
+        }
+    }
+    const checkGeometry = (path, identifier) => {
+        // Vanilla geometries such as "minecraft:geometry.full_block" are built in.
+        if (identifier && !identifier.startsWith('minecraft:') && !geometries.has(identifier)) {
+            addIssue('error', path, `The geometry "${identifier}" is not defined in any model in RP/models.`);
+        }
+    };
+    for (const [path, { json }] of ofKind('block')) {
+        const block = json['minecraft:block'] || {};
+        const used = new Set([block.components, ...(block.permutations || []).map(permutation => permutation.components)]
+            .map(components => getGeometryIdentifier(components?.['minecraft:geometry'])));
+        used.forEach(identifier => checkGeometry(path, identifier));
+    }
+
+    // --- Fluid geometries must have the bones their bone_visibility refers to ---
+    const checkedBones = new Set();
+    for (const [, { json }] of ofKind('block')) {
+        const block = json['minecraft:block'] || {};
+        if (!block.components?.['tag:custom_fluid']) continue;
+        for (const permutation of block.permutations || []) {
+            const component = permutation.components?.['minecraft:geometry'];
+            const identifier = getGeometryIdentifier(component);
+            const defined = geometries.get(identifier);
+            if (!defined || !component.bone_visibility || checkedBones.has(identifier)) continue;
+            checkedBones.add(identifier);
+
+            // Fluid geometry identifiers end in their level.
+            const level = Number(identifier.split('.').pop());
+            const { missing, extra } = findGeometryBoneMismatches(defined.geometry, Object.keys(component.bone_visibility), level);
+            if (missing.length > 0) {
+                addIssue('error', defined.path, `The geometry "${identifier}" has no bones named ${missing.join(', ')}, which the fluid shows and hides.`);
+            }
+            if (extra.length > 0) {
+                addIssue('warning', defined.path, `The geometry "${identifier}" has bones the fluid does not control (${extra.join(', ')}). They are always shown.`);
+            }
+        }
+    }
+    for (const [path, { json }] of ofKind('clientEntity')) {
+        for (const identifier of Object.values(json['minecraft:client_entity']?.description?.geometry || {})) {
+            checkGeometry(path, identifier);
+        }
+    }
+
+    // --- The behavior pack must depend on the resource pack next to it ---
+    const bpManifest = parsed['BP/manifest.json']?.json;
+    const rpManifest = parsed['RP/manifest.json']?.json;
+    if (bpManifest && rpManifest) {
+        const rpUuid = rpManifest.header?.uuid;
+        if (!(bpManifest.dependencies || []).some(dependency => dependency.uuid === rpUuid)) {
+            addIssue('error', 'BP/manifest.json', 'The behavior pack does not depend on the resource pack, so the fluids would have no textures.');
+        }
+        const entry = (bpManifest.modules || []).find(packModule => packModule.type === 'script')?.entry;
+        if (entry && files[`BP/${entry}`] === undefined) {
+            addIssue('error', 'BP/manifest.json', `The script entry "${entry}" is not in the pack.`);
+        }
+    }
+
+    return issues.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+}
+
+/**
+ * Lints a pack and throws if it has errors.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map from `buildPackFiles`.
+ * @returns {LintIssue[]} The warnings, if there are no errors.
+ * @throws {PackLintError} If any error was found.
+ */
+function assertPackValid(files) {
+    const issues = lintPackFiles(files);
+    if (issues.some(issue => issue.severity === 'error')) {
+        throw new PackLintError(issues);
+    }
+    return issues;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MAX_IDENTIFIER_LENGTH, MAX_BLOCK_STATE_COMBINATIONS, PackLintError, validateSchema, lintPackFiles, assertPackValid };
+}
@@ -0,0 +1,398 @@
+/**
+ * @fileoverview The schemas the pack linter checks generated JSON files against.
+ * They use a small subset of JSON Schema (see `validateSchema` in pack_linter.js) and only describe
+ * the parts of each format the generator writes, so unknown properties are allowed.
+ */
+
+const UUID_SCHEMA = { type: 'string', pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$' };
+const VERSION_SCHEMA = { type: 'array', minItems: 3, maxItems: 3, items: { type: 'integer', minimum: 0 } };
+const FORMAT_VERSION_SCHEMA = { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' };
+const IDENTIFIER_SCHEMA = { type: 'string', pattern: '^[a-z0-9_.-]+:[a-z0-9_./-]+$' };
+const VECTOR3_SCHEMA = { type: 'array', minItems: 3, maxItems: 3, items: { type: 'number' } };
+const HEX_COLOR_SCHEMA = { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$' };
+
+const BLOCK_SOUND_EVENT_SCHEMA = {
+    type: 'object',
+    required: ['sound'],
+    properties: { sound: { type: 'string', minLength: 1 }, volume: { type: 'number', minimum: 0 }, pitch: { type: 'number', minimum: 0 } },
+};
+const BLOCK_SOUND_SET_SCHEMA = {
+    type: 'object',
+    required: ['events'],
+    properties: { events: { type: 'object', additionalProperties: BLOCK_SOUND_EVENT_SCHEMA } },
+};
+
+const BLOCK_COMPONENTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        'minecraft:geometry': { type: ['string', 'object'] },
+        'minecraft:material_instances': {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['texture'],
+                properties: {
+                    texture: { type: 'string', minLength: 1 },
+                    render_method: { enum: ['opaque', 'double_sided', 'blend', 'alpha_test', 'alpha_test_single_sided', 'blend_to_opaque', 'alpha_test_to_opaque', 'alpha_test_single_sided_to_opaque'] },
+                    ambient_occlusion: { type: 'boolean' },
+                    face_dimming: { type: 'boolean' },
+                },
+            },
+        },
+        'minecraft:light_emission': { type: 'integer', minimum: 0, maximum: 15 },
+        'minecraft:light_dampening': { type: 'integer', minimum: 0, maximum: 15 },
+        'minecraft:collision_box': { type: ['boolean', 'object'] },
+        'minecraft:selection_box': { type: ['boolean', 'object'] },
+        'minecraft:transformation': { type: 'object', properties: { rotation: VECTOR3_SCHEMA } },
+    },
+};
+
+/**
+ * The schemas, keyed by the kind of file they describe.
+ * @type {Object.<string, object>}
+ */
+const PACK_SCHEMAS = {
+    manifest: {
+        type: 'object',
+        required: ['format_version', 'header', 'modules'],
+        properties: {
+            format_version: { enum: [2] },
+            header: {
+                type: 'object',
+                required: ['name', 'description', 'uuid', 'version', 'min_engine_version'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    description: { type: 'string' },
+                    uuid: UUID_SCHEMA,
+                    version: VERSION_SCHEMA,
+                    min_engine_version: VERSION_SCHEMA,
+                },
+            },
+            modules: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['type', 'uuid', 'version'],
+                    properties: {
+                        type: { enum: ['resources', 'data', 'script'] },
+                        uuid: UUID_SCHEMA,
+                        version: VERSION_SCHEMA,
+                        language: { enum: ['javascript'] },
+                        entry: { type: 'string', pattern: '^scripts/.+\\.js$' },
+                    },
+                },
+            },
+            dependencies: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['version'],
+                    properties: {
+                        uuid: UUID_SCHEMA,
+                        module_name: { type: 'string', pattern: '^@minecraft/' },
+                        version: { type: ['string', 'array'] },
+                    },
+                },
+            },
+        },
+    },
+
+    block: {
+        type: 'object',
+        required: ['format_version', 'minecraft:block'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:block': {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                    description: {
+                        type: 'object',
+                        required: ['identifier'],
+                        properties: {
+                            identifier: IDENTIFIER_SCHEMA,
+                            // Minecraft allows at most 16 values per block state.
+                            states: { type: 'object', additionalProperties: { type: 'array', minItems: 1, maxItems: 16 } },
+                            menu_category: {
+                                type: 'object',
+                                properties: { category: { enum: ['construction', 'equipment', 'items', 'nature', 'none'] } },
+                            },
+                        },
+                    },
+                    components: BLOCK_COMPONENTS_SCHEMA,
+                    permutations: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['condition', 'components'],
+                            properties: { condition: { type: 'string', minLength: 1 }, components: BLOCK_COMPONENTS_SCHEMA },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    item: {
+        type: 'object',
+        required: ['format_version', 'minecraft:item'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:item': {
+                type: 'object',
+                required: ['description', 'components'],
+                properties: {
+                    description: { type: 'object', required: ['identifier'], properties: { identifier: IDENTIFIER_SCHEMA } },
+                    components: {
+                        type: 'object',
+                        properties: {
+                            'minecraft:icon': { type: ['string', 'object'] },
+                            'minecraft:max_stack_size': { type: 'integer', minimum: 1, maximum: 64 },
+                            'minecraft:display_name': { type: 'object', required: ['value'], properties: { value: { type: 'string' } } },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    fog: {
+        type: 'object',
+        required: ['format_version', 'minecraft:fog_settings'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:fog_settings': {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                    description: { type: 'object', required: ['identifier'], properties: { identifier: IDENTIFIER_SCHEMA } },
+                    distance: {
+                        type: 'object',
+                        additionalProperties: {
+                            type: 'object',
+                            required: ['fog_start', 'fog_end', 'fog_color', 'render_distance_type'],
+                            properties: {
+                                fog_start: { type: 'number', minimum: 0 },
+                                fog_end: { type: 'number', minimum: 0 },
+                                fog_color: HEX_COLOR_SCHEMA,
+                                render_distance_type: { enum: ['fixed', 'render'] },
+                            },
+                        },
+                    },
+                    volumetric: {
+                        type: 'object',
+                        properties: {
+                            density: {
+                                type: 'object',
+                                additionalProperties: {
+                                    type: 'object',
+                                    required: ['max_density'],
+                                    properties: { max_density: { type: 'number', minimum: 0, maximum: 1 }, uniform: { type: 'boolean' } },
+                                },
+                            },
+                            media_coefficients: {
+                                type: 'object',
+                                additionalProperties: {
+                                    type: 'object',
+                                    properties: { scattering: VECTOR3_SCHEMA, absorption: VECTOR3_SCHEMA },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    geometry: {
+        type: 'object',
+        required: ['format_version', 'minecraft:geometry'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:geometry': {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['description'],
+                    properties: {
+                        description: {
+                            type: 'object',
+                            required: ['identifier'],
+                            properties: {
+                                identifier: { type: 'string', pattern: '^geometry\\.' },
+                                texture_width: { type: 'integer', minimum: 1 },
+                                texture_height: { type: 'integer', minimum: 1 },
+                            },
+                        },
+                        bones: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['name'],
+                                properties: {
+                                    name: { type: 'string', minLength: 1 },
+                                    parent: { type: 'string' },
+                                    pivot: VECTOR3_SCHEMA,
+                                    cubes: {
+                                        type: 'array',
+                                        items: { type: 'object', required: ['origin', 'size'], properties: { origin: VECTOR3_SCHEMA, size: VECTOR3_SCHEMA } },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    entity: {
+        type: 'object',
+        required: ['format_version', 'minecraft:entity'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:entity': {
+                type: 'object',
+                required: ['description', 'components'],
+                properties: {
+                    description: {
+                        type: 'object',
+                        required: ['identifier'],
+                        properties: {
+                            identifier: IDENTIFIER_SCHEMA,
+                            is_summonable: { type: 'boolean' },
+                            is_spawnable: { type: 'boolean' },
+                            runtime_identifier: IDENTIFIER_SCHEMA,
+                        },
+                    },
+                    components: { type: 'object' },
+                },
+            },
+        },
+    },
+
+    clientEntity: {
+        type: 'object',
+        required: ['format_version', 'minecraft:client_entity'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            'minecraft:client_entity': {
+                type: 'object',
+                required: ['description'],
+                properties: {
+                    description: {
+                        type: 'object',
+                        required: ['identifier'],
+                        properties: {
+                            identifier: IDENTIFIER_SCHEMA,
+                            geometry: { type: 'object', additionalProperties: { type: 'string' } },
+                            render_controllers: { type: 'array' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+
+    renderController: {
+        type: 'object',
+        required: ['format_version', 'render_controllers'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            render_controllers: { type: 'object', additionalProperties: { type: 'object' } },
+        },
+    },
+
+    textureAtlas: {
+        type: 'object',
+        required: ['texture_name', 'texture_data'],
+        properties: {
+            resource_pack_name: { type: 'string' },
+            texture_name: { enum: ['atlas.terrain', 'atlas.items'] },
+            texture_data: {
+                type: 'object',
+                additionalProperties: { type: 'object', required: ['textures'], properties: { textures: { type: ['string', 'array', 'object'] } } },
+            },
+        },
+    },
+
+    flipbook: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['flipbook_texture', 'atlas_tile'],
+            properties: {
+                flipbook_texture: { type: 'string', minLength: 1 },
+                atlas_tile: { type: 'string', minLength: 1 },
+                ticks_per_frame: { type: 'integer', minimum: 1 },
+            },
+        },
+    },
+
+    blockSounds: {
+        type: 'object',
+        properties: {
+            block_sounds: { type: 'object', additionalProperties: BLOCK_SOUND_SET_SCHEMA },
+            interactive_sounds: {
+                type: 'object',
+                properties: {
+                    block_sounds: { type: 'object', additionalProperties: BLOCK_SOUND_SET_SCHEMA },
+                },
+            },
+        },
+    },
+
+    soundDefinitions: {
+        type: 'object',
+        required: ['format_version', 'sound_definitions'],
+        properties: {
+            format_version: FORMAT_VERSION_SCHEMA,
+            sound_definitions: {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    required: ['sounds'],
+                    properties: {
+                        category: { enum: ['ambient', 'block', 'bottle', 'bucket', 'hostile', 'music', 'neutral', 'player', 'record', 'ui', 'weather'] },
+                        sounds: { type: 'array', minItems: 1, items: { type: ['string', 'object'] } },
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Maps pack paths to the kind of file they hold. The first matching pattern wins.
+ * @type {Array<[RegExp, string]>}
+ */
+const SCHEMA_PATHS = [
+    [/^(BP|RP)\/manifest\.json$/, 'manifest'],
+    [/^BP\/blocks\/.+\.json$/, 'block'],
+    [/^BP\/items\/.+\.json$/, 'item'],
+    [/^BP\/entities\/.+\.json$/, 'entity'],
+    [/^RP\/entity\/.+\.json$/, 'clientEntity'],
+    [/^RP\/fogs\/.+\.json$/, 'fog'],
+    [/^RP\/models\/.+\.json$/, 'geometry'],
+    [/^RP\/render_controllers\/.+\.json$/, 'renderController'],
+    [/^RP\/textures\/(terrain|item)_texture\.json$/, 'textureAtlas'],
+    [/^RP\/textures\/flipbook_textures\.json$/, 'flipbook'],
+    [/^RP\/sounds\/sound_definitions\.json$/, 'soundDefinitions'],
+    [/^RP\/sounds\.json$/, 'blockSounds'],
+];
+
+/**
+ * Returns the kind of file at a pack path.
+ * @param {string} path The path inside the pack, e.g. 'BP/blocks/lum_acid.json'.
+ * @returns {string|undefined} A key of `PACK_SCHEMAS`, or undefined if the file has no schema.
+ */
+function getSchemaKind(path) {
+    const match = SCHEMA_PATHS.find(([pattern]) => pattern.test(path));
+    return match ? match[1] : undefined;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PACK_SCHEMAS, getSchemaKind };
+}
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Saving and loading generator projects.
+ * A project file holds the pack settings and every fluid config, with the textures embedded
+ * as PNG data URLs and uploaded sounds as Ogg data URLs, so it can be reloaded into the generator page or passed to the CLI.
+ * Texture-less projects can also be shared as a compact URL hash.
+ */
+
+/**
+ * The schema version written into new project files.
+ * Bump it whenever the project format changes, and add a migration from the previous version.
+ * @type {number}
+ */
+const PROJECT_SCHEMA_VERSION = 1;
+
+/** The URL hash parameter that carries a shared project. */
+const PROJECT_HASH_KEY = 'project';
+
+/**
+ * Upgrades a project from the keyed schema version to the next one.
+ * Files without a `schemaVersion` are treated as version 0.
+ * @type {Object.<number, (project: object) => object>}
+ */
+const PROJECT_MIGRATIONS = {
+    // Version 0 is the bare config accepted by the HTTP API: either a single fluid or `{ packName, fluids }`.
+    0: (project) => resolveNormalizeProject()(project),
+};
+
+/**
+ * Resolves `normalizeProject` from the pack builder, which is a global in the browser and a module in Node.
+ * @returns {(input: object) => object}
+ */
+function resolveNormalizeProject() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./pack_builder.js').normalizeProject;
+    }
+    return normalizeProject;
+}
+
+/**
+ * Encodes binary data as base64. Works the same in the browser and in Node.
+ * @param {ArrayBuffer|Uint8Array} data The bytes to encode.
+ * @returns {string}
+ */
+function bytesToBase64(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let binary = '';
+    // Convert in chunks, as spreading a large array into fromCharCode overflows the call stack.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Encodes binary data as a PNG data URL.
+ * @param {ArrayBuffer|Uint8Array} data The PNG bytes.
+ * @returns {string}
+ */
+function pngToDataUrl(data) {
+    return `data:image/png;base64,${bytesToBase64(data)}`;
+}
+
+/**
+ * Returns a fluid's sounds without their `file` entries, which are read into the assets instead.
+ * @param {object} sounds The fluid's sounds, keyed by kind.
+ * @returns {object}
+ */
+function stripSoundFiles(sounds) {
+    const stripped = {};
+    for (const kind of Object.keys(sounds)) {
+        const { file, ...sound } = sounds[kind] || {};
+        stripped[kind] = sound;
+    }
+    return stripped;
+}
+
+/**
+ * Decodes a base64 data URL back to bytes.
+ * @param {string} dataUrl The data URL.
+ * @returns {Uint8Array}
+ * @throws {Error} If the string is not a base64 data URL.
+ */
+function dataUrlToBytes(dataUrl) {
+    const match = /^data:[^;,]*;base64,(.*)$/.exec(dataUrl);
+    if (!match) {
+        throw new Error('Embedded file is not a base64 data URL.');
+    }
+    const binary = atob(match[1]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Checks whether a project value is an embedded file rather than a file path.
+ * @param {*} value The value to check.
+ * @returns {boolean}
+ */
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+/**
+ * Creates a project file object with the textures and sounds embedded.
+ * @param {object} project The pack configuration (`packName` and `fluids`).
+ * @param {object} assets The binary assets.
+ * @param {ArrayBuffer|Uint8Array} [assets.packIcon] The pack icon, if the user picked one.
+ * @param {Array<{texture?: *, flowingTexture?: *, bucketTexture?: *}>} assets.textures The PNGs for each fluid.
+ * @param {Array<Object.<string, *>>} [assets.sounds] The .ogg files for each fluid, keyed by sound kind.
+ * @returns {object} The project, ready for `JSON.stringify`.
+ */
+function serializeProject(project, assets) {
+    const saved = {
+        ...project,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        packName: project.packName || '',
+        fluids: project.fluids.map((config, index) => {
+            const textures = {};
+            const fluidTextures = (assets.textures && assets.textures[index]) || {};
+            for (const key in fluidTextures) {
+                if (fluidTextures[key]) textures[key] = pngToDataUrl(fluidTextures[key]);
+            }
+            const saved = { ...config, textures };
+            const fluidSounds = (assets.sounds && assets.sounds[index]) || {};
+            for (const kind of Object.keys(config.sounds || {})) {
+                if (!fluidSounds[kind]) continue;
+                saved.sounds = { ...saved.sounds, [kind]: { ...config.sounds[kind], file: `data:audio/ogg;base64,${bytesToBase64(fluidSounds[kind])}` } };
+            }
+            return saved;
+        }),
+    };
+    if (assets.packIcon) {
+        saved.packIcon = pngToDataUrl(assets.packIcon);
+    }
+    return saved;
+}
+
+/**
+ * Migrates a parsed project file to the current schema version.
+ * @param {object} input The parsed project JSON.
+ * @returns {object} The project in the current schema. Embedded textures are left as data URLs.
+ * @throws {Error} If the input is not an object or comes from a newer version of the generator.
+ */
+function migrateProject(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('The project file must contain a JSON object.');
+    }
+
+    let version = input.schemaVersion === undefined ? 0 : input.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new Error(`Unknown project schema version "${input.schemaVersion}".`);
+    }
+    if (version > PROJECT_SCHEMA_VERSION) {
+        throw new Error(`This project was saved by a newer version of the generator (schema ${version}). Please update the generator.`);
+    }
+
+    let project = { ...input };
+    while (version < PROJECT_SCHEMA_VERSION) {
+        try {
+            project = PROJECT_MIGRATIONS[version](project);
+        } catch (e) {
+            throw new Error(`The project could not be upgraded from schema ${version}: ${e.message}`);
+        }
+        version++;
+    }
+    if (!Array.isArray(project.fluids)) {
+        throw new Error('The project file does not contain a list of fluids.');
+    }
+    if (project.fluids.some(fluid => !fluid || typeof fluid !== 'object' || Array.isArray(fluid))) {
+        throw new Error('Each fluid in the project file must be a JSON object.');
+    }
+    project.schemaVersion = PROJECT_SCHEMA_VERSION;
+    return project;
+}
+
+/**
+ * Splits a migrated project into configs and decoded assets.
+ * Texture and sound files that are not data URLs, such as the file paths used by the CLI, are skipped.
+ * @param {object} project A project returned by `migrateProject`.
+ * @returns {{project: {packName: string, fluids: object[]}, assets: {packIcon?: Uint8Array, textures: object[], sounds: object[]}}}
+ *     The project keeps every pack-level setting, minus the embedded files and schema version.
+ */
+function extractProjectAssets(project) {
+    const textures = [];
+    const sounds = [];
+    const fluids = project.fluids.map((fluid) => {
+        const { textures: savedTextures, ...config } = fluid;
+        const decoded = {};
+        for (const key in savedTextures || {}) {
+            if (isDataUrl(savedTextures[key])) decoded[key] = dataUrlToBytes(savedTextures[key]);
+        }
+        textures.push(decoded);
+        const decodedSounds = {};
+        if (config.sounds && typeof config.sounds === 'object') {
+            for (const kind of Object.keys(config.sounds)) {
+                if (isDataUrl(config.sounds[kind]?.file)) decodedSounds[kind] = dataUrlToBytes(config.sounds[kind].file);
+            }
+            config.sounds = stripSoundFiles(config.sounds);
+        }
+        sounds.push(decodedSounds);
+        return config;
+    });
+
+    const assets = { textures, sounds };
+    if (isDataUrl(project.packIcon)) {
+        assets.packIcon = dataUrlToBytes(project.packIcon);
+    }
+    const { fluids: savedFluids, packIcon, schemaVersion, ...settings } = project;
+    return { project: { ...settings, packName: project.packName || '', fluids }, assets };
+}
+
+/**
+ * Encodes a project without its textures, custom models and uploaded sounds as a URL hash, e.g. `#project=eyJ...`.
+ * Sounds that play vanilla sound events are kept.
+ * @param {object} project The pack configuration (`packName` and `fluids`).
+ * @returns {string} The hash, including the leading `#`.
+ */
+function encodeProjectHash(project) {
+    const shared = {
+        ...project,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        packName: project.packName || '',
+        fluids: project.fluids.map(({ textures, customGeometry, ...config }) => {
+            if (!config.sounds) return config;
+            const sounds = Object.fromEntries(Object.entries(config.sounds).filter(([kind, sound]) => sound.event));
+            const { sounds: uploaded, ...withoutSounds } = config;
+            return Object.keys(sounds).length > 0 ? { ...withoutSounds, sounds } : withoutSounds;
+        }),
+    };
+    const bytes = new TextEncoder().encode(JSON.stringify(shared));
+    const base64Url = bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${PROJECT_HASH_KEY}=${base64Url}`;
+}
+
+/**
+ * Decodes a project from a URL hash created by `encodeProjectHash`.
+ * @param {string} hash The URL hash, with or without the leading `#`.
+ * @returns {object|null} The migrated project, or null if the hash does not carry one.
+ * @throws {Error} If the hash carries a project that cannot be decoded.
+ */
+function decodeProjectHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(PROJECT_HASH_KEY);
+    if (!encoded) return null;
+
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    let parsed;
+    try {
+        const bytes = dataUrlToBytes(`data:application/json;base64,${base64}`);
+        parsed = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('The shared link does not contain a valid project.');
+    }
+    return migrateProject(parsed);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_SCHEMA_VERSION, bytesToBase64, pngToDataUrl, stripSoundFiles, dataUrlToBytes, isDataUrl,
+        serializeProject, migrateProject, extractProjectAssets, encodeProjectHash, decodeProjectHash,
+    };
+}
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Synthesizes still and flowing fluid textures from a few design settings, so a fluid
+ * can be prototyped without drawing textures. The pixels are computed the same way everywhere;
+ * the page draws them with a canvas, and Node encodes them with the PNG encoder in texture_tools.js.
+ */
+
+/**
+ * The noise styles a design can use.
+ *  - `smooth`: soft, slowly shifting blotches, like water.
+ *  - `ripples`: thin bright ridges, like a disturbed surface.
+ *  - `speckled`: a calm surface with twinkling pixels, like a magical liquid.
+ * @type {string[]}
+ */
+const TEXTURE_NOISE_STYLES = ['smooth', 'ripples', 'speckled'];
+
+/** The frame sizes a design can be rendered at, in pixels. */
+const TEXTURE_DESIGN_SIZES = [16, 32, 64];
+
+/** The most animation frames a design can have. */
+const MAX_TEXTURE_DESIGN_FRAMES = 32;
+
+/**
+ * @typedef {Object} TextureDesign
+ * @property {string} baseColor The darkest color, as "#rrggbb".
+ * @property {string} highlightColor The brightest color, as "#rrggbb".
+ * @property {string} noise One of `TEXTURE_NOISE_STYLES`.
+ * @property {number} frames The number of animation frames. 1 makes a static texture.
+ * @property {number} size The width and height of a frame, one of `TEXTURE_DESIGN_SIZES`.
+ */
+
+/**
+ * The design settings used for any property a design leaves out.
+ * @type {TextureDesign}
+ */
+const DEFAULT_TEXTURE_DESIGN = {
+    baseColor: '#1f4fbf',
+    highlightColor: '#6fa8ff',
+    noise: 'smooth',
+    frames: 16,
+    size: 16,
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32), so a design always renders the same.
+ * @param {number} seed A 32-bit seed.
+ * @returns {() => number} Returns numbers in [0, 1).
+ */
+function createDesignRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string to a 32-bit seed (FNV-1a).
+ * @param {string} text The string.
+ * @returns {number}
+ */
+function hashDesignSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Parses a "#rrggbb" color.
+ * @param {string} color The color.
+ * @returns {number[]} The red, green and blue channels.
+ */
+function parseDesignColor(color) {
+    const value = parseInt(color.slice(1), 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Creates the noise function of a style. The noise is a sum of waves with whole-number frequencies,
+ * so it tiles across block faces and loops over the animation.
+ * @param {string} noise One of `TEXTURE_NOISE_STYLES`.
+ * @param {() => number} random The random number generator.
+ * @returns {(x: number, y: number, t: number, texel: number) => number} Takes the texel's coordinates in frames,
+ *     the animation phase in [0, 1) and the texel's index in the frame, and returns an unnormalized value.
+ */
+function createDesignNoise(noise, random) {
+    const maxFrequency = noise === 'ripples' ? 3 : 2;
+    const waves = [];
+    for (let i = 0; i < 8; i++) {
+        let kx = 0, ky = 0;
+        while (kx === 0 && ky === 0) {
+            kx = Math.floor(random() * (2 * maxFrequency + 1)) - maxFrequency;
+            ky = Math.floor(random() * (2 * maxFrequency + 1)) - maxFrequency;
+        }
+        waves.push({ kx, ky, kt: 1 + Math.floor(random() * 2), phase: random() * 2 * Math.PI });
+    }
+    const sum = (x, y, t) => waves.reduce((total, wave) => total + Math.sin(2 * Math.PI * (wave.kx * x + wave.ky * y + wave.kt * t) + wave.phase), 0);
+
+    if (noise === 'ripples') {
+        // Folding the waves around zero turns their crossings into bright ridges.
+        return (x, y, t) => Math.pow(1 - Math.min(1, Math.abs(sum(x, y, t)) / 3), 3);
+    }
+    if (noise === 'speckled') {
+        const sparkles = new Map();
+        return (x, y, t, texel) => {
+            if (!sparkles.has(texel)) sparkles.set(texel, { phase: random(), lit: random() < 0.12 });
+            const sparkle = sparkles.get(texel);
+            const twinkle = sparkle.lit ? Math.pow(Math.max(0, Math.sin(2 * Math.PI * (t + sparkle.phase))), 6) : 0;
+            return sum(x, y, t) * 0.08 + twinkle;
+        };
+    }
+    return sum;
+}
+
+/**
+ * Renders a texture design to RGBA pixels. The frames are stacked from top to bottom,
+ * ready to be animated by a flipbook.
+ * @param {TextureDesign} design The design. Missing settings are taken from `DEFAULT_TEXTURE_DESIGN`.
+ * @param {'still'|'flowing'} kind Flowing textures scroll downwards over the animation.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ */
+function renderTextureDesign(design, kind) {
+    const { baseColor, highlightColor, noise, frames, size } = { ...DEFAULT_TEXTURE_DESIGN, ...design };
+    const random = createDesignRandom(hashDesignSeed(`${noise}|${baseColor}|${highlightColor}`));
+    const sample = createDesignNoise(noise, random);
+
+    const values = new Float32Array(size * size * frames);
+    let min = Infinity, max = -Infinity;
+    for (let frame = 0; frame < frames; frame++) {
+        const t = frame / frames;
+        // Scrolling by a whole frame per loop keeps the flowing animation seamless.
+        const scroll = kind === 'flowing' ? t : 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const value = sample(x / size, y / size - scroll, t, y * size + x);
+                values[(frame * size + y) * size + x] = value;
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+    }
+
+    const base = parseDesignColor(baseColor);
+    const highlight = parseDesignColor(highlightColor);
+    const range = max - min || 1;
+    const pixels = new Uint8ClampedArray(values.length * 4);
+    for (let i = 0; i < values.length; i++) {
+        const amount = (values[i] - min) / range;
+        for (let channel = 0; channel < 3; channel++) {
+            pixels[i * 4 + channel] = Math.round(base[channel] + (highlight[channel] - base[channel]) * amount);
+        }
+        pixels[i * 4 + 3] = 255;
+    }
+    return { width: size, height: size * frames, pixels };
+}
+
+/**
+ * Resolves `encodePng` from texture_tools.js, which is a global in the browser and a module in Node.
+ * @returns {(width: number, height: number, pixels: Uint8ClampedArray) => Uint8Array}
+ */
+function resolveEncodePng() {
+    if (typeof module !== 'undefined' && module.exports) {
+        return require('./texture_tools.js').encodePng;
+    }
+    return encodePng;
+}
+
+/**
+ * Renders the still and flowing textures of a design as PNGs with the pure-JS encoder,
+ * for use outside the browser.
+ * @param {TextureDesign} design The design.
+ * @returns {{texture: Uint8Array, flowingTexture: Uint8Array}}
+ */
+function synthesizeDesignTextures(design) {
+    const encode = ({ width, height, pixels }) => resolveEncodePng()(width, height, pixels);
+    return {
+        texture: encode(renderTextureDesign(design, 'still')),
+        flowingTexture: encode(renderTextureDesign(design, 'flowing')),
+    };
+}
+
+/**
+ * Draws a texture design on a canvas, resizing the canvas to fit. Only works in the browser.
+ * @param {HTMLCanvasElement} canvas The canvas.
+ * @param {TextureDesign} design The design.
+ * @param {'still'|'flowing'} kind The texture to draw.
+ */
+function drawTextureDesign(canvas, design, kind) {
+    const { width, height, pixels } = renderTextureDesign(design, kind);
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(pixels, width, height), 0, 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXTURE_NOISE_STYLES, TEXTURE_DESIGN_SIZES, MAX_TEXTURE_DESIGN_FRAMES, DEFAULT_TEXTURE_DESIGN,
+        renderTextureDesign, synthesizeDesignTextures, drawTextureDesign,
+    };
+}
@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Reading and deriving fluid textures.
+ * Animated textures are vertical sprite strips: square frames stacked from top to bottom,
+ * like vanilla's water_still.png. Minecraft plays them through RP/textures/flipbook_textures.json.
+ */
+
+/** The eight bytes every PNG file starts with. */
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/** The texture resolutions fluids support: the width of a frame, in pixels. */
+const TEXTURE_RESOLUTIONS = [16, 32, 64, 128];
+
+/** The number of frames in a flowing strip derived from a still texture. */
+const FLOWING_STRIP_FRAMES = 16;
+
+/**
+ * Reads the dimensions of a PNG from its header.
+ * @param {ArrayBuffer|Uint8Array} data The PNG bytes.
+ * @returns {{width: number, height: number}|undefined} The size, or undefined if the data is not a PNG.
+ */
+function readPngSize(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    // The IHDR chunk always comes first, with the width and height as big-endian integers at offsets 16 and 20.
+    if (bytes.length < 24 || !PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+        return undefined;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+/** The CRC-32 lookup table used for PNG chunk checksums, built on first use. */
+let crcTable;
+
+/**
+ * Computes the CRC-32 of a byte range, as PNG chunks require.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes RGBA pixels as a PNG without any dependencies, so textures can be generated in Node as well.
+ * The image data is stored uncompressed (the zip compresses it anyway), which keeps the encoder small.
+ * @param {number} width The width in pixels.
+ * @param {number} height The height in pixels.
+ * @param {Uint8Array|Uint8ClampedArray} pixels The pixels, four bytes per pixel, row by row.
+ * @returns {Uint8Array} The PNG file.
+ */
+function encodePng(width, height, pixels) {
+    // Every scanline starts with its filter type, which is always 0 (none) here.
+    const rowLength = width * 4 + 1;
+    const raw = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * rowLength + 1);
+    }
+
+    // A zlib stream of stored deflate blocks, each holding at most 65535 bytes.
+    const blockCount = Math.max(1, Math.ceil(raw.length / 0xffff));
+    const zlib = new Uint8Array(2 + raw.length + blockCount * 5 + 4);
+    zlib[0] = 0x78;
+    zlib[1] = 0x01;
+    let offset = 2;
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * 0xffff;
+        const length = Math.min(0xffff, raw.length - start);
+        zlib[offset] = block === blockCount - 1 ? 1 : 0;
+        zlib[offset + 1] = length & 0xff;
+        zlib[offset + 2] = length >>> 8;
+        zlib[offset + 3] = ~length & 0xff;
+        zlib[offset + 4] = (~length >>> 8) & 0xff;
+        zlib.set(raw.subarray(start, start + length), offset + 5);
+        offset += 5 + length;
+    }
+    let a = 1, b = 0;
+    for (let i = 0; i < raw.length; i++) {
+        a = (a + raw[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    new DataView(zlib.buffer).setUint32(offset, ((b << 16) | a) >>> 0);
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8); // 8 bits per channel, RGBA, default compression, filtering and no interlacing.
+
+    const chunks = [['IHDR', header], ['IDAT', zlib], ['IEND', new Uint8Array(0)]];
+    const png = new Uint8Array(PNG_SIGNATURE.length + chunks.reduce((total, [, data]) => total + data.length + 12, 0));
+    const view = new DataView(png.buffer);
+    png.set(PNG_SIGNATURE, 0);
+    offset = PNG_SIGNATURE.length;
+    for (const [type, data] of chunks) {
+        view.setUint32(offset, data.length);
+        const typed = new Uint8Array(4 + data.length);
+        typed.set([...type].map(char => char.charCodeAt(0)), 0);
+        typed.set(data, 4);
+        png.set(typed, offset + 4);
+        view.setUint32(offset + 8 + data.length, crc32(typed));
+        offset += data.length + 12;
+    }
+    return png;
+}
+
+/**
+ * Decodes a PNG to RGBA pixels. Supports every non-interlaced PNG; 16-bit channels are reduced to 8 bits.
+ * Only works in Node, where zlib is available. The browser decodes images with a canvas instead.
+ * @param {ArrayBuffer|Uint8Array} data The PNG bytes.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ * @throws {Error} If the data is not a PNG or uses interlacing.
+ */
+function decodePng(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (!readPngSize(bytes)) {
+        throw new Error('The file is not a PNG.');
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let header, palette, transparency;
+    const compressed = [];
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') header = chunk;
+        else if (type === 'PLTE') palette = chunk;
+        else if (type === 'tRNS') transparency = chunk;
+        else if (type === 'IDAT') compressed.push(chunk);
+        else if (type === 'IEND') break;
+        offset += length + 12;
+    }
+    const headerView = new DataView(header.buffer, header.byteOffset, header.byteLength);
+    const width = headerView.getUint32(0);
+    const height = headerView.getUint32(4);
+    const [bitDepth, colorType, , , interlace] = header.subarray(8, 13);
+    if (interlace) {
+        throw new Error('Interlaced PNGs are not supported.');
+    }
+
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const bitsPerPixel = channels * bitDepth;
+    const pixelBytes = Math.max(1, bitsPerPixel >> 3);
+    const rowLength = Math.ceil((width * bitsPerPixel) / 8);
+    const raw = require('zlib').inflateSync(Buffer.concat(compressed));
+
+    // Undo the per-scanline filters in place.
+    const rows = new Uint8Array(rowLength * height);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (rowLength + 1)];
+        const source = raw.subarray(y * (rowLength + 1) + 1, (y + 1) * (rowLength + 1));
+        const row = rows.subarray(y * rowLength, (y + 1) * rowLength);
+        const above = y > 0 ? rows.subarray((y - 1) * rowLength, y * rowLength) : new Uint8Array(rowLength);
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= pixelBytes ? row[i - pixelBytes] : 0;
+            const upperLeft = i >= pixelBytes ? above[i - pixelBytes] : 0;
+            let predictor = 0;
+            if (filter === 1) predictor = left;
+            else if (filter === 2) predictor = above[i];
+            else if (filter === 3) predictor = (left + above[i]) >> 1;
+            else if (filter === 4) {
+                const estimate = left + above[i] - upperLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - above[i]), Math.abs(estimate - upperLeft)];
+                predictor = distances[0] <= distances[1] && distances[0] <= distances[2] ? left : distances[1] <= distances[2] ? above[i] : upperLeft;
+            }
+            row[i] = (source[i] + predictor) & 0xff;
+        }
+    }
+
+    // Reads channel `channel` of pixel `x` in a row, scaled to 8 bits.
+    const maxSample = (1 << Math.min(bitDepth, 8)) - 1;
+    const readSample = (row, x, channel) => {
+        if (bitDepth === 16) return row[(x * channels + channel) * 2];
+        if (bitDepth === 8) return row[x * channels + channel];
+        const bit = x * bitDepth;
+        return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    };
+
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * rowLength, (y + 1) * rowLength);
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            if (colorType === 3) {
+                const index = readSample(row, x, 0);
+                pixels.set(palette.subarray(index * 3, index * 3 + 3), out);
+                pixels[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const gray = bitDepth < 8 ? Math.round((readSample(row, x, 0) * 255) / maxSample) : readSample(row, x, 0);
+                pixels.set([gray, gray, gray, colorType === 4 ? readSample(row, x, 1) : 255], out);
+            } else {
+                pixels.set([readSample(row, x, 0), readSample(row, x, 1), readSample(row, x, 2), colorType === 6 ? readSample(row, x, 3) : 255], out);
+            }
+        }
+    }
+    return { width, height, pixels };
+}
+
+/**
+ * Checks that a texture can be used by a fluid: it must be a square PNG, or a vertical strip of square
+ * frames, with a width from `TEXTURE_RESOLUTIONS`.
+ * @param {ArrayBuffer|Uint8Array} data The PNG bytes.
+ * @param {string} label The name of the texture, used in messages.
+ * @param {boolean} [allowStrip=true] Whether the texture may be animated. Item icons may not.
+ * @returns {{resolution: number, frames: number}} The width of a frame and the number of frames.
+ * @throws {Error} If the texture cannot be used.
+ */
+function inspectTexture(data, label, allowStrip = true) {
+    const size = readPngSize(data);
+    if (!size) {
+        throw new Error(`${label} is not a PNG file.`);
+    }
+    const { width, height } = size;
+    if (!allowStrip && width !== height) {
+        throw new Error(`${label} must be square, but is ${width}x${height}.`);
+    }
+    if (width === 0 || height < width || height % width !== 0) {
+        throw new Error(`${label} must be square, or a vertical strip of whole square frames, but is ${width}x${height}.`);
+    }
+    if ((width & (width - 1)) !== 0) {
+        throw new Error(`${label} must be a power of two wide, but is ${width} pixels wide.`);
+    }
+    if (!TEXTURE_RESOLUTIONS.includes(width)) {
+        throw new Error(`${label} must be ${TEXTURE_RESOLUTIONS.join(', ')} pixels wide, but is ${width} pixels wide.`);
+    }
+    return { resolution: width, frames: height / width };
+}
+
+/**
+ * Counts the frames of a texture.
+ * @param {ArrayBuffer|Uint8Array} data The PNG bytes.
+ * @returns {number} The number of square frames in a vertical strip, or 1 for anything else.
+ */
+function getFrameCount(data) {
+    const size = readPngSize(data);
+    if (!size || size.width === 0 || size.height <= size.width || size.height % size.width !== 0) {
+        return 1;
+    }
+    return size.height / size.width;
+}
+
+/**
+ * Derives an animated flowing texture from a still one. The first frame is stretched to twice its height
+ * and scrolled downwards over the strip, which loops seamlessly. Only works in the browser.
+ * @param {ArrayBuffer|Uint8Array} data The still texture PNG, which may itself be a strip.
+ * @param {number} [frames=FLOWING_STRIP_FRAMES] The number of frames to generate.
+ * @returns {Promise<ArrayBuffer>} The flowing strip PNG.
+ */
+async function deriveFlowingStrip(data, frames = FLOWING_STRIP_FRAMES) {
+    const image = await createImageBitmap(new Blob([data], { type: 'image/png' }));
+    const size = image.width;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size * frames;
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = false;
+
+    for (let frame = 0; frame < frames; frame++) {
+        const top = frame * size;
+        const offset = Math.round((frame * 2 * size) / frames);
+        context.save();
+        context.beginPath();
+        context.rect(0, top, size, size);
+        context.clip();
+        // Two stretched copies, so the one scrolling out at the bottom is followed by the next.
+        context.drawImage(image, 0, 0, size, size, 0, top + offset - 2 * size, size, 2 * size);
+        context.drawImage(image, 0, 0, size, size, 0, top + offset, size, 2 * size);
+        context.restore();
+    }
+    image.close();
+
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    return blob.arrayBuffer();
+}
+
+/**
+ * Turns a flowing texture, which runs downwards, into one that runs diagonally down and to the right,
+ * for fluid flowing diagonally. Block rotations only come in quarter turns, so diagonal flow needs its own texture.
+ * Each row of a frame is shifted right by its row number, which keeps the frames tiling seamlessly and
+ * turns the texture's vertical streaks diagonal.
+ * @param {{width: number, height: number, pixels: Uint8Array|Uint8ClampedArray}} image The flowing texture,
+ *     a square image or a vertical strip of square frames.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ */
+function shearFlowingStrip({ width, height, pixels }) {
+    const sheared = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        const shift = y % width;
+        const row = y * width * 4;
+        // The row wraps around, so the pixels shifted out on the right come back on the left.
+        sheared.set(pixels.subarray(row, row + (width - shift) * 4), row + shift * 4);
+        sheared.set(pixels.subarray(row + (width - shift) * 4, row + width * 4), row);
+    }
+    return { width, height, pixels: sheared };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TEXTURE_RESOLUTIONS, FLOWING_STRIP_FRAMES, readPngSize, inspectTexture, encodePng, decodePng, getFrameCount, deriveFlowingStrip,
+        shearFlowingStrip,
+    };
+}
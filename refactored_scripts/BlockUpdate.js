@@ -6,6 +6,7 @@
  */
 
 import { world, system, Block } from "@minecraft/server";
+import { isValid } from "./compat.js";
 export { BlockUpdate };
 
 /**
@@ -98,7 +99,7 @@ class BlockUpdate {
     system.run(() => {
         try {
             // Now, on the next tick, the sourceBlock object should be stable.
-            if (!sourceBlock.isValid()) return;
+            if (!isValid(sourceBlock)) return;
 
             for (const offset of NEIGHBOR_OFFSETS) {
                 const targetBlock = sourceBlock.offset(offset);
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Smooths over the differences between the `@minecraft/server` versions a pack can target,
+ * so the same engine scripts run on every supported Minecraft release (see js/minecraft_targets.js).
+ * Differences are detected on the objects themselves rather than by version number.
+ */
+
+import { world } from "@minecraft/server";
+
+/**
+ * Checks whether a block, entity or player can still be used.
+ * `isValid` is a method up to `@minecraft/server` 1.x and a property from 2.0.0 on.
+ * @param {{isValid: boolean|(() => boolean)}|undefined} object The object to check.
+ * @returns {boolean}
+ */
+export function isValid(object) {
+    if (!object) return false;
+    return typeof object.isValid === "function" ? object.isValid() : object.isValid === true;
+}
+
+/**
+ * Gets a block if its chunk is loaded. For unloaded chunks, `Dimension.getBlock` returns undefined up to
+ * `@minecraft/server` 1.x and throws from 2.0.0 on.
+ * @param {import("@minecraft/server").Dimension} dimension The dimension.
+ * @param {import("@minecraft/server").Vector3} location The block's location.
+ * @returns {import("@minecraft/server").Block|undefined} The block, or undefined if its chunk is not loaded.
+ */
+export function getLoadedBlock(dimension, location) {
+    try {
+        return dimension.getBlock(location);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Pushes an entity straight up (or down, for a negative strength).
+ * 2.0.0 changed `applyKnockback(directionX, directionZ, horizontalStrength, verticalStrength)`
+ * to `applyKnockback(horizontalForce, verticalStrength)`.
+ * @param {import("@minecraft/server").Entity} entity The entity to push.
+ * @param {number} strength The vertical strength.
+ */
+export function applyVerticalKnockback(entity, strength) {
+    if (typeof entity.isValid === "function") {
+        entity.applyKnockback(0, 0, 0, strength);
+    } else {
+        entity.applyKnockback({ x: 0, z: 0 }, strength);
+    }
+}
+
+/**
+ * Runs a command as an entity. Older releases only provide `runCommandAsync`, which 2.0.0 removed.
+ * @param {import("@minecraft/server").Entity} entity The entity to run the command as.
+ * @param {string} command The command, without the leading slash.
+ */
+export function runCommand(entity, command) {
+    if (typeof entity.runCommand === "function") {
+        entity.runCommand(command);
+    } else {
+        entity.runCommandAsync(command);
+    }
+}
+
+/**
+ * Plays a sound at a location in a dimension. `Dimension.playSound` is missing from the oldest supported
+ * `@minecraft/server` versions, which only have `World.playSound`.
+ * @param {import("@minecraft/server").Dimension} dimension The dimension to play the sound in.
+ * @param {string} soundId The sound event.
+ * @param {import("@minecraft/server").Vector3} location Where to play the sound.
+ * @param {{volume?: number, pitch?: number}} options The volume and pitch.
+ */
+export function playSoundAt(dimension, soundId, location, options) {
+    if (typeof dimension.playSound === "function") {
+        dimension.playSound(soundId, location, options);
+    } else {
+        world.playSound(soundId, location, options);
+    }
+}
+
+/**
+ * Runs a callback once the world has loaded, when dimensions and dynamic properties can be used.
+ * 2.0.0 replaced `worldInitialize` with `worldLoad`.
+ * @param {() => void} callback The callback.
+ */
+export function onWorldLoad(callback) {
+    const worldLoad = world.afterEvents.worldLoad ?? world.afterEvents.worldInitialize;
+    worldLoad.subscribe(callback);
+}
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview The entry point of the shared fluid engine pack.
+ * It runs the fluid engine without any fluids of its own, and registers the fluids
+ * that fluid packs announce through script events (see engine_events.js).
+ */
+
+import { system } from "@minecraft/server";
+import { registerFluid } from "./fluids.js";
+import { ENGINE_NAMESPACE, REGISTER_FLUID_EVENT, ENGINE_READY_EVENT, decodeRegistration } from "./engine_events.js";
+
+system.afterEvents.scriptEventReceive.subscribe((event) => {
+    if (event.id !== REGISTER_FLUID_EVENT) return;
+
+    const registration = decodeRegistration(event.message);
+    if (!registration) {
+        console.warn(`[Fluid Engine] Ignored a malformed fluid registration: ${event.message}`);
+        return;
+    }
+    registerFluid(registration.id, registration.data);
+}, { namespaces: [ENGINE_NAMESPACE] });
+
+// Fluid packs that loaded before the engine register again when they receive this.
+system.run(() => {
+    system.sendScriptEvent(ENGINE_READY_EVENT, "");
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview The script events exchanged between the shared fluid engine pack and the fluid packs that use it.
+ * Fluid packs send one `REGISTER_FLUID_EVENT` per fluid when they load. The engine sends `ENGINE_READY_EVENT`
+ * once its listeners are set up, and fluid packs answer it by registering again, so the packs may load in any order.
+ */
+
+/**
+ * The namespace of the engine's script events, entities and fogs.
+ * @type {string}
+ */
+export const ENGINE_NAMESPACE = "fluid_engine";
+
+/**
+ * Sent by a fluid pack for each of its fluids. The message is created by `encodeRegistration`.
+ * @type {string}
+ */
+export const REGISTER_FLUID_EVENT = `${ENGINE_NAMESPACE}:register_fluid`;
+
+/**
+ * Sent by the engine when it is ready to receive registrations.
+ * @type {string}
+ */
+export const ENGINE_READY_EVENT = `${ENGINE_NAMESPACE}:ready`;
+
+/**
+ * Creates the message of a `REGISTER_FLUID_EVENT`.
+ * Each fluid is sent on its own, as script event messages are limited to 2048 characters.
+ * `validatePack` in js/pack_builder.js rejects shared packs with a fluid whose message would be longer.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {string} namespace The namespace of the fluid's block states and fog.
+ * @param {object} fluidData The fluid's FluidRegistry entry.
+ * @returns {string}
+ */
+export function encodeRegistration(fluidId, namespace, fluidData) {
+    return JSON.stringify({ id: fluidId, data: { ...fluidData, namespace } });
+}
+
+/**
+ * Reads the message of a `REGISTER_FLUID_EVENT`.
+ * @param {string} message The message created by `encodeRegistration`.
+ * @returns {{id: string, data: object}|undefined} The registration, or undefined if the message is malformed.
+ */
+export function decodeRegistration(message) {
+    try {
+        const registration = JSON.parse(message);
+        if (typeof registration?.id !== "string" || typeof registration.data !== "object" || !registration.data) {
+            return undefined;
+        }
+        return registration;
+    } catch (e) {
+        return undefined;
+    }
+}
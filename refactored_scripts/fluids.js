@@ -11,19 +11,28 @@
 import { world, system, Player, BlockPermutation, ItemStack, Direction, Block, GameMode } from "@minecraft/server";
 import { BlockUpdate } from "./BlockUpdate.js";
 import { FluidQueue } from "./queue.js";
-import { FluidRegistry } from "./registry.js";
+import { FluidRegistry, FLUID_NAMESPACE, PACK_UUID } from "./registry.js";
 import { effectHandlers } from "./effects/index.js";
+import { isValid, applyVerticalKnockback, runCommand, playSoundAt, onWorldLoad, getLoadedBlock } from "./compat.js";
+import { LocationSet, saveFluidState, loadFluidState } from "./persistence.js";
 
 //================================================================//
 //                        CONFIGURATION
 //================================================================//
 
 /**
- * The maximum horizontal distance a fluid can spread from a source block.
- * A value of 7 mirrors the behavior of vanilla water and lava (source is 7, spreads down to 1).
+ * The horizontal distance a fluid spreads from a source block when its registry entry sets no `spread`.
+ * A value of 7 mirrors the behavior of vanilla water (source is 7, spreads down to 1).
+ * Must match `DEFAULT_SPREAD_DISTANCE` in js/generator.js.
  * @type {number}
  */
-const MAX_SPREAD_DISTANCE = 7;
+const DEFAULT_SPREAD_DISTANCE = 7;
+
+/**
+ * The particle and sound of a fluid evaporating in a dimension it cannot exist in, like water in the Nether.
+ * @type {{particle: string, sound: string}}
+ */
+const EVAPORATION_EFFECTS = { particle: "minecraft:water_evaporation_bucket_emitter", sound: "random.fizz" };
 
 /**
  * The number of fluid block updates to process per game tick.
@@ -32,6 +41,39 @@ const MAX_SPREAD_DISTANCE = 7;
  */
 const UPDATES_PER_TICK = 20;
 
+/**
+ * The number of ticks between two swimming sounds of a player moving through a fluid.
+ * @type {number}
+ */
+const SWIM_SOUND_INTERVAL = 12;
+
+/**
+ * The chance that a fluid block plays its ambient sound, checked once a second for every active fluid block.
+ * @type {number}
+ */
+const AMBIENT_SOUND_CHANCE = 0.005;
+
+/**
+ * The number of ticks between two saves of the fluid queues and the index of fluid blocks, see persistence.js.
+ * @type {number}
+ */
+const STATE_SAVE_INTERVAL = 100;
+
+/**
+ * How many blocks of the index of fluid blocks are checked each tick for having been removed by something other
+ * than the engine, such as another pack or a command. Spreading the checks over ticks keeps them cheap in worlds
+ * with a lot of fluid.
+ * @type {number}
+ */
+const PRUNE_CHECKS_PER_TICK = 64;
+
+/**
+ * The dimensions searched for pickup entities left behind by a crash.
+ * Must match `FLUID_DIMENSIONS` in js/generator.js.
+ * @type {string[]}
+ */
+const DIMENSION_IDS = ["minecraft:overworld", "minecraft:nether", "minecraft:the_end"];
+
 //================================================================//
 //                      CORE IMPLEMENTATION
 //================================================================//
@@ -63,29 +105,34 @@ const directionToOffset = {
 };
 
 /**
- * An array of block state names used to control the visibility of each face of the fluid's model.
- * This is key to making fluids appear to connect seamlessly. The order is critical and must match the geometry file.
- * Order: North, East, South, West, Up, Down.
+ * The entity spawned on a fluid source to show that it can be picked up with a bucket.
+ * @type {string}
  */
-const INVISIBLE_STATE_NAMES = [
-  "lumstudio:invisible_north",
-  "lumstudio:invisible_east",
-  "lumstudio:invisible_south",
-  "lumstudio:invisible_west",
-  "lumstudio:invisible_up",
-  "lumstudio:invisible_down"
-];
+const PICKUP_ENTITY_ID = `${FLUID_NAMESPACE}:fluid_pickup_entity`;
+
+/**
+ * The tag of the pickup entities this engine spawns. Other packs with the same namespace spawn the same entity,
+ * so only entities with this tag are this engine's to remove.
+ * @type {string}
+ */
+const PICKUP_ENTITY_TAG = `fluid_pickup:${PACK_UUID}`;
+
+/**
+ * The flow directions, the values of a fluid's `direction` state, in clockwise order starting from north.
+ * The direction is the way the fluid moves. Must match `FLOW_DIRECTIONS` in js/generator.js.
+ * @type {string[]}
+ */
+const FLOW_DIRECTIONS = ["n", "ne", "e", "se", "s", "sw", "w", "nw"];
 
 /**
- * Maps a flow direction string to a numeric value used for rotating textures.
- * This allows the flowing fluid texture to align with the direction of flow.
+ * Maps a flow direction string to the number of quarter turns its block is rotated by.
+ * Unrotated, the flowing texture runs south and the diagonal flowing texture south-east, so the rotation
+ * makes the texture follow the flow. Must match `FLOW_DIRECTION_QUARTER_TURNS` in js/generator.js.
  */
 const flowDirectionToNumber = {
-  "n": 0,
   "none": 0, // 'none' is the default when not flowing horizontally
-  "e": 1,
-  "s": 2,
-  "w": 3,
+  "s": 0, "e": 1, "n": 2, "w": 3,
+  "se": 0, "ne": 1, "nw": 2, "sw": 3,
 };
 
 // --- Global State ---
@@ -96,6 +143,12 @@ const flowDirectionToNumber = {
  */
 const Queues = {};
 
+/**
+ * A cache of each fluid's block state names, see `getStateNames`.
+ * @type {Object.<string, {depth: string, direction: string, invisible: string[]}>}
+ */
+const StateNames = {};
+
 /**
  * @type {boolean}
  * @description A flag to prevent the BlockUpdate listener from running before the fluid engine is fully initialized.
@@ -103,16 +156,111 @@ const Queues = {};
 let isInitialized = false;
 
 /**
- * @type {Set<string>}
+ * @type {LocationSet}
  * @description A set that tracks the location string of every active fluid block in the world.
  * This is the core of the entity detection optimization. Instead of checking every entity
  * in the world, we only check for entities inside these specific blocks.
  * The location string is formatted as "x,y,z,dimensionId".
  */
-const activeFluidBlocks = new Set();
+const activeFluidBlocks = new LocationSet();
+
+/**
+ * @type {Map<string, LocationSet>}
+ * @description The saved queue entries of fluids that were not registered yet when the world loaded, by fluid ID.
+ * The shared fluid engine only learns about a fluid when its pack registers it, see `registerFluid`.
+ */
+const restoredQueueEntries = new Map();
+
+/**
+ * @type {boolean}
+ * @description Whether the saved simulation state has been restored, before which nothing is saved over it.
+ */
+let isStateRestored = false;
+
+/**
+ * @type {Iterator<string>|undefined}
+ * @description Where `pruneActiveFluidBlocks` carries on in `activeFluidBlocks`, or undefined to start over.
+ */
+let pruneCursor;
 
 // --- Utility Functions ---
 
+/**
+ * Plays one of a fluid's sounds (`fill`, `empty`, `enter`, `swim` or `ambient`) with the volume and pitch
+ * from its registry entry. Fluids without that sound stay silent.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {string} kind The sound to play.
+ * @param {Dimension} dimension The dimension to play it in.
+ * @param {Vector} location Where to play it.
+ */
+function playFluidSound(fluidId, kind, dimension, location) {
+  const sound = FluidRegistry[fluidId]?.sounds?.[kind];
+  if (!sound) return;
+  playSoundAt(dimension, sound.id, location, { volume: sound.volume, pitch: sound.pitch });
+}
+
+/**
+ * Returns the depth of a fluid's source blocks: its longest spread distance in any dimension.
+ * Falling fluid is one deeper. Must match `getSourceDepth` in js/generator.js.
+ * @param {string} fluidId The fluid's block identifier.
+ * @returns {number}
+ */
+function getSourceDepth(fluidId) {
+  const fluidData = FluidRegistry[fluidId];
+  const spreads = Object.values(fluidData?.dimensions || {})
+    .map(rules => rules.spread)
+    .filter(spread => spread !== undefined);
+  return Math.max(fluidData?.spread ?? DEFAULT_SPREAD_DISTANCE, ...spreads);
+}
+
+/**
+ * Returns the flow rules of a fluid in a dimension: its registry entry's spread distance and tick delay,
+ * replaced by the dimension's own where it sets them, and whether the fluid evaporates there.
+ * The generator only writes tick delays of at least 1; a smaller one in a hand-edited registry counts as 1.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {string} dimensionId The dimension's identifier, e.g. `minecraft:nether`.
+ * @returns {{spread: number, tickDelay: number, evaporates: boolean}}
+ */
+export function getDimensionRules(fluidId, dimensionId) {
+  const fluidData = FluidRegistry[fluidId];
+  const overrides = fluidData?.dimensions?.[dimensionId] || {};
+  return {
+    spread: overrides.spread ?? fluidData?.spread ?? DEFAULT_SPREAD_DISTANCE,
+    tickDelay: Math.max(1, overrides.tick_delay ?? fluidData?.tick_delay ?? 5),
+    evaporates: overrides.evaporate === true,
+  };
+}
+
+/**
+ * Shows a puff of steam and plays a fizz where a fluid evaporates.
+ * @param {Dimension} dimension The dimension.
+ * @param {Vector} location Where the fluid evaporates.
+ */
+function showEvaporation(dimension, location) {
+  dimension.spawnParticle(EVAPORATION_EFFECTS.particle, location);
+  playSoundAt(dimension, EVAPORATION_EFFECTS.sound, location, { volume: 0.5, pitch: 2.6 });
+}
+
+/**
+ * Returns the block state names of a fluid. They are prefixed with the namespace of the pack that
+ * defines the fluid, which differs between fluid packs when they share one engine.
+ * `invisible` controls the visibility of each face of the fluid's model, which is key to making fluids
+ * appear to connect seamlessly. Its order is critical and must match the geometry file: North, East, South, West, Up, Down.
+ * @param {string} fluidId The fluid's block identifier.
+ * @returns {{depth: string, direction: string, invisible: string[]}}
+ */
+function getStateNames(fluidId) {
+  if (!StateNames[fluidId]) {
+    const namespace = FluidRegistry[fluidId]?.namespace || FLUID_NAMESPACE;
+    StateNames[fluidId] = {
+      depth: `${namespace}:depth`,
+      direction: `${namespace}:direction`,
+      invisible: ["north", "east", "south", "west", "up", "down"].map(face => `${namespace}:invisible_${face}`),
+    };
+  }
+  return StateNames[fluidId];
+}
+
 /**
  * Creates a standardized location string for use in the `activeFluidBlocks` set.
  * @param {Block} block The block to get a location string for.
@@ -151,13 +299,14 @@ function areBlocksEqual(block1, block2) {
 }
 
 /**
- * Checks if a block can be replaced by a fluid.
+ * Checks if a block can be replaced by a fluid. Other fluids are not replaceable; whether a fluid
+ * flows into them is up to its interaction rules, see `canFlowInto`.
  * @param {Block} block The block to check.
  * @returns {boolean} True if the block is replaceable.
  */
 function isBlockReplaceable(block) {
     if (!block) return false;
-    if (block.isAir || block.isLiquid) return true;
+    if (block.isAir) return true;
     
     // A list of common replaceable blocks.
     const replaceableIds = [
@@ -172,32 +321,211 @@ function isBlockReplaceable(block) {
     return replaceableIds.includes(block.typeId);
 }
 
+/**
+ * Returns the fluid type of a block as interaction rules name it: the identifier of a custom fluid, or
+ * `minecraft:water` or `minecraft:lava` for vanilla fluids, still or flowing.
+ * @param {Block|undefined} block The block.
+ * @returns {string|undefined} The fluid type, or undefined if the block is not a fluid.
+ */
+function getFluidType(block) {
+  if (!block) return undefined;
+  if (FluidRegistry[block.typeId]) return block.typeId;
+  if (block.isLiquid) return block.typeId.replace("minecraft:flowing_", "minecraft:");
+  return undefined;
+}
+
+/**
+ * Finds the rule for what a fluid does when one of its blocks meets another fluid. The first rule naming the
+ * other fluid (or `*`) whose `when` matches the block, a source or a flowing block, applies.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {string} otherType The other fluid's type, see `getFluidType`.
+ * @param {boolean} isSource Whether the meeting block is a source block.
+ * @returns {{fluid: string, when?: string, action: string, block?: string}|undefined} The rule, or undefined if none applies.
+ */
+export function findInteraction(fluidId, otherType, isSource) {
+  const interactions = FluidRegistry[fluidId]?.interactions || [];
+  return interactions.find(rule =>
+    (rule.fluid === otherType || rule.fluid === "*") &&
+    (!rule.when || rule.when === "any" || rule.when === (isSource ? "source" : "flow")));
+}
+
+/**
+ * Checks if a fluid block can flow into a block: one that is replaceable, or another fluid its rules let it consume.
+ * Without a rule, a fluid does not flow into other fluids.
+ * @param {Block} block The block to flow into.
+ * @param {string} fluidId The flowing fluid's block identifier.
+ * @param {boolean} isSource Whether the flowing block is a source block.
+ * @returns {boolean}
+ */
+function canFlowInto(block, fluidId, isSource) {
+  if (isBlockReplaceable(block)) return true;
+  const otherType = getFluidType(block);
+  if (!otherType || otherType === fluidId) return false;
+  return findInteraction(fluidId, otherType, isSource)?.action === "consume";
+}
+
+/**
+ * Turns a fluid block into the block an interaction rule produces, if it touches another fluid whose rule says so,
+ * like lava turning into obsidian or cobblestone next to water.
+ * @param {Block} block The fluid block.
+ * @param {boolean} isSource Whether the block is a source block.
+ * @returns {boolean} True if the block was replaced.
+ */
+function applyBlockInteraction(block, isSource) {
+  const typeId = block.typeId;
+  for (const neighbor of [...HORIZONTAL_DIRECTIONS.map(dir => block.offset(dir)), block.above(), block.below()]) {
+    const otherType = getFluidType(neighbor);
+    if (!otherType || otherType === typeId) continue;
+    const rule = findInteraction(typeId, otherType, isSource);
+    if (rule?.action !== "block") continue;
+    block.setType(rule.block);
+    activeFluidBlocks.delete(getBlockLocationString(block));
+    BlockUpdate.trigger(block);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Queues the custom fluid blocks next to a vanilla fluid block. Vanilla fluids have no queue of their own, so without
+ * this a settled custom fluid would never react to water or lava changing next to it.
+ * @param {Block} block The vanilla fluid block.
+ */
+function queueFluidsNextTo(block) {
+  for (const neighbor of [block.north(), block.east(), block.south(), block.west(), block.above(), block.below()]) {
+    if (neighbor && Queues[neighbor.typeId]) Queues[neighbor.typeId].add(neighbor);
+  }
+}
+
+/**
+ * Looks for the nearest drops around a fluid block, like vanilla water, which only spreads towards the nearest
+ * place it can fall from. Each direction is searched on its own, through blocks the fluid can flow into or that
+ * already hold it, for a block with room below to fall into.
+ * @param {Block} block The fluid block.
+ * @param {boolean} isSource Whether the block is a source block.
+ * @param {number} radius How many blocks away to look.
+ * @returns {number[]} The indices in `HORIZONTAL_DIRECTIONS` of the directions that lead to the nearest drops,
+ *     or an empty array if there is no drop within the radius.
+ */
+export function findDropDirections(block, isSource, radius) {
+  const typeId = block.typeId;
+  // The directions share their lookups, as their searches overlap.
+  const cells = new Map();
+  const inspect = (x, z) => {
+    const key = `${x},${z}`;
+    if (!cells.has(key)) {
+      const target = block.offset({ x, y: 0, z });
+      const passable = target?.typeId === typeId || canFlowInto(target, typeId, isSource);
+      const below = passable ? target.below() : undefined;
+      cells.set(key, { passable, drop: passable && (below?.typeId === typeId || canFlowInto(below, typeId, isSource)) });
+    }
+    return cells.get(key);
+  };
+
+  const distances = HORIZONTAL_DIRECTIONS.map((first) => {
+    // The search never goes back through the fluid block itself.
+    const visited = new Set(["0,0"]);
+    let frontier = [{ x: first.dx, z: first.dz }];
+    for (let distance = 1; distance <= radius && frontier.length > 0; distance++) {
+      const next = [];
+      for (const { x, z } of frontier) {
+        const key = `${x},${z}`;
+        if (visited.has(key)) continue;
+        visited.add(key);
+        const cell = inspect(x, z);
+        if (!cell.passable) continue;
+        if (cell.drop) return distance;
+        for (const dir of HORIZONTAL_DIRECTIONS) next.push({ x: x + dir.dx, z: z + dir.dz });
+      }
+      frontier = next;
+    }
+    return Infinity;
+  });
+  const nearest = Math.min(...distances);
+  if (nearest === Infinity) return [];
+  return distances.flatMap((distance, i) => distance === nearest ? [i] : []);
+}
+
+/**
+ * Works out the way a fluid block flows from the depths around it, like vanilla water.
+ * Every horizontal neighbor pulls the flow towards it by how much shallower it is, with empty
+ * replaceable blocks counting as depth 0, and the combined flow vector is rounded to one of the eight
+ * `FLOW_DIRECTIONS`. Fluid that is pulled equally in every direction, like a source in open water, is still.
+ * Fluid heading for drops (see `findDropDirections`) flows towards them instead, unless they pull it equally both ways.
+ * @param {Block} block The fluid block.
+ * @param {number} depth The block's depth.
+ * @param {Array<object|undefined>} neighborStates The block states of the 4 horizontal neighbors, or undefined where there is no fluid.
+ * @param {{depth: string}} stateNames The fluid's block state names.
+ * @param {number[]} [dropDirections=[]] The indices in `HORIZONTAL_DIRECTIONS` of the directions towards the nearest drops.
+ * @returns {string} One of `FLOW_DIRECTIONS`, or 'none'.
+ */
+function getFlowDirection(block, depth, neighborStates, stateNames, dropDirections = []) {
+  let flowX = 0;
+  let flowZ = 0;
+  for (const i of dropDirections) {
+    flowX += HORIZONTAL_DIRECTIONS[i].dx;
+    flowZ += HORIZONTAL_DIRECTIONS[i].dz;
+  }
+  if (flowX !== 0 || flowZ !== 0) return toFlowDirection(flowX, flowZ);
+
+  for (let i = 0; i < HORIZONTAL_DIRECTIONS.length; i++) {
+    const dir = HORIZONTAL_DIRECTIONS[i];
+    let neighborDepth;
+    if (neighborStates[i]) {
+      neighborDepth = neighborStates[i][stateNames.depth];
+    } else if (isBlockReplaceable(block.offset(dir))) {
+      neighborDepth = 0;
+    } else {
+      continue;
+    }
+    flowX += dir.dx * (depth - neighborDepth);
+    flowZ += dir.dz * (depth - neighborDepth);
+  }
+  return toFlowDirection(flowX, flowZ);
+}
+
+/**
+ * Rounds a horizontal flow vector to one of the eight `FLOW_DIRECTIONS`.
+ * @param {number} flowX The flow towards east.
+ * @param {number} flowZ The flow towards south.
+ * @returns {string} One of `FLOW_DIRECTIONS`, or 'none' for no flow.
+ */
+function toFlowDirection(flowX, flowZ) {
+  if (flowX === 0 && flowZ === 0) return "none";
+
+  // Angles are measured clockwise from north, like the order of FLOW_DIRECTIONS.
+  const eighth = Math.round(Math.atan2(flowX, -flowZ) / (Math.PI / 4));
+  return FLOW_DIRECTIONS[(eighth + 8) % 8];
+}
+
 /**
  * Calculates the correct block states for a horizontally flowing fluid block.
  * @param {BlockPermutation} permutation The block's current permutation.
  * @param {Array<object|undefined>} neighborStates An array of block states for the 4 horizontal neighbors.
  * @param {boolean} hasFluidBelow Whether there is a fluid block directly below this one.
  * @param {boolean} isSource Whether this block is a source block.
- * @param {string} flowDirection The direction the fluid is flowing ('n', 'e', 's', 'w', 'none').
+ * @param {string} flowDirection The direction the fluid is flowing, one of `FLOW_DIRECTIONS` or 'none', from
+ *     `getFlowDirection`. For fluids that look for drops, it points along the path to the nearest ones.
+ * @param {{depth: string, direction: string, invisible: string[]}} stateNames The fluid's block state names.
  * @returns {BlockPermutation} The new, updated block permutation.
  */
-function getHorizontalFlowPermutation(permutation, neighborStates, hasFluidBelow, isSource, flowDirection) {
+function getHorizontalFlowPermutation(permutation, neighborStates, hasFluidBelow, isSource, flowDirection, stateNames) {
   let newPerm = permutation
-    .withState(INVISIBLE_STATE_NAMES[5], +hasFluidBelow) 
-    .withState("lumstudio:direction", flowDirection);
+    .withState(stateNames.invisible[5], +hasFluidBelow) 
+    .withState(stateNames.direction, flowDirection);
 
   const rotation = flowDirectionToNumber[flowDirection];
-  const currentDepth = permutation.getState("lumstudio:depth");
+  const currentDepth = permutation.getState(stateNames.depth);
 
   for (let i = 0; i < 4; i++) {
     const neighbor = neighborStates[i];
     const stateIndex = (i + rotation) % 4; 
 
     if (neighbor) {
-      const neighborDepth = neighbor["lumstudio:depth"];
-      newPerm = newPerm.withState(INVISIBLE_STATE_NAMES[stateIndex], currentDepth < neighborDepth ? 2 : 0);
+      const neighborDepth = neighbor[stateNames.depth];
+      newPerm = newPerm.withState(stateNames.invisible[stateIndex], currentDepth < neighborDepth ? 2 : 0);
     } else {
-      newPerm = newPerm.withState(INVISIBLE_STATE_NAMES[stateIndex], 0);
+      newPerm = newPerm.withState(stateNames.invisible[stateIndex], 0);
     }
   }
   return newPerm;
@@ -210,23 +538,24 @@ function getHorizontalFlowPermutation(permutation, neighborStates, hasFluidBelow
  * @param {boolean} hasFluidBelow Whether there is a fluid block directly below this one.
  * @param {boolean} hasFluidAbove Whether there is a fluid block directly above this one.
  * @param {boolean} isSource Whether this block is a source block.
+ * @param {{depth: string, direction: string, invisible: string[]}} stateNames The fluid's block state names.
  * @returns {BlockPermutation} The new, updated block permutation.
  */
-function getFallingFlowPermutation(permutation, neighborStates, hasFluidBelow, hasFluidAbove, isSource) {
+function getFallingFlowPermutation(permutation, neighborStates, hasFluidBelow, hasFluidAbove, isSource, stateNames) {
   let newPerm = permutation
-    .withState(INVISIBLE_STATE_NAMES[4], +hasFluidAbove)
-    .withState(INVISIBLE_STATE_NAMES[5], +hasFluidBelow);
+    .withState(stateNames.invisible[4], +hasFluidAbove)
+    .withState(stateNames.invisible[5], +hasFluidBelow);
 
-  const currentDepth = permutation.getState("lumstudio:depth");
+  const currentDepth = permutation.getState(stateNames.depth);
 
   for (let i = 0; i < 4; i++) {
     const neighbor = neighborStates[i];
     if (neighbor) {
-      const neighborDepth = neighbor["lumstudio:depth"];
+      const neighborDepth = neighbor[stateNames.depth];
       const isMicroConnection = neighborDepth === currentDepth - 1 - isSource;
-      newPerm = newPerm.withState(INVISIBLE_STATE_NAMES[i], currentDepth < neighborDepth ? 2 : +isMicroConnection);
+      newPerm = newPerm.withState(stateNames.invisible[i], currentDepth < neighborDepth ? 2 : +isMicroConnection);
     } else {
-      newPerm = newPerm.withState(INVISIBLE_STATE_NAMES[i], 0);
+      newPerm = newPerm.withState(stateNames.invisible[i], 0);
     }
   }
   return newPerm;
@@ -239,20 +568,40 @@ function getFallingFlowPermutation(permutation, neighborStates, hasFluidBelow, h
  * @param {Block} block The fluid block to update.
  */
 function fluidUpdate(block) {
-    if (!block || !block.isValid() || !block.permutation) return;
+    if (!block || !isValid(block) || !block.permutation) return;
 
     const typeId = block.typeId;
     const queue = Queues[typeId];
     if (!queue) return;
 
+    const stateNames = getStateNames(typeId);
     const currentPermutation = block.permutation;
     const blockStates = currentPermutation.getAllStates();
-    const depth = blockStates["lumstudio:depth"];
-    const isSourceBlock = depth === MAX_SPREAD_DISTANCE;
+    const depth = blockStates[stateNames.depth];
+    const sourceDepth = getSourceDepth(typeId);
+    const isSourceBlock = depth === sourceDepth;
+    const rules = getDimensionRules(typeId, block.dimension.id);
+
+    // Fluid that got into a dimension it cannot exist in some other way than a bucket, such as a command.
+    if (rules.evaporates) {
+        block.setType('air');
+        activeFluidBlocks.delete(getBlockLocationString(block));
+        BlockUpdate.trigger(block);
+        showEvaporation(block.dimension, block.center());
+        return;
+    }
+
+    if (applyBlockInteraction(block, isSourceBlock)) return;
+
+    const sourceMode = FluidRegistry[typeId].source_mode;
+    if (sourceMode === "finite") {
+        updateFiniteFluid(block, queue, stateNames, sourceDepth);
+        return;
+    }
 
     const blockBelow = block.below();
-    if (isBlockReplaceable(blockBelow)) {
-        const fallingFluidPermutation = currentPermutation.withState("lumstudio:depth", isSourceBlock ? MAX_SPREAD_DISTANCE : 8);
+    if (canFlowInto(blockBelow, typeId, isSourceBlock)) {
+        const fallingFluidPermutation = currentPermutation.withState(stateNames.depth, isSourceBlock ? sourceDepth : sourceDepth + 1);
         blockBelow.setPermutation(fallingFluidPermutation);
         activeFluidBlocks.add(getBlockLocationString(blockBelow));
         queue.add(blockBelow);
@@ -260,15 +609,13 @@ function fluidUpdate(block) {
         if (!isSourceBlock) {
             block.setType('air');
             activeFluidBlocks.delete(getBlockLocationString(block));
-            BlockUpdate.trigger(block); // <-- ADDED THIS LINE
+            BlockUpdate.trigger(block);
         }
         return;
     }
 
     let canBeSustained = isSourceBlock;
     let hasNeighborWithGreaterDepth = false;
-    let maxNeighborDepth = -1;
-    let flowDirection = "none";
     const neighborStates = [];
 
     for (let i = 0; i < HORIZONTAL_DIRECTIONS.length; i++) {
@@ -278,13 +625,9 @@ function fluidUpdate(block) {
         if (neighbor?.typeId === typeId) {
             const states = neighbor.permutation.getAllStates();
             neighborStates.push(states);
-            if (states["lumstudio:depth"] > depth) {
+            if (states[stateNames.depth] > depth) {
                 hasNeighborWithGreaterDepth = true;
             }
-            if (states["lumstudio:depth"] > maxNeighborDepth) {
-                maxNeighborDepth = states["lumstudio:depth"];
-                flowDirection = dir.facing;
-            }
         } else {
             neighborStates.push(undefined);
         }
@@ -297,6 +640,13 @@ function fluidUpdate(block) {
         canBeSustained = isFlowingDownward || hasNeighborWithGreaterDepth;
     }
 
+    if (sourceMode === "infinite" && !isSourceBlock && !isFlowingDownward && formsSource(block, neighborStates, sourceDepth, stateNames)) {
+        block.setPermutation(currentPermutation.withState(stateNames.depth, sourceDepth));
+        queue.add(block);
+        BlockUpdate.trigger(block);
+        return;
+    }
+
     if (!canBeSustained) {
         block.setType('air');
         activeFluidBlocks.delete(getBlockLocationString(block));
@@ -304,12 +654,19 @@ function fluidUpdate(block) {
         return;
     }
     
-    if (depth > 1 && !isFlowingDownward) {
+    // Fluids that look for drops only spread towards the nearest ones, and everywhere when there are none.
+    const dropSearch = FluidRegistry[typeId].drop_search;
+    const dropDirections = dropSearch > 0 && !isFlowingDownward ? findDropDirections(block, isSourceBlock, dropSearch) : [];
+
+    // Where the fluid spreads less than its longest spread distance, its flow stops at a higher depth.
+    const lowestDepth = sourceDepth - rules.spread + 1;
+    if (depth > lowestDepth && !isFlowingDownward) {
         const newDepth = depth - 1;
-        for (const dir of HORIZONTAL_DIRECTIONS) {
-            const neighbor = block.offset(dir);
-            if (isBlockReplaceable(neighbor)) {
-                const spreadingPermutation = currentPermutation.withState("lumstudio:depth", newDepth);
+        for (let i = 0; i < HORIZONTAL_DIRECTIONS.length; i++) {
+            if (dropDirections.length > 0 && !dropDirections.includes(i)) continue;
+            const neighbor = block.offset(HORIZONTAL_DIRECTIONS[i]);
+            if (canFlowInto(neighbor, typeId, isSourceBlock)) {
+                const spreadingPermutation = currentPermutation.withState(stateNames.depth, newDepth);
                 neighbor.setPermutation(spreadingPermutation);
                 activeFluidBlocks.add(getBlockLocationString(neighbor));
                 queue.add(neighbor);
@@ -317,12 +674,30 @@ function fluidUpdate(block) {
         }
     }
 
+    updateFluidAppearance(block, currentPermutation, neighborStates, isFlowingDownward, isSourceBlock, stateNames, dropDirections);
+}
+
+/**
+ * Sets the block states that make a fluid block look connected to the fluid around it: its visible faces
+ * and its flow direction, which sloped fluids also tilt their top by.
+ * @param {Block} block The fluid block.
+ * @param {BlockPermutation} permutation The block's permutation, with its depth.
+ * @param {Array<object|undefined>} neighborStates The block states of the 4 horizontal neighbors, or undefined where there is no fluid.
+ * @param {boolean} isFlowingDownward Whether the same fluid is directly above the block.
+ * @param {boolean} isSourceBlock Whether the block is a source block.
+ * @param {{depth: string, direction: string, invisible: string[]}} stateNames The fluid's block state names.
+ * @param {number[]} dropDirections The directions towards the nearest drops, see `findDropDirections`.
+ */
+function updateFluidAppearance(block, permutation, neighborStates, isFlowingDownward, isSourceBlock, stateNames, dropDirections) {
+    const typeId = block.typeId;
+    const depth = permutation.getState(stateNames.depth);
     const hasFluidBelow = block.below().typeId === typeId;
     let newPermutation;
     if (isFlowingDownward) {
-        newPermutation = getFallingFlowPermutation(currentPermutation, neighborStates, hasFluidBelow, isFlowingDownward, isSourceBlock);
+        newPermutation = getFallingFlowPermutation(permutation, neighborStates, hasFluidBelow, isFlowingDownward, isSourceBlock, stateNames);
     } else {
-        newPermutation = getHorizontalFlowPermutation(currentPermutation, neighborStates, hasFluidBelow, isSourceBlock, flowDirection);
+        const flowDirection = getFlowDirection(block, depth, neighborStates, stateNames, dropDirections);
+        newPermutation = getHorizontalFlowPermutation(permutation, neighborStates, hasFluidBelow, isSourceBlock, flowDirection, stateNames);
     }
 
     if (!arePermutationsEqual(block.permutation, newPermutation)) {
@@ -330,6 +705,177 @@ function fluidUpdate(block) {
     }
 }
 
+/**
+ * Moves a finite fluid, whose total volume never changes: each block's depth is the amount of fluid in it.
+ * A block falls as a whole into open space below, or tops up the fluid below it. Otherwise it levels out
+ * with the blocks around it, handing one unit to each neighbor that holds at least two less, so fluid
+ * spreads into shallow puddles of depth 1. Fluids that look for drops pour their last unit towards them.
+ * @param {Block} block The fluid block.
+ * @param {FluidQueue} queue The fluid's queue.
+ * @param {{depth: string, direction: string, invisible: string[]}} stateNames The fluid's block state names.
+ * @param {number} sourceDepth The depth of a full block.
+ */
+function updateFiniteFluid(block, queue, stateNames, sourceDepth) {
+    const typeId = block.typeId;
+    let depth = Math.min(block.permutation.getState(stateNames.depth), sourceDepth);
+    const changedBlocks = [];
+    const setDepth = (target, permutation, newDepth) => {
+        target.setPermutation(permutation.withState(stateNames.depth, newDepth));
+        activeFluidBlocks.add(getBlockLocationString(target));
+        changedBlocks.push(target);
+    };
+
+    const blockBelow = block.below();
+    if (canFlowInto(blockBelow, typeId, depth === sourceDepth)) {
+        setDepth(blockBelow, block.permutation, depth);
+        depth = 0;
+    } else if (blockBelow?.typeId === typeId) {
+        const belowDepth = blockBelow.permutation.getState(stateNames.depth);
+        const poured = Math.min(depth, sourceDepth - belowDepth);
+        if (poured > 0) {
+            setDepth(blockBelow, blockBelow.permutation, belowDepth + poured);
+            depth -= poured;
+        }
+    }
+
+    const dropSearch = FluidRegistry[typeId].drop_search;
+    const dropDirections = depth > 0 && dropSearch > 0 ? findDropDirections(block, depth === sourceDepth, dropSearch) : [];
+    for (let i = 0; i < HORIZONTAL_DIRECTIONS.length && depth > 0; i++) {
+        const isTowardsDrop = dropDirections.includes(i);
+        if (dropDirections.length > 0 && !isTowardsDrop) continue;
+        const neighbor = block.offset(HORIZONTAL_DIRECTIONS[i]);
+        if (canFlowInto(neighbor, typeId, depth === sourceDepth)) {
+            if (depth < 2 && !isTowardsDrop) continue;
+            setDepth(neighbor, block.permutation, 1);
+            depth--;
+        } else if (neighbor?.typeId === typeId) {
+            const neighborDepth = neighbor.permutation.getState(stateNames.depth);
+            if (neighborDepth > depth - 2) continue;
+            setDepth(neighbor, neighbor.permutation, neighborDepth + 1);
+            depth--;
+        }
+    }
+
+    for (const changedBlock of changedBlocks) {
+        queue.add(changedBlock);
+    }
+    if (depth === 0) {
+        block.setType('air');
+        activeFluidBlocks.delete(getBlockLocationString(block));
+        BlockUpdate.trigger(block);
+        return;
+    }
+
+    let permutation = block.permutation;
+    if (changedBlocks.length > 0) {
+        // Keeps levelling out until the volume has settled.
+        permutation = permutation.withState(stateNames.depth, depth);
+        queue.add(block);
+        BlockUpdate.trigger(block);
+    }
+    const neighborStates = HORIZONTAL_DIRECTIONS.map((dir) => {
+        const neighbor = block.offset(dir);
+        return neighbor?.typeId === typeId ? neighbor.permutation.getAllStates() : undefined;
+    });
+    const isFlowingDownward = block.above()?.typeId === typeId;
+    updateFluidAppearance(block, permutation, neighborStates, isFlowingDownward, depth === sourceDepth, stateNames, dropDirections);
+}
+
+/**
+ * Checks whether a flowing block of an infinite fluid turns into a source, like vanilla water: it needs at least
+ * two source blocks beside it, and solid ground or another source below it.
+ * @param {Block} block The flowing fluid block.
+ * @param {Array<object|undefined>} neighborStates The block states of the 4 horizontal neighbors, or undefined where there is no fluid.
+ * @param {number} sourceDepth The depth of the fluid's source blocks.
+ * @param {{depth: string}} stateNames The fluid's block state names.
+ * @returns {boolean}
+ */
+export function formsSource(block, neighborStates, sourceDepth, stateNames) {
+    const sources = neighborStates.filter(states => states?.[stateNames.depth] === sourceDepth).length;
+    if (sources < 2) return false;
+    const blockBelow = block.below();
+    if (blockBelow?.typeId === block.typeId) {
+        return blockBelow.permutation.getState(stateNames.depth) === sourceDepth;
+    }
+    return Boolean(blockBelow) && !isBlockReplaceable(blockBelow) && !getFluidType(blockBelow);
+}
+
+/**
+ * The most blocks of a finite fluid a bucket gathers its volume from.
+ * @type {number}
+ */
+const BUCKET_GATHER_LIMIT = 16;
+
+/**
+ * Checks whether a bucket could be filled from a fluid block without looking beyond it: a source block,
+ * or any block of a finite fluid.
+ * @param {Block} block The fluid block.
+ * @returns {boolean}
+ */
+function canFillBucket(block) {
+    if (FluidRegistry[block.typeId]?.source_mode === "finite") return true;
+    return block.permutation?.getState(getStateNames(block.typeId).depth) === getSourceDepth(block.typeId);
+}
+
+/**
+ * Finds the fluid a bucket takes when it is filled from a block. A bucket holds one full block: a source block,
+ * or for finite fluids a source's depth worth of volume, gathered from the block and the fluid connected to it in
+ * the same layer, nearest first.
+ * @param {Block} block The fluid block the bucket is used on.
+ * @returns {Array<{block: Block, depth: number}>|undefined} The blocks to take the fluid from and their depths,
+ *     or undefined if there is not enough fluid for a bucket.
+ */
+function getBucketVolume(block) {
+    const typeId = block.typeId;
+    const stateNames = getStateNames(typeId);
+    const sourceDepth = getSourceDepth(typeId);
+    if (FluidRegistry[typeId]?.source_mode !== "finite") {
+        return canFillBucket(block) ? [{ block, depth: sourceDepth }] : undefined;
+    }
+
+    const found = [];
+    let total = 0;
+    const visited = new Set([getBlockLocationString(block)]);
+    const pending = [block];
+    while (pending.length > 0 && total < sourceDepth && found.length < BUCKET_GATHER_LIMIT) {
+        const current = pending.shift();
+        const depth = Math.min(current.permutation.getState(stateNames.depth), sourceDepth);
+        found.push({ block: current, depth });
+        total += depth;
+        for (const dir of HORIZONTAL_DIRECTIONS) {
+            const neighbor = current.offset(dir);
+            if (neighbor?.typeId !== typeId || visited.has(getBlockLocationString(neighbor))) continue;
+            visited.add(getBlockLocationString(neighbor));
+            pending.push(neighbor);
+        }
+    }
+    return total >= sourceDepth ? found : undefined;
+}
+
+/**
+ * Takes a bucket's worth of fluid out of the blocks `getBucketVolume` found, emptying them in order.
+ * @param {Array<{block: Block, depth: number}>} volume The blocks and their depths.
+ * @param {number} amount How much fluid to take: the depth of a source block.
+ */
+function drainFluid(volume, amount) {
+    for (const { block, depth } of volume) {
+        if (amount <= 0) break;
+        const taken = Math.min(depth, amount);
+        amount -= taken;
+        if (taken < depth) {
+            const stateNames = getStateNames(block.typeId);
+            block.setPermutation(block.permutation.withState(stateNames.depth, depth - taken));
+            Queues[block.typeId]?.add(block);
+            BlockUpdate.trigger(block);
+        } else {
+            const oldBlockLocation = block.location;
+            activeFluidBlocks.delete(getBlockLocationString(block));
+            block.setType('air');
+            BlockUpdate.triggerForNeighborsAt(block.dimension, oldBlockLocation, undefined);
+        }
+    }
+}
+
 /**
  * Handles the logic for a player using a custom fluid bucket.
  * @param {ItemStack} itemStack The item being used.
@@ -346,14 +892,48 @@ function placeFluidWithBucket(itemStack, player, block, face) {
 
   const targetBlock = block.offset(offset);
 
-  if (targetBlock && isBlockReplaceable(targetBlock)) {
+  // Like vanilla buckets, a fluid bucket can be emptied into water or lava, following the fluid's interaction rules.
+  if (targetBlock && (isBlockReplaceable(targetBlock) || targetBlock.isLiquid)) {
     const fluidTypeId = itemStack.typeId.replace('_bucket', '');
     if (!FluidRegistry[fluidTypeId]) return;
+    const otherType = getFluidType(targetBlock);
+    const rule = otherType && otherType !== fluidTypeId ? findInteraction(fluidTypeId, otherType, true) : undefined;
+
+    if (getDimensionRules(fluidTypeId, targetBlock.dimension.id).evaporates) {
+        // Like water in the Nether, the fluid is gone and the bucket is emptied.
+        showEvaporation(targetBlock.dimension, targetBlock.center());
+    } else if (rule?.action === "stop") {
+        // The fluids do not mix, so the bucket stays full.
+        return;
+    } else if (rule?.action === "block") {
+        // The fluids turn into a block where they meet, like lava poured onto water turning into obsidian.
+        targetBlock.setType(rule.block);
+        activeFluidBlocks.delete(getBlockLocationString(targetBlock));
+        BlockUpdate.trigger(targetBlock);
+        playFluidSound(fluidTypeId, "empty", targetBlock.dimension, targetBlock.center());
+    } else {
+        placeFluidSource(targetBlock, fluidTypeId);
+    }
+
+    // Only replace the bucket if the player is not in creative mode.
+    if (!player.matches({ gameMode: GameMode.Creative })) {
+        const equippable = player.getComponent("equippable");
+        equippable.setEquipment("Mainhand", new ItemStack("bucket"));
+    }
+  }
+}
 
+/**
+ * Places a source block of a fluid and starts it flowing.
+ * @param {Block} targetBlock The block to replace.
+ * @param {string} fluidTypeId The fluid's block identifier.
+ */
+function placeFluidSource(targetBlock, fluidTypeId) {
     // Atomically create the desired permutation for the new fluid block.
+    const stateNames = getStateNames(fluidTypeId);
     const sourcePermutation = BlockPermutation.resolve(fluidTypeId)
-        .withState("lumstudio:depth", MAX_SPREAD_DISTANCE)
-        .withState("lumstudio:direction", "none");
+        .withState(stateNames.depth, getSourceDepth(fluidTypeId))
+        .withState(stateNames.direction, "none");
 
     // Set the permutation, which also changes the block type.
     targetBlock.setPermutation(sourcePermutation);
@@ -367,13 +947,104 @@ function placeFluidWithBucket(itemStack, player, block, face) {
     if (queue) {
         queue.add(targetBlock);
     }
+    playFluidSound(fluidTypeId, "empty", targetBlock.dimension, targetBlock.center());
+}
 
-    // Only replace the bucket if the player is not in creative mode.
-    if (!player.matches({ gameMode: GameMode.Creative })) {
-        const equippable = player.getComponent("equippable");
-        equippable.setEquipment("Mainhand", new ItemStack("bucket"));
+/**
+ * Adds a fluid to the registry and starts its queue.
+ * The shared fluid engine calls this for every fluid that a fluid pack registers at runtime.
+ * Registering a fluid again replaces its registry entry.
+ * @param {string} fluidId The fluid's block identifier.
+ * @param {object} fluidData The registry entry. Its `namespace` prefixes the fluid's block states and fog.
+ */
+export function registerFluid(fluidId, fluidData) {
+    FluidRegistry[fluidId] = fluidData;
+    delete StateNames[fluidId];
+    if (!Queues[fluidId]) {
+        Queues[fluidId] = new FluidQueue(fluidUpdate, fluidId, dimensionId => getDimensionRules(fluidId, dimensionId).tickDelay);
+        Queues[fluidId].run(UPDATES_PER_TICK);
+    }
+    for (const locationString of restoredQueueEntries.get(fluidId) ?? []) {
+        Queues[fluidId].restore(locationString);
+    }
+    restoredQueueEntries.delete(fluidId);
+}
+
+/**
+ * Restores the fluid queues and the index of fluid blocks saved before the world was closed, so fluid that was
+ * still flowing carries on and entities in fluid are found again.
+ */
+function restoreSimulationState() {
+    const { activeBlocks, queuedBlocks } = loadFluidState();
+    for (const locationString of activeBlocks) {
+        activeFluidBlocks.add(locationString);
+    }
+    for (const [fluidId, locationStrings] of queuedBlocks) {
+        if (Queues[fluidId]) {
+            for (const locationString of locationStrings) Queues[fluidId].restore(locationString);
+        } else {
+            restoredQueueEntries.set(fluidId, new LocationSet(locationStrings));
+        }
+    }
+    isStateRestored = true;
+}
+
+/**
+ * Drops the next `PRUNE_CHECKS_PER_TICK` blocks from the index of fluid blocks if they are gone from loaded chunks,
+ * such as ones replaced by another pack or a command. The engine removes the blocks it changes itself.
+ * Blocks in unloaded chunks stay in the index until they can be checked.
+ */
+function pruneActiveFluidBlocks() {
+    pruneCursor ??= activeFluidBlocks[Symbol.iterator]();
+    for (let i = 0; i < PRUNE_CHECKS_PER_TICK; i++) {
+        const { value: locationString, done } = pruneCursor.next();
+        if (done) {
+            pruneCursor = undefined;
+            return;
+        }
+        const parts = locationString.split(',');
+        const block = getLoadedBlock(world.getDimension(parts[3]), { x: +parts[0], y: +parts[1], z: +parts[2] });
+        if (block && !block.hasTag("fluid")) activeFluidBlocks.delete(locationString);
+    }
+}
+
+/**
+ * Saves the regions of the fluid queues and the index of fluid blocks that changed since the last save.
+ */
+function saveSimulationState() {
+    if (!isStateRestored) return;
+    const queuedBlocks = new Map(restoredQueueEntries);
+    for (const fluidId in Queues) {
+        queuedBlocks.set(fluidId, Queues[fluidId].pendingLocations);
+    }
+    saveFluidState(activeFluidBlocks, queuedBlocks);
+}
+
+/**
+ * Checks if an entity is a pickup entity this engine spawned that no player's bucket is pointing at,
+ * such as one left behind when the world closed or crashed while a player was looking at a fluid.
+ * @param {import("@minecraft/server").Entity} entity The entity.
+ * @param {Map<string, {id: string, block: Block}>} pickupEntities The pickup entity shown to each player, by player ID.
+ * @returns {boolean}
+ */
+function isOrphanedPickupEntity(entity, pickupEntities) {
+    if (entity.typeId !== PICKUP_ENTITY_ID || !entity.hasTag(PICKUP_ENTITY_TAG)) return false;
+    for (const entityData of pickupEntities.values()) {
+        if (entityData.id === entity.id) return false;
+    }
+    return true;
+}
+
+/**
+ * Removes the orphaned pickup entities in loaded chunks, see `isOrphanedPickupEntity`.
+ * @param {Map<string, {id: string, block: Block}>} pickupEntities The pickup entity shown to each player, by player ID.
+ */
+function removeOrphanedPickupEntities(pickupEntities) {
+    for (const dimensionId of DIMENSION_IDS) {
+        for (const entity of world.getDimension(dimensionId).getEntities({ type: PICKUP_ENTITY_ID, tags: [PICKUP_ENTITY_TAG] })) {
+            if (isOrphanedPickupEntity(entity, pickupEntities)) entity.kill();
+        }
     }
-  }
 }
 
 /**
@@ -382,8 +1053,7 @@ function placeFluidWithBucket(itemStack, player, block, face) {
 function initialize() {
     // --- 1. Setup Fluid Queues ---
     for (const fluidId in FluidRegistry) {
-        Queues[fluidId] = new FluidQueue(fluidUpdate, fluidId);
-        Queues[fluidId].run(UPDATES_PER_TICK);
+        registerFluid(fluidId, FluidRegistry[fluidId]);
     }
 
     // --- 2. Setup Block Update Listener ---
@@ -396,7 +1066,7 @@ function initialize() {
                 // but we keep this try-catch as a secondary safeguard against
                 // potential issues with the block object itself before it even
                 // gets to the queue.
-                if (block.isValid()) {
+                if (isValid(block)) {
                     Queues[block.typeId].add(block);
                 }
             } catch (e) {
@@ -404,6 +1074,13 @@ function initialize() {
                 // might be corrupted or in an unstable state from the game engine.
                 console.warn(`[Fluid Engine] A block became unstable before it could be added to the queue. Error: ${e.message}`);
             }
+        } else if (block) {
+            // Vanilla water or lava changed, which the custom fluids next to it may react to.
+            try {
+                if (isValid(block) && block.isLiquid) queueFluidsNextTo(block);
+            } catch (e) {
+                console.warn(`[Fluid Engine] The fluids next to a vanilla fluid could not be queued. Error: ${e.message}`);
+            }
         }
     });
 
@@ -423,22 +1100,20 @@ function initialize() {
 
         // Case 2: Player is holding an empty bucket -> Pick up fluid
         if (itemStack.typeId === 'minecraft:bucket') {
-            if (block && block.hasTag("fluid")) {
-                const depth = block.permutation?.getState("lumstudio:depth");
-                if (depth === MAX_SPREAD_DISTANCE) {
-                    event.cancel = true;
-                    system.run(() => {
-                        const fluidTypeId = block.typeId;
-                        const fullBucket = new ItemStack(`${fluidTypeId}_bucket`, 1);
-                        
-                        player.getComponent("equippable").setEquipment("Mainhand", fullBucket);
-
-                        const oldBlockLocation = block.location;
-                        activeFluidBlocks.delete(getBlockLocationString(block));
-                        block.setType('air');
-                        BlockUpdate.triggerForNeighborsAt(block.dimension, oldBlockLocation, undefined);
-                    });
-                }
+            if (block && block.hasTag("fluid") && FluidRegistry[block.typeId] && getBucketVolume(block)) {
+                event.cancel = true;
+                system.run(() => {
+                    const fluidTypeId = block.typeId;
+                    // The fluid may have moved since the click.
+                    const volume = getBucketVolume(block);
+                    if (!volume) return;
+                    const fullBucket = new ItemStack(`${fluidTypeId}_bucket`, 1);
+                    
+                    player.getComponent("equippable").setEquipment("Mainhand", fullBucket);
+
+                    playFluidSound(fluidTypeId, "fill", block.dimension, block.center());
+                    drainFluid(volume, getSourceDepth(fluidTypeId));
+                });
             }
         }
     });
@@ -446,6 +1121,8 @@ function initialize() {
     // --- 4. Main Tick Loop ---
     const entitiesInFluid = new Set();
     const pickupEntities = new Map();
+    /** The tick each player in a fluid last played its swimming sound at, keyed by player ID. */
+    const lastSwimSounds = new Map();
 
     // This handles restoring flight to players who log off while in a fluid.
     world.afterEvents.playerJoin.subscribe(event => {
@@ -454,8 +1131,8 @@ function initialize() {
         system.runTimeout(() => {
             try {
                 // Add a validity check in case the player leaves before the timeout fires.
-                if (player && player.isValid() && player.hasTag("flight_disabled_by_fluid")) {
-                    player.runCommand("ability @s mayfly true");
+                if (player && isValid(player) && player.hasTag("flight_disabled_by_fluid")) {
+                    runCommand(player, "ability @s mayfly true");
                     player.removeTag("flight_disabled_by_fluid");
                 }
             } catch (e) {
@@ -495,7 +1172,7 @@ function initialize() {
             if (mainhandItem?.typeId === 'minecraft:bucket') {
                 const hit = player.getBlockFromViewDirection({ maxDistance: 6 });
                 targetedBlock = hit?.block;
-                if (targetedBlock?.hasTag("fluid") && targetedBlock.permutation?.getState("lumstudio:depth") === MAX_SPREAD_DISTANCE) {
+                if (targetedBlock?.hasTag("fluid") && FluidRegistry[targetedBlock.typeId] && canFillBucket(targetedBlock)) {
                     showPickupEntity = true;
                 }
             }
@@ -508,7 +1185,8 @@ function initialize() {
                     if (oldEntity) oldEntity.kill();
                 }
                 // Spawn the new one.
-                const entity = player.dimension.spawnEntity('lumstudio:fluid_pickup_entity', targetedBlock.center());
+                const entity = player.dimension.spawnEntity(PICKUP_ENTITY_ID, targetedBlock.center());
+                entity.addTag(PICKUP_ENTITY_TAG);
                 pickupEntities.set(player.id, { id: entity.id, block: targetedBlock });
             } 
             // If the player should NOT see an entity but one exists, remove it.
@@ -543,8 +1221,12 @@ function initialize() {
                 // Check if the entity's feet are inside a fluid block of a known type.
                 if (bodyBlock && FluidRegistry[bodyBlock.typeId]) {
                     // BINGO: This is the fix. Ignore the dummy entity to prevent race conditions.
-                    if (entity.typeId === 'lumstudio:fluid_pickup_entity') continue;
+                    if (entity.typeId === PICKUP_ENTITY_ID) continue;
 
+                    // Splash when the entity has just entered the fluid.
+                    if (!entitiesInFluid.has(entity.id)) {
+                        playFluidSound(bodyBlock.typeId, "enter", entity.dimension, entity.location);
+                    }
                     // Add the entity's ID to the set of entities currently in fluid.
                     entitiesInFluid.add(entity.id);
                     // Also add it to the set for this tick, to know it's still in a fluid.
@@ -560,7 +1242,7 @@ function initialize() {
                 const entity = world.getEntity(entityId);
 
                 // 1. VALIDATE: Ensure entity exists and is valid.
-                if (!entity || !entity.isValid()) {
+                if (!entity || !isValid(entity)) {
                     entitiesToRemove.add(entityId);
                     continue;
                 }
@@ -568,9 +1250,9 @@ function initialize() {
                 // 2. CHECK LOCATION: See if the entity has left the fluid area.
                 if (!entitiesFoundThisTick.has(entityId)) {
                     if (entity.typeId === "minecraft:player") {
-                        entity.runCommand("fog @s remove fluid_fog");
+                        runCommand(entity, "fog @s remove fluid_fog");
                         if (entity.hasTag("flight_disabled_by_fluid")) {
-                            entity.runCommand("ability @s mayfly true");
+                            runCommand(entity, "ability @s mayfly true");
                             entity.removeTag("flight_disabled_by_fluid");
                         }
                     }
@@ -584,7 +1266,7 @@ function initialize() {
                 if (!fluidData) {
                     // Fluid block may have decayed or is not a registered fluid, treat as leaving.
                     if (entity.typeId === "minecraft:player") {
-                        entity.runCommand("fog @s remove fluid_fog");
+                        runCommand(entity, "fog @s remove fluid_fog");
                     }
                     entitiesToRemove.add(entityId);
                     continue;
@@ -595,21 +1277,27 @@ function initialize() {
                 // --- Player-Specific Effects ---
                 if (entity.typeId === "minecraft:player") {
                     if (entity.matches({ gameMode: GameMode.Creative }) && !entity.hasTag("flight_disabled_by_fluid")) {
-                        entity.runCommand("ability @s mayfly false");
+                        runCommand(entity, "ability @s mayfly false");
                         entity.addTag("flight_disabled_by_fluid");
                     }
                     const headBlock = entity.getHeadLocation();
                     const fluidInHead = entity.dimension.getBlock(headBlock)?.typeId;
                     const fluidDataInHead = FluidRegistry[fluidInHead];
                     if (fluidDataInHead && fluidDataInHead.fog) {
-                        const fogId = `lumstudio:${fluidDataInHead.fog}_fog`;
-                        entity.runCommand(`fog @s push ${fogId} fluid_fog`);
+                        const fogId = `${fluidDataInHead.namespace || FLUID_NAMESPACE}:${fluidDataInHead.fog}_fog`;
+                        runCommand(entity, `fog @s push ${fogId} fluid_fog`);
                     } else {
-                        entity.runCommand("fog @s remove fluid_fog");
+                        runCommand(entity, "fog @s remove fluid_fog");
                     }
                     if (entity.isJumping) {
                         entity.addEffect("slow_falling", 5, { showParticles: false, amplifier: 1 });
                     }
+                    const { x, z } = entity.getVelocity();
+                    const lastSwimSound = lastSwimSounds.get(entityId) ?? -SWIM_SOUND_INTERVAL;
+                    if (Math.hypot(x, z) > 0.05 && system.currentTick - lastSwimSound >= SWIM_SOUND_INTERVAL) {
+                        playFluidSound(bodyBlock.typeId, "swim", entity.dimension, entity.location);
+                        lastSwimSounds.set(entityId, system.currentTick);
+                    }
                 }
                 
                 // --- Physics and Buoyancy ---
@@ -618,7 +1306,7 @@ function initialize() {
                 if (velocity.y < 0) {
                     buoyancyForce += Math.abs(velocity.y) * 0.3;
                 }
-                entity.applyKnockback(0, 0, 0, buoyancyForce);
+                applyVerticalKnockback(entity, buoyancyForce);
 
                 // --- General Effects (Damage, Burn, etc.) ---
                 for (const effectKey in fluidData) {
@@ -641,10 +1329,45 @@ function initialize() {
         // Safely remove all entities that were marked for removal during the loop.
         for (const entityId of entitiesToRemove) {
             entitiesInFluid.delete(entityId);
+            lastSwimSounds.delete(entityId);
+        }
+
+        // --- F. Ambient Sounds ---
+        // Once a second, a few random fluid blocks bubble.
+        if (system.currentTick % 20 === 0) {
+            for (const locationStr of activeFluidBlocks) {
+                if (Math.random() >= AMBIENT_SOUND_CHANCE) continue;
+                const parts = locationStr.split(',');
+                const dimension = world.getDimension(parts[3]);
+                try {
+                    const block = dimension.getBlock({ x: +parts[0], y: +parts[1], z: +parts[2] });
+                    if (block && FluidRegistry[block.typeId]) {
+                        playFluidSound(block.typeId, "ambient", dimension, block.center());
+                    }
+                } catch (e) {
+                    // The block is in an unloaded chunk, which has nobody to hear it.
+                }
+            }
         }
     }, 1); // Run every tick for responsive pickup entity
 
-    // --- 5. Finalize Initialization ---
+    // --- 5. Restore and Save the Simulation State ---
+    onWorldLoad(() => {
+        restoreSimulationState();
+        removeOrphanedPickupEntities(pickupEntities);
+        system.runInterval(saveSimulationState, STATE_SAVE_INTERVAL);
+        system.runInterval(pruneActiveFluidBlocks, 1);
+    });
+    // Chunks that load later may hold pickup entities from before a crash too.
+    world.afterEvents.entityLoad.subscribe(({ entity }) => {
+        try {
+            if (isOrphanedPickupEntity(entity, pickupEntities)) entity.kill();
+        } catch (e) {
+            // The entity was unloaded again before it could be checked.
+        }
+    });
+
+    // --- 6. Finalize Initialization ---
     isInitialized = true;
 }
    
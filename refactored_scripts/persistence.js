@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Saves the fluid engine's simulation state in world dynamic properties, so that fluid which was
+ * still flowing and the index of fluid blocks survive a world reload.
+ * The state is stored per dimension and region of 16x16 chunks, and a region that does not fit in one property is
+ * split over several. The engine keeps its fluid blocks and queues in `LocationSet`s, which remember the regions that
+ * changed, so a save only looks at and rewrites those.
+ */
+
+import { world } from "@minecraft/server";
+
+/**
+ * The prefix of the dynamic properties that hold the state. A property ID is `<prefix>/<dimension>/<region>/<part>`.
+ * @type {string}
+ */
+const PROPERTY_PREFIX = "fluid_state";
+
+/**
+ * The width of a region, in blocks.
+ * @type {number}
+ */
+const REGION_SIZE = 256;
+
+/**
+ * The longest string stored in one property. Minecraft allows 32767 characters.
+ * @type {number}
+ */
+const MAX_PROPERTY_LENGTH = 32000;
+
+/**
+ * The value of every property this engine has read or written, to skip writing regions that did not change.
+ * @type {Map<string, string>}
+ */
+const storedProperties = new Map();
+
+/**
+ * The keys of the regions that changed but have not been saved yet, such as ones a failed save left behind.
+ * @type {Set<string>}
+ */
+const unsavedRegions = new Set();
+
+/**
+ * Finds the region a block is in.
+ * @param {string} locationString A location string formatted as "x,y,z,dimensionId".
+ * @returns {{key: string, location: string}} The region as "dimensionId/regionX,regionZ", and the block's
+ *     location within the dimension as "x,y,z".
+ */
+function getRegion(locationString) {
+    const parts = locationString.split(',');
+    const regionX = Math.floor(+parts[0] / REGION_SIZE);
+    const regionZ = Math.floor(+parts[2] / REGION_SIZE);
+    return { key: `${parts[3]}/${regionX},${regionZ}`, location: parts.slice(0, 3).join(',') };
+}
+
+/**
+ * A set of location strings, kept by region, that remembers which regions changed since the last save.
+ * It supports the `Set` methods the fluid engine uses, and iterates over every location string.
+ */
+export class LocationSet {
+    /** @type {Map<string, Set<string>>} The location strings in each region, by region key. */
+    #regions = new Map();
+    /** @type {Set<string>} The keys of the regions that changed since `takeChangedRegions` was last called. */
+    #changedRegions = new Set();
+    /** @type {number} */
+    #size = 0;
+
+    /**
+     * @param {Iterable<string>} [locationStrings] The location strings to start with.
+     */
+    constructor(locationStrings = []) {
+        for (const locationString of locationStrings) this.add(locationString);
+    }
+
+    /** The number of location strings in the set. */
+    get size() {
+        return this.#size;
+    }
+
+    /** The keys of the regions that changed since `takeChangedRegions` was last called. */
+    get changedRegions() {
+        return this.#changedRegions;
+    }
+
+    /**
+     * @param {string} locationString A location string formatted as "x,y,z,dimensionId".
+     * @returns {boolean}
+     */
+    has(locationString) {
+        return this.#regions.get(getRegion(locationString).key)?.has(locationString) ?? false;
+    }
+
+    /**
+     * @param {string} locationString A location string formatted as "x,y,z,dimensionId".
+     * @returns {LocationSet}
+     */
+    add(locationString) {
+        const { key } = getRegion(locationString);
+        if (!this.#regions.has(key)) this.#regions.set(key, new Set());
+        const region = this.#regions.get(key);
+        if (!region.has(locationString)) {
+            region.add(locationString);
+            this.#size++;
+            this.#changedRegions.add(key);
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} locationString A location string formatted as "x,y,z,dimensionId".
+     * @returns {boolean} True if the location string was in the set.
+     */
+    delete(locationString) {
+        const { key } = getRegion(locationString);
+        const region = this.#regions.get(key);
+        if (!region?.delete(locationString)) return false;
+        if (region.size === 0) this.#regions.delete(key);
+        this.#size--;
+        this.#changedRegions.add(key);
+        return true;
+    }
+
+    /**
+     * Lists the location strings in a region.
+     * @param {string} key The region's key, see `getRegion`.
+     * @returns {Iterable<string>}
+     */
+    getRegion(key) {
+        return this.#regions.get(key) ?? [];
+    }
+
+    /**
+     * Returns the keys of the regions that changed since the last call, and starts over.
+     * @returns {Set<string>}
+     */
+    takeChangedRegions() {
+        const changedRegions = this.#changedRegions;
+        this.#changedRegions = new Set();
+        return changedRegions;
+    }
+
+    *[Symbol.iterator]() {
+        for (const region of this.#regions.values()) yield* region;
+    }
+}
+
+/**
+ * Saves the simulation state of the regions that changed since the last save, replacing their saved state.
+ * @param {LocationSet} activeBlocks The location strings of every fluid block.
+ * @param {Map<string, LocationSet>} queuedBlocks The location strings of the blocks waiting to be updated, by fluid ID.
+ */
+export function saveFluidState(activeBlocks, queuedBlocks) {
+    for (const key of activeBlocks.takeChangedRegions()) unsavedRegions.add(key);
+    for (const locationStrings of queuedBlocks.values()) {
+        for (const key of locationStrings.takeChangedRegions()) unsavedRegions.add(key);
+    }
+
+    // Location strings without their dimension, which the region key holds.
+    const getLocations = (locationStrings) => Array.from(locationStrings, locationString => getRegion(locationString).location);
+    try {
+        for (const key of unsavedRegions) {
+            const state = { active: getLocations(activeBlocks.getRegion(key)), queued: {} };
+            for (const [fluidId, locationStrings] of queuedBlocks) {
+                const locations = getLocations(locationStrings.getRegion(key));
+                if (locations.length > 0) state.queued[fluidId] = locations;
+            }
+            const isEmpty = state.active.length === 0 && Object.keys(state.queued).length === 0;
+            saveRegion(key, isEmpty ? '' : JSON.stringify(state));
+            unsavedRegions.delete(key);
+        }
+    } catch (e) {
+        console.warn(`[Fluid Engine] The fluid state could not be saved. Error: ${e.message}`);
+    }
+}
+
+/**
+ * Writes the saved state of a region, split over as many properties as it needs, and removes the parts it
+ * no longer needs.
+ * @param {string} key The region's key, see `getRegion`.
+ * @param {string} value The region's state as JSON, or an empty string to remove it.
+ */
+function saveRegion(key, value) {
+    let part = 0;
+    for (; part * MAX_PROPERTY_LENGTH < value.length; part++) {
+        const propertyId = `${PROPERTY_PREFIX}/${key}/${part}`;
+        const partValue = value.slice(part * MAX_PROPERTY_LENGTH, (part + 1) * MAX_PROPERTY_LENGTH);
+        if (storedProperties.get(propertyId) === partValue) continue;
+        world.setDynamicProperty(propertyId, partValue);
+        storedProperties.set(propertyId, partValue);
+    }
+    for (; storedProperties.has(`${PROPERTY_PREFIX}/${key}/${part}`); part++) {
+        world.setDynamicProperty(`${PROPERTY_PREFIX}/${key}/${part}`, undefined);
+        storedProperties.delete(`${PROPERTY_PREFIX}/${key}/${part}`);
+    }
+}
+
+/**
+ * Reads the state saved by `saveFluidState`. Regions that cannot be read are skipped and removed.
+ * @returns {{activeBlocks: string[], queuedBlocks: Map<string, string[]>}} The location strings of every fluid block,
+ *     and of the blocks waiting to be updated by fluid ID.
+ */
+export function loadFluidState() {
+    /** @type {Map<string, string[]>} The parts of each region's saved state, by region key. */
+    const regionParts = new Map();
+    for (const propertyId of world.getDynamicPropertyIds()) {
+        const match = new RegExp(`^${PROPERTY_PREFIX}/([^/]+/[^/]+)/(\\d+)$`).exec(propertyId);
+        const value = world.getDynamicProperty(propertyId);
+        if (!match || typeof value !== "string") continue;
+        storedProperties.set(propertyId, value);
+        if (!regionParts.has(match[1])) regionParts.set(match[1], []);
+        regionParts.get(match[1])[+match[2]] = value;
+    }
+
+    const activeBlocks = [];
+    const queuedBlocks = new Map();
+    for (const [key, parts] of regionParts) {
+        const dimensionId = key.split('/')[0];
+        let state;
+        try {
+            // A missing part could still leave valid JSON behind.
+            if (parts.includes(undefined)) throw new Error("missing part");
+            state = JSON.parse(parts.join(''));
+        } catch (e) {
+            console.warn(`[Fluid Engine] The saved fluid state of region ${key} is damaged and was dropped.`);
+            parts.forEach((value, part) => {
+                world.setDynamicProperty(`${PROPERTY_PREFIX}/${key}/${part}`, undefined);
+                storedProperties.delete(`${PROPERTY_PREFIX}/${key}/${part}`);
+            });
+            continue;
+        }
+        for (const location of state.active ?? []) {
+            activeBlocks.push(`${location},${dimensionId}`);
+        }
+        for (const [fluidId, locations] of Object.entries(state.queued ?? {})) {
+            if (!queuedBlocks.has(fluidId)) queuedBlocks.set(fluidId, []);
+            for (const location of locations) {
+                queuedBlocks.get(fluidId).push(`${location},${dimensionId}`);
+            }
+        }
+    }
+    return { activeBlocks, queuedBlocks };
+}
@@ -1,24 +1,31 @@
 import { system, world, Block } from "@minecraft/server";
-import { FluidRegistry } from "./registry.js";
+import { isValid, getLoadedBlock } from "./compat.js";
+import { LocationSet } from "./persistence.js";
 
 /**
  * A robust, timed queue system for processing fluid block updates.
- * This version uses a single Set as the source of truth to prevent state corruption.
+ * Each dimension has its own Set of blocks as the source of truth, as a fluid may flow at a different
+ * speed in each dimension. Blocks in unloaded chunks, and blocks restored from a saved world, are deferred:
+ * they only take the room the queued blocks leave in an interval, once their chunk is loaded.
  */
 export class FluidQueue {
-    /** @type {Set<string>} A set of unique block location strings to process. */
-    #queue = new Set();
+    /** @type {Map<string, Set<string>>} The unique block location strings to process, by dimension. */
+    #queues = new Map();
+    /** @type {Map<string, Set<string>>} The location strings of the blocks waiting for room in the queue, by dimension. */
+    #deferred = new Map();
+    /** @type {LocationSet} The location strings of every queued and deferred block, for saving them. */
+    #pending = new LocationSet();
     /** @type {(block: import("@minecraft/server").Block) => void} The callback to run for each block. */
     #updateCallback;
     /** @type {string} The identifier of the fluid this queue manages (e.g., "lumstudio:acid"). */
     #fluidId;
-    /** @type {number} The delay in ticks between each processing interval. */
-    #tickDelay;
+    /** @type {(dimensionId: string) => number} Returns the delay in ticks between each processing interval in a dimension. */
+    #getTickDelay;
 
-    constructor(updateCallback, fluidId) {
+    constructor(updateCallback, fluidId, getTickDelay) {
         this.#updateCallback = updateCallback;
         this.#fluidId = fluidId;
-        this.#tickDelay = FluidRegistry[this.#fluidId]?.tick_delay || 5;
+        this.#getTickDelay = getTickDelay;
     }
 
     /**
@@ -30,6 +37,16 @@ export class FluidQueue {
         return `${block.location.x},${block.location.y},${block.location.z},${block.dimension.id}`;
     }
 
+    /**
+     * Reads the location out of a location string.
+     * @param {string} locationString A string formatted as "x,y,z,dimensionId".
+     * @returns {import("@minecraft/server").Vector3}
+     */
+    #getLocation(locationString) {
+        const parts = locationString.split(',');
+        return { x: +parts[0], y: +parts[1], z: +parts[2] };
+    }
+
     /**
      * Adds a block to the update queue.
      * @param {import("@minecraft/server").Block} block The block to add.
@@ -37,8 +54,13 @@ export class FluidQueue {
     add(block) {
         try {
             // This is the only place items are added to the queue.
-            if (block instanceof Block && block.isValid()) {
-                this.#queue.add(this.#getBlockLocationString(block));
+            if (block instanceof Block && isValid(block)) {
+                const dimensionId = block.dimension.id;
+                const locationString = this.#getBlockLocationString(block);
+                if (!this.#queues.has(dimensionId)) this.#queues.set(dimensionId, new Set());
+                this.#queues.get(dimensionId).add(locationString);
+                this.#deferred.get(dimensionId)?.delete(locationString);
+                this.#pending.add(locationString);
             }
         } catch (e) {
             // This catch block is a safeguard against unstable block objects.
@@ -47,37 +69,90 @@ export class FluidQueue {
     }
 
     /**
-     * Starts the processing loop for this queue.
+     * Adds a block to the queue by its location string, such as one from `pendingLocations`.
+     * The block's chunk does not need to be loaded: it waits in the queue until it is.
+     * @param {string} locationString A string formatted as "x,y,z,dimensionId".
+     */
+    restore(locationString) {
+        const dimensionId = locationString.split(',')[3];
+        if (this.#queues.get(dimensionId)?.has(locationString)) return;
+        this.#defer(dimensionId, locationString);
+        this.#pending.add(locationString);
+    }
+
+    /**
+     * The location strings of every block waiting to be processed, including the deferred ones.
+     * @returns {LocationSet}
+     */
+    get pendingLocations() {
+        return this.#pending;
+    }
+
+    /**
+     * Holds a block back until its chunk is loaded and the queue of its dimension has room for it.
+     * @param {string} dimensionId The dimension's identifier.
+     * @param {string} locationString The block's location string.
+     */
+    #defer(dimensionId, locationString) {
+        if (!this.#queues.has(dimensionId)) this.#queues.set(dimensionId, new Set());
+        if (!this.#deferred.has(dimensionId)) this.#deferred.set(dimensionId, new Set());
+        this.#deferred.get(dimensionId).add(locationString);
+    }
+
+    /**
+     * Starts the processing loop for this queue. Each dimension's blocks are processed every `#getTickDelay` ticks.
      * @param {number} updatesPerInterval The maximum number of blocks to process each time the interval runs.
      */
     run(updatesPerInterval) {
         system.runInterval(() => {
-            if (this.#queue.size === 0) {
-                return;
-            }
+            for (const [dimensionId, queue] of this.#queues) {
+                const deferred = this.#deferred.get(dimensionId);
+                if ((queue.size === 0 && !deferred?.size) || system.currentTick % this.#getTickDelay(dimensionId) !== 0) {
+                    continue;
+                }
 
-            // Take a snapshot of the current queue and then immediately clear it.
-            // This is a critical step to prevent race conditions and ensure stability.
-            const itemsToProcess = Array.from(this.#queue).slice(0, updatesPerInterval);
-            this.#queue.clear();
+                // Take the oldest blocks off the queue. The rest stay queued for the next interval,
+                // and blocks the updates below add are queued behind them.
+                const dimension = world.getDimension(dimensionId);
+                const blocksToProcess = [];
+                for (const locationString of queue) {
+                    if (blocksToProcess.length >= updatesPerInterval) break;
+                    queue.delete(locationString);
+                    const block = getLoadedBlock(dimension, this.#getLocation(locationString));
+                    if (block) {
+                        blocksToProcess.push(block);
+                        this.#pending.delete(locationString);
+                    } else {
+                        this.#defer(dimensionId, locationString);
+                    }
+                }
 
-            for (const locationString of itemsToProcess) {
-                try {
-                    const parts = locationString.split(',');
-                    const location = { x: +parts[0], y: +parts[1], z: +parts[2] };
-                    const dimensionId = parts[3];
-                    
-                    const dimension = world.getDimension(dimensionId);
-                    const block = dimension.getBlock(location);
+                // Deferred blocks only fill the room the queue leaves. Those whose chunk is still not loaded go to
+                // the back, and at most one interval's worth of them is checked each time.
+                let deferredChecks = Math.min(deferred?.size ?? 0, updatesPerInterval);
+                for (const locationString of deferred ?? []) {
+                    if (blocksToProcess.length >= updatesPerInterval || deferredChecks-- <= 0) break;
+                    deferred.delete(locationString);
+                    const block = getLoadedBlock(dimension, this.#getLocation(locationString));
+                    if (block) {
+                        blocksToProcess.push(block);
+                        this.#pending.delete(locationString);
+                    } else {
+                        deferred.add(locationString);
+                    }
+                }
 
-                    // Final check to ensure the block is still a valid fluid block before processing.
-                    if (block && block.isValid() && block.typeId === this.#fluidId) {
-                        this.#updateCallback(block);
+                for (const block of blocksToProcess) {
+                    try {
+                        // Final check to ensure the block is still a valid fluid block before processing.
+                        if (block && isValid(block) && block.typeId === this.#fluidId) {
+                            this.#updateCallback(block);
+                        }
+                    } catch (e) {
+                        // It's safe to ignore errors here, as the block may have become invalid during the tick delay.
                     }
-                } catch (e) {
-                    // It's safe to ignore errors here, as the block may have become invalid during the tick delay.
                 }
             }
-        }, this.#tickDelay);
+        }, 1);
     }
 }
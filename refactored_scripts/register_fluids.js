@@ -0,0 +1,28 @@
+/**
+ * @fileoverview The entry point of fluid packs that use the shared fluid engine pack.
+ * Instead of running its own copy of the engine, the pack registers its fluids with the engine.
+ */
+
+import { system } from "@minecraft/server";
+import { FluidRegistry, FLUID_NAMESPACE } from "./registry.js";
+import { ENGINE_NAMESPACE, REGISTER_FLUID_EVENT, ENGINE_READY_EVENT, encodeRegistration } from "./engine_events.js";
+
+/**
+ * Sends every fluid of this pack to the engine. A fluid that cannot be sent does not stop the others.
+ */
+function registerAllFluids() {
+    for (const fluidId in FluidRegistry) {
+        try {
+            system.sendScriptEvent(REGISTER_FLUID_EVENT, encodeRegistration(fluidId, FLUID_NAMESPACE, FluidRegistry[fluidId]));
+        } catch (e) {
+            console.warn(`[Fluid Engine] ${fluidId} could not be registered with the fluid engine. Error: ${e.message}`);
+        }
+    }
+}
+
+system.afterEvents.scriptEventReceive.subscribe((event) => {
+    if (event.id === ENGINE_READY_EVENT) registerAllFluids();
+}, { namespaces: [ENGINE_NAMESPACE] });
+
+// Script events cannot be sent while the scripts are loading, so wait for the first tick.
+system.run(registerAllFluids);
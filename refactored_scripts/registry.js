@@ -1,3 +1,6 @@
+export const FLUID_NAMESPACE = "lumstudio";
+export const PACK_UUID = "2d5968c8-27a6-4894-8fd5-18bc3169f6c9";
+
 export const FluidRegistry = {
   "lumstudio:super_hot_magma": {
     damage: 2,
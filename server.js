@@ -0,0 +1,171 @@
+/**
+ * @fileoverview A small HTTP API for generating fluid packs without the browser UI.
+ * It accepts the same fluid configuration as the generator page, plus the texture
+ * uploads as multipart form data, and responds with the .mcaddon bytes.
+ *
+ * Endpoints:
+ *   POST /api/generate  Responds with the .mcaddon file.
+ *   POST /api/validate  Runs the validation and the pack linter, and responds with a JSON summary.
+ *   GET  /api/engine    Responds with the shared fluid engine pack, which `"runtime": "shared"` packs require.
+ *                       `?target=<version>` picks the Minecraft version, like `targetVersion` in a config.
+ *
+ * Both endpoints expect a `config` field holding JSON: either a single fluid config, or
+ * `{ "packName": "...", "fluids": [ ... ] }`. Textures are uploaded as `texture_<n>`,
+ * `flowingTexture_<n>` and `bucketTexture_<n>`, where `<n>` is the fluid's index, and .ogg sounds as
+ * `fillSound_<n>`, `emptySound_<n>`, `enterSound_<n>`, `swimSound_<n>` and `ambientSound_<n>`.
+ * For a single fluid the index may be omitted. The optional pack icon is `packIcon`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const cors = require('cors');
+const {
+    ValidationError, validatePack, normalizeProject, getPackNames, loadRuntimeScripts, DEFAULT_PACK_ICON_PATH,
+    buildEnginePackFiles, buildPackFiles, createPackZip, ENGINE_PACK_FILE_NAME, PackLintError, lintPackFiles, assertPackValid,
+} = require('./index.js');
+
+const PORT = process.env.PORT || 3000;
+
+/** The texture fields each fluid may upload. */
+const TEXTURE_FIELDS = ['texture', 'flowingTexture', 'bucketTexture'];
+
+/** The sound fields each fluid may upload, and the kind of sound each one is. */
+const SOUND_FIELDS = {
+    fillSound: 'fill', emptySound: 'empty', enterSound: 'enter', swimSound: 'swim', ambientSound: 'ambient',
+};
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 4 * 1024 * 1024 },
+});
+
+// Read once, so every request ships the same files.
+const runtimeScripts = loadRuntimeScripts();
+const defaultPackIcon = fs.readFileSync(DEFAULT_PACK_ICON_PATH);
+
+/**
+ * Parses the `config` field and groups the uploaded files by fluid.
+ * @param {import('express').Request} req The multipart request.
+ * @returns {{project: object, textures: object[], sounds: object[], packIcon: Buffer}}
+ * @throws {ValidationError} If the config is missing or not valid JSON.
+ */
+function parseGenerateRequest(req) {
+    if (!req.body || typeof req.body.config !== 'string') {
+        throw new ValidationError('A "config" field with the fluid configuration is required.');
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(req.body.config);
+    } catch (e) {
+        throw new ValidationError(`The "config" field is not valid JSON: ${e.message}`);
+    }
+    const project = normalizeProject(parsed);
+
+    const textures = project.fluids.map(() => ({}));
+    const sounds = project.fluids.map(() => ({}));
+    let packIcon = defaultPackIcon;
+
+    for (const file of req.files || []) {
+        if (file.fieldname === 'packIcon') {
+            packIcon = file.buffer;
+            continue;
+        }
+        const match = /^([a-zA-Z]+)(?:_(\d+))?$/.exec(file.fieldname);
+        const soundKind = match && Object.hasOwn(SOUND_FIELDS, match[1]) ? SOUND_FIELDS[match[1]] : undefined;
+        if (!match || (!TEXTURE_FIELDS.includes(match[1]) && !soundKind)) {
+            throw new ValidationError(`Unexpected file field "${file.fieldname}".`);
+        }
+        const index = match[2] === undefined ? 0 : parseInt(match[2]);
+        if (index >= textures.length) {
+            throw new ValidationError(`File field "${file.fieldname}" does not match any fluid in the config.`);
+        }
+        if (soundKind) {
+            sounds[index][soundKind] = file.buffer;
+        } else {
+            textures[index][match[1]] = file.buffer;
+        }
+    }
+
+    return { project, textures, sounds, packIcon };
+}
+
+/**
+ * Wraps an async route handler, as Express 4 does not forward rejected promises to the error handler.
+ * @param {Function} handler The async route handler.
+ * @returns {Function}
+ */
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+const app = express();
+app.use(cors());
+
+// Serve the generator page as well, since it fetches the runtime scripts over HTTP.
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+app.get('/pack_icon.png', (req, res) => res.sendFile(path.join(__dirname, 'pack_icon.png')));
+app.use('/js', express.static(path.join(__dirname, 'js')));
+app.use('/refactored_scripts', express.static(path.join(__dirname, 'refactored_scripts')));
+
+app.post('/api/validate', upload.any(), (req, res) => {
+    const { project, textures, sounds, packIcon } = parseGenerateRequest(req);
+    validatePack(project.fluids, textures, project, sounds);
+    const issues = lintPackFiles(buildPackFiles(project, { packIcon, scripts: runtimeScripts, textures, sounds }));
+    res.json({
+        valid: !issues.some(issue => issue.severity === 'error'),
+        packName: getPackNames(project.packName, project.fluids).packName,
+        fluids: project.fluids.map(config => config.id),
+        issues,
+    });
+});
+
+app.post('/api/generate', upload.any(), asyncRoute(async (req, res) => {
+    const { project, textures, sounds, packIcon } = parseGenerateRequest(req);
+    validatePack(project.fluids, textures, project, sounds);
+
+    const files = buildPackFiles(project, { packIcon, scripts: runtimeScripts, textures, sounds });
+    assertPackValid(files);
+    const content = await createPackZip(files).generateAsync({ type: 'nodebuffer' });
+    const { fileName } = getPackNames(project.packName, project.fluids);
+
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(content);
+}));
+
+app.get('/api/engine', asyncRoute(async (req, res) => {
+    const targetVersion = typeof req.query.target === 'string' ? req.query.target : undefined;
+    const files = buildEnginePackFiles({ packIcon: defaultPackIcon, scripts: runtimeScripts }, { targetVersion });
+    const content = await createPackZip(files).generateAsync({ type: 'nodebuffer' });
+
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${ENGINE_PACK_FILE_NAME}"`);
+    res.send(content);
+}));
+
+app.use((req, res) => {
+    res.status(404).json({ error: `Not found: ${req.method} ${req.path}` });
+});
+
+// Errors are always reported as JSON, so API clients never have to parse an HTML error page.
+app.use((err, req, res, next) => {
+    if (err instanceof PackLintError) {
+        res.status(400).json({ error: err.message, issues: err.issues });
+        return;
+    }
+    if (err instanceof ValidationError || err instanceof multer.MulterError) {
+        res.status(400).json({ error: err.message });
+        return;
+    }
+    console.error(`Error: ${err.message}`);
+    res.status(500).json({ error: 'Failed to generate the fluid pack.' });
+});
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Bedrock Fluids API listening on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { app };
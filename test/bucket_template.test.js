@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compositeBucketIcon, BUCKET_ICON_SIZE, BUCKET_BODY_MASK, BUCKET_LIQUID_MASK } = require('../js/bucket_template.js');
+
+/**
+ * Reads the RGBA color of a pixel of an icon.
+ * @param {{pixels: Uint8ClampedArray}} icon The icon.
+ * @param {number} x The column.
+ * @param {number} y The row.
+ * @returns {number[]}
+ */
+function pixelAt(icon, x, y) {
+    const offset = (y * BUCKET_ICON_SIZE + x) * 4;
+    return [...icon.pixels.subarray(offset, offset + 4)];
+}
+
+test('the masks cover the whole icon', () => {
+    for (const mask of [BUCKET_BODY_MASK, BUCKET_LIQUID_MASK]) {
+        assert.equal(mask.length, BUCKET_ICON_SIZE);
+        assert.ok(mask.every(row => row.length === BUCKET_ICON_SIZE));
+    }
+});
+
+test('fills the liquid with a shaded color and leaves the background transparent', () => {
+    const icon = compositeBucketIcon({ color: '#3f76e4' });
+    assert.equal(icon.width, BUCKET_ICON_SIZE);
+    assert.deepEqual(pixelAt(icon, 4, 4), [63, 118, 228, 255]);
+    assert.deepEqual(pixelAt(icon, 12, 4), [44, 83, 160, 255]);
+    assert.deepEqual(pixelAt(icon, 0, 0), [0, 0, 0, 0]);
+    assert.deepEqual(pixelAt(icon, 4, 2), [44, 44, 44, 255]);
+});
+
+test('fills the liquid from the first frame of a texture scaled to the icon', () => {
+    const size = 32;
+    const pixels = new Uint8ClampedArray(size * size * 2 * 4);
+    for (let i = 0; i < pixels.length; i += 4) {
+        pixels.set(i < size * size * 4 ? [200, 100, 0, 255] : [0, 0, 0, 255], i);
+    }
+    const icon = compositeBucketIcon({ width: size, height: size * 2, pixels });
+    assert.deepEqual(pixelAt(icon, 4, 4), [200, 100, 0, 255]);
+    assert.deepEqual(pixelAt(icon, 8, 8), [140, 70, 0, 255]);
+});
+
+test('scales the template up to HD resolutions', () => {
+    const icon = compositeBucketIcon({ color: '#3f76e4' }, 32);
+    assert.equal(icon.width, 32);
+    assert.equal(icon.pixels.length, 32 * 32 * 4);
+    const offset = (9 * 32 + 9) * 4;
+    assert.deepEqual([...icon.pixels.subarray(offset, offset + 4)], [63, 118, 228, 255]);
+});
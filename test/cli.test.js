@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createTexture, createFluid, createTempDir } = require('./fixtures.js');
+
+const CLI_PATH = path.join(__dirname, '..', 'cli.js');
+
+/**
+ * Runs the CLI.
+ * @param {string[]} args The command-line arguments.
+ * @param {string} cwd The working folder.
+ * @returns {import('child_process').SpawnSyncReturns<string>}
+ */
+function runCli(args, cwd) {
+    return spawnSync(process.execPath, [CLI_PATH, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+/**
+ * Writes a project file with its textures into a new folder.
+ * @returns {string} The folder's path.
+ */
+function writeProject() {
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, 'acid.png'), createTexture([51, 255, 0, 200]));
+    const fluid = createFluid({ textures: { texture: 'acid.png', bucketTexture: 'acid.png' } });
+    fs.writeFileSync(path.join(dir, 'acids.json'), JSON.stringify({ packName: 'Acids', fluids: [fluid] }));
+    return dir;
+}
+
+test('writes an .mcaddon named after the pack', () => {
+    const dir = writeProject();
+    const result = runCli(['acids.json'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Wrote Acids_Addon\.mcaddon/);
+    assert.ok(fs.existsSync(path.join(dir, 'Acids_Addon.mcaddon')));
+});
+
+test('writes the format and output folder given as options', () => {
+    const dir = writeProject();
+    const result = runCli(['acids.json', '-f', 'mcpack', '--out', 'dist'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(path.join(dir, 'dist', 'Acids_BP.mcpack')));
+    assert.ok(fs.existsSync(path.join(dir, 'dist', 'Acids_RP.mcpack')));
+});
+
+test('overrides the Minecraft version with --target', () => {
+    const dir = writeProject();
+    const result = runCli(['acids.json', '-f', 'folder', '-o', 'out', '--target', '1.20.60'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'out', 'BP', 'manifest.json'), 'utf8'));
+    assert.deepEqual(manifest.header.min_engine_version, [1, 20, 60]);
+});
+
+test('raises the pack version in the project file with --bump', () => {
+    const dir = writeProject();
+    const result = runCli(['acids.json', '--bump'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Pack version is now 1\.0\.1/);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'acids.json'), 'utf8')).packVersion, '1.0.1');
+});
+
+test('writes the shared fluid engine pack with --engine', () => {
+    const dir = createTempDir();
+    const result = runCli(['--engine', '-f', 'folder'], dir);
+    assert.equal(result.status, 0, result.stderr);
+    assert.ok(fs.existsSync(path.join(dir, 'Fluid_Engine', 'BP', 'scripts', 'engine.js')));
+    assert.match(runCli(['--engine', 'acids.json'], dir).stderr, /--engine does not take a project file/);
+});
+
+test('fails with a message for invalid arguments', () => {
+    const dir = writeProject();
+    assert.equal(runCli([], dir).status, 1);
+    assert.match(runCli(['acids.json', '--zip'], dir).stderr, /Unknown option --zip/);
+    assert.match(runCli(['acids.json', '-f', 'zip'], dir).stderr, /Unknown output format/);
+    assert.match(runCli(['acids.json', '-o'], dir).stderr, /requires a value/);
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+/**
+ * Creates an entity that records its calls, with the API of a `@minecraft/server` version.
+ * @param {boolean} isLegacy Whether it has the 1.x API, with `isValid()` and `runCommandAsync`.
+ * @returns {{calls: Array<[string, ...*]>}}
+ */
+function createEntity(isLegacy) {
+    const calls = [];
+    const entity = {
+        calls,
+        applyKnockback: (...args) => calls.push(['applyKnockback', ...args]),
+    };
+    if (isLegacy) {
+        entity.isValid = () => true;
+        entity.runCommandAsync = (command) => calls.push(['runCommandAsync', command]);
+    } else {
+        entity.isValid = true;
+        entity.runCommand = (command) => calls.push(['runCommand', command]);
+    }
+    return entity;
+}
+
+test('isValid reads the method of 1.x and the property of 2.0.0', async () => {
+    const { isValid } = await importEngineScript('compat.js');
+    assert.equal(isValid(createEntity(true)), true);
+    assert.equal(isValid(createEntity(false)), true);
+    assert.equal(isValid({ isValid: () => false }), false);
+    assert.equal(isValid({ isValid: false }), false);
+    assert.equal(isValid(undefined), false);
+});
+
+test('applyVerticalKnockback uses the signature of each version', async () => {
+    const { applyVerticalKnockback } = await importEngineScript('compat.js');
+    const legacy = createEntity(true);
+    applyVerticalKnockback(legacy, 0.5);
+    assert.deepEqual(legacy.calls, [['applyKnockback', 0, 0, 0, 0.5]]);
+    const current = createEntity(false);
+    applyVerticalKnockback(current, 0.5);
+    assert.deepEqual(current.calls, [['applyKnockback', { x: 0, z: 0 }, 0.5]]);
+});
+
+test('runCommand falls back to runCommandAsync', async () => {
+    const { runCommand } = await importEngineScript('compat.js');
+    const legacy = createEntity(true);
+    runCommand(legacy, 'say hi');
+    assert.deepEqual(legacy.calls, [['runCommandAsync', 'say hi']]);
+    const current = createEntity(false);
+    runCommand(current, 'say hi');
+    assert.deepEqual(current.calls, [['runCommand', 'say hi']]);
+});
+
+test('playSoundAt falls back to World.playSound', async () => {
+    const { world } = await importMinecraftStub();
+    const { playSoundAt } = await importEngineScript('compat.js');
+    const calls = [];
+    playSoundAt({ playSound: (...args) => calls.push(['dimension', ...args]) }, 'liquid.lava', { x: 1, y: 2, z: 3 }, { volume: 0.5 });
+    const playSound = world.playSound;
+    world.playSound = (...args) => calls.push(['world', ...args]);
+    try {
+        playSoundAt({}, 'liquid.lava', { x: 1, y: 2, z: 3 }, { pitch: 2 });
+    } finally {
+        world.playSound = playSound;
+    }
+    assert.deepEqual(calls, [
+        ['dimension', 'liquid.lava', { x: 1, y: 2, z: 3 }, { volume: 0.5 }],
+        ['world', 'liquid.lava', { x: 1, y: 2, z: 3 }, { pitch: 2 }],
+    ]);
+});
+
+test('onWorldLoad runs the callback when the world has loaded', async () => {
+    const { world, emit } = await importMinecraftStub();
+    const { onWorldLoad } = await importEngineScript('compat.js');
+    let loads = 0;
+    onWorldLoad(() => loads++);
+    emit(world.afterEvents.worldLoad);
+    assert.equal(loads, 1);
+});
+
+test('getLoadedBlock returns undefined for unloaded chunks in every version', async () => {
+    const { getLoadedBlock } = await importEngineScript('compat.js');
+    const block = {};
+    assert.equal(getLoadedBlock({ getBlock: () => block }, { x: 0, y: 0, z: 0 }), block);
+    assert.equal(getLoadedBlock({ getBlock: () => undefined }, { x: 0, y: 0, z: 0 }), undefined);
+    assert.equal(getLoadedBlock({ getBlock: () => { throw new Error('unloaded'); } }, { x: 0, y: 0, z: 0 }), undefined);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+test('registers the fluids that fluid packs send, and tells them when it is ready', async () => {
+    const { system, emit, runTicks } = await importMinecraftStub();
+    const { FluidRegistry } = await importEngineScript('registry.js');
+    const { REGISTER_FLUID_EVENT, ENGINE_READY_EVENT, encodeRegistration } = await importEngineScript('engine_events.js');
+    await importEngineScript('engine.js');
+
+    runTicks(1);
+    assert.deepEqual(system.sentScriptEvents, [{ id: ENGINE_READY_EVENT, message: '' }]);
+
+    const message = encodeRegistration('test:acid', 'acids', { damage: 2, fog: '33ff00' });
+    emit(system.afterEvents.scriptEventReceive, { id: REGISTER_FLUID_EVENT, message });
+    assert.deepEqual(FluidRegistry['test:acid'], { damage: 2, fog: '33ff00', namespace: 'acids' });
+});
+
+test('ignores malformed registrations', async () => {
+    const { system, emit } = await importMinecraftStub();
+    const { FluidRegistry } = await importEngineScript('registry.js');
+    const { REGISTER_FLUID_EVENT } = await importEngineScript('engine_events.js');
+    await importEngineScript('engine.js');
+
+    const fluidIds = Object.keys(FluidRegistry);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = (message) => warnings.push(message);
+    try {
+        emit(system.afterEvents.scriptEventReceive, { id: REGISTER_FLUID_EVENT, message: '{"id": "test:oil"}' });
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepEqual(Object.keys(FluidRegistry), fluidIds);
+    assert.match(warnings[0], /Ignored a malformed fluid registration/);
+});
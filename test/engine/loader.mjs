@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Module hooks that let the tests import the engine scripts in refactored_scripts.
+ * `@minecraft/server` resolves to the stub in minecraft_server.mjs, and the scripts are loaded
+ * as ES modules, which package.json does not declare them to be.
+ */
+
+const STUB_URL = new URL('./minecraft_server.mjs', import.meta.url).href;
+const SCRIPTS_URL = new URL('../../refactored_scripts/', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === '@minecraft/server') {
+        return { url: STUB_URL, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(SCRIPTS_URL)) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,301 @@
+/**
+ * @fileoverview A stand-in for `@minecraft/server`, which only exists inside Minecraft.
+ * It has just enough of the API for the engine scripts to load and for their logic to be tested:
+ * blocks and dynamic properties are kept in memory, events are fired with `emit`, and scheduled
+ * callbacks run with `runTicks`. Anything else is an inert placeholder that accepts every call.
+ */
+
+/**
+ * Creates a placeholder that returns another placeholder for every property and call.
+ * @returns {*}
+ */
+function createInert() {
+    return new Proxy(function () {}, {
+        get(target, key) {
+            if (key === Symbol.toPrimitive) return () => 'inert';
+            // Symbols and `then` stay undefined, so placeholders are neither iterable nor awaited.
+            if (typeof key === 'symbol' || key === 'then') return undefined;
+            return createInert();
+        },
+        apply: () => createInert(),
+        construct: () => createInert(),
+    });
+}
+
+/**
+ * Wraps an object so that properties it does not have are inert placeholders.
+ * @template T
+ * @param {T} target The object.
+ * @returns {T}
+ */
+function withFallback(target) {
+    return new Proxy(target, {
+        get(object, key, receiver) {
+            if (key in object || typeof key === 'symbol' || key === 'then') return Reflect.get(object, key, receiver);
+            return createInert();
+        },
+    });
+}
+
+/** An event that scripts subscribe to. Tests fire it with `emit`. */
+export class EventSignal {
+    /** @type {Function[]} */
+    listeners = [];
+
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return callback;
+    }
+
+    unsubscribe(callback) {
+        this.listeners = this.listeners.filter(listener => listener !== callback);
+    }
+}
+
+/**
+ * Creates an `afterEvents` or `beforeEvents` object, whose events are created when first used.
+ * @returns {Object.<string, EventSignal>}
+ */
+function createEvents() {
+    const signals = {};
+    return new Proxy(signals, {
+        get: (target, name) => typeof name === 'symbol' ? undefined : (target[name] ??= new EventSignal()),
+    });
+}
+
+/**
+ * Calls every listener of an event.
+ * @param {EventSignal} signal The event, e.g. `world.afterEvents.worldLoad`.
+ * @param {object} [event] The event data.
+ * @returns {object} The event data, so tests can check e.g. `cancel`.
+ */
+export function emit(signal, event = {}) {
+    for (const listener of [...signal.listeners]) listener(event);
+    return event;
+}
+
+export const Direction = { Up: 'Up', Down: 'Down', North: 'North', South: 'South', East: 'East', West: 'West' };
+export const GameMode = { Adventure: 'Adventure', Creative: 'Creative', Spectator: 'Spectator', Survival: 'Survival' };
+
+/**
+ * The tags of each block type, for `Block.hasTag`.
+ * @type {Object.<string, string[]>}
+ */
+export const blockTags = {};
+
+export class BlockPermutation {
+    /**
+     * @param {string} type The block type.
+     * @param {Object.<string, string|number|boolean>} [states] The block states.
+     */
+    constructor(type, states = {}) {
+        this.type = { id: type };
+        this.states = states;
+    }
+
+    static resolve(type, states = {}) {
+        return new BlockPermutation(type.includes(':') ? type : `minecraft:${type}`, { ...states });
+    }
+
+    getState(name) {
+        return this.states[name];
+    }
+
+    getAllStates() {
+        return { ...this.states };
+    }
+
+    withState(name, value) {
+        return new BlockPermutation(this.type.id, { ...this.states, [name]: value });
+    }
+
+    matches(type, states = {}) {
+        return this.type.id === type && Object.entries(states).every(([name, value]) => this.states[name] === value);
+    }
+}
+
+const AIR = BlockPermutation.resolve('air');
+
+export class Block {
+    /**
+     * @param {Dimension} dimension The block's dimension.
+     * @param {{x: number, y: number, z: number}} location The block's location.
+     */
+    constructor(dimension, location) {
+        this.dimension = dimension;
+        this.location = { x: location.x, y: location.y, z: location.z };
+        return withFallback(this);
+    }
+
+    get permutation() {
+        return this.dimension.permutations.get(Dimension.getKey(this.location)) || AIR;
+    }
+
+    get typeId() {
+        return this.permutation.type.id;
+    }
+
+    get isAir() {
+        return this.typeId === 'minecraft:air';
+    }
+
+    get isLiquid() {
+        return ['minecraft:water', 'minecraft:flowing_water', 'minecraft:lava', 'minecraft:flowing_lava'].includes(this.typeId);
+    }
+
+    isValid() {
+        return true;
+    }
+
+    hasTag(tag) {
+        return (blockTags[this.typeId] || []).includes(tag);
+    }
+
+    setPermutation(permutation) {
+        this.dimension.setBlockPermutation(this.location, permutation);
+    }
+
+    setType(type) {
+        this.setPermutation(BlockPermutation.resolve(type));
+    }
+
+    offset({ x, y, z }) {
+        return this.dimension.getBlock({ x: this.location.x + x, y: this.location.y + y, z: this.location.z + z });
+    }
+
+    above(steps = 1) { return this.offset({ x: 0, y: steps, z: 0 }); }
+    below(steps = 1) { return this.offset({ x: 0, y: -steps, z: 0 }); }
+    north(steps = 1) { return this.offset({ x: 0, y: 0, z: -steps }); }
+    south(steps = 1) { return this.offset({ x: 0, y: 0, z: steps }); }
+    east(steps = 1) { return this.offset({ x: steps, y: 0, z: 0 }); }
+    west(steps = 1) { return this.offset({ x: -steps, y: 0, z: 0 }); }
+
+    center() {
+        return { x: this.location.x + 0.5, y: this.location.y + 0.5, z: this.location.z + 0.5 };
+    }
+
+    bottomCenter() {
+        return { x: this.location.x + 0.5, y: this.location.y, z: this.location.z + 0.5 };
+    }
+}
+
+export class Dimension {
+    /** @param {string} id The dimension ID, e.g. `minecraft:overworld`. */
+    constructor(id) {
+        this.id = id;
+        /** @type {Map<string, BlockPermutation>} The blocks that are not air, by `Dimension.getKey`. */
+        this.permutations = new Map();
+        /** @type {Set<string>} The blocks whose chunk is not loaded, by `Dimension.getKey`. */
+        this.unloaded = new Set();
+        return withFallback(this);
+    }
+
+    static getKey(location) {
+        return `${location.x},${location.y},${location.z}`;
+    }
+
+    getBlock(location) {
+        if (this.unloaded.has(Dimension.getKey(location))) return undefined;
+        return new Block(this, location);
+    }
+
+    setBlockPermutation(location, permutation) {
+        if (permutation.type.id === 'minecraft:air') this.permutations.delete(Dimension.getKey(location));
+        else this.permutations.set(Dimension.getKey(location), permutation);
+    }
+
+    setBlockType(location, type) {
+        this.setBlockPermutation(location, BlockPermutation.resolve(type));
+    }
+
+    getEntities() {
+        return [];
+    }
+
+    getPlayers() {
+        return [];
+    }
+}
+
+export class ItemStack {
+    constructor(typeId, amount = 1) {
+        this.typeId = typeId.includes(':') ? typeId : `minecraft:${typeId}`;
+        this.amount = amount;
+        return withFallback(this);
+    }
+}
+
+export class Player {}
+export class Entity {}
+
+/** @type {Map<number, {callback: Function, tick: number, interval?: number}>} */
+const scheduledRuns = new Map();
+let lastRunId = 0;
+
+/**
+ * Schedules a callback.
+ * @param {Function} callback The callback.
+ * @param {number} delay The ticks until it first runs.
+ * @param {number} [interval] The ticks between runs, for callbacks that repeat.
+ * @returns {number} The run ID.
+ */
+function schedule(callback, delay, interval) {
+    scheduledRuns.set(++lastRunId, { callback, tick: system.currentTick + Math.max(1, delay), interval });
+    return lastRunId;
+}
+
+export const system = withFallback({
+    currentTick: 0,
+    afterEvents: createEvents(),
+    beforeEvents: createEvents(),
+    /** @type {{id: string, message: string}[]} The script events sent so far. */
+    sentScriptEvents: [],
+    run: (callback) => schedule(callback, 1),
+    runTimeout: (callback, delay = 1) => schedule(callback, delay),
+    runInterval: (callback, interval = 1) => schedule(callback, interval, Math.max(1, interval)),
+    clearRun: (runId) => scheduledRuns.delete(runId),
+    sendScriptEvent(id, message) {
+        this.sentScriptEvents.push({ id, message });
+    },
+});
+
+/**
+ * Advances the game by some ticks and runs the callbacks that are due.
+ * @param {number} [count=1] The number of ticks.
+ */
+export function runTicks(count = 1) {
+    for (let i = 0; i < count; i++) {
+        system.currentTick++;
+        for (const [runId, run] of [...scheduledRuns]) {
+            if (run.tick > system.currentTick || !scheduledRuns.has(runId)) continue;
+            if (run.interval) run.tick += run.interval;
+            else scheduledRuns.delete(runId);
+            run.callback();
+        }
+    }
+}
+
+/** @type {Map<string, Dimension>} */
+const dimensions = new Map();
+/** @type {Map<string, *>} */
+const dynamicProperties = new Map();
+
+export const world = withFallback({
+    afterEvents: createEvents(),
+    beforeEvents: createEvents(),
+    getDimension(id) {
+        const dimensionId = id.includes(':') ? id : `minecraft:${id}`;
+        if (!dimensions.has(dimensionId)) dimensions.set(dimensionId, new Dimension(dimensionId));
+        return dimensions.get(dimensionId);
+    },
+    getAllPlayers: () => [],
+    getPlayers: () => [],
+    getEntity: () => undefined,
+    getDynamicProperty: (id) => dynamicProperties.get(id),
+    setDynamicProperty(id, value) {
+        if (value === undefined) dynamicProperties.delete(id);
+        else dynamicProperties.set(id, value);
+    },
+    getDynamicPropertyIds: () => [...dynamicProperties.keys()],
+    clearDynamicProperties: () => dynamicProperties.clear(),
+});
@@ -0,0 +1,63 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+describe('fluid registrations', () => {
+    test('round-trip a fluid and its namespace', async () => {
+        const { encodeRegistration, decodeRegistration } = await importEngineScript('engine_events.js');
+        const message = encodeRegistration('test:acid', 'acids', { damage: 2, fog: '33ff00' });
+        assert.deepEqual(decodeRegistration(message), { id: 'test:acid', data: { damage: 2, fog: '33ff00', namespace: 'acids' } });
+    });
+
+    test('are undefined when malformed', async () => {
+        const { decodeRegistration } = await importEngineScript('engine_events.js');
+        assert.equal(decodeRegistration('{'), undefined);
+        assert.equal(decodeRegistration('{"id": "test:acid"}'), undefined);
+        assert.equal(decodeRegistration('{"id": 1, "data": {}}'), undefined);
+    });
+});
+
+describe('register_fluids.js', () => {
+    test('registers every fluid on the first tick and whenever the engine is ready', async () => {
+        const { system, emit, runTicks } = await importMinecraftStub();
+        const { FluidRegistry, FLUID_NAMESPACE } = await importEngineScript('registry.js');
+        const { REGISTER_FLUID_EVENT, ENGINE_READY_EVENT, decodeRegistration } = await importEngineScript('engine_events.js');
+        await importEngineScript('register_fluids.js');
+
+        const registeredIds = () => system.sentScriptEvents
+            .filter(event => event.id === REGISTER_FLUID_EVENT)
+            .map(event => decodeRegistration(event.message));
+        assert.deepEqual(registeredIds(), []);
+
+        runTicks(1);
+        const registrations = registeredIds();
+        assert.deepEqual(registrations.map(registration => registration.id), Object.keys(FluidRegistry));
+        assert.ok(registrations.every(registration => registration.data.namespace === FLUID_NAMESPACE));
+
+        emit(system.afterEvents.scriptEventReceive, { id: ENGINE_READY_EVENT, message: '' });
+        assert.equal(registeredIds().length, 2 * registrations.length);
+    });
+
+    test('keeps registering the other fluids when one cannot be sent', async () => {
+        const { system, emit } = await importMinecraftStub();
+        const { FluidRegistry } = await importEngineScript('registry.js');
+        const { REGISTER_FLUID_EVENT, ENGINE_READY_EVENT } = await importEngineScript('engine_events.js');
+        await importEngineScript('register_fluids.js');
+
+        const fluidIds = Object.keys(FluidRegistry);
+        // BigInts cannot be serialized, so the registration fails to encode.
+        FluidRegistry['test:broken'] = { damage: 1n };
+        const warn = console.warn;
+        const warnings = [];
+        system.sentScriptEvents.length = 0;
+        console.warn = (message) => warnings.push(message);
+        try {
+            emit(system.afterEvents.scriptEventReceive, { id: ENGINE_READY_EVENT, message: '' });
+        } finally {
+            console.warn = warn;
+            delete FluidRegistry['test:broken'];
+        }
+        assert.equal(system.sentScriptEvents.filter(event => event.id === REGISTER_FLUID_EVENT).length, fluidIds.length);
+        assert.match(warnings[0], /test:broken could not be registered with the fluid engine/);
+    });
+});
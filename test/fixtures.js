@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Shared fixtures for the tests: generated textures, fluid configs, temporary folders, file snapshots
+ * and engine script imports. Snapshots are stored in test/snapshots. Run the tests with `UPDATE_SNAPSHOTS=1`
+ * to rewrite them after an intended change to the generated files.
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const { register } = require('module');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const zlib = require('zlib');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+/** The CRC-32 of each byte value, for the PNG chunk checksums. */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Creates a PNG chunk.
+ * @param {string} type The four-letter chunk type.
+ * @param {Buffer} data The chunk data.
+ * @returns {Buffer}
+ */
+function createChunk(type, data) {
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    let crc = 0xffffffff;
+    for (const byte of body) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const checksum = Buffer.alloc(4);
+    checksum.writeUInt32BE((crc ^ 0xffffffff) >>> 0);
+    return Buffer.concat([length, body, checksum]);
+}
+
+/**
+ * Creates a texture of one color.
+ * @param {number[]} rgba The color.
+ * @param {number} [size=16] The width in pixels.
+ * @param {number} [height=size] The height in pixels.
+ * @returns {Uint8Array} The PNG file.
+ */
+function createTexture(rgba, size = 16, height = size) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(height, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+    const row = Buffer.alloc(1 + size * 4);
+    for (let x = 0; x < size; x++) row.set(rgba, 1 + x * 4);
+    const pixels = Buffer.concat(Array.from({ length: height }, () => row));
+    return new Uint8Array(Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        createChunk('IHDR', header),
+        createChunk('IDAT', zlib.deflateSync(pixels)),
+        createChunk('IEND', Buffer.alloc(0)),
+    ]));
+}
+
+/**
+ * Creates a fluid config with the required settings.
+ * @param {object} [overrides] Settings that replace the defaults.
+ * @returns {object}
+ */
+function createFluid(overrides = {}) {
+    return { name: 'Acid', id: 'test:acid', fogColor: '#33ff00', ...overrides };
+}
+
+/**
+ * Creates an empty folder that is removed after the current test file.
+ * @returns {string} The folder's path.
+ */
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bedrock-fluids-test-'));
+    process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Hashes each file of a file map, so a snapshot of a pack stays small.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @returns {Object.<string, string>} The SHA-256 of each file, by path, in path order.
+ */
+function hashFiles(files) {
+    const hashes = {};
+    for (const filePath of Object.keys(files).sort()) {
+        const content = files[filePath];
+        hashes[filePath] = crypto.createHash('sha256')
+            .update(typeof content === 'string' ? content : Buffer.from(content))
+            .digest('hex');
+    }
+    return hashes;
+}
+
+/**
+ * Compares a value with its snapshot in test/snapshots, or writes the snapshot when `UPDATE_SNAPSHOTS` is set.
+ * @param {string} name The snapshot's file name, without `.json`.
+ * @param {*} value The JSON value to compare.
+ * @param {string} [message] Explains a mismatch.
+ */
+function assertSnapshot(name, value, message) {
+    const snapshotPath = path.join(SNAPSHOT_DIR, `${name}.json`);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(snapshotPath, `${JSON.stringify(value, null, 2)}\n`);
+        return;
+    }
+    assert.ok(fs.existsSync(snapshotPath), `The snapshot ${name} is missing. Run the tests with UPDATE_SNAPSHOTS=1 to write it.`);
+    assert.deepEqual(value, JSON.parse(fs.readFileSync(snapshotPath, 'utf8')), message);
+}
+
+let isEngineLoaderRegistered = false;
+
+/**
+ * Imports a module with the hooks in test/engine/loader.mjs, which replace `@minecraft/server`
+ * with the stub in test/engine/minecraft_server.mjs.
+ * @param {string} filePath The module's path.
+ * @returns {Promise<object>} The module's exports.
+ */
+function importWithEngineLoader(filePath) {
+    if (!isEngineLoaderRegistered) {
+        register('./engine/loader.mjs', pathToFileURL(__filename));
+        isEngineLoaderRegistered = true;
+    }
+    return import(pathToFileURL(filePath).href);
+}
+
+/**
+ * Imports an engine script from refactored_scripts. Scripts and the stub are shared by every test in a test file.
+ * @param {string} fileName The script's path inside refactored_scripts, e.g. `queue.js`.
+ * @returns {Promise<object>} The script's exports.
+ */
+function importEngineScript(fileName) {
+    return importWithEngineLoader(path.join(__dirname, '..', 'refactored_scripts', fileName));
+}
+
+/**
+ * Imports the `@minecraft/server` stub the engine scripts see, to set up blocks and fire events.
+ * @returns {Promise<object>}
+ */
+function importMinecraftStub() {
+    return importWithEngineLoader(path.join(__dirname, 'engine', 'minecraft_server.mjs'));
+}
+
+module.exports = {
+    createTexture, createFluid, createTempDir, hashFiles, assertSnapshot, importEngineScript, importMinecraftStub,
+};
@@ -0,0 +1,112 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPreviewScene, getPreviewBlockStates, renderFluidPreview } = require('../js/fluid_preview.js');
+
+/**
+ * Creates a preview texture of one color.
+ * @param {number[]} rgba The color.
+ * @param {number} [frames=1] The number of frames in the strip.
+ * @returns {{width: number, height: number, pixels: Uint8ClampedArray}}
+ */
+function solidTexture(rgba, frames = 1) {
+    const pixels = new Uint8ClampedArray(16 * 16 * frames * 4);
+    for (let i = 0; i < pixels.length; i += 4) pixels.set(rgba, i);
+    return { width: 16, height: 16 * frames, pixels };
+}
+
+describe('createPreviewScene', () => {
+    test('spreads a source block down to depth 1', () => {
+        const { cells } = createPreviewScene('spread');
+        assert.equal(cells.length, 85);
+        assert.deepEqual(cells.find(cell => cell.x === 0 && cell.z === 0).depth, 7);
+        assert.deepEqual(cells.find(cell => cell.x === 6 && cell.z === 0).depth, 1);
+    });
+
+    test('spreads over the spread distance from the depth of the source blocks', () => {
+        const { cells } = createPreviewScene('spread', 3, 7);
+        assert.equal(cells.length, 13);
+        assert.deepEqual(cells.filter(cell => cell.z === 0).map(({ x, depth, level }) => [x, depth, level]),
+            [[-2, 5, 5], [-1, 6, 6], [0, 7, 7], [1, 6, 6], [2, 5, 5]]);
+        assert.deepEqual(createPreviewScene('spread', 3).cells.find(cell => cell.x === 2 && cell.z === 0), { x: 2, y: 0, z: 0, depth: 1, level: 3 });
+    });
+
+    test('lays out one block of each depth', () => {
+        assert.deepEqual(createPreviewScene('depths').cells.map(cell => cell.depth), [1, 2, 3, 4, 5, 6, 7, 8]);
+        assert.throws(() => createPreviewScene('ocean'), /Unknown preview scene "ocean"/);
+    });
+});
+
+/**
+ * Creates a lookup for `getPreviewBlockStates` over a few fluid blocks.
+ * @param {Array<{x: number, y: number, z: number, depth: number, level: number}>} cells The fluid blocks.
+ * @returns {(x: number, y: number, z: number) => object|undefined}
+ */
+function createGetCell(cells) {
+    return (x, y, z) => cells.find(cell => cell.x === x && cell.y === y && cell.z === z);
+}
+
+describe('getPreviewBlockStates', () => {
+    test('flows towards shallower neighbors and the open floor, in eight directions', () => {
+        const cells = [{ x: 0, y: 0, z: 0, depth: 4, level: 4 }, { x: 0, y: 0, z: -1, depth: 7, level: 7 }, { x: -1, y: 0, z: 0, depth: 7, level: 7 }];
+        assert.deepEqual(getPreviewBlockStates(cells[0], createGetCell(cells)), {
+            direction: 'se', invisible: { up: 0, down: 0, north: 2, east: 0, south: 0, west: 2 }, slope: '',
+        });
+        assert.equal(getPreviewBlockStates({ x: 0, y: 0, z: 0, depth: 7, level: 7 }, createGetCell([])).direction, 'none');
+    });
+
+    test('hides the faces towards deeper fluid in the block\'s own rotation', () => {
+        const cells = [{ x: 0, y: 0, z: 0, depth: 4, level: 4 }, { x: 1, y: 0, z: 0, depth: 7, level: 7 }];
+        // Fluid flowing west is turned three quarters, so its north face is the one towards the east.
+        assert.deepEqual(getPreviewBlockStates(cells[0], createGetCell(cells)), {
+            direction: 'w', invisible: { up: 0, down: 0, north: 2, east: 0, south: 0, west: 0 }, slope: '',
+        });
+    });
+
+    test('tilts sloped surfaces down the way they flow', () => {
+        const cells = [{ x: 0, y: 0, z: 0, depth: 4, level: 4 }, { x: 0, y: 0, z: -1, depth: 7, level: 7 }];
+        assert.deepEqual(getPreviewBlockStates(cells[0], createGetCell(cells), true).slope, 'sloped');
+        cells.push({ x: -1, y: 0, z: 0, depth: 7, level: 7 });
+        assert.deepEqual(getPreviewBlockStates(cells[0], createGetCell(cells), true).slope, 'sloped_diagonal');
+        assert.deepEqual(getPreviewBlockStates(cells[0], createGetCell(cells)).slope, '');
+        assert.deepEqual(getPreviewBlockStates({ x: 0, y: 0, z: 0, depth: 7, level: 7 }, createGetCell([]), true).slope, '');
+    });
+});
+
+describe('renderFluidPreview', () => {
+    test('draws the fluid over the floor', () => {
+        const { width, height, pixels } = renderFluidPreview({ width: 64, height: 48, still: solidTexture([255, 0, 0, 255]) });
+        assert.equal(width, 64);
+        assert.equal(pixels.length, 64 * 48 * 4);
+        const center = (24 * 64 + 32) * 4;
+        assert.deepEqual([...pixels.subarray(center, center + 4)], [255, 0, 0, 255]);
+    });
+
+    test('blends translucent fluid and darkens it without light', () => {
+        const still = solidTexture([255, 0, 0, 128]);
+        const lit = renderFluidPreview({ width: 32, height: 32, scene: 'depths', still });
+        const dark = renderFluidPreview({ width: 32, height: 32, scene: 'depths', still, ambientLight: 0 });
+        const glowing = renderFluidPreview({ width: 32, height: 32, scene: 'depths', still, ambientLight: 0, lightLevel: 15 });
+        const redness = ({ pixels }) => pixels.reduce((total, value, index) => total + (index % 4 === 0 ? value : 0), 0);
+        assert.ok(redness(dark) < redness(lit));
+        assert.ok(redness(glowing) > redness(dark));
+        assert.ok(lit.pixels.some((value, index) => index % 4 === 0 && value > 0 && value < 255));
+    });
+
+    test('draws sloped surfaces', () => {
+        // Stripes, so that the tilted tops sample the texture differently from level ones.
+        const still = solidTexture([255, 0, 0, 255]);
+        for (let row = 0; row < 16; row += 2) still.pixels.fill(0, row * 16 * 4, (row + 1) * 16 * 4);
+        const flat = renderFluidPreview({ width: 48, height: 48, still });
+        const sloped = renderFluidPreview({ width: 48, height: 48, still, surface: 'sloped' });
+        assert.notDeepEqual(flat.pixels, sloped.pixels);
+    });
+
+    test('shows the frame of the animation at the given tick', () => {
+        const still = solidTexture([0, 0, 255, 255], 2);
+        still.pixels.fill(255, 0, 16 * 16 * 4);
+        const first = renderFluidPreview({ width: 32, height: 32, still, tick: 0 });
+        const second = renderFluidPreview({ width: 32, height: 32, still, tick: 2 });
+        assert.notDeepEqual(first.pixels, second.pixels);
+        assert.deepEqual(renderFluidPreview({ width: 32, height: 32, still, tick: 4 }).pixels, first.pixels);
+    });
+});
@@ -0,0 +1,226 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+describe('findInteraction', () => {
+    test('finds the first rule for the other fluid and the form of the block', async () => {
+        const { FluidRegistry } = await importEngineScript('registry.js');
+        const { findInteraction } = await importEngineScript('fluids.js');
+        FluidRegistry['test:interacting'] = {
+            interactions: [
+                { fluid: 'minecraft:water', when: 'source', action: 'block', block: 'minecraft:obsidian' },
+                { fluid: 'minecraft:water', when: 'flow', action: 'block', block: 'minecraft:cobblestone' },
+                { fluid: 'test:oil', action: 'consume' },
+                { fluid: '*', when: 'any', action: 'stop' },
+            ],
+        };
+        try {
+            assert.equal(findInteraction('test:interacting', 'minecraft:water', true).block, 'minecraft:obsidian');
+            assert.equal(findInteraction('test:interacting', 'minecraft:water', false).block, 'minecraft:cobblestone');
+            assert.equal(findInteraction('test:interacting', 'test:oil', false).action, 'consume');
+            assert.equal(findInteraction('test:interacting', 'minecraft:lava', true).action, 'stop');
+            assert.equal(findInteraction('test:unknown', 'minecraft:water', true), undefined);
+        } finally {
+            delete FluidRegistry['test:interacting'];
+        }
+    });
+});
+
+describe('getDimensionRules', () => {
+    test('replaces the fluid\'s spread distance and tick delay with those of the dimension', async () => {
+        const { FluidRegistry } = await importEngineScript('registry.js');
+        const { getDimensionRules } = await importEngineScript('fluids.js');
+        FluidRegistry['test:dimensional'] = {
+            spread: 4, tick_delay: 10,
+            dimensions: { 'minecraft:nether': { spread: 9 }, 'minecraft:the_end': { tick_delay: 2, evaporate: true } },
+        };
+        try {
+            assert.deepEqual(getDimensionRules('test:dimensional', 'minecraft:overworld'), { spread: 4, tickDelay: 10, evaporates: false });
+            assert.deepEqual(getDimensionRules('test:dimensional', 'minecraft:nether'), { spread: 9, tickDelay: 10, evaporates: false });
+            assert.deepEqual(getDimensionRules('test:dimensional', 'minecraft:the_end'), { spread: 4, tickDelay: 2, evaporates: true });
+            assert.deepEqual(getDimensionRules('test:unknown', 'minecraft:nether'), { spread: 7, tickDelay: 5, evaporates: false });
+
+            // Hand-edited registries may have tick delays below 1.
+            FluidRegistry['test:dimensional'].tick_delay = 0;
+            assert.equal(getDimensionRules('test:dimensional', 'minecraft:overworld').tickDelay, 1);
+        } finally {
+            delete FluidRegistry['test:dimensional'];
+        }
+    });
+});
+
+describe('findDropDirections', () => {
+    test('leads towards the nearest drops within the radius', async () => {
+        const { world } = await importMinecraftStub();
+        const { FluidRegistry } = await importEngineScript('registry.js');
+        const { findDropDirections } = await importEngineScript('fluids.js');
+        FluidRegistry['test:dropping'] = { drop_search: 4 };
+        const dimension = world.getDimension('overworld');
+        // A stone floor under the fluid block, with holes 2 blocks east and 3 blocks south.
+        for (let x = -6; x <= 6; x++) {
+            for (let z = -6; z <= 6; z++) {
+                if ((x === 2 && z === 0) || (x === 0 && z === 3)) continue;
+                dimension.setBlockType({ x, y: 199, z }, 'stone');
+            }
+        }
+        dimension.setBlockType({ x: 0, y: 200, z: 0 }, 'test:dropping');
+        try {
+            const block = dimension.getBlock({ x: 0, y: 200, z: 0 });
+            assert.deepEqual(findDropDirections(block, true, 4), [1]);
+            assert.deepEqual(findDropDirections(block, true, 1), []);
+
+            // A wall east of the fluid block makes the path that way longer than the one south.
+            dimension.setBlockType({ x: 1, y: 200, z: 0 }, 'stone');
+            assert.deepEqual(findDropDirections(block, true, 4), [2]);
+        } finally {
+            delete FluidRegistry['test:dropping'];
+            dimension.permutations.clear();
+        }
+    });
+});
+
+describe('formsSource', () => {
+    test('needs two sources beside the block and solid ground or a source below it', async () => {
+        const { world, BlockPermutation } = await importMinecraftStub();
+        const { formsSource } = await importEngineScript('fluids.js');
+        const stateNames = { depth: 'test:depth' };
+        const dimension = world.getDimension('overworld');
+        const location = { x: 0, y: 300, z: 0 };
+        const below = { x: 0, y: 299, z: 0 };
+        dimension.setBlockType(location, 'test:renewing');
+        const block = dimension.getBlock(location);
+        const source = { 'test:depth': 7 };
+        const flowing = { 'test:depth': 5 };
+        try {
+            dimension.setBlockType(below, 'stone');
+            assert.equal(formsSource(block, [source, undefined, source, flowing], 7, stateNames), true);
+            assert.equal(formsSource(block, [source, undefined, flowing, flowing], 7, stateNames), false);
+
+            dimension.setBlockType(below, 'air');
+            assert.equal(formsSource(block, [source, source, undefined, undefined], 7, stateNames), false);
+            dimension.setBlockType(below, 'water');
+            assert.equal(formsSource(block, [source, source, undefined, undefined], 7, stateNames), false);
+
+            dimension.setBlockPermutation(below, BlockPermutation.resolve('test:renewing', { 'test:depth': 7 }));
+            assert.equal(formsSource(block, [source, source, undefined, undefined], 7, stateNames), true);
+            dimension.setBlockPermutation(below, BlockPermutation.resolve('test:renewing', { 'test:depth': 8 }));
+            assert.equal(formsSource(block, [source, source, undefined, undefined], 7, stateNames), false);
+        } finally {
+            dimension.permutations.clear();
+        }
+    });
+});
+
+describe('vanilla fluid updates', () => {
+    test('queue the custom fluid next to them, which then follows its interaction rules', async () => {
+        const { world, BlockPermutation, runTicks } = await importMinecraftStub();
+        const { FLUID_NAMESPACE } = await importEngineScript('registry.js');
+        const { BlockUpdate } = await importEngineScript('BlockUpdate.js');
+        const { registerFluid } = await importEngineScript('fluids.js');
+        registerFluid('test:reactive', {
+            tick_delay: 1,
+            interactions: [{ fluid: 'minecraft:water', when: 'any', action: 'block', block: 'minecraft:obsidian' }],
+        });
+        const dimension = world.getDimension('overworld');
+        const location = { x: 0, y: 500, z: 0 };
+        dimension.setBlockPermutation(location, BlockPermutation.resolve('test:reactive', { [`${FLUID_NAMESPACE}:depth`]: 7 }));
+        dimension.setBlockType({ x: 0, y: 501, z: 0 }, 'water');
+        try {
+            // An update next to the water, which does not reach the custom fluid itself.
+            BlockUpdate.trigger(dimension.getBlock({ x: 0, y: 502, z: 0 }));
+            runTicks(3);
+            assert.equal(dimension.getBlock(location).typeId, 'minecraft:obsidian');
+        } finally {
+            dimension.permutations.clear();
+        }
+    });
+});
+
+describe('fluid buckets', () => {
+    test('follow the fluid\'s interaction rules when emptied into another fluid', async () => {
+        const { world, emit, runTicks, ItemStack } = await importMinecraftStub();
+        const { registerFluid } = await importEngineScript('fluids.js');
+        registerFluid('test:mixing', {
+            interactions: [
+                { fluid: 'minecraft:water', when: 'source', action: 'block', block: 'minecraft:obsidian' },
+                { fluid: 'minecraft:lava', action: 'stop' },
+            ],
+        });
+        const dimension = world.getDimension('overworld');
+        const target = { x: 0, y: 701, z: 0 };
+        dimension.setBlockType({ x: 0, y: 700, z: 0 }, 'stone');
+        const emptyInto = (typeId) => {
+            dimension.setBlockType(target, typeId);
+            let equipment;
+            const player = { matches: () => false, getComponent: () => ({ setEquipment: (slot, item) => { equipment = item; } }) };
+            const event = { player, block: dimension.getBlock({ x: 0, y: 700, z: 0 }), itemStack: new ItemStack('test:mixing_bucket'), blockFace: 'Up' };
+            emit(world.beforeEvents.playerInteractWithBlock, event);
+            runTicks(1);
+            return { placed: dimension.getBlock(target).typeId, emptied: equipment?.typeId === 'minecraft:bucket' };
+        };
+        try {
+            assert.deepEqual(emptyInto('water'), { placed: 'minecraft:obsidian', emptied: true });
+            assert.deepEqual(emptyInto('lava'), { placed: 'minecraft:lava', emptied: false });
+            assert.deepEqual(emptyInto('air'), { placed: 'test:mixing', emptied: true });
+        } finally {
+            dimension.permutations.clear();
+        }
+    });
+});
+
+describe('pickup entities', () => {
+    test('are removed when they load without a player pointing a bucket at them, if this pack spawned them', async () => {
+        const { world, emit } = await importMinecraftStub();
+        const { FLUID_NAMESPACE, PACK_UUID } = await importEngineScript('registry.js');
+        await importEngineScript('fluids.js');
+        const createEntity = (typeId, tags) => {
+            const entity = { typeId, id: `${typeId}:${tags.length}`, killed: false };
+            entity.hasTag = (tag) => tags.includes(tag);
+            entity.kill = () => { entity.killed = true; };
+            return entity;
+        };
+        const orphan = createEntity(`${FLUID_NAMESPACE}:fluid_pickup_entity`, [`fluid_pickup:${PACK_UUID}`]);
+        const otherPack = createEntity(`${FLUID_NAMESPACE}:fluid_pickup_entity`, ['fluid_pickup:other']);
+        const other = createEntity('minecraft:pig', [`fluid_pickup:${PACK_UUID}`]);
+        for (const entity of [orphan, otherPack, other]) emit(world.afterEvents.entityLoad, { entity });
+        assert.deepEqual([orphan.killed, otherPack.killed, other.killed], [true, false, false]);
+    });
+});
+
+describe('index of fluid blocks', () => {
+    test('drops blocks that something else removed, a few each tick, before they are saved', async () => {
+        const { world, emit, runTicks, blockTags } = await importMinecraftStub();
+        await importEngineScript('fluids.js');
+        blockTags['test:indexed'] = ['fluid'];
+        const dimension = world.getDimension('overworld');
+        // Every other block of the saved index was replaced by air.
+        const locations = Array.from({ length: 200 }, (_, i) => `${1024 + i},600,0`);
+        world.setDynamicProperty('fluid_state/minecraft:overworld/4,0/0', JSON.stringify({ active: locations, queued: {} }));
+        locations.forEach((location, i) => {
+            if (i % 2 === 0) dimension.setBlockType({ x: 1024 + i, y: 600, z: 0 }, 'test:indexed');
+        });
+
+        const getBlock = dimension.getBlock;
+        const random = Math.random;
+        let checks = 0;
+        dimension.getBlock = (location) => {
+            if (location.y === 600) checks++;
+            return getBlock.call(dimension, location);
+        };
+        // No ambient sounds, which look blocks up too.
+        Math.random = () => 1;
+        try {
+            emit(world.afterEvents.worldLoad);
+            runTicks(1);
+            // Other tests leave a few blocks in the index, which may be checked first.
+            assert.ok(checks > 0 && checks <= 64, `${checks} blocks were checked in one tick`);
+            runTicks(100);
+        } finally {
+            dimension.getBlock = getBlock;
+            Math.random = random;
+            dimension.permutations.clear();
+        }
+        const saved = JSON.parse(world.getDynamicProperty('fluid_state/minecraft:overworld/4,0/0'));
+        assert.deepEqual(saved.active, locations.filter((_, i) => i % 2 === 0));
+    });
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFluidFog, readFluidFogSettings, DEFAULT_FOG_SETTINGS } = require('../js/fog_generator.js');
+
+test('creates a hard fog in the air and in weather by default', () => {
+    const fog = createFluidFog('test:33ff00_fog', '#33ff00');
+    const settings = fog['minecraft:fog_settings'];
+    assert.equal(settings.description.identifier, 'test:33ff00_fog');
+    assert.deepEqual(Object.keys(settings.distance), ['air', 'weather']);
+    assert.deepEqual(settings.distance.air, { fog_start: 0, fog_end: 15, fog_color: '#33ff00', render_distance_type: 'fixed' });
+    assert.equal(settings.volumetric, undefined);
+});
+
+test('writes the volumetric settings of each medium', () => {
+    const fog = createFluidFog('test:fog', '#33ff00', {
+        ...DEFAULT_FOG_SETTINGS,
+        water: { start: 0, end: 0.5, renderDistanceType: 'render', density: 0.4, scattering: 0.02, absorption: [0.3, 0.1, 0.05] },
+    });
+    const { distance, volumetric } = fog['minecraft:fog_settings'];
+    assert.equal(distance.water.render_distance_type, 'render');
+    assert.deepEqual(volumetric.density, { water: { max_density: 0.4, uniform: true } });
+    assert.deepEqual(volumetric.media_coefficients, { water: { scattering: [0.02, 0.02, 0.02], absorption: [0.3, 0.1, 0.05] } });
+});
+
+test('reads the settings back from a fog file', () => {
+    const settings = {
+        air: { start: 2, end: 6, renderDistanceType: 'fixed', density: 0.4, scattering: 0.02, absorption: [0.3, 0.1, 0.05] },
+        weather: { start: 0, end: 15, renderDistanceType: 'fixed' },
+        lava: { start: 0, end: 1, renderDistanceType: 'fixed', density: 1 },
+    };
+    assert.deepEqual(readFluidFogSettings(createFluidFog('test:fog', '#33ff00', settings)), settings);
+    assert.deepEqual(readFluidFogSettings(createFluidFog('test:fog', '#33ff00')), DEFAULT_FOG_SETTINGS);
+    assert.deepEqual(readFluidFogSettings({}), {});
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FluidGeometryGenerator, getFluidGeometryIdentifier, getFluidGeometryLevel, createCustomGeometryModel, findGeometryBoneMismatches,
+} = require('../js/geometry_generator.js');
+
+test('keeps the original identifiers for 16x textures', () => {
+    assert.equal(getFluidGeometryIdentifier(3), 'geometry.fluid.3');
+    assert.equal(getFluidGeometryIdentifier(3, 64), 'geometry.fluid_64.3');
+});
+
+test('shows the depths of any spread distance with the eight geometry levels', () => {
+    assert.deepEqual([1, 2, 3, 4, 5, 6, 7, 8].map(depth => getFluidGeometryLevel(depth, 7)), [1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual([1, 2, 3, 4].map(depth => getFluidGeometryLevel(depth, 3)), [3, 5, 7, 8]);
+    assert.deepEqual([1, 2, 14, 15, 16].map(depth => getFluidGeometryLevel(depth, 15)), [1, 1, 6, 7, 8]);
+});
+
+test('generates every level with UVs laid out for the texture resolution', () => {
+    const geometries = new FluidGeometryGenerator(32).generateAll().build()['minecraft:geometry'];
+    assert.deepEqual(geometries.map(geometry => geometry.description.identifier),
+        [1, 2, 3, 4, 5, 6, 7, 8].map(level => `geometry.fluid_32.${level}`));
+    const full = geometries[7];
+    assert.equal(full.description.texture_width, 32);
+    const north = full.bones.find(bone => bone.name === 'north').cubes[0];
+    assert.deepEqual(north.size, [16, 16, 0]);
+    assert.deepEqual(north.uv.north.uv_size, [32, 32]);
+});
+
+test('adds a top tilted to the south and one tilted to the south-east to sloped geometries', () => {
+    assert.equal(getFluidGeometryIdentifier(3, 32, 'sloped'), 'geometry.fluid_32_sloped.3');
+    const geometry = new FluidGeometryGenerator(16, 'sloped').createGeometryForLevel(4);
+    const tops = geometry.bones.filter(bone => bone.name.startsWith('up_'));
+    assert.deepEqual(tops.map(bone => bone.name), ['up_sloped', 'up_sloped_diagonal']);
+    const [straight, diagonal] = tops.map(bone => bone.cubes[0]);
+    assert.ok(straight.rotation[0] > 0);
+    assert.equal(straight.rotation[2], 0);
+    assert.ok(diagonal.rotation[0] > 0 && diagonal.rotation[2] > 0);
+    assert.deepEqual(straight.pivot, [0, 8, 0]);
+});
+
+test('gives each tilted top side faces that follow it', () => {
+    const geometry = new FluidGeometryGenerator(16, 'sloped').createGeometryForLevel(4);
+    const getCubes = name => geometry.bones.find(bone => bone.name === name).cubes;
+    // Falling to the south, the east side steps down towards the south and the north side stays level.
+    assert.deepEqual(getCubes('east_sloped').map(cube => [cube.origin[2], cube.size[1]]), [[-8, 9], [-4, 8.5], [0, 8], [4, 7.5]]);
+    assert.deepEqual(getCubes('north_sloped').map(cube => [cube.origin[0], cube.size[0], cube.size[1]]), [[-8, 16, 9]]);
+    assert.deepEqual(getCubes('east_half_sloped').map(cube => cube.origin[1]), [4, 4, 4, 4]);
+    // Falling to the south-east, the north side steps down towards the east too.
+    assert.deepEqual(getCubes('north_sloped_diagonal').map(cube => [cube.origin[0], cube.size[1]]), [[-8, 8.5], [-4, 9], [0, 9.5], [4, 10]]);
+    // The tilted top is stretched to still reach the sides.
+    assert.ok(getCubes('up_sloped')[0].size[2] > 16);
+    assert.equal(getCubes('up_sloped')[0].size[0], 16);
+});
+
+test('renames the first geometry of a custom model after its fluid and level', () => {
+    const geometry = new FluidGeometryGenerator().createGeometryForLevel(7);
+    const model = createCustomGeometryModel({ format_version: '1.16.0', 'minecraft:geometry': [geometry, {}] }, 'test:acid', 7);
+    assert.equal(model.format_version, '1.16.0');
+    assert.equal(model['minecraft:geometry'].length, 1);
+    assert.equal(model['minecraft:geometry'][0].description.identifier, 'geometry.test_acid.7');
+    assert.equal(model['minecraft:geometry'][0].description.texture_width, 16);
+});
+
+test('finds the bones a custom geometry is missing or adds', () => {
+    const geometry = new FluidGeometryGenerator().createGeometryForLevel(4);
+    geometry.bones = geometry.bones.filter(bone => bone.name !== 'east_half').concat({ name: 'bubbles' });
+    assert.deepEqual(findGeometryBoneMismatches(geometry, ['up', 'east', 'east_half'], 4), { missing: ['east_half'], extra: ['bubbles'] });
+});
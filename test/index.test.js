@@ -0,0 +1,146 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const {
+    ValidationError, buildFluidPack, readProjectFile, writePack, buildPackFiles, serializeProject,
+} = require('../index.js');
+const { getFrameCount, decodePng } = require('../js/texture_tools.js');
+const { createTexture, createFluid, createTempDir } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+
+/**
+ * Writes a project file and its textures into a new folder.
+ * @param {object} project The project, whose texture paths are relative to the folder.
+ * @returns {string} The project file's path.
+ */
+function writeProject(project) {
+    const dir = createTempDir();
+    fs.writeFileSync(path.join(dir, 'acid.png'), TEXTURE);
+    const projectPath = path.join(dir, 'project.json');
+    fs.writeFileSync(projectPath, JSON.stringify(project));
+    return projectPath;
+}
+
+describe('buildFluidPack', () => {
+    test('zips the BP and RP folders', async () => {
+        const zip = buildFluidPack({ fluids: [createFluid()] }, { textures: [{ texture: TEXTURE, bucketTexture: TEXTURE }] });
+        const content = await zip.generateAsync({ type: 'nodebuffer' });
+        const names = Object.keys((await JSZip.loadAsync(content)).files);
+        assert.ok(names.includes('BP/manifest.json'));
+        assert.ok(names.includes('RP/textures/blocks/test_acid.png'));
+    });
+
+    test('synthesizes the textures of a texture design', async () => {
+        const fluid = createFluid({ textureDesign: { frames: 4 } });
+        const zip = buildFluidPack({ fluids: [fluid] }, { textures: [{ bucketTexture: TEXTURE }] });
+        const still = await zip.file('RP/textures/blocks/test_acid.png').async('uint8array');
+        assert.equal(getFrameCount(still), 4);
+        assert.ok(zip.file('RP/textures/blocks/flowing_test_acid.png'));
+        assert.ok(zip.file('RP/textures/flipbook_textures.json'));
+    });
+
+    test('composites missing bucket icons from the bucket color or still texture', async () => {
+        const fluids = [createFluid({ bucketColor: '#3f76e4' }), createFluid({ id: 'test:oil' })];
+        const zip = buildFluidPack({ fluids }, { textures: [{ texture: TEXTURE }, { texture: TEXTURE }] });
+        const blue = decodePng(await zip.file('RP/textures/items/test_acid_bucket.png').async('uint8array'));
+        const green = decodePng(await zip.file('RP/textures/items/test_oil_bucket.png').async('uint8array'));
+        assert.equal(blue.width, 16);
+        const liquid = (4 * 16 + 4) * 4;
+        assert.deepEqual([...blue.pixels.subarray(liquid, liquid + 4)], [63, 118, 228, 255]);
+        assert.deepEqual([...green.pixels.subarray(liquid, liquid + 4)], [51, 255, 0, 255]);
+    });
+
+    test('shears the flowing texture into a diagonal one', async () => {
+        const flowingTexture = createTexture([0, 0, 255, 255], 16, 32);
+        const zip = buildFluidPack({ fluids: [createFluid()] }, { textures: [{ texture: TEXTURE, flowingTexture }] });
+        const diagonal = await zip.file('RP/textures/blocks/flowing_diagonal_test_acid.png').async('uint8array');
+        assert.equal(getFrameCount(diagonal), 2);
+    });
+
+    test('validates the project first', () => {
+        assert.throws(() => buildFluidPack({ fluids: [createFluid({ id: 'acid' })] }, { textures: [] }), ValidationError);
+    });
+});
+
+describe('readProjectFile', () => {
+    test('reads the textures relative to the project file', () => {
+        const projectPath = writeProject({
+            packName: 'Acids',
+            fluids: [createFluid({ textures: { texture: 'acid.png', bucketTexture: './acid.png' } })],
+        });
+        const { project, assets } = readProjectFile(projectPath);
+        assert.equal(project.packName, 'Acids');
+        assert.deepEqual(new Uint8Array(assets.textures[0].texture), TEXTURE);
+        assert.deepEqual(new Uint8Array(assets.textures[0].bucketTexture), TEXTURE);
+    });
+
+    test('reads a project saved from the generator page', () => {
+        const saved = serializeProject({ packName: 'Acids', fluids: [createFluid()] }, { textures: [{ texture: TEXTURE }] });
+        const { project, assets } = readProjectFile(writeProject(saved));
+        assert.deepEqual(project, { packName: 'Acids', fluids: [createFluid()] });
+        assert.deepEqual(assets.textures, [{ texture: TEXTURE }]);
+    });
+
+    test('reads custom models relative to the project file', () => {
+        const projectPath = writeProject(createFluid({ customGeometry: { 7: 'source.geo.json', 8: 'broken.geo.json' } }));
+        const model = { format_version: '1.12.0', 'minecraft:geometry': [] };
+        fs.writeFileSync(path.join(path.dirname(projectPath), 'source.geo.json'), JSON.stringify(model));
+        fs.writeFileSync(path.join(path.dirname(projectPath), 'broken.geo.json'), '{');
+        assert.throws(() => readProjectFile(projectPath), error => error instanceof ValidationError && /custom model "broken\.geo\.json"/.test(error.message));
+
+        fs.writeFileSync(path.join(path.dirname(projectPath), 'broken.geo.json'), JSON.stringify(model));
+        assert.deepEqual(readProjectFile(projectPath).project.fluids[0].customGeometry, { 7: model, 8: model });
+    });
+
+    test('reads sound files relative to the project file', () => {
+        const projectPath = writeProject(createFluid({ sounds: { fill: { event: 'bucket.fill_lava' }, swim: { file: 'swim.ogg', pitch: 1.5 } } }));
+        fs.writeFileSync(path.join(path.dirname(projectPath), 'swim.ogg'), 'OggS');
+        const { project, assets } = readProjectFile(projectPath);
+        assert.deepEqual(project.fluids[0].sounds, { fill: { event: 'bucket.fill_lava' }, swim: { pitch: 1.5 } });
+        assert.equal(Buffer.from(assets.sounds[0].swim).toString(), 'OggS');
+    });
+
+    test('rejects a missing texture file', () => {
+        const projectPath = writeProject(createFluid({ textures: { texture: 'missing.png' } }));
+        assert.throws(() => readProjectFile(projectPath), /File not found/);
+    });
+
+    test('rejects a project file that is not JSON', () => {
+        const projectPath = path.join(createTempDir(), 'project.json');
+        fs.writeFileSync(projectPath, '{');
+        assert.throws(() => readProjectFile(projectPath), error => error instanceof ValidationError);
+    });
+});
+
+describe('writePack', () => {
+    const files = () => buildPackFiles({ fluids: [createFluid()] }, { textures: [{ texture: TEXTURE, bucketTexture: TEXTURE }] });
+
+    test('writes an unpacked folder', async () => {
+        const out = createTempDir();
+        const written = await writePack(files(), out, 'folder');
+        assert.deepEqual(written, [path.join(out, 'BP'), path.join(out, 'RP')]);
+        assert.ok(fs.existsSync(path.join(out, 'BP', 'blocks', 'test_acid.json')));
+    });
+
+    test('writes one .mcpack per pack without the top-level folder', async () => {
+        const out = createTempDir();
+        const written = await writePack(files(), out, 'mcpack', 'Acid');
+        assert.deepEqual(written, [path.join(out, 'Acid_BP.mcpack'), path.join(out, 'Acid_RP.mcpack')]);
+        const zip = await JSZip.loadAsync(fs.readFileSync(written[0]));
+        assert.ok(zip.file('manifest.json'));
+        assert.equal(zip.file('BP/manifest.json'), null);
+    });
+
+    test('writes an .mcaddon', async () => {
+        const out = path.join(createTempDir(), 'nested', 'Acid_Addon.mcaddon');
+        assert.deepEqual(await writePack(files(), out), [out]);
+        assert.equal(fs.readFileSync(out).subarray(0, 2).toString(), 'PK');
+    });
+
+    test('rejects an unknown format', async () => {
+        await assert.rejects(writePack(files(), createTempDir(), 'zip'), /Unknown output format/);
+    });
+});
@@ -0,0 +1,570 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ValidationError, buildPackFiles, buildEnginePackFiles, lintPackFiles, validatePack, normalizeProject, getPackNames,
+    parsePackVersion, formatPackVersion, bumpPackVersion, loadRuntimeScripts, ENGINE_PACK_VERSION, MINECRAFT_TARGETS,
+    DEFAULT_TEXTURE_DESIGN, MAX_REGISTRATION_LENGTH,
+} = require('../index.js');
+const { FluidGeometryGenerator } = require('../js/geometry_generator.js');
+const { createTexture, createFluid, hashFiles, assertSnapshot } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+const BUCKET_TEXTURE = createTexture([51, 255, 0, 255]);
+
+/** A fluid that uses most settings, so their output is covered by a snapshot too. */
+const FEATURED_FLUID = createFluid({
+    id: 'test:lava_oil',
+    name: 'Lava Oil',
+    surface: 'sloped',
+    tickDelay: 10,
+    sounds: { fill: { event: 'bucket.fill_lava', volume: 0.8 }, swim: { event: 'liquid.lava' } },
+    interactions: [{ fluid: 'minecraft:water', when: 'source', action: 'block', block: 'minecraft:obsidian' }],
+    dimensions: { 'minecraft:nether': { spreadDistance: 7, tickDelay: 5 } },
+});
+
+/** The start of an Ogg file, enough for the checks of an uploaded sound. */
+const SOUND = new Uint8Array([...Buffer.from('OggS'), 0, 2]);
+
+/**
+ * Builds a project with a still and a bucket texture per fluid.
+ * @param {object} project The pack configuration.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>}
+ */
+function build(project) {
+    return buildPackFiles(project, { textures: project.fluids.map(() => ({ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE })) });
+}
+
+/**
+ * Creates a custom model from the generated geometry of a level.
+ * @param {number} level The fluid level (1-8).
+ * @returns {object}
+ */
+function createModel(level) {
+    return { format_version: '1.12.0', 'minecraft:geometry': [new FluidGeometryGenerator().createGeometryForLevel(level)] };
+}
+
+/**
+ * Lists the lint errors of a pack.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @returns {string[]}
+ */
+function getLintErrors(files) {
+    return lintPackFiles(files).filter(issue => issue.severity === 'error').map(issue => `${issue.path}: ${issue.message}`);
+}
+
+/**
+ * Reads the manifests of a pack.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @returns {{bp: object, rp: object}}
+ */
+function readManifests(files) {
+    return { bp: JSON.parse(files['BP/manifest.json']), rp: JSON.parse(files['RP/manifest.json']) };
+}
+
+describe('buildPackFiles', () => {
+    test('builds a pack with one default fluid', () => {
+        const files = build({ packName: 'Test', fluids: [createFluid()] });
+        assertSnapshot('default_pack', hashFiles(files));
+        assert.deepEqual(getLintErrors(files), []);
+        const { bp, rp } = readManifests(files);
+        assert.equal(bp.header.name, 'Test Fluid Pack');
+        assert.match(files['BP/scripts/registry.js'], new RegExp(`export const PACK_UUID = "${bp.header.uuid}";`));
+        assert.ok(bp.dependencies.some(dependency => dependency.uuid === rp.header.uuid));
+    });
+
+    test('writes the blocks, buckets and textures of each fluid', () => {
+        const files = build({ fluids: [createFluid(), createFluid({ name: 'Oil', id: 'test:oil', fogColor: '#222222' })] });
+        for (const safeId of ['test_acid', 'test_oil']) {
+            assert.ok(files[`BP/blocks/${safeId}.json`]);
+            assert.ok(files[`BP/items/${safeId}_bucket.json`]);
+            assert.equal(files[`RP/textures/blocks/${safeId}.png`], TEXTURE);
+            assert.equal(files[`RP/textures/items/${safeId}_bucket.png`], BUCKET_TEXTURE);
+        }
+        assert.ok(files['RP/fogs/33ff00_fog.json']);
+        assert.ok(files['RP/fogs/222222_fog.json']);
+        assert.match(files['BP/scripts/registry.js'], /"test:oil"/);
+    });
+
+    test('gives fluids with fog settings their own fog file', () => {
+        const fog = { water: { start: 0, end: 0.5, renderDistanceType: 'render' } };
+        const files = build({ fluids: [createFluid(), createFluid({ id: 'test:oil', fog })] });
+        assert.ok(files['RP/fogs/33ff00_fog.json']);
+        const oilFog = JSON.parse(files['RP/fogs/33ff00_test_oil_fog.json'])['minecraft:fog_settings'];
+        assert.equal(oilFog.description.identifier, 'lumstudio:33ff00_test_oil_fog');
+        assert.deepEqual(Object.keys(oilFog.distance), ['air', 'weather', 'water']);
+        assert.match(files['BP/scripts/registry.js'], /"fog": "33ff00_test_oil"/);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('builds a pack with sounds, interactions, dimension rules and a sloped surface', () => {
+        const files = build({ packName: 'Test', fluids: [createFluid(), FEATURED_FLUID] });
+        assertSnapshot('featured_pack', hashFiles(files));
+        assert.deepEqual(getLintErrors(files), []);
+        assert.ok(files['RP/models/blocks/fluid.geo.json']);
+        assert.match(files['RP/models/blocks/fluid_sloped.geo.json'], /"up_sloped_diagonal"/);
+        assert.match(files['BP/blocks/test_lava_oil.json'], /"geometry\.fluid_sloped\.\d"/);
+        assert.match(files['BP/blocks/test_lava_oil.json'], /"north_half_sloped": "q\.block_state/);
+        assert.doesNotMatch(files['BP/blocks/test_lava_oil.json'], /slope_x/);
+        assert.match(files['BP/scripts/registry.js'], /"id": "bucket\.fill_lava",\s*"volume": 0\.8,\s*"pitch": 1/);
+        assert.equal(files['RP/sounds/sound_definitions.json'], undefined);
+        assert.match(files['BP/scripts/registry.js'], /"interactions": \[\s*\{\s*"fluid": "minecraft:water"/);
+        assert.match(files['BP/scripts/registry.js'], /"minecraft:nether": \{\s*"spread": 7,\s*"tick_delay": 5\s*\}/);
+    });
+
+    test('gives each step of the longest spread distance a depth', () => {
+        const fluid = createFluid({ spreadDistance: 3, dimensions: { 'minecraft:nether': { spreadDistance: 5, evaporates: false }, 'minecraft:the_end': { evaporates: true } } });
+        const files = build({ fluids: [fluid] });
+        const block = JSON.parse(files['BP/blocks/test_acid.json'])['minecraft:block'];
+        assert.deepEqual(block.description.states['lumstudio:depth'], [1, 2, 3, 4, 5, 6]);
+        assert.match(files['BP/scripts/registry.js'], /"spread": 3/);
+        assert.match(files['BP/scripts/registry.js'], /"minecraft:nether": \{\s*"spread": 5\s*\},\s*"minecraft:the_end": \{\s*"evaporate": true\s*\}/);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('keeps a sloped fluid with the longest spread distance within the block state limit', () => {
+        const files = build({ fluids: [createFluid({ surface: 'sloped', spreadDistance: 15 })] });
+        const block = JSON.parse(files['BP/blocks/test_acid.json'])['minecraft:block'];
+        assert.deepEqual(Object.keys(block.description.states).filter(state => !/:(invisible_\w+|depth|direction)$/.test(state)), []);
+        const visibility = block.permutations.find(({ condition }) => /'se'/.test(condition)).components['minecraft:geometry'].bone_visibility;
+        assert.match(visibility.up_sloped_diagonal, /q\.block_state\('lumstudio:direction'\) == 'none'/);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('writes block sounds only for fluids with sounds', () => {
+        const files = build({ packName: 'Test', fluids: [createFluid(), FEATURED_FLUID] });
+        const blocks = JSON.parse(files['RP/blocks.json']);
+        assert.equal(blocks['test:acid'], undefined);
+        assert.equal(blocks['test:lava_oil'].sound, 'fluid.test_lava_oil');
+        const sounds = JSON.parse(files['RP/sounds.json']);
+        assert.equal(sounds.block_sounds['fluid.test_lava_oil'].events.break.sound, 'bucket.fill_lava');
+        assert.equal(sounds.interactive_sounds.block_sounds['fluid.test_lava_oil'].events.step.sound, 'liquid.lava');
+        assert.equal(build({ fluids: [createFluid()] })['RP/sounds.json'], undefined);
+    });
+
+    test('defines sound events for uploaded sounds', () => {
+        const fluid = createFluid({ sounds: { fill: { event: 'bucket.fill_lava' }, swim: { pitch: 1.5 }, ambient: {} } });
+        const files = buildPackFiles({ fluids: [fluid] }, {
+            textures: [{ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }],
+            sounds: [{ swim: SOUND, ambient: SOUND }],
+        });
+        assert.equal(files['RP/sounds/fluids/test_acid/swim.ogg'], SOUND);
+        assert.equal(files['RP/sounds/fluids/test_acid/ambient.ogg'], SOUND);
+        assert.equal(files['RP/sounds/fluids/test_acid/fill.ogg'], undefined);
+        assert.deepEqual(JSON.parse(files['RP/sounds/sound_definitions.json']).sound_definitions, {
+            'fluid.test_acid.swim': { category: 'player', sounds: ['sounds/fluids/test_acid/swim'] },
+            'fluid.test_acid.ambient': { category: 'block', sounds: ['sounds/fluids/test_acid/ambient'] },
+        });
+        assert.match(files['BP/scripts/registry.js'], /"id": "fluid\.test_acid\.swim",\s*"volume": 1,\s*"pitch": 1\.5/);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('builds a pack for the shared fluid engine', () => {
+        const files = build({ runtime: 'shared', fluids: [createFluid()] });
+        assert.ok(files['BP/scripts/register_fluids.js']);
+        assert.equal(files['BP/scripts/fluids.js'], undefined);
+        assert.equal(files['BP/entities/fluid_pickup_entity.json'], undefined);
+        assert.deepEqual(getLintErrors(files), []);
+
+        const { bp } = readManifests(files);
+        const engine = readManifests(buildEnginePackFiles());
+        assert.equal(bp.modules.find(module => module.type === 'script').entry, 'scripts/register_fluids.js');
+        assert.ok(bp.dependencies.some(dependency => dependency.uuid === engine.bp.header.uuid));
+    });
+
+    test('animates sprite strips with flipbooks', () => {
+        const strip = createTexture([51, 255, 0, 200], 16, 64);
+        const fluids = [createFluid({ ticksPerFrame: 3, flowingTicksPerFrame: 2 }), createFluid({ id: 'test:oil' })];
+        const files = buildPackFiles({ fluids }, {
+            textures: [{ texture: strip, bucketTexture: BUCKET_TEXTURE }, { texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }],
+        });
+        assert.deepEqual(JSON.parse(files['RP/textures/flipbook_textures.json']), [
+            { flipbook_texture: 'textures/blocks/test_acid', atlas_tile: 'test_acid', ticks_per_frame: 3 },
+            { flipbook_texture: 'textures/blocks/test_acid', atlas_tile: 'flowing_test_acid', ticks_per_frame: 2 },
+            { flipbook_texture: 'textures/blocks/test_acid', atlas_tile: 'flowing_diagonal_test_acid', ticks_per_frame: 2 },
+        ]);
+        assert.deepEqual(getLintErrors(files), []);
+        assert.equal(build({ fluids: [createFluid()] })['RP/textures/flipbook_textures.json'], undefined);
+    });
+
+    test('gives HD textures a geometry with UVs laid out for their resolution', () => {
+        const hd = createTexture([51, 255, 0, 200], 32);
+        const fluids = [createFluid(), createFluid({ id: 'test:oil' })];
+        const files = buildPackFiles({ fluids }, {
+            textures: [{ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }, { texture: hd, bucketTexture: createTexture([0, 0, 0, 255], 32) }],
+        });
+        assert.ok(files['RP/models/blocks/fluid.geo.json']);
+        assert.match(files['RP/models/blocks/fluid_32.geo.json'], /"geometry\.fluid_32\.8"/);
+        assert.match(files['BP/blocks/test_oil.json'], /"geometry\.fluid_32\.\d"/);
+        assert.doesNotMatch(files['BP/blocks/test_acid.json'], /fluid_32/);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('rotates flowing blocks towards their flow, with a diagonal texture for diagonal flow', () => {
+        const files = buildPackFiles({ fluids: [createFluid()] }, {
+            textures: [{ texture: TEXTURE, flowingTexture: TEXTURE, diagonalTexture: TEXTURE, bucketTexture: BUCKET_TEXTURE }],
+        });
+        const block = JSON.parse(files['BP/blocks/test_acid.json'])['minecraft:block'];
+        const states = Object.values(block.description.states);
+        assert.ok(states.some(values => values.join() === 'none,n,ne,e,se,s,sw,w,nw'));
+        assert.equal(block.permutations.length, 8 * 9);
+
+        const permutation = (direction) => block.permutations.find(({ condition }) => condition.includes('== 3') && condition.endsWith(`'${direction}'`));
+        assert.deepEqual(permutation('n').components['minecraft:transformation'], { rotation: [0, 180, 0] });
+        assert.deepEqual(permutation('sw').components['minecraft:transformation'], { rotation: [0, -90, 0] });
+        assert.equal(permutation('s').components['minecraft:transformation'], undefined);
+        assert.equal(permutation('ne').components['minecraft:material_instances'].up.texture, 'flowing_diagonal_test_acid');
+        assert.equal(permutation('e').components['minecraft:material_instances'].up.texture, 'flowing_test_acid');
+
+        assert.ok(files['RP/textures/blocks/flowing_diagonal_test_acid.png']);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+
+    test('writes custom models in place of the generated geometry of their level', () => {
+        const files = build({ fluids: [createFluid({ customGeometry: { 7: createModel(7) } })] });
+        const model = JSON.parse(files['RP/models/blocks/test_acid_7.geo.json']);
+        assert.equal(model['minecraft:geometry'][0].description.identifier, 'geometry.test_acid.7');
+        const block = JSON.parse(files['BP/blocks/test_acid.json'])['minecraft:block'];
+        const identifiers = new Set(block.permutations.map(permutation => permutation.components['minecraft:geometry'].identifier));
+        assert.ok(identifiers.has('geometry.test_acid.7'));
+        assert.ok(identifiers.has('geometry.fluid.6'));
+        assert.ok(!identifiers.has('geometry.fluid.7'));
+        assert.deepEqual(getLintErrors(files), []);
+
+        const allCustom = Object.fromEntries([1, 2, 3, 4, 5, 6, 7, 8].map(level => [level, createModel(level)]));
+        assert.equal(build({ fluids: [createFluid({ customGeometry: allCustom })] })['RP/models/blocks/fluid.geo.json'], undefined);
+    });
+
+    test('uses the still texture for flowing fluid when no flowing texture is given', () => {
+        const terrain = JSON.parse(build({ fluids: [createFluid()] })['RP/textures/terrain_texture.json']);
+        assert.equal(terrain.texture_data.flowing_test_acid.textures, 'textures/blocks/test_acid');
+    });
+});
+
+describe('buildEnginePackFiles', () => {
+    test('changes its version whenever the engine scripts change', () => {
+        const files = buildEnginePackFiles({ scripts: loadRuntimeScripts() });
+        const scripts = Object.fromEntries(Object.entries(files).filter(([filePath]) => filePath.startsWith('BP/scripts/')));
+        assertSnapshot('engine_pack', { version: ENGINE_PACK_VERSION, scripts: hashFiles(scripts) },
+            'The engine scripts changed. Bump ENGINE_PACK_VERSION in js/pack_builder.js and update the snapshot.');
+    });
+
+    test('runs the engine without fluids of its own', () => {
+        const files = buildEnginePackFiles();
+        const { bp } = readManifests(files);
+        assert.equal(bp.modules.find(module => module.type === 'script').entry, 'scripts/engine.js');
+        assert.deepEqual(bp.header.version, ENGINE_PACK_VERSION);
+        assert.match(files['BP/scripts/registry.js'], /FluidRegistry = \{\}/);
+        assert.ok(files['BP/entities/fluid_pickup_entity.json']);
+        assert.deepEqual(getLintErrors(files), []);
+    });
+});
+
+describe('Minecraft targets', () => {
+    for (const [version, target] of Object.entries(MINECRAFT_TARGETS)) {
+        test(`generate the formats and script modules of ${version}`, () => {
+            const files = build({ targetVersion: version, fluids: [createFluid()] });
+            const { bp, rp } = readManifests(files);
+            assert.deepEqual(bp.header.min_engine_version, target.minEngineVersion);
+            assert.deepEqual(rp.header.min_engine_version, target.minEngineVersion);
+            assert.equal(bp.dependencies.find(dependency => dependency.module_name === '@minecraft/server').version, target.serverModule);
+            assert.equal(JSON.parse(files['BP/blocks/test_acid.json']).format_version, target.blockFormat);
+            assert.equal(JSON.parse(files['RP/blocks.json']).format_version, target.blockFormat);
+            const item = JSON.parse(files['BP/items/test_acid_bucket.json']);
+            assert.equal(item.format_version, target.itemFormat);
+            assert.equal('menu_category' in item['minecraft:item'].description, target.itemMenuCategory);
+            assert.equal(JSON.parse(files['RP/fogs/33ff00_fog.json']).format_version, target.fogFormat);
+            assert.deepEqual(getLintErrors(files), []);
+
+            const engine = readManifests(buildEnginePackFiles({}, { targetVersion: version }));
+            assert.deepEqual(engine.bp.header.min_engine_version, target.minEngineVersion);
+        });
+    }
+});
+
+describe('namespace', () => {
+    test('prefixes the block states, pickup entity and fogs', () => {
+        const files = build({ namespace: 'acids', fluids: [createFluid()] });
+        const states = JSON.parse(files['BP/blocks/test_acid.json'])['minecraft:block'].description.states;
+        assert.ok(Object.keys(states).every(state => state.startsWith('acids:')));
+        assert.equal(JSON.parse(files['BP/entities/fluid_pickup_entity.json'])['minecraft:entity'].description.identifier,
+            'acids:fluid_pickup_entity');
+        assert.equal(JSON.parse(files['RP/fogs/33ff00_fog.json'])['minecraft:fog_settings'].description.identifier,
+            'acids:33ff00_fog');
+        assert.match(files['BP/scripts/registry.js'], /FLUID_NAMESPACE = "acids"/);
+    });
+
+    test('defaults to lumstudio', () => {
+        assert.match(build({ namespace: ' ', fluids: [createFluid()] })['BP/scripts/registry.js'], /FLUID_NAMESPACE = "lumstudio"/);
+    });
+});
+
+describe('manifests', () => {
+    test('derive the same UUIDs from the same seed', () => {
+        const first = readManifests(build({ fluids: [createFluid()] }));
+        const second = readManifests(build({ fluids: [createFluid()] }));
+        assert.equal(first.bp.header.uuid, second.bp.header.uuid);
+        assert.equal(first.rp.header.uuid, second.rp.header.uuid);
+
+        const seeded = readManifests(build({ seed: 'acids', fluids: [createFluid()] }));
+        const otherFluids = readManifests(build({ fluids: [createFluid({ id: 'test:oil' })] }));
+        assert.notEqual(seeded.bp.header.uuid, first.bp.header.uuid);
+        assert.notEqual(otherFluids.bp.header.uuid, first.bp.header.uuid);
+    });
+
+    test('use the pack version everywhere', () => {
+        const { bp, rp } = readManifests(build({ packVersion: '1.2.3', fluids: [createFluid()] }));
+        assert.deepEqual(bp.header.version, [1, 2, 3]);
+        assert.ok(bp.modules.every(module => module.version.join('.') === '1.2.3'));
+        assert.deepEqual(bp.dependencies.find(dependency => dependency.uuid === rp.header.uuid).version, [1, 2, 3]);
+        assert.deepEqual(rp.header.version, [1, 2, 3]);
+    });
+});
+
+describe('pack versions', () => {
+    test('are parsed from strings or arrays', () => {
+        assert.deepEqual(parsePackVersion(undefined), [1, 0, 0]);
+        assert.deepEqual(parsePackVersion(' 2.0.10 '), [2, 0, 10]);
+        assert.deepEqual(parsePackVersion([1, 2, 3]), [1, 2, 3]);
+        assert.equal(formatPackVersion([1, 2, 3]), '1.2.3');
+        assert.throws(() => parsePackVersion('1.2'), /Pack Version must be three whole numbers/);
+        assert.throws(() => parsePackVersion([1, -2, 3]), ValidationError);
+    });
+
+    test('are bumped by their patch number', () => {
+        assert.deepEqual(bumpPackVersion('1.2.3'), [1, 2, 4]);
+        assert.deepEqual(bumpPackVersion(undefined), [1, 0, 1]);
+    });
+});
+
+describe('getPackNames', () => {
+    test('names a pack after its only fluid unless a name is given', () => {
+        assert.equal(getPackNames(undefined, [createFluid()]).fileName, 'Acid_Addon.mcaddon');
+        assert.equal(getPackNames(' ', [createFluid(), createFluid()]).displayName, 'Custom Fluids');
+        assert.equal(getPackNames('My Fluids', [createFluid()]).packName, 'My Fluids Fluid Pack');
+    });
+});
+
+describe('validatePack', () => {
+    /**
+     * Asserts that a pack fails validation with a message.
+     * @param {object[]} fluids The fluid configurations.
+     * @param {RegExp} message The expected message.
+     * @param {object} [settings] The pack-level settings.
+     */
+    function assertInvalid(fluids, message, settings = {}) {
+        assert.throws(() => validatePack(fluids, fluids.map(() => ({ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE })), settings),
+            error => error instanceof ValidationError && message.test(error.message));
+    }
+
+    test('accepts a valid fluid and normalizes its ID', () => {
+        const fluid = createFluid({ id: ' Test:Acid ' });
+        assert.doesNotThrow(() => validatePack([fluid], [{ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }]));
+        assert.equal(fluid.id, 'test:acid');
+    });
+
+    test('rejects a pack without fluids', () => {
+        assertInvalid([], /At least one fluid is required/);
+    });
+
+    test('rejects fluids that are not objects', () => {
+        assertInvalid([null], /Each fluid must be a JSON object/);
+        assertInvalid([['test:acid']], /Each fluid must be a JSON object/);
+    });
+
+    test('rejects a missing name', () => {
+        assertInvalid([createFluid({ name: ' ' })], /Fluid Name is required/);
+    });
+
+    test('rejects malformed IDs', () => {
+        assertInvalid([createFluid({ id: 'acid' })], /must include a namespace/);
+        assertInvalid([createFluid({ id: 'test:Acid Fluid' })], /invalid characters/);
+    });
+
+    test('rejects a repeated ID, or IDs that share file names', () => {
+        assertInvalid([createFluid(), createFluid()], /already in the pack/);
+        assertInvalid([createFluid({ id: 'ab_c:d' }), createFluid({ id: 'ab:c_d' })], /The fluids "ab_c:d" and "ab:c_d" would both be saved as "ab_c_d"/);
+    });
+
+    test('rejects a malformed fog color', () => {
+        assertInvalid([createFluid({ fogColor: 'green' })], /Fog Color must be a hex color/);
+    });
+
+    test('fills in and checks fog settings', () => {
+        const fluid = createFluid({ fog: { lava: { end: 2 } } });
+        validatePack([fluid], [{ texture: TEXTURE }]);
+        assert.deepEqual(fluid.fog.lava, { start: 0, end: 2, renderDistanceType: 'fixed' });
+        assert.ok(fluid.fog.air && fluid.fog.weather);
+
+        const invalid = (fog, message) => assertInvalid([createFluid({ fog })], message);
+        invalid([], /must map mediums to their settings/);
+        invalid({ nether: {} }, /Unknown fog medium "nether"/);
+        invalid({ air: 5 }, /The air fog settings must be an object/);
+        invalid({ air: { renderDistanceType: 'near' } }, /Unknown fog render distance type "near"/);
+        invalid({ air: { start: 10, end: 5 } }, /air fog start and end must be distances of at least 0 blocks/);
+        invalid({ air: { end: 2, renderDistanceType: 'render' } }, /fractions of the render distance from 0 to 1/);
+        invalid({ powder_snow: { density: 0.5 } }, /powder_snow fog has no volumetric density/);
+        invalid({ air: { density: 2 } }, /air fog density must be a number from 0 to 1/);
+        invalid({ lava: { scattering: 0.1 } }, /lava fog has no scattering coefficients/);
+        invalid({ water: { absorption: [0.1, 0.2] } }, /water fog absorption must be a number of at least 0, or one for each/);
+    });
+
+    test('checks sounds and their uploaded .ogg files', () => {
+        validatePack([createFluid({ sounds: { fill: { event: 'bucket.fill_lava' }, swim: {} } })], [{ texture: TEXTURE }], {}, [{ swim: SOUND }]);
+
+        const invalid = (sounds, message) => assertInvalid([createFluid({ sounds })], message);
+        invalid([], /must map sound kinds to their settings/);
+        invalid({ splash: {} }, /Unknown sound "splash"\. Use one of: fill, empty, enter, swim, ambient/);
+        invalid({ fill: 'bucket.fill_lava' }, /The fill sound must be an object/);
+        invalid({ fill: { event: 'Bucket Fill' } }, /The fill sound event must be a sound event name/);
+        invalid({ fill: { event: 'bucket.fill_lava', volume: 0 } }, /The fill sound volume must be a number above 0/);
+        invalid({ swim: {} }, /The swim sound of test:acid needs a vanilla sound event or an \.ogg file/);
+        assert.throws(() => validatePack([createFluid({ sounds: { swim: {} } })], [{ texture: TEXTURE }], {}, [{ swim: TEXTURE }]),
+            error => error instanceof ValidationError && /The swim sound of test:acid is not an \.ogg file/.test(error.message));
+    });
+
+    test('fills in and checks interaction rules', () => {
+        const fluid = createFluid({ interactions: [{ fluid: ' Minecraft:Lava ', action: 'block', block: 'minecraft:stone' }, { fluid: '*', action: 'stop' }] });
+        validatePack([fluid], [{ texture: TEXTURE }]);
+        assert.deepEqual(fluid.interactions, [
+            { fluid: 'minecraft:lava', when: 'any', action: 'block', block: 'minecraft:stone' },
+            { fluid: '*', when: 'any', action: 'stop' },
+        ]);
+
+        const invalid = (interactions, message) => assertInvalid([createFluid({ interactions })], message);
+        invalid({}, /interactions must be a list of rules/);
+        invalid([null], /Interaction 1 must be an object/);
+        invalid([{ fluid: 'lava', action: 'stop' }], /Interaction 1 must name a fluid ID/);
+        invalid([{ fluid: 'test:acid', action: 'stop' }], /Interaction 1 names the fluid itself/);
+        invalid([{ fluid: '*', when: 'always', action: 'stop' }], /unknown "when" "always"/);
+        invalid([{ fluid: '*', action: 'freeze' }], /unknown action "freeze"\. Use one of: block, stop, consume/);
+        invalid([{ fluid: '*', action: 'block' }], /Interaction 1 must name the block it produces/);
+    });
+
+    test('checks the spread distance and dimension rules', () => {
+        assertInvalid([createFluid({ spreadDistance: 16 })], /Spread Distance must be a whole number from 1 to 15/);
+        const invalid = (dimensions, message) => assertInvalid([createFluid({ dimensions })], message);
+        invalid([], /must map dimensions to their rules/);
+        invalid({ 'minecraft:moon': {} }, /Unknown dimension "minecraft:moon"/);
+        invalid({ 'minecraft:nether': 1 }, /The minecraft:nether rules must be an object/);
+        invalid({ 'minecraft:nether': { spreadDistance: 0 } }, /minecraft:nether spread distance must be a whole number from 1 to 15/);
+        invalid({ 'minecraft:nether': { tickDelay: 0.5 } }, /minecraft:nether tick delay must be a whole number of ticks/);
+        invalid({ 'minecraft:nether': { evaporates: 'yes' } }, /"evaporates" rule must be true or false/);
+    });
+
+    test('checks the drop search radius', () => {
+        const fluid = createFluid({ dropSearchRadius: 4 });
+        validatePack([fluid], [{ texture: TEXTURE }]);
+        assert.match(build({ fluids: [fluid] })['BP/scripts/registry.js'], /"drop_search": 4/);
+        assertInvalid([createFluid({ dropSearchRadius: 9 })], /Drop Search Radius must be a whole number from 0 to 8/);
+        assertInvalid([createFluid({ dropSearchRadius: -1 })], /Drop Search Radius/);
+    });
+
+    test('checks the source mode', () => {
+        assert.match(build({ fluids: [createFluid({ sourceMode: 'infinite' })] })['BP/scripts/registry.js'], /"source_mode": "infinite"/);
+        assert.doesNotMatch(build({ fluids: [createFluid({ sourceMode: 'none' })] })['BP/scripts/registry.js'], /source_mode/);
+        assertInvalid([createFluid({ sourceMode: 'endless' })], /Unknown source mode "endless"\. Use one of: none, infinite, finite/);
+    });
+
+    test('rejects a shared fluid too big to register with the engine', () => {
+        const interactions = Array.from({ length: 40 }, (_, index) =>
+            ({ fluid: `test:other_${index}`, action: 'block', block: 'minecraft:obsidian' }));
+        const fluid = createFluid({ interactions });
+        assert.doesNotThrow(() => validatePack([fluid], [{ texture: TEXTURE }]));
+        assertInvalid([fluid], new RegExp(`of ${MAX_REGISTRATION_LENGTH} characters`), { runtime: 'shared' });
+    });
+
+    test('rejects a tick delay below 1', () => {
+        assertInvalid([createFluid({ tickDelay: 0 })], /Tick Delay must be a whole number of ticks, at least 1/);
+        assertInvalid([createFluid({ tickDelay: 2.5 })], /Tick Delay/);
+    });
+
+    test('rejects an animation speed below 1 tick per frame', () => {
+        assertInvalid([createFluid({ ticksPerFrame: 0 })], /Animation speeds must be whole numbers/);
+        assertInvalid([createFluid({ flowingTicksPerFrame: 1.5 })], /Animation speeds must be whole numbers/);
+    });
+
+    test('fills in and checks texture designs', () => {
+        const fluid = createFluid({ textureDesign: { noise: 'ripples' } });
+        assert.doesNotThrow(() => validatePack([fluid], [{ bucketTexture: BUCKET_TEXTURE }]));
+        assert.deepEqual(fluid.textureDesign, { ...DEFAULT_TEXTURE_DESIGN, noise: 'ripples' });
+        assertInvalid([createFluid({ textureDesign: 'water' })], /texture design must be an object/);
+        assertInvalid([createFluid({ textureDesign: { baseColor: 'blue' } })], /colors must be hex colors/);
+        assertInvalid([createFluid({ textureDesign: { noise: 'waves' } })], /Unknown texture noise "waves"/);
+        assertInvalid([createFluid({ textureDesign: { frames: 33 } })], /frames must be a whole number from 1 to 32/);
+        assertInvalid([createFluid({ textureDesign: { size: 24 } })], /size must be one of: 16, 32, 64/);
+    });
+
+    test('rejects an unknown surface', () => {
+        assertInvalid([createFluid({ surface: 'wavy' })], /Unknown surface "wavy"\. Use one of: flat, sloped/);
+    });
+
+    test('rejects custom models for unknown levels, or without the bones the block controls', () => {
+        assertInvalid([createFluid({ customGeometry: [] })], /must map fluid levels \(1-8\) to models/);
+        assertInvalid([createFluid({ customGeometry: { 9: createModel(8) } })], /levels 1 to 8, not "9"/);
+        assertInvalid([createFluid({ customGeometry: { 7: {} } })], /level 7 of test:acid is not a geometry file with bones/);
+        assertInvalid([createFluid({ customGeometry: { 7: createModel(8) } })], /level 7 of test:acid is missing the bones north_half, east_half, west_half, south_half/);
+        assertInvalid([createFluid({ surface: 'sloped', customGeometry: { 8: createModel(8) } })], /missing the bones up_sloped, up_sloped_diagonal/);
+    });
+
+    test('rejects a malformed pack version or seed', () => {
+        assertInvalid([createFluid()], /Pack Version/, { packVersion: 'one' });
+        assertInvalid([createFluid()], /Pack Seed must be a string/, { seed: 42 });
+    });
+
+    test('rejects a malformed or reserved namespace', () => {
+        assertInvalid([createFluid()], /Namespace must be a string/, { namespace: 1 });
+        assertInvalid([createFluid()], /Namespace contains invalid characters/, { namespace: 'My Addon' });
+        assertInvalid([createFluid()], /namespace is reserved/, { namespace: 'minecraft' });
+    });
+
+    test('rejects an unsupported Minecraft version', () => {
+        assertInvalid([createFluid()], /Unsupported Minecraft version "1\.19\.0"/, { targetVersion: '1.19.0' });
+        assert.throws(() => buildEnginePackFiles({}, { targetVersion: '1.19.0' }), ValidationError);
+    });
+
+    test('rejects an unknown runtime', () => {
+        assertInvalid([createFluid()], /Unknown runtime "remote"/, { runtime: 'remote' });
+    });
+
+    test('rejects a malformed bucket color', () => {
+        assertInvalid([createFluid({ bucketColor: '#fff' })], /Bucket Color must be a hex color/);
+    });
+
+    test('rejects textures of unsupported sizes', () => {
+        assert.throws(() => validatePack([createFluid()], [{ texture: createTexture([0, 0, 0, 255], 24) }]),
+            error => error instanceof ValidationError && /Still Fluid Texture of test:acid must be a power of two wide/.test(error.message));
+        assert.throws(() => validatePack([createFluid()], [{ texture: TEXTURE, bucketTexture: createTexture([0, 0, 0, 255], 16, 32) }]),
+            /Bucket Texture of test:acid must be square/);
+    });
+
+    test('rejects a missing still texture, but not a missing bucket texture', () => {
+        assert.doesNotThrow(() => validatePack([createFluid()], [{ texture: TEXTURE }]));
+        assert.throws(() => validatePack([createFluid()], []), /Still Fluid Texture/);
+    });
+});
+
+describe('normalizeProject', () => {
+    test('wraps a single fluid in a project', () => {
+        const settings = {
+            packName: 'Test', packVersion: '1.0.1', seed: 'acids', namespace: 'acids', runtime: 'shared', targetVersion: '1.20.60',
+        };
+        const project = normalizeProject({ ...createFluid(), ...settings });
+        assert.deepEqual(project, { ...settings, fluids: [project.fluids[0]] });
+        assert.equal(project.fluids[0].id, 'test:acid');
+    });
+
+    test('keeps a project with a list of fluids', () => {
+        const project = normalizeProject({ packName: 'Test', fluids: [createFluid()] });
+        assert.deepEqual(project.fluids, [createFluid()]);
+    });
+
+    test('rejects fluids that are not a list of objects', () => {
+        assert.throws(() => normalizeProject({ fluids: {} }), /must be a list of fluid configurations/);
+        assert.throws(() => normalizeProject({ fluids: [null] }), /Each fluid must be a JSON object/);
+    });
+
+    test('rejects a config that is not an object', () => {
+        assert.throws(() => normalizeProject([createFluid()]), ValidationError);
+        assert.throws(() => normalizeProject(null), /must be a JSON object/);
+    });
+});
@@ -0,0 +1,143 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { buildPackFiles, createPackZip, validatePack } = require('../index.js');
+const { FluidGeometryGenerator, createCustomGeometryModel } = require('../js/geometry_generator.js');
+const { parseRegistrySource, parseRegistryNamespace, importFluidPack } = require('../js/pack_importer.js');
+const { createTexture, createFluid } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+const BUCKET_TEXTURE = createTexture([51, 255, 0, 255]);
+
+/** A fluid with every setting the importer recovers changed from its default. */
+const CUSTOM_FLUID = createFluid({
+    name: 'Liquid Bismuth', id: 'test:liquid_bismuth', fogColor: '#aa00ff', buoyancy: -0.02, damage: 2,
+    lightLevel: 7, tickDelay: 10, effect: 'poison', burnsEntities: true, supportsBoats: false,
+    surface: 'sloped', sounds: { fill: { event: 'bucket.fill_lava', volume: 0.8 } },
+    spreadDistance: 5, dropSearchRadius: 4, sourceMode: 'finite', dimensions: { 'minecraft:nether': { spreadDistance: 9, tickDelay: 3 }, 'minecraft:the_end': { evaporates: true } },
+    interactions: [{ fluid: 'minecraft:water', when: 'flow', action: 'block', block: 'minecraft:cobblestone' }, { fluid: '*', action: 'stop' }],
+    fog: { air: { start: 2, end: 6, density: 0.4, scattering: 0.02, absorption: [0.3, 0.1, 0.05] }, water: { end: 0.5, renderDistanceType: 'render' } },
+    customGeometry: {
+        7: createCustomGeometryModel({
+            format_version: '1.12.0', 'minecraft:geometry': [new FluidGeometryGenerator(16, 'sloped').createGeometryForLevel(7)],
+        }, 'test:liquid_bismuth', 7),
+    },
+});
+
+/**
+ * Builds the file map of a pack.
+ * @param {object[]} fluids The fluid configurations.
+ * @param {object} [settings] The pack-level settings.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>}
+ */
+function build(fluids, settings = {}) {
+    const project = { packName: 'Test', ...settings, fluids };
+    return buildPackFiles(project, { textures: fluids.map(() => ({ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE })) });
+}
+
+/**
+ * Zips a file map into an .mcaddon.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @returns {Promise<Uint8Array>}
+ */
+function zip(files) {
+    return createPackZip(files).generateAsync({ type: 'uint8array' });
+}
+
+describe('importFluidPack', () => {
+    test('recovers the project of a generated pack', async () => {
+        const expected = { ...CUSTOM_FLUID };
+        validatePack([expected], [{ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }]);
+
+        const settings = { packVersion: '1.2.3', namespace: 'acids', targetVersion: '1.20.60' };
+        const files = build([createFluid(), CUSTOM_FLUID], settings);
+        const { project, assets, issues } = await importFluidPack(await zip(files));
+        assert.deepEqual(issues, []);
+        assert.equal(project.packName, 'Test');
+        assert.equal(project.namespace, 'acids');
+        assert.equal(project.targetVersion, '1.20.60');
+        assert.deepEqual(project.packVersion, [1, 2, 4]);
+        assert.deepEqual(project.fluids.map(config => config.id), ['test:acid', 'test:liquid_bismuth']);
+        const imported = project.fluids[1];
+        assert.deepEqual(imported, Object.fromEntries(Object.keys(imported).map(key => [key, expected[key]])));
+        assert.deepEqual(assets.textures[1], { texture: TEXTURE, bucketTexture: BUCKET_TEXTURE });
+        assert.ok(assets.packIcon);
+    });
+
+    test('recovers the animation speeds of sprite strips', async () => {
+        const strip = createTexture([51, 255, 0, 200], 16, 64);
+        const fluid = createFluid({ ticksPerFrame: 3, flowingTicksPerFrame: 4 });
+        const files = buildPackFiles({ fluids: [fluid] }, { textures: [{ texture: strip, bucketTexture: BUCKET_TEXTURE }] });
+        const { project, issues } = await importFluidPack(await zip(files));
+        assert.deepEqual(issues, []);
+        assert.equal(project.fluids[0].ticksPerFrame, 3);
+        assert.equal(project.fluids[0].flowingTicksPerFrame, 4);
+    });
+
+    test('recovers uploaded sounds', async () => {
+        const sound = new Uint8Array([...Buffer.from('OggS'), 0, 2]);
+        const fluid = createFluid({ sounds: { swim: { pitch: 1.5 }, ambient: {} } });
+        const files = buildPackFiles({ fluids: [fluid] }, {
+            textures: [{ texture: TEXTURE, bucketTexture: BUCKET_TEXTURE }], sounds: [{ swim: sound, ambient: sound }],
+        });
+        delete files['RP/sounds/fluids/test_acid/ambient.ogg'];
+        const { project, assets, issues } = await importFluidPack(await zip(files));
+        assert.deepEqual(project.fluids[0].sounds, { swim: { pitch: 1.5 } });
+        assert.deepEqual(assets.sounds, [{ swim: sound }]);
+        assert.deepEqual(issues.map(issue => issue.message), ['test:acid: the ambient sound is missing and must be selected again.']);
+    });
+
+    test('reports hand edits and missing files as issues', async () => {
+        const files = build([createFluid()]);
+        const block = JSON.parse(files['BP/blocks/test_acid.json']);
+        block['minecraft:block'].components['minecraft:friction'] = 0.9;
+        files['BP/blocks/test_acid.json'] = JSON.stringify(block);
+        files['BP/scripts/registry.js'] = files['BP/scripts/registry.js'].replace('"fog"', '"custom": 1, "interactions": 5, "source_mode": "endless", "fog"');
+        delete files['RP/textures/blocks/test_acid.png'];
+        delete files['RP/textures/items/test_acid_bucket.png'];
+
+        const { issues } = await importFluidPack(await zip(files));
+        const messages = issues.map(issue => `${issue.severity} ${issue.path}: ${issue.message}`);
+        assert.ok(messages.some(message => /^warning BP\/blocks\/test_acid\.json: .*does not match/.test(message)), messages.join('\n'));
+        assert.ok(messages.some(message => /^warning .*"custom" is not supported/.test(message)), messages.join('\n'));
+        assert.ok(messages.some(message => /^warning .*interactions could not be read \(The interactions must be a list of rules\.\) and were dropped/.test(message)), messages.join('\n'));
+        assert.ok(messages.some(message => /^warning .*source mode "endless" is not supported/.test(message)), messages.join('\n'));
+        assert.ok(messages.some(message => /^error .*still texture is missing/.test(message)), messages.join('\n'));
+        assert.ok(messages.some(message => /^warning .*bucket texture is missing, so one will be composited/.test(message)), messages.join('\n'));
+    });
+
+    test('warns when the UUIDs were not derived from the fluid IDs', async () => {
+        const { issues } = await importFluidPack(await zip(build([createFluid()], { seed: 'acids' })));
+        assert.match(issues.map(issue => issue.message).join('\n'), /UUIDs were not derived from its fluid IDs/);
+    });
+
+    test('finds a pack zipped inside another folder', async () => {
+        const files = build([createFluid()]);
+        const nested = Object.fromEntries(Object.entries(files).map(([filePath, content]) => [`Acid/${filePath}`, content]));
+        const { project, issues } = await importFluidPack(await zip(nested));
+        assert.deepEqual(issues, []);
+        assert.equal(project.fluids[0].id, 'test:acid');
+    });
+
+    test('rejects files that are not generated packs', async () => {
+        await assert.rejects(importFluidPack(new Uint8Array([1, 2, 3])), /not a valid \.mcaddon/);
+        const other = new JSZip().file('BP/manifest.json', '{}');
+        await assert.rejects(importFluidPack(await other.generateAsync({ type: 'uint8array' })), /No scripts\/registry\.js/);
+    });
+});
+
+describe('parseRegistrySource', () => {
+    test('accepts hand-written registries', () => {
+        const source = `export const FluidRegistry = {\n  // acid\n  'test:acid': { damage: 1, fog: '33ff00', },\n};`;
+        assert.deepEqual(parseRegistrySource(source), { 'test:acid': { damage: 1, fog: '33ff00' } });
+    });
+
+    test('reads the namespace of packs that have one', () => {
+        assert.equal(parseRegistryNamespace('export const FLUID_NAMESPACE = "acids";'), 'acids');
+        assert.equal(parseRegistryNamespace('export const FluidRegistry = {};'), undefined);
+    });
+
+    test('rejects a file without a registry', () => {
+        assert.throws(() => parseRegistrySource('export const Other = {};'), /No "FluidRegistry" export/);
+    });
+});
@@ -0,0 +1,163 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPackFiles, lintPackFiles, assertPackValid, validateSchema, PackLintError } = require('../index.js');
+const { createTexture, createFluid } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+
+/**
+ * Builds a valid pack with one fluid.
+ * @returns {Object.<string, string|ArrayBuffer|Uint8Array>}
+ */
+function build() {
+    return buildPackFiles({ fluids: [createFluid()] }, { textures: [{ texture: TEXTURE, bucketTexture: TEXTURE }] });
+}
+
+/**
+ * Changes a JSON file of a file map.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @param {string} filePath The file's path.
+ * @param {(json: object) => void} edit Changes the parsed JSON in place.
+ */
+function editJson(files, filePath, edit) {
+    const json = JSON.parse(files[filePath]);
+    edit(json);
+    files[filePath] = JSON.stringify(json);
+}
+
+/**
+ * Lists the issues of a pack as `severity path: message` lines.
+ * @param {Object.<string, string|ArrayBuffer|Uint8Array>} files The file map.
+ * @returns {string[]}
+ */
+function lint(files) {
+    return lintPackFiles(files).map(issue => `${issue.severity} ${issue.path}: ${issue.message}`);
+}
+
+/**
+ * Asserts that one of the issues matches a pattern.
+ * @param {string[]} issues The issues from `lint`.
+ * @param {RegExp} pattern The pattern.
+ */
+function assertIssue(issues, pattern) {
+    assert.ok(issues.some(issue => pattern.test(issue)), `No issue matches ${pattern}:\n${issues.join('\n')}`);
+}
+
+describe('lintPackFiles', () => {
+    test('accepts a generated pack', () => {
+        assert.deepEqual(lint(build()), []);
+    });
+
+    test('reports files that break their schema or are not JSON', () => {
+        const files = build();
+        editJson(files, 'BP/blocks/test_acid.json', json => { json.format_version = 1; });
+        files['RP/blocks.json'] = '{';
+        const issues = lint(files);
+        assertIssue(issues, /^error BP\/blocks\/test_acid\.json: \/format_version must be string, but is integer/);
+        assertIssue(issues, /^error RP\/blocks\.json: File is not valid JSON/);
+    });
+
+    test('reports reserved, long and duplicate identifiers', () => {
+        const files = build();
+        editJson(files, 'BP/blocks/test_acid.json', json => {
+            json['minecraft:block'].description.identifier = 'minecraft:acid';
+        });
+        files['BP/blocks/copy.json'] = files['BP/blocks/test_acid.json'];
+        editJson(files, 'BP/items/test_acid_bucket.json', json => {
+            json['minecraft:item'].description.identifier = `test:${'a'.repeat(70)}`;
+        });
+        const issues = lint(files);
+        assertIssue(issues, /^error BP\/blocks\/test_acid\.json: "minecraft:acid" uses the reserved "minecraft" namespace/);
+        assertIssue(issues, /^error BP\/blocks\/copy\.json: "minecraft:acid" is also defined in BP\/blocks\/test_acid\.json/);
+        assertIssue(issues, /^warning BP\/items\/test_acid_bucket\.json: .* is 75 characters long/);
+    });
+
+    test('reports blocks with more combinations of block states than Minecraft allows', () => {
+        const files = build();
+        editJson(files, 'BP/blocks/test_acid.json', json => {
+            json['minecraft:block'].description.states['lumstudio:extra'] = Array.from({ length: 16 }, (_, i) => i);
+        });
+        assertIssue(lint(files), /^error BP\/blocks\/test_acid\.json: The block states have 373248 combinations, more than the 65536 Minecraft allows/);
+    });
+
+    test('reports textures and geometries that are not in the pack', () => {
+        const files = build();
+        delete files['RP/textures/blocks/test_acid.png'];
+        delete files['RP/models/blocks/fluid.geo.json'];
+        editJson(files, 'RP/textures/item_texture.json', json => { json.texture_data = {}; });
+        const issues = lint(files);
+        assertIssue(issues, /^error RP\/textures\/terrain_texture\.json: The texture "test_acid" points at "textures\/blocks\/test_acid"/);
+        assertIssue(issues, /^error BP\/blocks\/test_acid\.json: The geometry ".*" is not defined/);
+        assertIssue(issues, /^error BP\/items\/test_acid_bucket\.json: The icon "test_acid_bucket" is not defined/);
+    });
+
+    test('reports sound events whose sound files are not in the pack', () => {
+        const files = buildPackFiles({ fluids: [createFluid({ sounds: { swim: {} } })] }, {
+            textures: [{ texture: TEXTURE, bucketTexture: TEXTURE }], sounds: [{ swim: Buffer.from('OggS') }],
+        });
+        assert.deepEqual(lint(files), []);
+        delete files['RP/sounds/fluids/test_acid/swim.ogg'];
+        assertIssue(lint(files), /^error RP\/sounds\/sound_definitions\.json: The sound event "fluid\.test_acid\.swim" points at "sounds\/fluids\/test_acid\/swim"/);
+    });
+
+    test('warns when a fluid mixes texture resolutions', () => {
+        const files = buildPackFiles({ fluids: [createFluid()] }, {
+            textures: [{ texture: TEXTURE, bucketTexture: createTexture([51, 255, 0, 200], 32) }],
+        });
+        assertIssue(lint(files), /^warning BP\/blocks\/test_acid\.json: .*different resolutions \(test_acid 16px, .*test_acid_bucket 32px\)/);
+    });
+
+    test('reports fluid geometries missing bones the block shows and hides', () => {
+        const files = build();
+        editJson(files, 'RP/models/blocks/fluid.geo.json', json => {
+            const geometry = json['minecraft:geometry'].find(({ description }) => description.identifier === 'geometry.fluid.3');
+            geometry.bones = geometry.bones.filter(bone => bone.name !== 'west_half').concat({ name: 'bubbles', parent: 'fluid' });
+        });
+        const issues = lint(files);
+        assertIssue(issues, /^error RP\/models\/blocks\/fluid\.geo\.json: The geometry "geometry\.fluid\.3" has no bones named west_half/);
+        assertIssue(issues, /^warning RP\/models\/blocks\/fluid\.geo\.json: The geometry "geometry\.fluid\.3" has bones the fluid does not control \(bubbles\)/);
+    });
+
+    test('reports a behavior pack without its resource pack or script entry', () => {
+        const files = build();
+        editJson(files, 'BP/manifest.json', json => {
+            json.dependencies = json.dependencies.filter(dependency => !dependency.uuid);
+        });
+        delete files['BP/scripts/main.js'];
+        const issues = lint(files);
+        assertIssue(issues, /^error BP\/manifest\.json: The behavior pack does not depend on the resource pack/);
+        assertIssue(issues, /^error BP\/manifest\.json: The script entry "scripts\/main\.js" is not in the pack/);
+    });
+});
+
+describe('assertPackValid', () => {
+    test('throws every issue when there are errors', () => {
+        const files = build();
+        delete files['RP/models/blocks/fluid.geo.json'];
+        assert.throws(() => assertPackValid(files), error => error instanceof PackLintError && error.issues.length > 0);
+        assert.deepEqual(assertPackValid(build()), []);
+    });
+});
+
+describe('validateSchema', () => {
+    test('checks types, enums, ranges and required properties', () => {
+        const schema = {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                size: { type: 'integer', minimum: 1, maximum: 4 },
+                mode: { enum: ['a', 'b'] },
+                tags: { type: 'array', maxItems: 1, items: { type: 'string' } },
+            },
+        };
+        assert.deepEqual(validateSchema({ name: 'x', size: 2, mode: 'a', tags: ['t'] }, schema), []);
+        assert.deepEqual(validateSchema({ size: 5, mode: 'c', tags: [1, 'u'] }, schema), [
+            '(root) is missing "name".',
+            '/size must be at most 4.',
+            '/mode must be one of "a", "b", but is "c".',
+            '/tags must have at most 1 item(s).',
+            '/tags/0 must be string, but is integer.',
+        ]);
+    });
+});
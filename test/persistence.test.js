@@ -0,0 +1,98 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+describe('LocationSet', () => {
+    test('keeps location strings by region and remembers the regions that changed', async () => {
+        const { LocationSet } = await importEngineScript('persistence.js');
+        const locations = new LocationSet(['1,64,2,minecraft:overworld', '300,64,-5,minecraft:overworld']);
+        assert.equal(locations.size, 2);
+        assert.deepEqual([...locations.takeChangedRegions()].sort(), ['minecraft:overworld/0,0', 'minecraft:overworld/1,-1']);
+        assert.deepEqual([...locations.changedRegions], []);
+
+        locations.add('1,64,2,minecraft:overworld');
+        assert.deepEqual([...locations.changedRegions], []);
+        locations.add('0,40,0,minecraft:nether');
+        assert.equal(locations.delete('300,64,-5,minecraft:overworld'), true);
+        assert.equal(locations.delete('300,64,-5,minecraft:overworld'), false);
+        assert.deepEqual([...locations.takeChangedRegions()].sort(), ['minecraft:nether/0,0', 'minecraft:overworld/1,-1']);
+
+        assert.equal(locations.size, 2);
+        assert.ok(locations.has('0,40,0,minecraft:nether'));
+        assert.deepEqual([...locations.getRegion('minecraft:overworld/0,0')], ['1,64,2,minecraft:overworld']);
+        assert.deepEqual([...locations.getRegion('minecraft:overworld/1,-1')], []);
+        assert.deepEqual([...locations].sort(), ['0,40,0,minecraft:nether', '1,64,2,minecraft:overworld']);
+    });
+});
+
+describe('saveFluidState', () => {
+    test('saves the regions that changed, and restores them', async () => {
+        const { world } = await importMinecraftStub();
+        const { LocationSet, saveFluidState, loadFluidState } = await importEngineScript('persistence.js');
+        world.clearDynamicProperties();
+
+        const activeBlocks = new LocationSet(['1,64,2,minecraft:overworld', '300,64,-5,minecraft:overworld', '0,40,0,minecraft:nether']);
+        const queuedBlocks = new Map([['test:acid', new LocationSet(['1,64,2,minecraft:overworld'])]]);
+        saveFluidState(activeBlocks, queuedBlocks);
+        assert.deepEqual(world.getDynamicPropertyIds().sort(), [
+            'fluid_state/minecraft:nether/0,0/0',
+            'fluid_state/minecraft:overworld/0,0/0',
+            'fluid_state/minecraft:overworld/1,-1/0',
+        ]);
+
+        const loaded = loadFluidState();
+        assert.deepEqual(loaded.activeBlocks.sort(), [...activeBlocks].sort());
+        assert.deepEqual(loaded.queuedBlocks, new Map([['test:acid', ['1,64,2,minecraft:overworld']]]));
+
+        // Only the changed regions are written, and regions without fluid are removed.
+        world.setDynamicProperty('fluid_state/minecraft:nether/0,0/0', 'untouched');
+        activeBlocks.delete('300,64,-5,minecraft:overworld');
+        saveFluidState(activeBlocks, queuedBlocks);
+        assert.deepEqual(world.getDynamicPropertyIds().sort(), [
+            'fluid_state/minecraft:nether/0,0/0',
+            'fluid_state/minecraft:overworld/0,0/0',
+        ]);
+        assert.equal(world.getDynamicProperty('fluid_state/minecraft:nether/0,0/0'), 'untouched');
+    });
+
+    test('splits large regions over several properties and removes the parts they no longer need', async () => {
+        const { world } = await importMinecraftStub();
+        const { LocationSet, saveFluidState, loadFluidState } = await importEngineScript('persistence.js');
+        world.clearDynamicProperties();
+
+        const locationStrings = Array.from({ length: 5000 }, (_, i) => `${i % 256},${Math.floor(i / 256)},0,minecraft:the_end`);
+        const activeBlocks = new LocationSet(locationStrings);
+        saveFluidState(activeBlocks, new Map());
+        const propertyIds = world.getDynamicPropertyIds();
+        assert.ok(propertyIds.length > 1);
+        assert.ok(propertyIds.every(id => world.getDynamicProperty(id).length <= 32000));
+        assert.deepEqual(loadFluidState().activeBlocks, locationStrings);
+
+        for (const locationString of locationStrings.slice(1)) activeBlocks.delete(locationString);
+        saveFluidState(activeBlocks, new Map());
+        assert.deepEqual(world.getDynamicPropertyIds(), ['fluid_state/minecraft:the_end/0,0/0']);
+    });
+});
+
+describe('loadFluidState', () => {
+    test('drops and removes regions whose saved state is damaged', async () => {
+        const { world } = await importMinecraftStub();
+        const { loadFluidState } = await importEngineScript('persistence.js');
+        world.clearDynamicProperties();
+        world.setDynamicProperty('fluid_state/minecraft:overworld/5,0/0', '{"active": ["1300,2,3"]}');
+        world.setDynamicProperty('fluid_state/minecraft:overworld/6,0/1', '{"active": []}');
+        world.setDynamicProperty('fluid_state/minecraft:nether/5,0/0', '{"active": [');
+
+        const warn = console.warn;
+        const warnings = [];
+        console.warn = (message) => warnings.push(message);
+        try {
+            assert.deepEqual(loadFluidState().activeBlocks, ['1300,2,3,minecraft:overworld']);
+        } finally {
+            console.warn = warn;
+        }
+        assert.equal(warnings.length, 2);
+        assert.ok(warnings.every(message => /is damaged and was dropped/.test(message)));
+        assert.deepEqual(world.getDynamicPropertyIds(), ['fluid_state/minecraft:overworld/5,0/0']);
+    });
+});
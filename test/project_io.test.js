@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PROJECT_SCHEMA_VERSION, bytesToBase64, pngToDataUrl, dataUrlToBytes, isDataUrl,
+    serializeProject, migrateProject, extractProjectAssets, encodeProjectHash, decodeProjectHash,
+} = require('../js/project_io.js');
+const { createTexture, createFluid } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+
+describe('data URLs', () => {
+    test('round-trip binary data', () => {
+        const bytes = new Uint8Array(0x10000).map((_, index) => index % 251);
+        assert.equal(bytesToBase64(bytes), Buffer.from(bytes).toString('base64'));
+        const dataUrl = pngToDataUrl(bytes);
+        assert.ok(isDataUrl(dataUrl));
+        assert.deepEqual(dataUrlToBytes(dataUrl), bytes);
+    });
+
+    test('reject strings that are not base64 data URLs', () => {
+        assert.equal(isDataUrl('textures/acid.png'), false);
+        assert.throws(() => dataUrlToBytes('data:image/png,abc'), /not a base64 data URL/);
+    });
+});
+
+describe('project files', () => {
+    test('round-trip the settings and textures', () => {
+        const project = { packName: 'Acids', fluids: [createFluid(), createFluid({ id: 'test:oil' })] };
+        const saved = serializeProject(project, { packIcon: TEXTURE, textures: [{ texture: TEXTURE }, {}] });
+        assert.equal(saved.schemaVersion, PROJECT_SCHEMA_VERSION);
+
+        const loaded = extractProjectAssets(migrateProject(JSON.parse(JSON.stringify(saved))));
+        assert.deepEqual(loaded.project, project);
+        assert.deepEqual(loaded.assets.textures, [{ texture: TEXTURE }, {}]);
+        assert.deepEqual(loaded.assets.packIcon, TEXTURE);
+    });
+
+    test('round-trip uploaded sounds', () => {
+        const sound = new Uint8Array([...Buffer.from('OggS'), 0, 2]);
+        const project = { packName: 'Acids', fluids: [createFluid({ sounds: { fill: { event: 'bucket.fill_lava' }, swim: { pitch: 1.5 } } })] };
+        const saved = serializeProject(project, { textures: [{}], sounds: [{ swim: sound }] });
+        assert.match(saved.fluids[0].sounds.swim.file, /^data:audio\/ogg;base64,/);
+        assert.equal(saved.fluids[0].sounds.fill.file, undefined);
+
+        const loaded = extractProjectAssets(migrateProject(JSON.parse(JSON.stringify(saved))));
+        assert.deepEqual(loaded.project, project);
+        assert.deepEqual(loaded.assets.sounds, [{ swim: sound }]);
+    });
+
+    test('migrate an unversioned config', () => {
+        const project = migrateProject(createFluid({ packName: 'Acids' }));
+        assert.equal(project.schemaVersion, PROJECT_SCHEMA_VERSION);
+        assert.equal(project.packName, 'Acids');
+        assert.equal(project.fluids[0].id, 'test:acid');
+    });
+
+    test('reject files from a newer generator or without fluids', () => {
+        assert.throws(() => migrateProject({ schemaVersion: PROJECT_SCHEMA_VERSION + 1, fluids: [] }), /newer version/);
+        assert.throws(() => migrateProject({ schemaVersion: -1, fluids: [] }), /Unknown project schema version/);
+        assert.throws(() => migrateProject({ schemaVersion: PROJECT_SCHEMA_VERSION, fluids: {} }), /list of fluids/);
+        assert.throws(() => migrateProject([]), /must contain a JSON object/);
+        assert.throws(() => migrateProject({ schemaVersion: PROJECT_SCHEMA_VERSION, fluids: [null] }), /Each fluid in the project file must be a JSON object/);
+    });
+});
+
+describe('share links', () => {
+    test('round-trip a project without its textures and custom models', () => {
+        const fluid = createFluid({ textures: { texture: 'data:' }, customGeometry: { 7: { format_version: '1.12.0' } } });
+        const hash = encodeProjectHash({ packName: 'Äcids', fluids: [fluid] });
+        assert.match(hash, /^#project=[\w-]+$/);
+        const project = decodeProjectHash(hash);
+        assert.equal(project.packName, 'Äcids');
+        assert.deepEqual(project.fluids, [createFluid()]);
+    });
+
+    test('keep vanilla sounds and drop uploaded ones', () => {
+        const withVanilla = createFluid({ sounds: { fill: { event: 'bucket.fill_lava' }, swim: { file: 'data:' } } });
+        const withUploads = createFluid({ id: 'test:oil', sounds: { swim: { file: 'data:' } } });
+        const project = decodeProjectHash(encodeProjectHash({ fluids: [withVanilla, withUploads] }));
+        assert.deepEqual(project.fluids, [
+            createFluid({ sounds: { fill: { event: 'bucket.fill_lava' } } }),
+            createFluid({ id: 'test:oil' }),
+        ]);
+    });
+
+    test('ignore hashes without a project and reject broken ones', () => {
+        assert.equal(decodeProjectHash('#other=1'), null);
+        assert.throws(() => decodeProjectHash('#project=not-json'), /does not contain a valid project/);
+    });
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { importEngineScript, importMinecraftStub } = require('./fixtures.js');
+
+test('holds restored blocks back until their chunk is loaded', async () => {
+    const { world, runTicks } = await importMinecraftStub();
+    const { FluidQueue } = await importEngineScript('queue.js');
+    const dimension = world.getDimension('overworld');
+    dimension.setBlockType({ x: 0, y: 64, z: 0 }, 'test:queued');
+    dimension.unloaded.add('0,64,0');
+
+    const updated = [];
+    const queue = new FluidQueue(block => updated.push(block.location), 'test:queued', () => 5);
+    queue.restore('0,64,0,minecraft:overworld');
+    assert.deepEqual([...queue.pendingLocations], ['0,64,0,minecraft:overworld']);
+    queue.run(10);
+
+    runTicks(5);
+    assert.deepEqual(updated, []);
+    assert.deepEqual([...queue.pendingLocations], ['0,64,0,minecraft:overworld']);
+
+    dimension.unloaded.clear();
+    runTicks(5);
+    assert.deepEqual(updated, [{ x: 0, y: 64, z: 0 }]);
+    assert.deepEqual([...queue.pendingLocations], []);
+});
+
+test('keeps the blocks it has no room for in an interval queued for the next ones', async () => {
+    const { world, runTicks } = await importMinecraftStub();
+    const { FluidQueue } = await importEngineScript('queue.js');
+    const dimension = world.getDimension('nether');
+    const blocks = [0, 1, 2].map((x) => {
+        dimension.setBlockType({ x, y: 64, z: 0 }, 'test:slow');
+        return dimension.getBlock({ x, y: 64, z: 0 });
+    });
+
+    const updated = [];
+    const queue = new FluidQueue(block => updated.push(block.location.x), 'test:slow', () => 1);
+    for (const block of blocks) queue.add(block);
+    queue.run(1);
+
+    runTicks(1);
+    assert.deepEqual(updated, [0]);
+    runTicks(2);
+    assert.deepEqual(updated, [0, 1, 2]);
+    assert.deepEqual([...queue.pendingLocations], []);
+});
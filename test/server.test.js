@@ -0,0 +1,110 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { app } = require('../server.js');
+const { createTexture, createFluid } = require('./fixtures.js');
+
+const TEXTURE = createTexture([51, 255, 0, 200]);
+
+/** @type {import('http').Server} */
+let server;
+/** @type {string} */
+let baseUrl;
+
+before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Posts a config and files to an endpoint as multipart form data.
+ * @param {string} endpoint The path, e.g. `/api/validate`.
+ * @param {*} config The `config` field, serialized as JSON unless it is a string.
+ * @param {Object.<string, Uint8Array>} [uploads] The uploaded files, by field name.
+ * @returns {Promise<Response>}
+ */
+function post(endpoint, config, uploads = { texture: TEXTURE, bucketTexture: TEXTURE }) {
+    const form = new FormData();
+    form.append('config', typeof config === 'string' ? config : JSON.stringify(config));
+    for (const [field, content] of Object.entries(uploads)) {
+        form.append(field, new Blob([content]), `${field}.png`);
+    }
+    return fetch(`${baseUrl}${endpoint}`, { method: 'POST', body: form });
+}
+
+describe('POST /api/validate', () => {
+    test('summarizes a valid fluid', async () => {
+        const response = await post('/api/validate', createFluid());
+        assert.equal(response.status, 200);
+        const body = await response.json();
+        assert.equal(body.valid, true);
+        assert.equal(body.packName, 'Acid Fluid Pack');
+        assert.deepEqual(body.fluids, ['test:acid']);
+        assert.deepEqual(body.issues.filter(issue => issue.severity === 'error'), []);
+    });
+
+    test('reports an invalid fluid as a bad request', async () => {
+        const response = await post('/api/validate', createFluid({ id: 'acid' }));
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /must include a namespace/);
+    });
+
+    test('reports a fluid that is not an object as a bad request', async () => {
+        const response = await post('/api/validate', { fluids: [null] });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Each fluid must be a JSON object/);
+    });
+
+    test('reports a config that is not JSON as a bad request', async () => {
+        const response = await post('/api/validate', '{ "fluids": ');
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /not valid JSON/);
+    });
+
+    test('reports a file for a fluid that is not in the config', async () => {
+        const response = await post('/api/validate', createFluid(), { texture_1: TEXTURE });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /does not match any fluid/);
+    });
+});
+
+describe('POST /api/generate', () => {
+    test('responds with the .mcaddon', async () => {
+        const uploads = { texture_0: TEXTURE, bucketTexture_0: TEXTURE };
+        const response = await post('/api/generate', { packName: 'Test', fluids: [createFluid()] }, uploads);
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-disposition'), /filename="Test_Addon\.mcaddon"/);
+        const content = Buffer.from(await response.arrayBuffer());
+        assert.equal(content.subarray(0, 2).toString(), 'PK');
+    });
+
+    test('packs uploaded sounds', async () => {
+        const uploads = { texture_0: TEXTURE, swimSound_0: Buffer.from('OggS') };
+        const response = await post('/api/generate', { fluids: [createFluid({ sounds: { swim: {} } })] }, uploads);
+        assert.equal(response.status, 200);
+        const zip = await JSZip.loadAsync(await response.arrayBuffer());
+        assert.ok(zip.file('RP/sounds/fluids/test_acid/swim.ogg'));
+    });
+
+    test('reports a missing texture as a bad request', async () => {
+        const response = await post('/api/generate', createFluid(), {});
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Still Fluid Texture/);
+    });
+});
+
+test('GET /api/engine responds with the shared fluid engine pack', async () => {
+    const response = await fetch(`${baseUrl}/api/engine`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /filename="Fluid_Engine\.mcaddon"/);
+    assert.equal(Buffer.from(await response.arrayBuffer()).subarray(0, 2).toString(), 'PK');
+});
+
+test('responds to unknown routes with a JSON error', async () => {
+    const response = await fetch(`${baseUrl}/api/unknown`);
+    assert.equal(response.status, 404);
+    assert.match((await response.json()).error, /Not found/);
+});
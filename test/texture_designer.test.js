@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTextureDesign, synthesizeDesignTextures } = require('../js/texture_designer.js');
+const { readPngSize, getFrameCount } = require('../js/texture_tools.js');
+
+test('renders the frames of a design from top to bottom', () => {
+    const { width, height, pixels } = renderTextureDesign({ size: 32, frames: 4, noise: 'ripples' }, 'still');
+    assert.equal(width, 32);
+    assert.equal(height, 128);
+    assert.equal(pixels.length, 32 * 128 * 4);
+    assert.ok(pixels.every((value, index) => index % 4 !== 3 || value === 255));
+});
+
+test('blends between the base and highlight colors', () => {
+    const { pixels } = renderTextureDesign({ baseColor: '#000000', highlightColor: '#ff0000', frames: 1 }, 'still');
+    const reds = pixels.filter((value, index) => index % 4 === 0);
+    assert.equal(Math.min(...reds), 0);
+    assert.equal(Math.max(...reds), 255);
+    assert.ok(pixels.every((value, index) => index % 4 === 0 || index % 4 === 3 || value === 0));
+});
+
+test('renders the same design the same way every time', () => {
+    const design = { noise: 'speckled', frames: 2 };
+    assert.deepEqual(renderTextureDesign(design, 'flowing'), renderTextureDesign(design, 'flowing'));
+    assert.notDeepEqual(renderTextureDesign(design, 'flowing'), renderTextureDesign(design, 'still'));
+});
+
+test('synthesizes still and flowing PNG strips', () => {
+    const { texture, flowingTexture } = synthesizeDesignTextures({ size: 16, frames: 8 });
+    assert.deepEqual(readPngSize(texture), { width: 16, height: 128 });
+    assert.equal(getFrameCount(texture), 8);
+    assert.equal(getFrameCount(flowingTexture), 8);
+});
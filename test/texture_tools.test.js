@@ -0,0 +1,95 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { readPngSize, getFrameCount, encodePng, decodePng, inspectTexture, shearFlowingStrip } = require('../js/texture_tools.js');
+const { createTexture } = require('./fixtures.js');
+
+describe('readPngSize', () => {
+    test('reads the size from the header', () => {
+        assert.deepEqual(readPngSize(createTexture([0, 0, 0, 255], 16, 48)), { width: 16, height: 48 });
+        assert.deepEqual(readPngSize(createTexture([0, 0, 0, 255], 32).buffer), { width: 32, height: 32 });
+    });
+
+    test('is undefined for data that is not a PNG', () => {
+        assert.equal(readPngSize(new Uint8Array(32)), undefined);
+        assert.equal(readPngSize(createTexture([0, 0, 0, 255]).subarray(0, 20)), undefined);
+    });
+});
+
+describe('getFrameCount', () => {
+    test('counts the frames of a vertical strip', () => {
+        assert.equal(getFrameCount(createTexture([0, 0, 0, 255], 16, 64)), 4);
+    });
+
+    test('is 1 for single images and strips with partial frames', () => {
+        assert.equal(getFrameCount(createTexture([0, 0, 0, 255], 16)), 1);
+        assert.equal(getFrameCount(createTexture([0, 0, 0, 255], 16, 40)), 1);
+        assert.equal(getFrameCount(createTexture([0, 0, 0, 255], 32, 16)), 1);
+        assert.equal(getFrameCount(new Uint8Array(4)), 1);
+    });
+});
+
+describe('encodePng', () => {
+    test('stores the pixels in a PNG that decoders read', () => {
+        const pixels = new Uint8Array(3 * 2 * 4).map((value, index) => index * 10);
+        const png = encodePng(3, 2, pixels);
+        assert.deepEqual(readPngSize(png), { width: 3, height: 2 });
+
+        const dataStart = png.indexOf(0x49, 33) + 4; // Skips the IDAT chunk's type.
+        const dataLength = new DataView(png.buffer).getUint32(dataStart - 8);
+        const raw = zlib.inflateSync(png.subarray(dataStart, dataStart + dataLength));
+        assert.deepEqual([...raw.subarray(1, 13)], [...pixels.subarray(0, 12)]);
+        assert.deepEqual([...raw.subarray(14, 26)], [...pixels.subarray(12, 24)]);
+    });
+
+    test('splits large images over several deflate blocks', () => {
+        const png = encodePng(64, 512, new Uint8Array(64 * 512 * 4).fill(7));
+        assert.deepEqual(readPngSize(png), { width: 64, height: 512 });
+        assert.equal(getFrameCount(png), 8);
+    });
+});
+
+describe('decodePng', () => {
+    test('reads back the pixels of an encoded PNG', () => {
+        const pixels = new Uint8ClampedArray(4 * 3 * 4).map((value, index) => index * 5);
+        assert.deepEqual(decodePng(encodePng(4, 3, pixels)), { width: 4, height: 3, pixels });
+    });
+
+    test('reads compressed RGBA PNGs', () => {
+        const { width, height, pixels } = decodePng(createTexture([51, 255, 0, 200], 16, 32));
+        assert.equal(width, 16);
+        assert.equal(height, 32);
+        assert.deepEqual([...pixels.subarray(0, 4)], [51, 255, 0, 200]);
+        assert.deepEqual([...pixels.subarray(-4)], [51, 255, 0, 200]);
+    });
+
+    test('rejects data that is not a PNG', () => {
+        assert.throws(() => decodePng(new Uint8Array(32)), /not a PNG/);
+    });
+});
+
+describe('inspectTexture', () => {
+    test('reads the resolution and frames of a texture', () => {
+        assert.deepEqual(inspectTexture(createTexture([0, 0, 0, 255], 32, 128), 'The texture'), { resolution: 32, frames: 4 });
+        assert.deepEqual(inspectTexture(createTexture([0, 0, 0, 255], 128), 'The texture', false), { resolution: 128, frames: 1 });
+    });
+
+    test('rejects textures fluids cannot use', () => {
+        const texture = (width, height) => createTexture([0, 0, 0, 255], width, height);
+        assert.throws(() => inspectTexture(new Uint8Array(32), 'The texture'), /^Error: The texture is not a PNG file\.$/);
+        assert.throws(() => inspectTexture(texture(16, 32), 'The icon', false), /The icon must be square, but is 16x32/);
+        assert.throws(() => inspectTexture(texture(16, 40), 'The texture'), /vertical strip of whole square frames, but is 16x40/);
+        assert.throws(() => inspectTexture(texture(24, 24), 'The texture'), /power of two wide, but is 24 pixels wide/);
+        assert.throws(() => inspectTexture(texture(256, 256), 'The texture'), /must be 16, 32, 64, 128 pixels wide, but is 256/);
+    });
+});
+
+describe('shearFlowingStrip', () => {
+    test('shifts each row of a frame right by its row number, wrapping around', () => {
+        // A 2x4 strip of two 2x2 frames, with the pixel index in the red channel.
+        const pixels = new Uint8ClampedArray(2 * 4 * 4).map((value, index) => index % 4 === 0 ? index / 4 : 0);
+        const sheared = shearFlowingStrip({ width: 2, height: 4, pixels });
+        assert.equal(sheared.height, 4);
+        assert.deepEqual([...sheared.pixels].filter((value, index) => index % 4 === 0), [0, 1, 3, 2, 4, 5, 7, 6]);
+    });
+});